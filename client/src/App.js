@@ -3,8 +3,12 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import AdminPanel from './pages/AdminPanel';
+import RequireAdmin from './components/RequireAdmin';
 import './App.css';
 
 function App() {
@@ -15,8 +19,11 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           <Route path="/dashboard/*" element={<Dashboard />} />
-          <Route path="/admin/*" element={<AdminPanel />} />
+          <Route path="/admin/*" element={<RequireAdmin><AdminPanel /></RequireAdmin>} />
           <Route path="*" element={<Navigate to="/" />} />
         </Routes>
       </div>
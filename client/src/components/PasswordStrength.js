@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { getPasswordPolicy, checkPassword } from '../utils/passwordPolicy';
+
+const CHECK_DELAY_MS = 300;
+const SCORE_COLORS = ['#dc3545', '#dc3545', '#f0ad4e', '#5cb85c', '#2E8B57'];
+
+// Strength meter and rule hints under a new-password field, checked by the server so it
+// matches what registration, reset and change password accept. onResult gets the latest
+// check ({ valid, errors, score, label }), or null while the field is empty or being checked.
+const PasswordStrength = ({ password, email, name, onResult }) => {
+  const [policy, setPolicy] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getPasswordPolicy().then(data => {
+      if (!cancelled) setPolicy(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    // Until the new check arrives the form leaves the decision to the server
+    if (onResult) onResult(null);
+
+    if (!password) {
+      setResult(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      checkPassword(password, { email, name })
+        .then(data => {
+          if (cancelled) return;
+          setResult(data);
+          if (onResult) onResult(data);
+        })
+        .catch(error => {
+          // The server checks again on submit
+          console.error('Error checking password:', error);
+        });
+    }, CHECK_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [password, email, name, onResult]);
+
+  if (!password || !result) {
+    return policy ? (
+      <small className="form-hint">{policy.requirements.join(' · ')}</small>
+    ) : null;
+  }
+
+  const color = SCORE_COLORS[result.score];
+
+  return (
+    <div style={{ marginTop: '6px' }}>
+      <div style={{ display: 'flex', gap: '4px' }}>
+        {[1, 2, 3, 4].map(level => (
+          <div
+            key={level}
+            style={{
+              flex: 1,
+              height: '4px',
+              borderRadius: '2px',
+              background: result.score >= level ? color : '#e0e0e0'
+            }}
+          />
+        ))}
+      </div>
+      <small className="form-hint" style={{ color }}>
+        {result.valid ? `Strength: ${result.label}` : result.errors[0]}
+      </small>
+    </div>
+  );
+};
+
+export default PasswordStrength;
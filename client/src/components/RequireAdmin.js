@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import axios from 'axios';
+import { attachTokenRefresh, clearSession } from '../utils/session';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
+
+const authClient = axios.create({ baseURL: API_URL, timeout: 15000 });
+
+authClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// An expired access token is swapped silently; a 401 after that means the session is over
+attachTokenRefresh(authClient);
+
+// Shows its children only to a signed-in admin. The role comes from the server
+// (GET /auth/me) - the user saved in localStorage is only a display copy and can be edited.
+const RequireAdmin = ({ children }) => {
+  const location = useLocation();
+  const [access, setAccess] = useState(localStorage.getItem('token') ? 'checking' : 'signed-out');
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      setAccess('signed-out');
+      return;
+    }
+
+    let cancelled = false;
+    setAccess('checking');
+
+    authClient.get('/auth/me')
+      .then(response => {
+        if (cancelled) return;
+        const user = response.data.user;
+        localStorage.setItem('user', JSON.stringify(user));
+        setAccess(user.role === 'admin' ? 'admin' : 'forbidden');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        if (error.response?.status === 401) {
+          // Signed out, expired or for a deleted account - sign in again
+          clearSession();
+          setAccess('signed-out');
+        } else {
+          console.error('Error checking admin access:', error);
+          setAccess('unreachable');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [attempt]);
+
+  if (access === 'signed-out') {
+    return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+  }
+
+  if (access === 'forbidden') {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  if (access === 'admin') {
+    return children;
+  }
+
+  return (
+    <div className="admin-container">
+      <div className="loading-overlay">
+        {access === 'checking' ? (
+          <>
+            <div className="spinner"></div>
+            <p>Checking access...</p>
+          </>
+        ) : (
+          <>
+            <p>Could not reach the server to check your access.</p>
+            <button className="btn-view" onClick={() => setAttempt(count => count + 1)}>
+              Try Again
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RequireAdmin;
@@ -2,14 +2,30 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate, Routes, Route, useLocation } from 'react-router-dom';
 import axios from 'axios';
 import './admin.css';
+import { getImageVariant } from '../utils/images';
+import { attachTokenRefresh, logout } from '../utils/session';
 
 // Replace line 6:
 const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
 
+// Axios instance that sends the admin's JWT - all admin and tour write routes require it
+const adminClient = axios.create();
+
+adminClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// An expired access token is swapped silently; once the session is over the admin signs in again
+attachTokenRefresh(adminClient, { onSessionEnded: () => window.location.assign('/login') });
+
 // Helper Functions - UPDATED for MongoDB with image handling
 const getUsers = async () => {
   try {
-    const response = await axios.get(`${API_URL}/admin/users`);
+    const response = await adminClient.get(`${API_URL}/admin/users`);
     return response.data.data || [];
   } catch (error) {
     console.error('Error fetching users:', error);
@@ -19,7 +35,7 @@ const getUsers = async () => {
 
 const getAllBookings = async () => {
   try {
-    const response = await axios.get(`${API_URL}/admin/bookings`);
+    const response = await adminClient.get(`${API_URL}/admin/bookings`);
     return response.data.data || [];
   } catch (error) {
     console.error('Error fetching bookings:', error);
@@ -27,9 +43,10 @@ const getAllBookings = async () => {
   }
 };
 
+// Every tour in every state - the public /tours listing only has published ones
 const getTours = async () => {
   try {
-    const response = await axios.get(`${API_URL}/tours`);
+    const response = await adminClient.get(`${API_URL}/admin/tours`);
     return response.data.data || [];
   } catch (error) {
     console.error('Error fetching tours:', error);
@@ -41,9 +58,9 @@ const getTours = async () => {
 const calculateStats = async () => {
   try {
     const [usersResponse, toursResponse, bookingsResponse] = await Promise.all([
-      axios.get(`${API_URL}/admin/users`),
-      axios.get(`${API_URL}/tours`),
-      axios.get(`${API_URL}/admin/bookings`)
+      adminClient.get(`${API_URL}/admin/users`),
+      adminClient.get(`${API_URL}/tours`),
+      adminClient.get(`${API_URL}/admin/bookings`)
     ]);
     
     const users = usersResponse.data.data || [];
@@ -79,7 +96,7 @@ const calculateStats = async () => {
 // Save booking to database
 const saveBooking = async (booking) => {
   try {
-    const response = await axios.post(`${API_URL}/bookings`, booking);
+    const response = await adminClient.post(`${API_URL}/bookings`, booking);
     return response.data.success;
   } catch (error) {
     console.error('Error saving booking:', error);
@@ -90,24 +107,50 @@ const saveBooking = async (booking) => {
 // Update booking status in database - UPDATED to use admin endpoint
 const updateBookingStatus = async (bookingId, status) => {
   try {
-    const response = await axios.put(`${API_URL}/admin/bookings/${bookingId}/status`, { status });
-    return response.data.success;
+    const response = await adminClient.put(`${API_URL}/admin/bookings/${bookingId}/status`, { status });
+    return response.data;
   } catch (error) {
     console.error('Error updating booking:', error);
     // Fallback to regular endpoint
     try {
-      const response = await axios.put(`${API_URL}/bookings/${bookingId}`, { status });
-      return response.data.success;
+      const response = await adminClient.put(`${API_URL}/bookings/${bookingId}`, { status });
+      return response.data;
     } catch (fallbackError) {
-      return false;
+      return fallbackError.response?.data || null;
     }
   }
 };
 
+// Mark a cancelled booking's refund as paid out
+const processBookingRefund = async (bookingId) => {
+  try {
+    const response = await adminClient.put(`${API_URL}/admin/bookings/${bookingId}/refund`);
+    return response.data.data.refund;
+  } catch (error) {
+    console.error('Error processing refund:', error);
+    throw new Error(getApiErrorMessage(error, 'Error processing refund'));
+  }
+};
+
+// Booking statuses in lifecycle order
+const BOOKING_STATUS_OPTIONS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'completed', label: 'Completed' }
+];
+
+// The server sends the statuses a booking may move to next - older data falls back to allowing all
+const canMoveToStatus = (booking, status) => (
+  status === (booking.status || 'pending')
+  || !booking.allowedStatuses
+  || booking.allowedStatuses.includes(status)
+);
+
 // Delete booking from database
 const deleteBooking = async (bookingId) => {
   try {
-    const response = await axios.delete(`${API_URL}/bookings/${bookingId}`);
+    const response = await adminClient.delete(`${API_URL}/bookings/${bookingId}`);
     return response.data.success;
   } catch (error) {
     console.error('Error deleting booking:', error);
@@ -124,7 +167,7 @@ const saveTour = async (tourData) => {
       totalImages: tourData.images ? tourData.images.length : 0
     });
     
-    const response = await axios.post(`${API_URL}/tours`, tourData);
+    const response = await adminClient.post(`${API_URL}/tours`, tourData);
     console.log('✅ Tour saved successfully:', response.data);
     return response.data;
   } catch (error) {
@@ -143,11 +186,13 @@ const updateTour = async (tourId, tourData) => {
       totalImages: tourData.images ? tourData.images.length : 0
     });
     
-    const response = await axios.put(`${API_URL}/tours/${tourId}`, tourData);
+    const response = await adminClient.put(`${API_URL}/tours/${tourId}`, tourData);
     console.log('✅ Tour updated successfully:', response.data);
     return response.data;
   } catch (error) {
     console.error('❌ Error updating tour:', error.response?.data || error.message);
+    // Saved, but bookings got to some departures first - the caller shows which
+    if (error.response?.status === 409) return error.response.data;
     return null;
   }
 };
@@ -155,7 +200,7 @@ const updateTour = async (tourId, tourData) => {
 // Delete tour from database
 const deleteTour = async (tourId) => {
   try {
-    const response = await axios.delete(`${API_URL}/tours/${tourId}`);
+    const response = await adminClient.delete(`${API_URL}/tours/${tourId}`);
     return response.data.success;
   } catch (error) {
     console.error('Error deleting tour:', error);
@@ -166,7 +211,7 @@ const deleteTour = async (tourId) => {
 // Delete user from database
 const deleteUser = async (userId) => {
   try {
-    const response = await axios.delete(`${API_URL}/admin/users/${userId}`);
+    const response = await adminClient.delete(`${API_URL}/admin/users/${userId}`);
     return response.data.success;
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -174,6 +219,198 @@ const deleteUser = async (userId) => {
   }
 };
 
+// Turn an API error into a readable message (including validation errors)
+const getApiErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  if (data?.errors?.length) return `${data.message}: ${data.errors.join(', ')}`;
+  return data?.message || fallback;
+};
+
+// Coupon helpers - these throw so the form can show the server's message
+const getCoupons = async () => {
+  try {
+    const response = await adminClient.get(`${API_URL}/admin/coupons`);
+    return response.data.data || [];
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    return [];
+  }
+};
+
+const saveCoupon = async (couponData) => {
+  try {
+    const response = await adminClient.post(`${API_URL}/admin/coupons`, couponData);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error saving coupon'));
+  }
+};
+
+const updateCoupon = async (couponId, couponData) => {
+  try {
+    const response = await adminClient.put(`${API_URL}/admin/coupons/${couponId}`, couponData);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error updating coupon'));
+  }
+};
+
+const deleteCoupon = async (couponId) => {
+  try {
+    const response = await adminClient.delete(`${API_URL}/admin/coupons/${couponId}`);
+    return response.data.success;
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    return false;
+  }
+};
+
+// Tour history helpers - these throw so the history view can show the server's message
+const getTourRevisions = async (tourId) => {
+  try {
+    const response = await adminClient.get(`${API_URL}/admin/tours/${tourId}/revisions`);
+    return response.data.data || [];
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error loading tour history'));
+  }
+};
+
+const compareTourRevisions = async (tourId, { from, to }) => {
+  try {
+    const response = await adminClient.get(`${API_URL}/admin/tours/${tourId}/revisions/compare`, { params: { from, to } });
+    return response.data.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error comparing versions'));
+  }
+};
+
+const restoreTourRevision = async (tourId, version) => {
+  try {
+    const response = await adminClient.post(`${API_URL}/admin/tours/${tourId}/revisions/${version}/restore`);
+    return response.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error restoring version'));
+  }
+};
+
+// Tour duplication and template helpers - these throw so the admin sees the server's message
+const duplicateTour = async (tourId) => {
+  try {
+    const response = await adminClient.post(`${API_URL}/tours/${tourId}/duplicate`);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error duplicating tour'));
+  }
+};
+
+const getTourTemplates = async () => {
+  try {
+    const response = await adminClient.get(`${API_URL}/admin/tour-templates`);
+    return response.data.data || [];
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error loading templates'));
+  }
+};
+
+const createTourTemplate = async (templateData) => {
+  try {
+    const response = await adminClient.post(`${API_URL}/admin/tour-templates`, templateData);
+    return response.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error saving template'));
+  }
+};
+
+const deleteTourTemplate = async (templateId) => {
+  try {
+    const response = await adminClient.delete(`${API_URL}/admin/tour-templates/${templateId}`);
+    return response.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error deleting template'));
+  }
+};
+
+// Tour import/export helpers - exports are downloaded as files
+const exportTours = async (format, status) => {
+  try {
+    const response = await adminClient.get(`${API_URL}/admin/tours/export`, {
+      params: { format, status: status || undefined },
+      responseType: 'blob'
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tours-${date}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Error exporting tours:', error);
+    throw new Error('Error exporting tours');
+  }
+};
+
+// Resolves with the row-by-row report, also when the server refused the import because of row errors
+const importToursFile = async (file, dryRun) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  try {
+    const response = await adminClient.post(`${API_URL}/admin/tours/import`, formData, { params: { dryRun } });
+    return response.data;
+  } catch (error) {
+    if (error.response?.data?.data) return error.response.data;
+    throw new Error(getApiErrorMessage(error, 'Error importing tours'));
+  }
+};
+
+// Media library helpers - these throw so the library can show the server's message
+const MEDIA_PAGE_SIZE = 24;
+const MEDIA_ACCEPT = 'image/jpeg,image/png,image/webp';
+
+const getMedia = async ({ page = 1, q = '' } = {}) => {
+  try {
+    const response = await adminClient.get(`${API_URL}/media`, { params: { page, limit: MEDIA_PAGE_SIZE, q } });
+    return response.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error loading images'));
+  }
+};
+
+const uploadMedia = async (file, alt = '') => {
+  const formData = new FormData();
+  formData.append('image', file);
+  formData.append('alt', alt);
+
+  try {
+    const response = await adminClient.post(`${API_URL}/media`, formData);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, `Error uploading ${file.name}`));
+  }
+};
+
+const updateMedia = async (mediaId, mediaData) => {
+  try {
+    const response = await adminClient.put(`${API_URL}/media/${mediaId}`, mediaData);
+    return response.data.data;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error updating image'));
+  }
+};
+
+const deleteMedia = async (mediaId) => {
+  try {
+    const response = await adminClient.delete(`${API_URL}/media/${mediaId}`);
+    return response.data.success;
+  } catch (error) {
+    throw new Error(getApiErrorMessage(error, 'Error deleting image'));
+  }
+};
+
 // Admin Dashboard Component - FIXED to fetch data correctly
 const AdminDashboard = ({ stats, refreshStats }) => {
   const [recentBookings, setRecentBookings] = useState([]);
@@ -779,26 +1016,707 @@ const UsersManagement = () => {
   );
 };
 
+// Media Library - uploads, alt text and deletion. With onSelect it doubles as the image
+// picker for the tour form (one image, or several when `multiple` is set).
+const MediaLibrary = ({ onSelect, multiple = false }) => {
+  const [media, setMedia] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [selectedUrls, setSelectedUrls] = useState([]);
+  const fileInputRef = useRef(null);
+  const isPicker = !!onSelect;
+
+  const loadMedia = async (nextPage, q) => {
+    setLoading(true);
+    try {
+      const result = await getMedia({ page: nextPage, q });
+      setMedia(prev => (nextPage === 1 ? result.data : [...prev, ...result.data]));
+      setTotal(result.total);
+      setPage(nextPage);
+      setHasMore(result.pagination.hasMore);
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Search as the admin types, after a short pause
+  useEffect(() => {
+    const timer = setTimeout(() => loadMedia(1, searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Files upload one at a time - a rejected file doesn't stop the rest
+  const handleUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setUploading(true);
+    const failures = [];
+    for (const file of files) {
+      try {
+        const uploaded = await uploadMedia(file);
+        setMedia(prev => [uploaded, ...prev]);
+        setTotal(prev => prev + 1);
+        if (isPicker) {
+          setSelectedUrls(prev => (multiple ? [...prev, uploaded.url] : [uploaded.url]));
+        }
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+    setUploading(false);
+
+    if (failures.length > 0) {
+      alert(`Some images were not uploaded:\n${failures.join('\n')}`);
+    }
+  };
+
+  const handleAltChange = async (item, alt) => {
+    if (alt === (item.alt || '')) return;
+    try {
+      const updated = await updateMedia(item._id, { alt });
+      setMedia(prev => prev.map(entry => (entry._id === item._id ? updated : entry)));
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Delete ${item.originalName || 'this image'}? This cannot be undone.`)) return;
+    try {
+      await deleteMedia(item._id);
+      setMedia(prev => prev.filter(entry => entry._id !== item._id));
+      setTotal(prev => prev - 1);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const toggleSelected = (url) => {
+    setSelectedUrls(prev => {
+      if (!multiple) return [url];
+      return prev.includes(url) ? prev.filter(selected => selected !== url) : [...prev, url];
+    });
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'center', marginBottom: '1rem' }}>
+        <div className="search-box" style={{ flex: 1, minWidth: '200px' }}>
+          <input
+            type="text"
+            placeholder="Search by file name or alt text..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={MEDIA_ACCEPT}
+          multiple
+          onChange={handleUpload}
+          style={{ display: 'none' }}
+        />
+        <button
+          type="button"
+          className="btn-add"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={uploading}
+        >
+          {uploading ? 'Uploading...' : '+ Upload Images'}
+        </button>
+      </div>
+      <p style={{ fontSize: '0.85rem', color: '#666', marginBottom: '1rem' }}>
+        JPEG, PNG or WebP, at least 640px wide and up to 10 MB. Thumbnail, card and full-width
+        sizes are made automatically. {total} image{total === 1 ? '' : 's'} in the library.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '1rem' }}>
+        {media.map(item => {
+          const isSelected = selectedUrls.includes(item.url);
+          return (
+            <div
+              key={item._id}
+              onClick={isPicker ? () => toggleSelected(item.url) : undefined}
+              style={{
+                border: isSelected ? '3px solid #2E8B57' : '1px solid #ddd',
+                borderRadius: '8px',
+                overflow: 'hidden',
+                background: 'white',
+                cursor: isPicker ? 'pointer' : 'default'
+              }}
+            >
+              <img
+                src={getImageVariant(item.url, 'thumbnail')}
+                alt={item.alt || item.originalName}
+                loading="lazy"
+                style={{ width: '100%', height: '120px', objectFit: 'cover', display: 'block' }}
+              />
+              <div style={{ padding: '0.5rem', fontSize: '0.8rem' }}>
+                <div style={{ fontWeight: '600', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={item.originalName}>
+                  {item.originalName || 'Untitled'}
+                </div>
+                <div style={{ color: '#666' }}>
+                  {item.width} × {item.height}
+                  {' · '}
+                  {item.usedBy?.length > 0
+                    ? <span title={item.usedBy.map(tour => tour.title).join(', ')}>used by {item.usedBy.length} tour{item.usedBy.length === 1 ? '' : 's'}</span>
+                    : 'unused'}
+                </div>
+                <input
+                  type="text"
+                  defaultValue={item.alt || ''}
+                  placeholder="Alt text"
+                  onClick={(e) => e.stopPropagation()}
+                  onBlur={(e) => handleAltChange(item, e.target.value.trim())}
+                  style={{ width: '100%', marginTop: '0.4rem', padding: '0.3rem', fontSize: '0.8rem', border: '1px solid #ddd', borderRadius: '4px' }}
+                />
+                {!isPicker && (
+                  <button
+                    type="button"
+                    className="btn-delete"
+                    onClick={() => handleDelete(item)}
+                    disabled={item.usedBy?.length > 0}
+                    title={item.usedBy?.length > 0 ? 'Remove it from its tours first' : 'Delete image'}
+                    style={{ width: '100%', marginTop: '0.4rem' }}
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {loading && <div className="loading">Loading images...</div>}
+
+      {!loading && media.length === 0 && (
+        <div className="no-results">
+          <p>{searchTerm ? 'No images match your search' : 'No images uploaded yet'}</p>
+        </div>
+      )}
+
+      {hasMore && !loading && (
+        <div style={{ textAlign: 'center', marginTop: '1rem' }}>
+          <button type="button" className="btn-view" onClick={() => loadMedia(page + 1, searchTerm.trim())}>
+            Load more
+          </button>
+        </div>
+      )}
+
+      {isPicker && (
+        <div className="modal-actions">
+          <button
+            type="button"
+            className="btn-save"
+            disabled={selectedUrls.length === 0}
+            onClick={() => onSelect(selectedUrls)}
+          >
+            {multiple ? `Use ${selectedUrls.length} selected` : 'Use selected image'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const MediaPickerModal = ({ title, multiple, onSelect, onClose }) => (
+  <div className="modal-overlay" style={{ zIndex: 3100 }} onClick={onClose}>
+    <div className="modal-content large-modal" style={{ maxWidth: '900px', maxHeight: '90vh' }} onClick={(e) => e.stopPropagation()}>
+      <div className="modal-header">
+        <h2>{title}</h2>
+        <button type="button" className="modal-close" onClick={onClose}>
+          ×
+        </button>
+      </div>
+      <div style={{ padding: '1.5rem' }}>
+        <MediaLibrary multiple={multiple} onSelect={onSelect} />
+      </div>
+    </div>
+  </div>
+);
+
+const MediaManagement = () => (
+  <div className="admin-content">
+    <div className="admin-header">
+      <div>
+        <h1>Media Library</h1>
+        <p>Images for tour cards, galleries and detail pages</p>
+      </div>
+    </div>
+    <MediaLibrary />
+  </div>
+);
+
+// How a tour's publishing state is shown - see Tour.getVisibility on the server
+const TOUR_VISIBILITY = {
+  draft: { label: 'Draft', color: '#6c757d' },
+  scheduled: { label: 'Scheduled', color: '#ffc107' },
+  live: { label: 'Live', color: '#2E8B57' },
+  ended: { label: 'Ended', color: '#dc3545' },
+  archived: { label: 'Archived', color: '#343a40' }
+};
+
+const TourStatusBadge = ({ tour }) => {
+  const visibility = TOUR_VISIBILITY[tour.visibility || tour.status] || TOUR_VISIBILITY.draft;
+  const scheduleText = [
+    tour.publishAt && `from ${new Date(tour.publishAt).toLocaleString('en-IN')}`,
+    tour.unpublishAt && `until ${new Date(tour.unpublishAt).toLocaleString('en-IN')}`
+  ].filter(Boolean).join(' ');
+
+  return (
+    <span style={{ color: visibility.color, fontWeight: '600' }} title={scheduleText || undefined}>
+      {visibility.label}
+    </span>
+  );
+};
+
+// datetime-local inputs work in local time without a zone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Opens the traveller's detail page, loaded through the admin API so drafts show too
+const openTourPreview = (tourId) => {
+  window.open(`/dashboard/tours/${tourId}?preview=1`, '_blank', 'noopener');
+};
+
+const REVISION_ACTIONS = {
+  baseline: 'Before history',
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+  archive: 'Archived'
+};
+
+const formatRevisionValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Version history of a tour - pick a version to see what it changed, compare it with any
+// other version or the tour as it is now, and restore it
+const TourHistoryModal = ({ tour, onClose, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [compareWith, setCompareWith] = useState('previous');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  // Bumped after a restore to load the history again
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    getTourRevisions(tour._id)
+      .then(history => {
+        if (cancelled) return;
+        setRevisions(history);
+        setSelectedVersion(history.length > 0 ? history[0].version : null);
+      })
+      .catch(error => {
+        if (!cancelled) alert(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tour._id, reloadKey]);
+
+  // 'previous' shows what the selected version changed, 'current' what has changed since it
+  useEffect(() => {
+    if (!selectedVersion) {
+      setDiff(null);
+      return;
+    }
+
+    const range = compareWith === 'previous'
+      ? { to: selectedVersion }
+      : compareWith === 'current'
+        ? { from: selectedVersion, to: 'current' }
+        : { from: compareWith, to: selectedVersion };
+
+    let cancelled = false;
+    setDiffLoading(true);
+    compareTourRevisions(tour._id, range)
+      .then(result => {
+        if (!cancelled) setDiff(result);
+      })
+      .catch(error => {
+        if (!cancelled) alert(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setDiffLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tour._id, selectedVersion, compareWith]);
+
+  const handleRestore = async () => {
+    if (!window.confirm(`Restore version ${selectedVersion} of "${tour.title}"? The current content is kept in the history.`)) return;
+
+    setRestoring(true);
+    try {
+      const result = await restoreTourRevision(tour._id, selectedVersion);
+      alert(result.message);
+      setCompareWith('previous');
+      setReloadKey(key => key + 1);
+      onRestored();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const diffLabel = diff && `${diff.from ? `Version ${diff.from}` : 'Empty'} → ${diff.to === 'current' ? 'current tour' : `version ${diff.to}`}`;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content large-modal" style={{ maxWidth: '1000px', maxHeight: '90vh' }} onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>History: {tour.title}</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading history...</div>
+        ) : revisions.length === 0 ? (
+          <div className="no-results" style={{ padding: '1.5rem' }}>
+            <p>No versions yet - one is saved every time this tour is edited.</p>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', gap: '1.5rem', padding: '1.5rem', flexWrap: 'wrap' }}>
+            <div style={{ flex: '0 0 260px', maxHeight: '60vh', overflowY: 'auto' }}>
+              {revisions.map(revision => (
+                <button
+                  key={revision.version}
+                  type="button"
+                  onClick={() => setSelectedVersion(revision.version)}
+                  style={{
+                    display: 'block',
+                    width: '100%',
+                    textAlign: 'left',
+                    padding: '0.75rem',
+                    marginBottom: '0.5rem',
+                    border: revision.version === selectedVersion ? '2px solid #2E8B57' : '1px solid #ddd',
+                    borderRadius: '6px',
+                    background: revision.version === selectedVersion ? '#f0f9f4' : 'white',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <strong>v{revision.version}</strong> · {REVISION_ACTIONS[revision.action] || revision.action}
+                  {revision.restoredFrom && ` v${revision.restoredFrom}`}
+                  <div style={{ fontSize: '0.8rem', color: '#666' }}>
+                    {new Date(revision.createdAt).toLocaleString('en-IN')}
+                    {revision.authorName && ` · ${revision.authorName}`}
+                  </div>
+                  {revision.changedFields?.length > 0 && revision.action !== 'create' && (
+                    <div style={{ fontSize: '0.75rem', color: '#888', marginTop: '0.25rem' }}>
+                      {revision.changedFields.join(', ')}
+                    </div>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            <div style={{ flex: 1, minWidth: '300px' }}>
+              <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1rem' }}>
+                <label style={{ fontSize: '0.9rem' }}>
+                  Compare v{selectedVersion} with{' '}
+                  <select value={compareWith} onChange={(e) => setCompareWith(e.target.value)}>
+                    <option value="previous">the version before it</option>
+                    <option value="current">the current tour</option>
+                    {revisions
+                      .filter(revision => revision.version !== selectedVersion)
+                      .map(revision => (
+                        <option key={revision.version} value={revision.version}>version {revision.version}</option>
+                      ))}
+                  </select>
+                </label>
+                <button
+                  type="button"
+                  className="btn-save"
+                  onClick={handleRestore}
+                  disabled={restoring || selectedVersion === revisions[0].version}
+                  title={selectedVersion === revisions[0].version ? 'This is the latest version' : undefined}
+                >
+                  {restoring ? 'Restoring...' : `Restore v${selectedVersion}`}
+                </button>
+              </div>
+
+              {diffLoading ? (
+                <div className="loading">Comparing...</div>
+              ) : diff && (
+                <>
+                  <p style={{ fontSize: '0.85rem', color: '#666', marginBottom: '0.5rem' }}>{diffLabel}</p>
+                  {diff.changes.length === 0 ? (
+                    <p>No differences</p>
+                  ) : (
+                    <div style={{ maxHeight: '55vh', overflowY: 'auto' }}>
+                      <table className="admin-table">
+                        <thead>
+                          <tr>
+                            <th>Field</th>
+                            <th>Before</th>
+                            <th>After</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {diff.changes.map(change => (
+                            <tr key={change.path}>
+                              <td style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>{change.path}</td>
+                              <td style={{ background: '#fdecea', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{formatRevisionValue(change.before)}</td>
+                              <td style={{ background: '#e8f5e9', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{formatRevisionValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const IMPORT_ACTIONS = {
+  create: { label: 'New', color: '#2E8B57' },
+  update: { label: 'Update', color: '#1565c0' },
+  unchanged: { label: 'No change', color: '#888' }
+};
+
+// Import wizard - choose a file, check it with a dry run, then import it.
+// Nothing is saved unless every row passes the check.
+const ImportToursModal = ({ onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const handleCheck = async () => {
+    if (!file) {
+      alert('Please choose a JSON or CSV file');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      setReport(await importToursFile(file, true));
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    try {
+      const response = await importToursFile(file, false);
+      if (response.success) {
+        setResult(response);
+        onImported();
+      } else {
+        // Something changed since the check - show the new report
+        setReport(response);
+      }
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleChooseAnother = () => {
+    setFile(null);
+    setReport(null);
+  };
+
+  const summary = report?.data?.summary;
+  const rows = report?.data?.rows || [];
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content large-modal" style={{ maxWidth: '900px', maxHeight: '90vh' }}>
+        <div className="modal-header">
+          <h2>Import Tours</h2>
+          <button className="modal-close" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div style={{ maxHeight: '65vh', overflowY: 'auto', padding: '1.5rem' }}>
+          {result ? (
+            <p style={{ color: '#2E8B57', fontWeight: 'bold' }}>{result.message}</p>
+          ) : !report ? (
+            <>
+              <p style={{ marginBottom: '1rem' }}>
+                Upload a JSON or CSV file in the same layout as an export. Tours are matched by
+                their <strong>slug</strong> (or by the slug of their title when it is left empty):
+                matching tours are updated, the others are created as drafts unless a status is given.
+                Empty cells leave the current value alone.
+              </p>
+              <ul style={{ marginBottom: '1rem', paddingLeft: '1.25rem', fontSize: '0.9rem', color: '#555' }}>
+                <li>New tours need title, description, price and durationDays</li>
+                <li>CSV lists (images, highlights, included...) have one item per line in the cell</li>
+                <li>itinerary, pricing.discounts and pricing.cancellationTiers are JSON, as in the export</li>
+                <li>region, category, overview.difficulty and status must use the values the tour form offers</li>
+              </ul>
+              <div className="form-group">
+                <label>File</label>
+                <input
+                  type="file"
+                  accept=".json,.csv"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                />
+              </div>
+            </>
+          ) : (
+            <>
+              <p style={{ marginBottom: '0.5rem' }}>{report.message}</p>
+              {summary && (
+                <p style={{ marginBottom: '1rem', fontSize: '0.9rem' }}>
+                  <strong>{summary.create}</strong> new · <strong>{summary.update}</strong> to update ·{' '}
+                  <strong>{summary.unchanged}</strong> unchanged ·{' '}
+                  <strong style={{ color: summary.invalid > 0 ? '#c62828' : 'inherit' }}>{summary.invalid}</strong> with errors
+                </p>
+              )}
+              {report.errors?.length > 0 && (
+                <ul style={{ color: '#c62828', marginBottom: '1rem', paddingLeft: '1.25rem' }}>
+                  {report.errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+              {rows.length > 0 && (
+                <table className="admin-table">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Slug</th>
+                      <th>Title</th>
+                      <th>Result</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.row}>
+                        <td>{row.row}</td>
+                        <td style={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>{row.slug || '—'}</td>
+                        <td>{row.title || '—'}</td>
+                        <td>
+                          {row.errors.length > 0 ? (
+                            <ul style={{ color: '#c62828', margin: 0, paddingLeft: '1rem', fontSize: '0.85rem' }}>
+                              {row.errors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                          ) : (
+                            <>
+                              <span style={{ color: IMPORT_ACTIONS[row.action]?.color, fontWeight: 'bold' }}>
+                                {IMPORT_ACTIONS[row.action]?.label || row.action}
+                              </span>
+                              {row.changedFields.length > 0 && (
+                                <span style={{ fontSize: '0.8rem', color: '#666' }}> ({row.changedFields.join(', ')})</span>
+                              )}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" className="btn-cancel" onClick={onClose}>
+            {result ? 'Close' : 'Cancel'}
+          </button>
+          {!result && !report && (
+            <button type="button" className="btn-save" onClick={handleCheck} disabled={working || !file}>
+              {working ? 'Checking...' : 'Check File'}
+            </button>
+          )}
+          {!result && report && (
+            <>
+              <button type="button" className="btn-view" onClick={handleChooseAnother} disabled={working}>
+                Choose Another File
+              </button>
+              <button
+                type="button"
+                className="btn-save"
+                onClick={handleImport}
+                disabled={working || !summary || summary.invalid > 0 || summary.create + summary.update === 0}
+              >
+                {working ? 'Importing...' : `Import ${summary ? summary.create + summary.update : 0} Tour(s)`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Tours Management Component - UPDATED with enhanced form and image handling
 const ToursManagement = () => {
   const [tours, setTours] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [imagePicker, setImagePicker] = useState(null); // 'image' or 'images' while the library is open
   const [editingTour, setEditingTour] = useState(null);
   const [selectedTour, setSelectedTour] = useState(null);
   const [showTourDetails, setShowTourDetails] = useState(false);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [historyTour, setHistoryTour] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [showImport, setShowImport] = useState(false);
   const [tourForm, setTourForm] = useState({
     title: '',
     description: '',
     detailedDescription: '',
     price: '',
-    duration: '',
+    durationDays: '',
+    durationNights: '',
     image: '',
-    images: [''],
+    images: [],
     region: 'north',
     category: 'heritage',
     destination: '',
     
+    // Publishing
+    status: 'draft',
+    publishAt: '',
+    unpublishAt: '',
+    
     // Overview
     overview: {
       highlights: [''],
@@ -836,7 +1754,8 @@ const ToursManagement = () => {
       basePrice: '',
       discounts: [{ name: '', percentage: 0, description: '' }],
       paymentPolicy: '',
-      cancellationPolicy: ''
+      cancellationPolicy: '',
+      cancellationTiers: []
     },
     
     // Important Info
@@ -845,7 +1764,11 @@ const ToursManagement = () => {
       refundPolicy: '',
       healthAdvisory: '',
       safetyMeasures: ''
-    }
+    },
+    
+    // Capacity & Departures
+    maxParticipants: '20',
+    departures: []
   });
   const tableContainerRef = useRef(null);
 
@@ -883,7 +1806,61 @@ const ToursManagement = () => {
     // Validate images
     const mainImage = tourForm.image.trim();
     if (!mainImage) {
-      alert('Please provide a main image URL');
+      alert('Please choose a main image');
+      return;
+    }
+    
+    // Validate the publishing schedule
+    if (tourForm.publishAt && tourForm.unpublishAt && new Date(tourForm.unpublishAt) <= new Date(tourForm.publishAt)) {
+      alert('The unpublish date must be after the publish date');
+      return;
+    }
+    
+    // Validate duration - nights are days - 1 (or days for an overnight return) and the itinerary has to fit
+    const durationDays = parseInt(tourForm.durationDays);
+    const durationNights = tourForm.durationNights === '' ? durationDays - 1 : parseInt(tourForm.durationNights);
+    if (!durationDays || durationDays < 1 || durationDays > 365) {
+      alert('Duration must be between 1 and 365 days');
+      return;
+    }
+    if (isNaN(durationNights) || durationNights < durationDays - 1 || durationNights > durationDays) {
+      alert(`A ${durationDays} day tour must have ${durationDays - 1} or ${durationDays} nights`);
+      return;
+    }
+    const lastItineraryDay = Math.max(0, ...tourForm.itinerary.map(item => parseInt(item.day) || 0));
+    if (lastItineraryDay > durationDays) {
+      alert(`The itinerary has ${lastItineraryDay} days but the tour lasts ${durationDays} days`);
+      return;
+    }
+    
+    // Validate departures - capacity can't drop below seats already sold
+    const filledDepartures = tourForm.departures.filter(departure => departure.date);
+    const departureDates = filledDepartures.map(departure => departure.date);
+    if (new Set(departureDates).size !== departureDates.length) {
+      alert('Each departure date can only be listed once');
+      return;
+    }
+    const overbooked = filledDepartures.find(departure => (parseInt(departure.capacity) || 0) < departure.bookedSeats);
+    if (overbooked) {
+      alert(`Departure ${overbooked.date} already has ${overbooked.bookedSeats} seats booked`);
+      return;
+    }
+    
+    // Validate refund tiers - refunds can only shrink as travel gets closer
+    const cancellationTiers = (tourForm.pricing.cancellationTiers || [])
+      .filter(tier => tier.minDaysBeforeTravel !== '')
+      .map(tier => ({
+        minDaysBeforeTravel: parseInt(tier.minDaysBeforeTravel) || 0,
+        refundPercentage: Math.min(Math.max(parseFloat(tier.refundPercentage) || 0, 0), 100)
+      }))
+      .sort((a, b) => b.minDaysBeforeTravel - a.minDaysBeforeTravel);
+    const tierDays = cancellationTiers.map(tier => tier.minDaysBeforeTravel);
+    if (new Set(tierDays).size !== tierDays.length) {
+      alert('Each cancellation tier needs a different number of days');
+      return;
+    }
+    if (cancellationTiers.some((tier, index) => index > 0 && tier.refundPercentage > cancellationTiers[index - 1].refundPercentage)) {
+      alert('Refunds must not increase as the travel date gets closer');
       return;
     }
     
@@ -893,7 +1870,8 @@ const ToursManagement = () => {
       description: tourForm.description,
       detailedDescription: tourForm.detailedDescription,
       price: parseInt(tourForm.price) || 0,
-      duration: tourForm.duration,
+      durationDays,
+      durationNights,
       image: mainImage,
       images: [mainImage, ...tourForm.images.filter(img => img.trim() !== '')].filter((img, index, array) => 
         img && array.indexOf(img) === index // Remove duplicates
@@ -902,6 +1880,11 @@ const ToursManagement = () => {
       category: tourForm.category,
       destination: tourForm.destination || `${tourForm.region} India`,
       
+      // Empty dates clear the schedule
+      status: tourForm.status,
+      publishAt: tourForm.publishAt ? new Date(tourForm.publishAt).toISOString() : '',
+      unpublishAt: tourForm.unpublishAt ? new Date(tourForm.unpublishAt).toISOString() : '',
+      
       overview: {
         highlights: tourForm.overview.highlights.filter(h => h.trim() !== ''),
         groupSize: tourForm.overview.groupSize,
@@ -933,9 +1916,20 @@ const ToursManagement = () => {
       
       pricing: {
         basePrice: parseInt(tourForm.pricing.basePrice) || parseInt(tourForm.price) || 0,
-        discounts: tourForm.pricing.discounts.filter(d => d.name.trim() !== ''),
+        // An empty type lets the server infer the rule from the discount name
+        discounts: tourForm.pricing.discounts
+          .filter(d => d.name.trim() !== '')
+          .map(d => ({
+            name: d.name,
+            percentage: parseFloat(d.percentage) || 0,
+            description: d.description || '',
+            type: d.type || undefined,
+            minDaysInAdvance: d.type === 'early_bird' ? parseInt(d.minDaysInAdvance) || 0 : undefined,
+            minParticipants: d.type === 'group' ? parseInt(d.minParticipants) || 1 : undefined
+          })),
         paymentPolicy: tourForm.pricing.paymentPolicy,
-        cancellationPolicy: tourForm.pricing.cancellationPolicy
+        cancellationPolicy: tourForm.pricing.cancellationPolicy,
+        cancellationTiers
       },
       
       importantInfo: {
@@ -943,7 +1937,13 @@ const ToursManagement = () => {
         refundPolicy: tourForm.importantInfo.refundPolicy,
         healthAdvisory: tourForm.importantInfo.healthAdvisory,
         safetyMeasures: tourForm.importantInfo.safetyMeasures
-      }
+      },
+      
+      maxParticipants: parseInt(tourForm.maxParticipants) || 20,
+      availableDates: filledDepartures.map(departure => ({
+        date: departure.date,
+        capacity: parseInt(departure.capacity) || 0
+      }))
     };
 
     console.log('📦 Prepared tour data with itinerary:', {
@@ -963,7 +1963,9 @@ const ToursManagement = () => {
         // Update existing tour
         const updated = await updateTour(editingTour._id, tourData);
         if (updated) {
-          alert('Tour updated successfully!');
+          alert(updated.success === false
+            ? `${updated.message}:\n${(updated.errors || []).join('\n')}`
+            : 'Tour updated successfully!');
           await fetchTours(); // Refresh tours list
         }
       } else {
@@ -990,13 +1992,18 @@ const ToursManagement = () => {
       description: '',
       detailedDescription: '',
       price: '',
-      duration: '',
+      durationDays: '',
+      durationNights: '',
       image: '',
-      images: [''],
+      images: [],
       region: 'north',
       category: 'heritage',
       destination: '',
       
+      status: 'draft',
+      publishAt: '',
+      unpublishAt: '',
+      
       overview: {
         highlights: [''],
         groupSize: '',
@@ -1029,7 +2036,8 @@ const ToursManagement = () => {
         basePrice: '',
         discounts: [{ name: '', percentage: 0, description: '' }],
         paymentPolicy: '',
-        cancellationPolicy: ''
+        cancellationPolicy: '',
+        cancellationTiers: []
       },
       
       importantInfo: {
@@ -1037,10 +2045,101 @@ const ToursManagement = () => {
         refundPolicy: '',
         healthAdvisory: '',
         safetyMeasures: ''
-      }
+      },
+      
+      maxParticipants: '20',
+      departures: []
     });
   };
 
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await getTourTemplates());
+    } catch (error) {
+      console.error('Error loading templates:', error);
+      setTemplates([]);
+    }
+  };
+
+  const openNewTourForm = () => {
+    setEditingTour(null);
+    resetTourForm();
+    setSelectedTemplateId('');
+    loadTemplates();
+    setShowAddModal(true);
+  };
+
+  // Fill the form from a template - title, description, images and publishing are left as they are
+  const handleApplyTemplate = (templateId) => {
+    setSelectedTemplateId(templateId);
+    const template = templates.find(item => item._id === templateId);
+    if (!template) return;
+
+    const content = template.content || {};
+    setTourForm(prev => ({
+      ...prev,
+      price: content.price ? content.price.toString() : prev.price,
+      durationDays: content.durationDays ? content.durationDays.toString() : prev.durationDays,
+      durationNights: content.durationNights !== undefined ? content.durationNights.toString() : prev.durationNights,
+      region: content.region || prev.region,
+      category: content.category || prev.category,
+      overview: content.overview ? { ...prev.overview, ...content.overview } : prev.overview,
+      included: content.included?.length > 0 ? content.included : prev.included,
+      excluded: content.excluded?.length > 0 ? content.excluded : prev.excluded,
+      itinerary: content.itinerary?.length > 0 ? content.itinerary : prev.itinerary,
+      requirements: content.requirements ? { ...prev.requirements, ...content.requirements } : prev.requirements,
+      pricing: content.pricing ? { ...prev.pricing, ...content.pricing } : prev.pricing,
+      importantInfo: content.importantInfo ? { ...prev.importantInfo, ...content.importantInfo } : prev.importantInfo,
+      maxParticipants: content.maxParticipants ? content.maxParticipants.toString() : prev.maxParticipants
+    }));
+  };
+
+  const handleDeleteTemplate = async () => {
+    const template = templates.find(item => item._id === selectedTemplateId);
+    if (!template || !window.confirm(`Delete the template "${template.name}"? Tours created from it are not affected.`)) return;
+
+    try {
+      await deleteTourTemplate(template._id);
+      setSelectedTemplateId('');
+      await loadTemplates();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleSaveAsTemplate = async (tour) => {
+    const name = window.prompt('Name for the new template:', `${tour.title} template`);
+    if (!name || !name.trim()) return;
+
+    try {
+      const result = await createTourTemplate({ name: name.trim(), fromTour: tour._id });
+      alert(result.message);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // The copy is a draft without departures - open it straight away to make the changes
+  const handleDuplicateTour = async (tour) => {
+    try {
+      const copy = await duplicateTour(tour._id);
+      await fetchTours();
+      setShowTourDetails(false);
+      handleEditTour(copy);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Exports follow the status filter - all tours when it is empty
+  const handleExportTours = async (format) => {
+    try {
+      await exportTours(format, statusFilter);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
   const handleRowClick = (tour) => {
     setSelectedTour(tour);
     setShowTourDetails(true);
@@ -1059,13 +2158,18 @@ const ToursManagement = () => {
       description: tour.description || '',
       detailedDescription: tour.detailedDescription || '',
       price: tour.price?.toString() || '',
-      duration: tour.duration || '',
+      durationDays: tour.durationDays?.toString() || '',
+      durationNights: tour.durationNights?.toString() || '',
       image: tour.image || '',
-      images: tour.images?.filter(img => img !== tour.image) || [''],
+      images: tour.images?.filter(img => img !== tour.image) || [],
       region: tour.region || 'north',
       category: tour.category || 'heritage',
       destination: tour.destination || '',
       
+      status: tour.status || 'draft',
+      publishAt: toDateTimeInput(tour.publishAt),
+      unpublishAt: toDateTimeInput(tour.unpublishAt),
+      
       overview: tour.overview || {
         highlights: [''],
         groupSize: '',
@@ -1099,7 +2203,8 @@ const ToursManagement = () => {
         basePrice: tour.price?.toString() || '',
         discounts: [{ name: '', percentage: 0, description: '' }],
         paymentPolicy: '',
-        cancellationPolicy: ''
+        cancellationPolicy: '',
+        cancellationTiers: []
       },
       
       importantInfo: tour.importantInfo || {
@@ -1107,25 +2212,38 @@ const ToursManagement = () => {
         refundPolicy: '',
         healthAdvisory: '',
         safetyMeasures: ''
-      }
+      },
+      
+      // Only admin-scheduled departures are editable - on-demand ones are kept by the server
+      maxParticipants: tour.maxParticipants?.toString() || '20',
+      departures: (tour.availableDates || [])
+        .filter(departure => !departure.onDemand)
+        .map(departure => ({
+          date: new Date(departure.date).toISOString().split('T')[0],
+          capacity: departure.capacity?.toString() || '',
+          bookedSeats: departure.bookedSeats || 0
+        }))
     });
     setShowAddModal(true);
   };
 
+  // Deleting archives the tour - travellers stop seeing it, bookings and reviews keep it
   const handleDeleteTour = async (tourId) => {
-    if (window.confirm('Are you sure you want to delete this tour?')) {
+    if (window.confirm('Archive this tour? Travellers will no longer see it. Existing bookings are not affected.')) {
       try {
         const success = await deleteTour(tourId);
         if (success) {
           await fetchTours();
-          alert('Tour deleted successfully');
+          alert('Tour archived successfully');
         }
       } catch (error) {
-        alert('Error deleting tour');
+        alert('Error archiving tour');
       }
     }
   };
 
+  const visibleTours = statusFilter ? tours.filter(tour => tour.status === statusFilter) : tours;
+
   const getTourTypeIcon = (type) => {
     switch(type) {
       case 'heritage': return '🏛️';
@@ -1138,6 +2256,87 @@ const ToursManagement = () => {
     }
   };
 
+  // Helper functions for tour discounts
+  const addDiscount = () => {
+    setTourForm(prev => ({
+      ...prev,
+      pricing: {
+        ...prev.pricing,
+        discounts: [...(prev.pricing.discounts || []), { name: '', percentage: 0, description: '', type: 'general' }]
+      }
+    }));
+  };
+
+  const updateDiscount = (index, field, value) => {
+    setTourForm(prev => {
+      const newDiscounts = [...(prev.pricing.discounts || [])];
+      newDiscounts[index] = { ...newDiscounts[index], [field]: value };
+      return { ...prev, pricing: { ...prev.pricing, discounts: newDiscounts } };
+    });
+  };
+
+  const removeDiscount = (index) => {
+    setTourForm(prev => ({
+      ...prev,
+      pricing: {
+        ...prev.pricing,
+        discounts: (prev.pricing.discounts || []).filter((_, i) => i !== index)
+      }
+    }));
+  };
+
+  // Helper functions for cancellation tiers
+  const addCancellationTier = () => {
+    setTourForm(prev => ({
+      ...prev,
+      pricing: {
+        ...prev.pricing,
+        cancellationTiers: [...(prev.pricing.cancellationTiers || []), { minDaysBeforeTravel: '', refundPercentage: '' }]
+      }
+    }));
+  };
+
+  const updateCancellationTier = (index, field, value) => {
+    setTourForm(prev => {
+      const newTiers = [...(prev.pricing.cancellationTiers || [])];
+      newTiers[index] = { ...newTiers[index], [field]: value };
+      return { ...prev, pricing: { ...prev.pricing, cancellationTiers: newTiers } };
+    });
+  };
+
+  const removeCancellationTier = (index) => {
+    setTourForm(prev => ({
+      ...prev,
+      pricing: {
+        ...prev.pricing,
+        cancellationTiers: (prev.pricing.cancellationTiers || []).filter((_, i) => i !== index)
+      }
+    }));
+  };
+
+  // Helper functions for departures
+  const addDeparture = () => {
+    setTourForm(prev => ({
+      ...prev,
+      departures: [...prev.departures, { date: '', capacity: prev.maxParticipants || '20', bookedSeats: 0 }]
+    }));
+  };
+
+  const updateDeparture = (index, field, value) => {
+    setTourForm(prev => {
+      const newDepartures = [...prev.departures];
+      newDepartures[index] = { ...newDepartures[index], [field]: value };
+      return { ...prev, departures: newDepartures };
+    });
+  };
+
+  const removeDeparture = (index) => {
+    setTourForm(prev => ({
+      ...prev,
+      departures: prev.departures.filter((_, i) => i !== index)
+    }));
+  };
+
   // Helper functions for dynamic arrays
   const addArrayItem = (field, parent = null) => {
     setTourForm(prev => {
@@ -1157,6 +2356,15 @@ const ToursManagement = () => {
     });
   };
 
+  // Images chosen in the media library - the gallery skips ones it already has
+  const handlePickImages = (urls) => {
+    setTourForm(prev => (imagePicker === 'image'
+      ? { ...prev, image: urls[0] }
+      : { ...prev, images: [...prev.images, ...urls.filter(url => url !== prev.image && !prev.images.includes(url))] }
+    ));
+    setImagePicker(null);
+  };
+
   const removeArrayItem = (field, index, parent = null) => {
     setTourForm(prev => {
       if (parent) {
@@ -1256,18 +2464,36 @@ const ToursManagement = () => {
       <div className="admin-header">
         <div>
           <h1>Tours Management</h1>
-          <p>Total {tours.length} tour packages</p>
+          <p>Total {tours.length} tour packages ({tours.filter(tour => tour.visibility === 'live').length} live)</p>
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            aria-label="Filter tours by status"
+            style={{ padding: '0.5rem', borderRadius: '5px', border: '1px solid #ddd' }}
+          >
+            <option value="">All statuses</option>
+            <option value="draft">Drafts</option>
+            <option value="published">Published</option>
+            <option value="archived">Archived</option>
+          </select>
+          <button className="btn-view" onClick={() => handleExportTours('json')}>
+            Export JSON
+          </button>
+          <button className="btn-view" onClick={() => handleExportTours('csv')}>
+            Export CSV
+          </button>
+          <button className="btn-view" onClick={() => setShowImport(true)}>
+            Import Tours
+          </button>
+          <button 
+            className="btn-add"
+            onClick={openNewTourForm}
+          >
+            + Add New Tour
+          </button>
         </div>
-        <button 
-          className="btn-add"
-          onClick={() => {
-            setEditingTour(null);
-            resetTourForm();
-            setShowAddModal(true);
-          }}
-        >
-          + Add New Tour
-        </button>
       </div>
       
       {loading ? (
@@ -1286,6 +2512,7 @@ const ToursManagement = () => {
                     <th>ID</th>
                     <th>Image</th>
                     <th>Title</th>
+                    <th>Status</th>
                     <th>Price</th>
                     <th>Duration</th>
                     <th>Itinerary Days</th>
@@ -1296,7 +2523,7 @@ const ToursManagement = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {tours.map(tour => (
+                  {visibleTours.map(tour => (
                     <tr key={tour._id} className="clickable-row" onClick={() => handleRowClick(tour)}>
                       <td>
                         {tour._id.slice(0, 8)}...
@@ -1315,6 +2542,7 @@ const ToursManagement = () => {
                         />
                       </td>
                       <td>{tour.title}</td>
+                      <td><TourStatusBadge tour={tour} /></td>
                       <td>₹{tour.price?.toLocaleString('en-IN')}</td>
                       <td>{tour.duration}</td>
                       <td>
@@ -1346,6 +2574,12 @@ const ToursManagement = () => {
                       </td>
                       <td onClick={(e) => e.stopPropagation()}>
                         <div className="action-buttons">
+                          <button 
+                            className="btn-view"
+                            onClick={() => openTourPreview(tour._id)}
+                          >
+                            Preview
+                          </button>
                           <button 
                             className="btn-edit"
                             onClick={() => handleEditTour(tour)}
@@ -1353,11 +2587,25 @@ const ToursManagement = () => {
                             Edit
                           </button>
                           <button 
-                            className="btn-delete"
-                            onClick={() => handleDeleteTour(tour._id)}
+                            className="btn-view"
+                            onClick={() => handleDuplicateTour(tour)}
                           >
-                            Delete
+                            Duplicate
                           </button>
+                          <button 
+                            className="btn-view"
+                            onClick={() => setHistoryTour(tour)}
+                          >
+                            History
+                          </button>
+                          {tour.status !== 'archived' && (
+                            <button 
+                              className="btn-delete"
+                              onClick={() => handleDeleteTour(tour._id)}
+                            >
+                              Archive
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -1366,9 +2614,9 @@ const ToursManagement = () => {
               </table>
             </div>
             
-            {tours.length === 0 && (
+            {visibleTours.length === 0 && (
               <div className="no-results">
-                <p>No tours found. Add your first tour!</p>
+                <p>{tours.length === 0 ? 'No tours found. Add your first tour!' : 'No tours with this status'}</p>
               </div>
             )}
           </div>
@@ -1381,6 +2629,7 @@ const ToursManagement = () => {
                   <th>ID</th>
                   <th>Image</th>
                   <th>Title</th>
+                  <th>Status</th>
                   <th>Price</th>
                   <th>Duration</th>
                   <th>Itinerary Days</th>
@@ -1391,7 +2640,7 @@ const ToursManagement = () => {
                 </tr>
               </thead>
               <tbody>
-                {tours.map(tour => (
+                {visibleTours.map(tour => (
                   <tr key={tour._id} className="clickable-row" onClick={() => handleRowClick(tour)}>
                     <td>
                       {tour._id.slice(0, 8)}...
@@ -1410,6 +2659,7 @@ const ToursManagement = () => {
                       />
                     </td>
                     <td>{tour.title}</td>
+                    <td><TourStatusBadge tour={tour} /></td>
                     <td>₹{tour.price?.toLocaleString('en-IN')}</td>
                     <td>{tour.duration}</td>
                     <td>
@@ -1441,6 +2691,12 @@ const ToursManagement = () => {
                     </td>
                     <td onClick={(e) => e.stopPropagation()}>
                       <div className="action-buttons">
+                        <button 
+                          className="btn-view"
+                          onClick={() => openTourPreview(tour._id)}
+                        >
+                          Preview
+                        </button>
                         <button 
                           className="btn-edit"
                           onClick={() => handleEditTour(tour)}
@@ -1448,11 +2704,25 @@ const ToursManagement = () => {
                           Edit
                         </button>
                         <button 
-                          className="btn-delete"
-                          onClick={() => handleDeleteTour(tour._id)}
+                          className="btn-view"
+                          onClick={() => handleDuplicateTour(tour)}
                         >
-                          Delete
+                          Duplicate
+                        </button>
+                        <button 
+                          className="btn-view"
+                          onClick={() => setHistoryTour(tour)}
+                        >
+                          History
                         </button>
+                        {tour.status !== 'archived' && (
+                          <button 
+                            className="btn-delete"
+                            onClick={() => handleDeleteTour(tour._id)}
+                          >
+                            Archive
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -1460,9 +2730,9 @@ const ToursManagement = () => {
               </tbody>
             </table>
             
-            {tours.length === 0 && (
+            {visibleTours.length === 0 && (
               <div className="no-results">
-                <p>No tours found. Add your first tour!</p>
+                <p>{tours.length === 0 ? 'No tours found. Add your first tour!' : 'No tours with this status'}</p>
               </div>
             )}
           </div>
@@ -1802,16 +3072,43 @@ const ToursManagement = () => {
                   Edit Tour
                 </button>
                 <button 
-                  className="btn-delete"
+                  className="btn-view"
+                  onClick={() => openTourPreview(selectedTour._id)}
+                >
+                  Preview
+                </button>
+                <button 
+                  className="btn-view"
                   onClick={() => {
-                    if (window.confirm('Are you sure you want to delete this tour?')) {
-                      handleDeleteTour(selectedTour._id);
-                      setShowTourDetails(false);
-                    }
+                    setShowTourDetails(false);
+                    setHistoryTour(selectedTour);
                   }}
                 >
-                  Delete Tour
+                  History
+                </button>
+                <button 
+                  className="btn-view"
+                  onClick={() => handleDuplicateTour(selectedTour)}
+                >
+                  Duplicate
                 </button>
+                <button 
+                  className="btn-view"
+                  onClick={() => handleSaveAsTemplate(selectedTour)}
+                >
+                  Save as Template
+                </button>
+                {selectedTour.status !== 'archived' && (
+                  <button 
+                    className="btn-delete"
+                    onClick={() => {
+                      setShowTourDetails(false);
+                      handleDeleteTour(selectedTour._id);
+                    }}
+                  >
+                    Archive Tour
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -1837,6 +3134,78 @@ const ToursManagement = () => {
             
             <form onSubmit={handleSaveTour} className="tour-form">
               <div style={{ maxHeight: '70vh', overflowY: 'auto', padding: '1.5rem' }}>
+                {/* Start from a template - new tours only */}
+                {!editingTour && templates.length > 0 && (
+                  <div style={{ marginBottom: '2rem', paddingBottom: '1.5rem', borderBottom: '2px solid #eee' }}>
+                    <h3 style={{ marginBottom: '1rem', color: '#2E8B57' }}>Start from a Template</h3>
+                    <div className="form-row" style={{ alignItems: 'flex-end' }}>
+                      <div className="form-group">
+                        <label>Template</label>
+                        <select
+                          value={selectedTemplateId}
+                          onChange={(e) => handleApplyTemplate(e.target.value)}
+                        >
+                          <option value="">Choose a template...</option>
+                          {templates.map(template => (
+                            <option key={template._id} value={template._id}>{template.name}</option>
+                          ))}
+                        </select>
+                        <small style={{ color: '#666' }}>
+                          {templates.find(template => template._id === selectedTemplateId)?.description ||
+                            'Fills in duration, itinerary, inclusions and policies - you add the title, description and images'}
+                        </small>
+                      </div>
+                      {selectedTemplateId && (
+                        <div className="form-group" style={{ flex: '0 0 auto' }}>
+                          <button type="button" className="btn-delete" onClick={handleDeleteTemplate}>
+                            Delete Template
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
+                
+                {/* Publishing */}
+                <div style={{ marginBottom: '2rem', paddingBottom: '1.5rem', borderBottom: '2px solid #eee' }}>
+                  <h3 style={{ marginBottom: '1rem', color: '#2E8B57' }}>Publishing</h3>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={tourForm.status}
+                        onChange={(e) => setTourForm({...tourForm, status: e.target.value})}
+                      >
+                        <option value="draft">Draft - only admins can see it</option>
+                        <option value="published">Published</option>
+                        <option value="archived">Archived</option>
+                      </select>
+                    </div>
+                  </div>
+                  {tourForm.status === 'published' && (
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>Publish on</label>
+                        <input
+                          type="datetime-local"
+                          value={tourForm.publishAt}
+                          onChange={(e) => setTourForm({...tourForm, publishAt: e.target.value})}
+                        />
+                        <small style={{ color: '#666' }}>Leave empty to publish straight away</small>
+                      </div>
+                      <div className="form-group">
+                        <label>Unpublish on</label>
+                        <input
+                          type="datetime-local"
+                          value={tourForm.unpublishAt}
+                          onChange={(e) => setTourForm({...tourForm, unpublishAt: e.target.value})}
+                        />
+                        <small style={{ color: '#666' }}>The tour is archived at this time</small>
+                      </div>
+                    </div>
+                  )}
+                </div>
+                
                 {/* Basic Information */}
                 <div style={{ marginBottom: '2rem', paddingBottom: '1.5rem', borderBottom: '2px solid #eee' }}>
                   <h3 style={{ marginBottom: '1rem', color: '#2E8B57' }}>Basic Information</h3>
@@ -1886,13 +3255,26 @@ const ToursManagement = () => {
                     </div>
                     
                     <div className="form-group">
-                      <label>Duration *</label>
+                      <label>Duration (days) *</label>
                       <input
-                        type="text"
-                        value={tourForm.duration}
-                        onChange={(e) => setTourForm({...tourForm, duration: e.target.value})}
+                        type="number"
+                        value={tourForm.durationDays}
+                        onChange={(e) => setTourForm({...tourForm, durationDays: e.target.value})}
                         required
-                        placeholder="e.g., 7 days"
+                        placeholder="e.g., 7"
+                        min="1"
+                        max="365"
+                      />
+                    </div>
+                    
+                    <div className="form-group">
+                      <label>Nights</label>
+                      <input
+                        type="number"
+                        value={tourForm.durationNights}
+                        onChange={(e) => setTourForm({...tourForm, durationNights: e.target.value})}
+                        placeholder={tourForm.durationDays ? `e.g., ${Math.max(parseInt(tourForm.durationDays) - 1, 0)}` : 'e.g., 6'}
+                        min="0"
                       />
                     </div>
                   </div>
@@ -1930,96 +3312,97 @@ const ToursManagement = () => {
                   
                   {/* Main Image */}
                   <div className="form-group">
-                    <label>Main Image URL *</label>
-                    <input
-                      type="url"
-                      value={tourForm.image}
-                      onChange={(e) => setTourForm({...tourForm, image: e.target.value})}
-                      required
-                      placeholder="Enter main image URL"
-                    />
-                    {tourForm.image && (
-                      <div style={{ marginTop: '0.5rem' }}>
-                        <p style={{ fontSize: '0.9rem', color: '#666', marginBottom: '0.25rem' }}>Preview:</p>
+                    <label>Main Image *</label>
+                    <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                      {tourForm.image ? (
                         <img 
-                          src={tourForm.image} 
+                          src={getImageVariant(tourForm.image, 'thumbnail')} 
                           alt="Main image preview"
                           style={{
-                            width: '100px',
-                            height: '80px',
+                            width: '120px',
+                            height: '90px',
                             objectFit: 'cover',
                             borderRadius: '4px',
                             border: '1px solid #ddd'
                           }}
                           onError={(e) => {
-                            e.target.src = 'https://via.placeholder.com/100x80?text=Invalid+URL';
+                            e.target.src = 'https://via.placeholder.com/120x90?text=Missing+Image';
                             e.target.onerror = null;
                           }}
                         />
-                      </div>
-                    )}
+                      ) : (
+                        <div style={{ width: '120px', height: '90px', border: '1px dashed #ccc', borderRadius: '4px', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#999', fontSize: '0.8rem' }}>
+                          No image
+                        </div>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => setImagePicker('image')}
+                        style={{
+                          padding: '0.5rem 1rem',
+                          background: '#2E8B57',
+                          color: 'white',
+                          border: 'none',
+                          borderRadius: '5px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        {tourForm.image ? 'Change Image' : 'Choose from Library'}
+                      </button>
+                    </div>
                   </div>
                   
                   {/* Additional Images */}
                   <div className="form-group">
-                    <label>Additional Image URLs</label>
+                    <label>Gallery Images</label>
                     <p style={{ fontSize: '0.9rem', color: '#666', marginBottom: '0.5rem' }}>
                       Add extra images for the tour gallery
                     </p>
-                    {tourForm.images.map((img, index) => (
-                      <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'flex-start' }}>
-                        <div style={{ flex: 1 }}>
-                          <input
-                            type="url"
-                            value={img}
-                            onChange={(e) => {
-                              const newImages = [...tourForm.images];
-                              newImages[index] = e.target.value;
-                              setTourForm({...tourForm, images: newImages});
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem' }}>
+                      {tourForm.images.map((img, index) => (
+                        <div key={img} style={{ position: 'relative' }}>
+                          <img 
+                            src={getImageVariant(img, 'thumbnail')} 
+                            alt={`Gallery ${index + 1}`}
+                            style={{
+                              width: '100px',
+                              height: '75px',
+                              objectFit: 'cover',
+                              borderRadius: '4px',
+                              border: '1px solid #ddd'
+                            }}
+                            onError={(e) => {
+                              e.target.src = 'https://via.placeholder.com/100x75?text=Missing+Image';
+                              e.target.onerror = null;
                             }}
-                            placeholder="Enter additional image URL"
-                            style={{ width: '100%' }}
                           />
-                          {img && (
-                            <div style={{ marginTop: '0.25rem' }}>
-                              <img 
-                                src={img} 
-                                alt={`Preview ${index + 1}`}
-                                style={{
-                                  width: '80px',
-                                  height: '60px',
-                                  objectFit: 'cover',
-                                  borderRadius: '4px',
-                                  border: '1px solid #ddd'
-                                }}
-                                onError={(e) => {
-                                  e.target.src = 'https://via.placeholder.com/80x60?text=Invalid+URL';
-                                  e.target.onerror = null;
-                                }}
-                              />
-                            </div>
-                          )}
+                          <button
+                            type="button"
+                            onClick={() => removeArrayItem('images', index)}
+                            aria-label={`Remove gallery image ${index + 1}`}
+                            style={{
+                              position: 'absolute',
+                              top: '-8px',
+                              right: '-8px',
+                              width: '24px',
+                              height: '24px',
+                              background: '#dc3545',
+                              color: 'white',
+                              border: 'none',
+                              borderRadius: '50%',
+                              cursor: 'pointer',
+                              lineHeight: '24px',
+                              padding: 0
+                            }}
+                          >
+                            ×
+                          </button>
                         </div>
-                        <button
-                          type="button"
-                          onClick={() => removeArrayItem('images', index)}
-                          style={{
-                            padding: '0.5rem 1rem',
-                            background: '#dc3545',
-                            color: 'white',
-                            border: 'none',
-                            borderRadius: '5px',
-                            cursor: 'pointer',
-                            alignSelf: 'flex-start'
-                          }}
-                        >
-                          Remove
-                        </button>
-                      </div>
-                    ))}
+                      ))}
+                    </div>
                     <button
                       type="button"
-                      onClick={() => addArrayItem('images')}
+                      onClick={() => setImagePicker('images')}
                       style={{
                         padding: '0.5rem 1rem',
                         background: '#2E8B57',
@@ -2027,10 +3410,10 @@ const ToursManagement = () => {
                         border: 'none',
                         borderRadius: '5px',
                         cursor: 'pointer',
-                        marginTop: '0.5rem'
+                        marginTop: '0.75rem'
                       }}
                     >
-                      + Add Image
+                      + Add from Library
                     </button>
                   </div>
                 </div>
@@ -2542,6 +3925,87 @@ const ToursManagement = () => {
                   </div>
                 </div>
                 
+                {/* Capacity & Departures */}
+                <div style={{ marginBottom: '2rem', paddingBottom: '1.5rem', borderBottom: '2px solid #eee' }}>
+                  <h3 style={{ marginBottom: '1rem', color: '#2E8B57' }}>Capacity & Departures</h3>
+                  
+                  <div className="form-group">
+                    <label>Seats per Departure</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={tourForm.maxParticipants}
+                      onChange={(e) => setTourForm({...tourForm, maxParticipants: e.target.value})}
+                      placeholder="e.g., 20"
+                    />
+                    <small style={{ color: '#666' }}>
+                      Used for any date when no departures are listed below
+                    </small>
+                  </div>
+                  
+                  <div className="form-group">
+                    <label>Scheduled Departures</label>
+                    {tourForm.departures.length === 0 && (
+                      <p style={{ color: '#666', margin: '0 0 0.5rem' }}>
+                        No fixed departures - travelers can book any future date.
+                      </p>
+                    )}
+                    {tourForm.departures.map((departure, index) => (
+                      <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                        <input
+                          type="date"
+                          value={departure.date}
+                          onChange={(e) => updateDeparture(index, 'date', e.target.value)}
+                          disabled={departure.bookedSeats > 0}
+                          style={{ flex: '1 1 150px' }}
+                        />
+                        <input
+                          type="number"
+                          min={departure.bookedSeats || 0}
+                          value={departure.capacity}
+                          onChange={(e) => updateDeparture(index, 'capacity', e.target.value)}
+                          placeholder="Seats"
+                          style={{ flex: '0 1 100px' }}
+                        />
+                        <span style={{ color: '#666', fontSize: '0.85rem' }}>
+                          {departure.bookedSeats} booked
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => removeDeparture(index)}
+                          disabled={departure.bookedSeats > 0}
+                          title={departure.bookedSeats > 0 ? 'Departures with bookings cannot be removed' : ''}
+                          style={{
+                            padding: '0.5rem 1rem',
+                            background: departure.bookedSeats > 0 ? '#ccc' : '#dc3545',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '5px',
+                            cursor: departure.bookedSeats > 0 ? 'not-allowed' : 'pointer'
+                          }}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={addDeparture}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: '#2E8B57',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '5px',
+                        cursor: 'pointer',
+                        marginTop: '0.5rem'
+                      }}
+                    >
+                      + Add Departure
+                    </button>
+                  </div>
+                </div>
+                
                 {/* Pricing */}
                 <div style={{ marginBottom: '2rem', paddingBottom: '1.5rem', borderBottom: '2px solid #eee' }}>
                   <h3 style={{ marginBottom: '1rem', color: '#2E8B57' }}>Pricing & Policies</h3>
@@ -2559,6 +4023,92 @@ const ToursManagement = () => {
                     />
                   </div>
                   
+                  <div className="form-group">
+                    <label>Discounts</label>
+                    <small style={{ display: 'block', color: '#666', marginBottom: '0.5rem' }}>
+                      Only the single best eligible discount (including site-wide offers) is applied to a booking
+                    </small>
+                    {(tourForm.pricing.discounts || []).map((discount, index) => (
+                      <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                        <input
+                          type="text"
+                          value={discount.name}
+                          onChange={(e) => updateDiscount(index, 'name', e.target.value)}
+                          placeholder="Discount name"
+                          style={{ flex: '2 1 150px' }}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={discount.percentage}
+                          onChange={(e) => updateDiscount(index, 'percentage', e.target.value)}
+                          placeholder="%"
+                          style={{ flex: '0 1 80px' }}
+                        />
+                        <select
+                          value={discount.type || ''}
+                          onChange={(e) => updateDiscount(index, 'type', e.target.value)}
+                          style={{ flex: '1 1 140px' }}
+                        >
+                          <option value="">Auto (from name)</option>
+                          <option value="general">Always applies</option>
+                          <option value="early_bird">Early bird</option>
+                          <option value="group">Group</option>
+                        </select>
+                        {discount.type === 'early_bird' && (
+                          <input
+                            type="number"
+                            min="0"
+                            value={discount.minDaysInAdvance ?? ''}
+                            onChange={(e) => updateDiscount(index, 'minDaysInAdvance', e.target.value)}
+                            placeholder="Min days ahead"
+                            style={{ flex: '1 1 120px' }}
+                          />
+                        )}
+                        {discount.type === 'group' && (
+                          <input
+                            type="number"
+                            min="1"
+                            value={discount.minParticipants ?? ''}
+                            onChange={(e) => updateDiscount(index, 'minParticipants', e.target.value)}
+                            placeholder="Min travelers"
+                            style={{ flex: '1 1 120px' }}
+                          />
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => removeDiscount(index)}
+                          style={{
+                            padding: '0.5rem 1rem',
+                            background: '#dc3545',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '5px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={addDiscount}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: '#2E8B57',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '5px',
+                        cursor: 'pointer',
+                        marginTop: '0.5rem'
+                      }}
+                    >
+                      + Add Discount
+                    </button>
+                  </div>
+                  
                   <div className="form-group">
                     <label>Payment Policy</label>
                     <input
@@ -2584,6 +4134,63 @@ const ToursManagement = () => {
                       placeholder="e.g., Free cancellation 7 days before travel"
                     />
                   </div>
+                  
+                  <div className="form-group">
+                    <label>Refund Tiers</label>
+                    <small style={{ display: 'block', color: '#666', marginBottom: '0.5rem' }}>
+                      Refund given when a traveler cancels at least this many days before travel. Leave empty to use the standard policy (100% at 60+ days, 50% at 30+ days, none after).
+                    </small>
+                    {(tourForm.pricing.cancellationTiers || []).map((tier, index) => (
+                      <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                        <input
+                          type="number"
+                          min="0"
+                          value={tier.minDaysBeforeTravel}
+                          onChange={(e) => updateCancellationTier(index, 'minDaysBeforeTravel', e.target.value)}
+                          placeholder="Days before travel"
+                          style={{ flex: '1 1 140px' }}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={tier.refundPercentage}
+                          onChange={(e) => updateCancellationTier(index, 'refundPercentage', e.target.value)}
+                          placeholder="Refund %"
+                          style={{ flex: '0 1 100px' }}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => removeCancellationTier(index)}
+                          style={{
+                            padding: '0.5rem 1rem',
+                            background: '#dc3545',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '5px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={addCancellationTier}
+                      style={{
+                        padding: '0.5rem 1rem',
+                        background: '#2E8B57',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '5px',
+                        cursor: 'pointer',
+                        marginTop: '0.5rem'
+                      }}
+                    >
+                      + Add Tier
+                    </button>
+                  </div>
                 </div>
                 
                 {/* Important Info */}
@@ -2663,6 +4270,30 @@ const ToursManagement = () => {
           </div>
         </div>
       )}
+      
+      {showImport && (
+        <ImportToursModal
+          onClose={() => setShowImport(false)}
+          onImported={fetchTours}
+        />
+      )}
+      
+      {historyTour && (
+        <TourHistoryModal
+          tour={historyTour}
+          onClose={() => setHistoryTour(null)}
+          onRestored={fetchTours}
+        />
+      )}
+      
+      {imagePicker && (
+        <MediaPickerModal
+          title={imagePicker === 'image' ? 'Choose Main Image' : 'Add Gallery Images'}
+          multiple={imagePicker === 'images'}
+          onSelect={handlePickImages}
+          onClose={() => setImagePicker(null)}
+        />
+      )}
     </div>
   );
 };
@@ -2706,22 +4337,34 @@ const BookingsManagement = () => {
 
   const handleUpdateStatus = async (bookingId, newStatus) => {
     try {
-      const success = await updateBookingStatus(bookingId, newStatus);
-      if (success) {
+      const result = await updateBookingStatus(bookingId, newStatus);
+      if (result?.success) {
+        // The server records the refund when cancelling and clears it on reinstatement
+        const applyUpdate = (booking) => ({
+          ...booking,
+          status: newStatus,
+          statusHistory: result.data?.statusHistory || booking.statusHistory,
+          allowedStatuses: result.data?.allowedStatuses,
+          refund: result.data?.refund || null,
+          cancellation: newStatus === 'cancelled'
+            ? booking.cancellation || { cancelledBy: 'admin', cancelledAt: new Date().toISOString() }
+            : null
+        });
+        
         // Update local state
         setBookings(prev => prev.map(booking => 
-          booking._id === bookingId ? { ...booking, status: newStatus } : booking
+          booking._id === bookingId ? applyUpdate(booking) : booking
         ));
         
         // Update selected booking if it's open
         if (selectedBooking && selectedBooking._id === bookingId) {
-          setSelectedBooking({...selectedBooking, status: newStatus});
+          setSelectedBooking(applyUpdate(selectedBooking));
         }
         
         // Show success message
         showStatusUpdateNotification(bookingId, newStatus);
       } else {
-        alert('Error updating booking status');
+        alert(result?.message || 'Error updating booking status');
       }
     } catch (error) {
       console.error('Error updating booking status:', error);
@@ -2729,6 +4372,22 @@ const BookingsManagement = () => {
     }
   };
 
+  const handleProcessRefund = async (bookingId) => {
+    if (!window.confirm('Mark this refund as paid out to the traveler?')) return;
+    
+    try {
+      const refund = await processBookingRefund(bookingId);
+      setBookings(prev => prev.map(booking => 
+        booking._id === bookingId ? { ...booking, refund } : booking
+      ));
+      if (selectedBooking && selectedBooking._id === bookingId) {
+        setSelectedBooking({ ...selectedBooking, refund });
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
   const showStatusUpdateNotification = (bookingId, newStatus) => {
     const booking = bookings.find(b => b._id === bookingId);
     if (booking) {
@@ -2903,6 +4562,11 @@ const BookingsManagement = () => {
                         <span className={`status-badge ${booking.status || 'pending'}`}>
                           {booking.status || 'pending'}
                         </span>
+                        {booking.refund?.status === 'pending' && (
+                          <div style={{ fontSize: '0.75rem', color: '#b36b00', marginTop: '0.25rem' }}>
+                            Refund due ₹{booking.refund.amount.toLocaleString('en-IN')}
+                          </div>
+                        )}
                       </td>
                       <td onClick={(e) => e.stopPropagation()}>
                         <div className="admin-status-update">
@@ -2911,10 +4575,15 @@ const BookingsManagement = () => {
                             onChange={(e) => handleUpdateStatus(booking._id, e.target.value)}
                             className="admin-status-select"
                           >
-                            <option value="pending">Pending</option>
-                            <option value="confirmed">Confirmed</option>
-                            <option value="cancelled">Cancelled</option>
-                            <option value="completed">Completed</option>
+                            {BOOKING_STATUS_OPTIONS.map(option => (
+                              <option
+                                key={option.value}
+                                value={option.value}
+                                disabled={!canMoveToStatus(booking, option.value)}
+                              >
+                                {option.label}
+                              </option>
+                            ))}
                           </select>
                         </div>
                       </td>
@@ -3004,6 +4673,11 @@ const BookingsManagement = () => {
                       <span className={`status-badge ${booking.status || 'pending'}`}>
                         {booking.status || 'pending'}
                       </span>
+                      {booking.refund?.status === 'pending' && (
+                        <div style={{ fontSize: '0.75rem', color: '#b36b00', marginTop: '0.25rem' }}>
+                          Refund due ₹{booking.refund.amount.toLocaleString('en-IN')}
+                        </div>
+                      )}
                     </td>
                     <td onClick={(e) => e.stopPropagation()}>
                       <div className="admin-status-update">
@@ -3012,10 +4686,15 @@ const BookingsManagement = () => {
                           onChange={(e) => handleUpdateStatus(booking._id, e.target.value)}
                           className="admin-status-select"
                         >
-                          <option value="pending">Pending</option>
-                          <option value="confirmed">Confirmed</option>
-                          <option value="cancelled">Cancelled</option>
-                          <option value="completed">Completed</option>
+                          {BOOKING_STATUS_OPTIONS.map(option => (
+                            <option
+                              key={option.value}
+                              value={option.value}
+                              disabled={!canMoveToStatus(booking, option.value)}
+                            >
+                              {option.label}
+                            </option>
+                          ))}
                         </select>
                       </div>
                     </td>
@@ -3159,6 +4838,18 @@ const BookingsManagement = () => {
                       {selectedBooking.status || 'pending'}
                     </span>
                   </div>
+                  <div className="detail-row">
+                    <span className="detail-label">Payment</span>
+                    <span className="detail-value" style={{ textTransform: 'capitalize' }}>
+                      {selectedBooking.paymentStatus || 'unpaid'}
+                    </span>
+                  </div>
+                  {selectedBooking.status === 'pending' && selectedBooking.holdExpiresAt && (
+                    <div className="detail-row">
+                      <span className="detail-label">Hold Expires</span>
+                      <span className="detail-value">{new Date(selectedBooking.holdExpiresAt).toLocaleString('en-IN')}</span>
+                    </div>
+                  )}
                   <div className="detail-row">
                     <span className="detail-label">Booking ID</span>
                     <span className="detail-value">TV{selectedBooking._id.toString().slice(-8)}</span>
@@ -3170,6 +4861,80 @@ const BookingsManagement = () => {
                 </div>
               </div>
               
+              {selectedBooking.status === 'cancelled' && (selectedBooking.cancellation || selectedBooking.refund) && (
+                <div className="details-grid">
+                  <div className="detail-card">
+                    <h3><i>↩️</i> Cancellation & Refund</h3>
+                    {selectedBooking.cancellation && (
+                      <>
+                        <div className="detail-row">
+                          <span className="detail-label">Cancelled</span>
+                          <span className="detail-value">
+                            {formatDate(selectedBooking.cancellation.cancelledAt)} by {selectedBooking.cancellation.cancelledBy}
+                          </span>
+                        </div>
+                        {selectedBooking.cancellation.daysBeforeTravel !== undefined && (
+                          <div className="detail-row">
+                            <span className="detail-label">Notice Given</span>
+                            <span className="detail-value">{selectedBooking.cancellation.daysBeforeTravel} day(s) before travel</span>
+                          </div>
+                        )}
+                        {selectedBooking.cancellation.reason && (
+                          <div className="detail-row">
+                            <span className="detail-label">Reason</span>
+                            <span className="detail-value">{selectedBooking.cancellation.reason}</span>
+                          </div>
+                        )}
+                      </>
+                    )}
+                    {selectedBooking.refund && (
+                      <>
+                        <div className="detail-row">
+                          <span className="detail-label">Refund</span>
+                          <span className="detail-value amount">
+                            ₹{(selectedBooking.refund.amount || 0).toLocaleString('en-IN')} ({selectedBooking.refund.percentage || 0}%)
+                          </span>
+                        </div>
+                        <div className="detail-row">
+                          <span className="detail-label">Refund Status</span>
+                          <span className="detail-value" style={{ textTransform: 'capitalize' }}>
+                            {selectedBooking.refund.status === 'none' ? 'Not refundable' : selectedBooking.refund.status}
+                            {selectedBooking.refund.processedAt && ` on ${formatDate(selectedBooking.refund.processedAt)}`}
+                          </span>
+                        </div>
+                        {selectedBooking.refund.status === 'pending' && (
+                          <button 
+                            className="btn-save"
+                            style={{ marginTop: '1rem' }}
+                            onClick={() => handleProcessRefund(selectedBooking._id)}
+                          >
+                            Mark Refund Processed
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                </div>
+              )}
+              
+              {selectedBooking.statusHistory?.length > 0 && (
+                <div className="details-grid">
+                  <div className="detail-card">
+                    <h3><i>🕒</i> Status History</h3>
+                    {selectedBooking.statusHistory.map((entry, index) => (
+                      <div className="detail-row" key={index}>
+                        <span className="detail-label">{formatDate(entry.changedAt)}</span>
+                        <span className="detail-value">
+                          {entry.from ? `${entry.from} → ${entry.to}` : `Created as ${entry.to}`}
+                          {' '}by {entry.actor || 'unknown'}
+                          {entry.reason && ` (${entry.reason})`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
               <div className="status-update-section">
                 <h4>Update Booking Status</h4>
                 <div className="status-update-grid">
@@ -3179,10 +4944,15 @@ const BookingsManagement = () => {
                     className="admin-status-select"
                     style={{width: '100%'}}
                   >
-                    <option value="pending">Pending</option>
-                    <option value="confirmed">Confirmed</option>
-                    <option value="cancelled">Cancelled</option>
-                    <option value="completed">Completed</option>
+                    {BOOKING_STATUS_OPTIONS.map(option => (
+                      <option
+                        key={option.value}
+                        value={option.value}
+                        disabled={!canMoveToStatus(selectedBooking, option.value)}
+                      >
+                        {option.label}
+                      </option>
+                    ))}
                   </select>
                   <button 
                     className="btn-save"
@@ -3227,6 +4997,413 @@ const BookingsManagement = () => {
   );
 };
 
+// Coupons Management Component
+const COUPON_CATEGORIES = ['heritage', 'adventure', 'beach', 'wellness', 'cultural', 'spiritual'];
+
+const emptyCouponForm = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  value: '',
+  maxDiscount: '',
+  minOrderAmount: '',
+  validFrom: '',
+  validUntil: '',
+  usageLimit: '',
+  perUserLimit: '1',
+  applicableTours: [],
+  applicableCategories: [],
+  isActive: true
+};
+
+const CouponsManagement = () => {
+  const [coupons, setCoupons] = useState([]);
+  const [tours, setTours] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCouponModal, setShowCouponModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [couponForm, setCouponForm] = useState(emptyCouponForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCoupons();
+  }, []);
+
+  const fetchCoupons = async () => {
+    setLoading(true);
+    const [allCoupons, allTours] = await Promise.all([getCoupons(), getTours()]);
+    setCoupons(allCoupons);
+    setTours(allTours);
+    setLoading(false);
+  };
+
+  // en-CA formats as YYYY-MM-DD in local time, which is what date inputs expect
+  const toDateInput = (dateStr) => (dateStr ? new Date(dateStr).toLocaleDateString('en-CA') : '');
+
+  const formatDate = (dateStr) => {
+    if (!dateStr) return 'No limit';
+    return new Date(dateStr).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  const getCouponStatus = (coupon) => {
+    const now = new Date();
+    if (!coupon.isActive) return { label: 'Inactive', color: '#6c757d' };
+    if (coupon.validUntil && new Date(coupon.validUntil) < now) return { label: 'Expired', color: '#dc3545' };
+    if (coupon.validFrom && new Date(coupon.validFrom) > now) return { label: 'Scheduled', color: '#ffc107' };
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) return { label: 'Used up', color: '#dc3545' };
+    return { label: 'Active', color: '#2E8B57' };
+  };
+
+  const openAddModal = () => {
+    setEditingCoupon(null);
+    setCouponForm(emptyCouponForm);
+    setShowCouponModal(true);
+  };
+
+  const openEditModal = (coupon) => {
+    setEditingCoupon(coupon);
+    setCouponForm({
+      code: coupon.code,
+      description: coupon.description || '',
+      discountType: coupon.discountType,
+      value: coupon.value?.toString() || '',
+      maxDiscount: coupon.maxDiscount ? coupon.maxDiscount.toString() : '',
+      minOrderAmount: coupon.minOrderAmount ? coupon.minOrderAmount.toString() : '',
+      validFrom: toDateInput(coupon.validFrom),
+      validUntil: toDateInput(coupon.validUntil),
+      usageLimit: coupon.usageLimit ? coupon.usageLimit.toString() : '',
+      perUserLimit: coupon.perUserLimit?.toString() || '0',
+      applicableTours: (coupon.applicableTours || []).map(tour => tour._id || tour),
+      applicableCategories: coupon.applicableCategories || [],
+      isActive: coupon.isActive
+    });
+    setShowCouponModal(true);
+  };
+
+  const toggleListValue = (field, value) => {
+    setCouponForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const handleSaveCoupon = async (e) => {
+    e.preventDefault();
+
+    // Blank numeric fields mean "no limit"
+    const couponData = {
+      ...couponForm,
+      code: couponForm.code.trim().toUpperCase(),
+      value: parseFloat(couponForm.value) || 0,
+      maxDiscount: parseFloat(couponForm.maxDiscount) || 0,
+      minOrderAmount: parseFloat(couponForm.minOrderAmount) || 0,
+      usageLimit: parseInt(couponForm.usageLimit) || 0,
+      perUserLimit: parseInt(couponForm.perUserLimit) || 0,
+      // Dates cover the whole day the admin picked
+      validFrom: couponForm.validFrom ? new Date(`${couponForm.validFrom}T00:00:00`).toISOString() : '',
+      validUntil: couponForm.validUntil ? new Date(`${couponForm.validUntil}T23:59:59`).toISOString() : ''
+    };
+
+    setIsSaving(true);
+    try {
+      if (editingCoupon) {
+        await updateCoupon(editingCoupon._id, couponData);
+        alert('Coupon updated successfully!');
+      } else {
+        await saveCoupon(couponData);
+        alert('Coupon created successfully!');
+      }
+      setShowCouponModal(false);
+      setEditingCoupon(null);
+      await fetchCoupons();
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteCoupon = async (couponId) => {
+    if (window.confirm('Are you sure you want to delete this coupon? Existing bookings keep their discount.')) {
+      const success = await deleteCoupon(couponId);
+      if (success) {
+        setCoupons(prev => prev.filter(coupon => coupon._id !== couponId));
+        alert('Coupon deleted successfully');
+      } else {
+        alert('Error deleting coupon');
+      }
+    }
+  };
+
+  return (
+    <div className="admin-content">
+      <div className="admin-header">
+        <div>
+          <h1>Coupons</h1>
+          <p>Total {coupons.length} promo codes</p>
+        </div>
+        <button className="btn-add" onClick={openAddModal}>
+          + Add Coupon
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading">Loading coupons...</div>
+      ) : (
+        <div className="admin-table-container" style={{ overflowX: 'auto' }}>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Discount</th>
+                <th>Valid</th>
+                <th>Usage</th>
+                <th>Per User</th>
+                <th>Restrictions</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {coupons.map(coupon => {
+                const status = getCouponStatus(coupon);
+                const restrictions = [
+                  ...(coupon.applicableTours || []).map(tour => tour.title || 'Tour'),
+                  ...(coupon.applicableCategories || [])
+                ];
+                return (
+                  <tr key={coupon._id} className="clickable-row" onClick={() => openEditModal(coupon)}>
+                    <td>
+                      <strong>{coupon.code}</strong>
+                      {coupon.description && (
+                        <div style={{ fontSize: '0.8rem', color: '#666' }}>{coupon.description}</div>
+                      )}
+                    </td>
+                    <td>
+                      {coupon.discountType === 'percent'
+                        ? `${coupon.value}%${coupon.maxDiscount ? ` (max ₹${coupon.maxDiscount.toLocaleString('en-IN')})` : ''}`
+                        : `₹${coupon.value.toLocaleString('en-IN')}`}
+                    </td>
+                    <td>
+                      {formatDate(coupon.validFrom)} – {formatDate(coupon.validUntil)}
+                    </td>
+                    <td>
+                      {coupon.usedCount} / {coupon.usageLimit || '∞'}
+                    </td>
+                    <td>{coupon.perUserLimit || '∞'}</td>
+                    <td>{restrictions.length > 0 ? restrictions.join(', ') : 'All tours'}</td>
+                    <td>
+                      <span style={{ color: status.color, fontWeight: '600' }}>{status.label}</span>
+                    </td>
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <div className="action-buttons">
+                        <button className="btn-view" onClick={() => openEditModal(coupon)}>
+                          Edit
+                        </button>
+                        <button className="btn-delete" onClick={() => handleDeleteCoupon(coupon._id)}>
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {coupons.length === 0 && (
+            <div className="no-results">
+              <p>No coupons yet</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Add/Edit Coupon Modal */}
+      {showCouponModal && (
+        <div className="modal-overlay">
+          <div className="modal-content medium-modal" style={{ maxHeight: '90vh' }}>
+            <div className="modal-header">
+              <h2>{editingCoupon ? `Edit ${editingCoupon.code}` : 'Add Coupon'}</h2>
+              <button className="modal-close" onClick={() => setShowCouponModal(false)}>
+                ×
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveCoupon} className="tour-form">
+              <div style={{ maxHeight: '65vh', overflowY: 'auto', padding: '1.5rem' }}>
+                <div className="form-group">
+                  <label>Code *</label>
+                  <input
+                    type="text"
+                    value={couponForm.code}
+                    onChange={(e) => setCouponForm({...couponForm, code: e.target.value.toUpperCase()})}
+                    placeholder="e.g., DIWALI25"
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Description</label>
+                  <input
+                    type="text"
+                    value={couponForm.description}
+                    onChange={(e) => setCouponForm({...couponForm, description: e.target.value})}
+                    placeholder="Shown to admins only"
+                  />
+                </div>
+
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                  <div className="form-group">
+                    <label>Discount Type *</label>
+                    <select
+                      value={couponForm.discountType}
+                      onChange={(e) => setCouponForm({...couponForm, discountType: e.target.value})}
+                    >
+                      <option value="percent">Percentage</option>
+                      <option value="flat">Flat amount (₹)</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label>{couponForm.discountType === 'percent' ? 'Percent Off *' : 'Amount Off (₹) *'}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max={couponForm.discountType === 'percent' ? '100' : undefined}
+                      value={couponForm.value}
+                      onChange={(e) => setCouponForm({...couponForm, value: e.target.value})}
+                      required
+                    />
+                  </div>
+                  {couponForm.discountType === 'percent' && (
+                    <div className="form-group">
+                      <label>Max Discount (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={couponForm.maxDiscount}
+                        onChange={(e) => setCouponForm({...couponForm, maxDiscount: e.target.value})}
+                        placeholder="No cap"
+                      />
+                    </div>
+                  )}
+                  <div className="form-group">
+                    <label>Minimum Order (₹)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={couponForm.minOrderAmount}
+                      onChange={(e) => setCouponForm({...couponForm, minOrderAmount: e.target.value})}
+                      placeholder="None"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Valid From</label>
+                    <input
+                      type="date"
+                      value={couponForm.validFrom}
+                      onChange={(e) => setCouponForm({...couponForm, validFrom: e.target.value})}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Valid Until</label>
+                    <input
+                      type="date"
+                      value={couponForm.validUntil}
+                      onChange={(e) => setCouponForm({...couponForm, validUntil: e.target.value})}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Total Uses</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={couponForm.usageLimit}
+                      onChange={(e) => setCouponForm({...couponForm, usageLimit: e.target.value})}
+                      placeholder="Unlimited"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Uses per User</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={couponForm.perUserLimit}
+                      onChange={(e) => setCouponForm({...couponForm, perUserLimit: e.target.value})}
+                      placeholder="0 = unlimited"
+                    />
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>Limit to Categories</label>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem' }}>
+                    {COUPON_CATEGORIES.map(category => (
+                      <label key={category} style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', fontWeight: 'normal' }}>
+                        <input
+                          type="checkbox"
+                          checked={couponForm.applicableCategories.includes(category)}
+                          onChange={() => toggleListValue('applicableCategories', category)}
+                        />
+                        {category.charAt(0).toUpperCase() + category.slice(1)}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label>Limit to Tours</label>
+                  <small style={{ display: 'block', color: '#666', marginBottom: '0.5rem' }}>
+                    Leave tours and categories empty to allow every tour
+                  </small>
+                  <div style={{ maxHeight: '150px', overflowY: 'auto', border: '1px solid #eee', borderRadius: '5px', padding: '0.5rem' }}>
+                    {tours.map(tour => (
+                      <label key={tour._id} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontWeight: 'normal' }}>
+                        <input
+                          type="checkbox"
+                          checked={couponForm.applicableTours.includes(tour._id)}
+                          onChange={() => toggleListValue('applicableTours', tour._id)}
+                        />
+                        {tour.title}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="form-group">
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    <input
+                      type="checkbox"
+                      checked={couponForm.isActive}
+                      onChange={(e) => setCouponForm({...couponForm, isActive: e.target.checked})}
+                    />
+                    Active
+                  </label>
+                </div>
+              </div>
+
+              <div className="modal-actions">
+                <button type="button" className="btn-cancel" onClick={() => setShowCouponModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-save" disabled={isSaving}>
+                  {isSaving ? 'Saving...' : (editingCoupon ? 'Update Coupon' : 'Add Coupon')}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Settings Component
 const AdminSettings = () => {
   const [settings, setSettings] = useState({
@@ -3251,7 +5428,7 @@ const AdminSettings = () => {
   const handleResetData = async () => {
     if (window.confirm('This will reset all data including users and bookings. Are you sure?')) {
       try {
-        const response = await axios.post(`${API_URL}/admin/reset-data`);
+        const response = await adminClient.post(`${API_URL}/admin/reset-data`);
         if (response.data.success) {
           alert('Data reset successfully!');
           window.location.reload();
@@ -3350,7 +5527,7 @@ const AdminSettings = () => {
             onClick={async () => {
               if (window.confirm('This will delete all bookings. Continue?')) {
                 try {
-                  const response = await axios.delete(`${API_URL}/admin/bookings/all`);
+                  const response = await adminClient.delete(`${API_URL}/admin/bookings/all`);
                   if (response.data.success) {
                     alert('All bookings deleted!');
                     window.location.reload();
@@ -3402,13 +5579,8 @@ const AdminPanel = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [loading, setLoading] = useState(true);
 
+  // Access is checked by RequireAdmin (App.js) before this renders
   useEffect(() => {
-    // Check if user is admin
-    const user = JSON.parse(localStorage.getItem('user') || '{}');
-    if (user.role !== 'admin' && user.email !== 'admin@tourvista.com') {
-      navigate('/dashboard');
-      return;
-    }
     // Calculate initial stats
     refreshStats();
     
@@ -3421,7 +5593,7 @@ const AdminPanel = () => {
     
     window.addEventListener('resize', handleResize);
     return () => window.removeEventListener('resize', handleResize);
-  }, [navigate]);
+  }, []);
 
   const refreshStats = async () => {
     try {
@@ -3436,8 +5608,7 @@ const AdminPanel = () => {
   };
 
   const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    logout();
     navigate('/login');
   };
 
@@ -3503,6 +5674,20 @@ const AdminPanel = () => {
             onClick={() => setSidebarOpen(false)}
           />
           
+          <SidebarMenuItem 
+            to="/admin/coupons" 
+            icon="🏷️"
+            text="Coupons"
+            onClick={() => setSidebarOpen(false)}
+          />
+          
+          <SidebarMenuItem 
+            to="/admin/media" 
+            icon="🖼️"
+            text="Media"
+            onClick={() => setSidebarOpen(false)}
+          />
+          
           <SidebarMenuItem 
             to="/admin/settings" 
             icon="⚙️"
@@ -3556,6 +5741,8 @@ const AdminPanel = () => {
             <Route path="/users" element={<UsersManagement />} />
             <Route path="/tours" element={<ToursManagement />} />
             <Route path="/bookings" element={<BookingsManagement />} />
+            <Route path="/coupons" element={<CouponsManagement />} />
+            <Route path="/media" element={<MediaManagement />} />
             <Route path="/settings" element={<AdminSettings />} />
           </Routes>
         </div>
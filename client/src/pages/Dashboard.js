@@ -1,7 +1,10 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useId } from 'react';
 import { Link, useNavigate, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import axios from 'axios';
 import './dashboard.css';
+import { getImageVariant, getImageSrcSet, TOUR_CARD_IMAGE_SIZES, TOUR_HERO_IMAGE_SIZES } from '../utils/images';
+import { attachTokenRefresh, clearSession, logout } from '../utils/session';
+import PasswordStrength from '../components/PasswordStrength';
 
 // Replace line 6:
 const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
@@ -11,6 +14,14 @@ const API_TIMEOUT = 15000; // 15 seconds timeout
 const MAX_RETRIES = 2; // Maximum retry attempts
 const RETRY_DELAY = 1000; // 1 second delay between retries
 
+// Tour listing
+const TOURS_PAGE_SIZE = 12; // Tours per page on Browse Tours
+const FEATURED_TOURS_LIMIT = 6; // Tours shown on the dashboard home
+const SEARCH_DEBOUNCE_MS = 300; // Wait for typing to pause before searching
+const MIN_SUGGEST_LENGTH = 2; // Characters typed before suggestions appear
+const TOUR_PREVIEW_STATES = { draft: 'a draft', scheduled: 'scheduled to go live', live: 'live', ended: 'past its unpublish date', archived: 'archived' };
+const EMPTY_FACET_FILTERS = { region: '', duration: '', difficulty: '', minRating: '', language: '', month: '' };
+
 // Enhanced axios instance with default timeout
 const apiClient = axios.create({
   timeout: API_TIMEOUT,
@@ -19,6 +30,18 @@ const apiClient = axios.create({
   }
 });
 
+// Attach the JWT to every request - protected routes reject calls without it
+apiClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem('token');
+  if (token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// An expired access token is swapped silently; once the session is over the user signs in again
+attachTokenRefresh(apiClient, { onSessionEnded: () => window.location.assign('/login') });
+
 // Helper function for API calls with retry logic
 const fetchWithRetry = async (url, config = {}, retries = MAX_RETRIES) => {
   for (let attempt = 0; attempt <= retries; attempt++) {
@@ -56,13 +79,13 @@ const saveBooking = async (bookingData) => {
     const response = await fetchWithRetry(`${API_URL}/bookings`, {
       method: 'POST',
       data: {
-        user: bookingData.user,
         tour: bookingData.tour,
         participants: bookingData.participants,
         travelers: bookingData.participants, // Send both for compatibility
         travelDate: bookingData.travelDate,
         specialRequirements: bookingData.specialRequirements || '',
         specialRequests: bookingData.specialRequirements || '', // Send both
+        couponCode: bookingData.couponCode,
         contactNumber: bookingData.contactNumber,
         email: bookingData.email || '', // Add email field
         status: 'confirmed'
@@ -95,10 +118,10 @@ const saveBooking = async (bookingData) => {
   }
 };
 
-// Get saved tours from database for a user
-const getSavedToursFromDB = async (userId) => {
+// Get saved tours from database for the logged in user
+const getSavedToursFromDB = async () => {
   try {
-    const response = await fetchWithRetry(`${API_URL}/saved/${userId}`);
+    const response = await fetchWithRetry(`${API_URL}/saved/me`);
     if (response.data.success) {
       return response.data.data || [];
     }
@@ -109,12 +132,12 @@ const getSavedToursFromDB = async (userId) => {
   }
 };
 
-// Save tour to database for a user
-const saveTourToDB = async (userId, tourId) => {
+// Save tour to database for the logged in user
+const saveTourToDB = async (tourId) => {
   try {
     const response = await fetchWithRetry(`${API_URL}/saved`, {
       method: 'POST',
-      data: { userId, tourId }
+      data: { tourId }
     });
     return response.data;
   } catch (error) {
@@ -123,10 +146,10 @@ const saveTourToDB = async (userId, tourId) => {
   }
 };
 
-// Remove saved tour from database for a user
-const removeSavedTourFromDB = async (userId, tourId) => {
+// Remove saved tour from database for the logged in user
+const removeSavedTourFromDB = async (tourId) => {
   try {
-    const response = await fetchWithRetry(`${API_URL}/saved/${userId}/${tourId}`, {
+    const response = await fetchWithRetry(`${API_URL}/saved/me/${tourId}`, {
       method: 'DELETE'
     });
     return response.data;
@@ -137,12 +160,11 @@ const removeSavedTourFromDB = async (userId, tourId) => {
 };
 
 // Submit rating for a tour
-const submitTourRating = async (userId, tourId, rating, review = '') => {
+const submitTourRating = async (tourId, rating, review = '') => {
   try {
     const response = await fetchWithRetry(`${API_URL}/tours/${tourId}/rate`, {
       method: 'POST',
       data: {
-        userId,
         rating,
         review
       }
@@ -154,34 +176,73 @@ const submitTourRating = async (userId, tourId, rating, review = '') => {
   }
 };
 
-// Get tour ratings
-const getTourRatings = async (tourId) => {
+// Get one page of tour ratings (sort: newest, highest or lowest)
+const getTourRatings = async (tourId, { page = 1, limit = 5, sort = 'newest', withText = false } = {}) => {
   try {
-    const response = await fetchWithRetry(`${API_URL}/tours/${tourId}/ratings`);
+    const response = await fetchWithRetry(`${API_URL}/tours/${tourId}/ratings`, {
+      params: { page, limit, sort, withText: withText || undefined }
+    });
     if (response.data.success) {
-      return response.data.data?.ratings || [];
+      return {
+        ratings: response.data.data?.ratings || [],
+        pagination: response.data.data?.pagination || null
+      };
     }
-    return [];
+    return { ratings: [], pagination: null };
   } catch (error) {
     console.error('Error fetching tour ratings:', error);
-    return [];
+    return { ratings: [], pagination: null };
   }
 };
 
-// Check if user has already rated a tour
-const checkUserRating = async (userId, tourId) => {
+// Get seat availability for each departure date of a tour
+const getTourAvailability = async (tourId) => {
   try {
-    const response = await fetchWithRetry(`${API_URL}/tours/${tourId}/rating/${userId}`);
+    const response = await fetchWithRetry(`${API_URL}/tours/${tourId}/availability`);
     if (response.data.success) {
-      return response.data.data || null;
+      return response.data.data;
     }
     return null;
   } catch (error) {
-    console.error('Error checking user rating:', error);
+    console.error('Error fetching tour availability:', error);
     return null;
   }
 };
 
+// Get a server-side price quote (with discounts) for a booking
+const getBookingQuote = async (tourId, participants, travelDate, couponCode = '') => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/bookings/quote`, {
+      method: 'POST',
+      data: { tour: tourId, participants, travelDate, couponCode: couponCode || undefined }
+    }, 0);
+    if (response.data.success) {
+      return response.data.data;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error fetching booking quote:', error);
+    return null;
+  }
+};
+
+// Check if user has already rated a tour, and whether they may (only after a completed trip)
+const checkUserRating = async (tourId) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/tours/${tourId}/rating/me`);
+    if (response.data.success) {
+      return {
+        rating: response.data.data || null,
+        canRate: response.data.canRate !== false
+      };
+    }
+    return { rating: null, canRate: true };
+  } catch (error) {
+    console.error('Error checking user rating:', error);
+    return { rating: null, canRate: true };
+  }
+};
+
 // Get tours from database with complete data - ENHANCED to ensure all admin data is fetched
 const getTours = async () => {
   try {
@@ -293,10 +354,192 @@ const getTours = async () => {
   }
 };
 
+// Get one page of tour cards - searching, filtering, sorting and paging happen on the server
+// `filters` holds the facet filters (region, duration, difficulty, minRating, language, month);
+// with `facets` the response also counts the tours behind each filter value
+const getTourPage = async ({ page = 1, limit = 12, sort = 'newest', order, q = '', category = 'all', maxPrice, filters = {}, facets = false } = {}) => {
+  const facetParams = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) facetParams[key] = value;
+  });
+
+  try {
+    const response = await fetchWithRetry(`${API_URL}/tours`, {
+      params: {
+        page,
+        limit,
+        sort,
+        order,
+        fields: 'summary',
+        q: q.trim() || undefined,
+        category: category !== 'all' ? category : undefined,
+        maxPrice,
+        ...facetParams,
+        facets: facets || undefined
+      }
+    });
+    if (response.data.success) {
+      return {
+        tours: response.data.data || [],
+        pagination: response.data.pagination || null,
+        didYouMean: response.data.didYouMean || null,
+        facets: response.data.facets || null
+      };
+    }
+    return { tours: [], pagination: null, didYouMean: null, facets: null };
+  } catch (error) {
+    console.error('Error fetching tour page:', error);
+    return { tours: [], pagination: null, didYouMean: null, facets: null };
+  }
+};
+
+// Same matching as the server, used on the cached tours when the API can't be reached
+const filterToursLocally = (tours, { q = '', category = 'all', maxPrice } = {}) => {
+  const query = q.trim().toLowerCase();
+  return tours.filter(tour => {
+    const price = tour.price || 0;
+    const matchesSearch = !query ||
+                         tour.title.toLowerCase().includes(query) ||
+                         tour.description.toLowerCase().includes(query) ||
+                         (tour.overview?.highlights?.some(highlight => 
+                           highlight.toLowerCase().includes(query)
+                         ));
+    const matchesPrice = maxPrice === undefined || price <= maxPrice;
+    const matchesType = category === 'all' || tour.category === category || tour.type === category;
+    return matchesSearch && matchesPrice && matchesType;
+  });
+};
+
+// Autocomplete suggestions for the search boxes - no retries, a newer keystroke will ask again
+const getTourSuggestions = async (query) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/tours/suggest`, { params: { q: query } }, 0);
+    return response.data.success ? response.data.data || [] : [];
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    return [];
+  }
+};
+
+// Recent searches are stored on the user's account
+const getRecentSearches = async () => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/auth/recent-searches`);
+    return response.data.success ? response.data.data || [] : [];
+  } catch (error) {
+    console.error('Error fetching recent searches:', error);
+    return [];
+  }
+};
+
+const addRecentSearch = async (query) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/auth/recent-searches`, {
+      method: 'POST',
+      data: { query }
+    });
+    return response.data.success ? response.data.data : null;
+  } catch (error) {
+    console.error('Error saving recent search:', error);
+    return null;
+  }
+};
+
+const clearRecentSearches = async () => {
+  try {
+    await fetchWithRetry(`${API_URL}/auth/recent-searches`, { method: 'DELETE' });
+    return true;
+  } catch (error) {
+    console.error('Error clearing recent searches:', error);
+    return false;
+  }
+};
+
+// Other devices are signed out by the server, this one stays signed in
+const changePassword = async (currentPassword, newPassword) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/auth/password`, {
+      method: 'PUT',
+      data: { currentPassword, newPassword }
+    }, 0);
+    return response.data.message;
+  } catch (error) {
+    console.error('Error changing password:', error);
+    throw new Error(error.response?.data?.message || 'Could not change your password. Please try again.');
+  }
+};
+
+// The account is deleted after a grace period - returns the date it will happen
+const requestAccountDeletion = async (password) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/auth/account/deletion`, {
+      method: 'POST',
+      data: { password }
+    }, 0);
+    return response.data.data.deletionScheduledFor;
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    throw new Error(error.response?.data?.message || 'Could not delete your account. Please try again.');
+  }
+};
+
+const cancelAccountDeletion = async () => {
+  try {
+    await fetchWithRetry(`${API_URL}/auth/account/deletion`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    throw new Error(error.response?.data?.message || 'Could not cancel the deletion. Please try again.');
+  }
+};
+
+// Email a new link for confirming the user's address
+const resendVerificationEmail = async () => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/auth/resend-verification`, { method: 'POST' }, 0);
+    return response.data.message;
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    throw new Error(error.response?.data?.message || 'Could not send the email. Please try again.');
+  }
+};
+
+// Devices the user is signed in on
+const getSessions = async () => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/auth/sessions`);
+    return response.data.data || [];
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    throw new Error(error.response?.data?.message || 'Could not load your devices. Please try again.');
+  }
+};
+
+const revokeSession = async (sessionId) => {
+  try {
+    await fetchWithRetry(`${API_URL}/auth/sessions/${sessionId}`, { method: 'DELETE' });
+  } catch (error) {
+    console.error('Error signing out device:', error);
+    throw new Error(error.response?.data?.message || 'Could not sign out that device. Please try again.');
+  }
+};
+
+// keepCurrent signs out every other device and leaves this one signed in
+const revokeAllSessions = async (keepCurrent = false) => {
+  try {
+    await fetchWithRetry(`${API_URL}/auth/sessions`, {
+      method: 'DELETE',
+      params: keepCurrent ? { keepCurrent: true } : undefined
+    });
+  } catch (error) {
+    console.error('Error signing out devices:', error);
+    throw new Error(error.response?.data?.message || 'Could not sign out your devices. Please try again.');
+  }
+};
+
 // Get user bookings from database with retry
-const getUserBookings = async (userId) => {
+const getUserBookings = async () => {
   try {
-    const response = await fetchWithRetry(`${API_URL}/bookings/user/${userId}`);
+    const response = await fetchWithRetry(`${API_URL}/bookings/me`);
     return response.data.data || [];
   } catch (error) {
     console.error('Error fetching user bookings:', error);
@@ -308,11 +551,11 @@ const getUserBookings = async (userId) => {
 };
 
 // Update booking status in database
-const updateBookingStatus = async (bookingId, status) => {
+const updateBookingStatus = async (bookingId, status, reason = '') => {
   try {
     const response = await fetchWithRetry(`${API_URL}/bookings/${bookingId}`, {
       method: 'PUT',
-      data: { status }
+      data: { status, reason }
     });
     return response.data;
   } catch (error) {
@@ -324,6 +567,47 @@ const updateBookingStatus = async (bookingId, status) => {
   }
 };
 
+// Refund the traveler would get if they cancelled now
+const getCancellationPreview = async (bookingId) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/bookings/${bookingId}/cancellation-preview`, {
+      method: 'GET'
+    });
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching cancellation preview:', error);
+    throw new Error(error.response?.data?.message || 'Could not load refund details. Please try again.');
+  }
+};
+
+// Start a payment for a pending booking
+const startCheckout = async (bookingId) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/payments/checkout`, {
+      method: 'POST',
+      data: { bookingId }
+    }, 0);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error starting checkout:', error);
+    throw new Error(error.response?.data?.message || 'Could not start payment. Please try again.');
+  }
+};
+
+// Finish a checkout on the mock gateway (local and test setups)
+const completeMockPayment = async (paymentId, outcome) => {
+  try {
+    const response = await fetchWithRetry(`${API_URL}/payments/mock/${paymentId}/complete`, {
+      method: 'POST',
+      data: { outcome }
+    }, 0);
+    return response.data.data;
+  } catch (error) {
+    console.error('Error completing payment:', error);
+    throw new Error(error.response?.data?.message || 'Payment could not be processed. Please try again.');
+  }
+};
+
 // UPDATED Toast Notification Component - Matching Login/Register
 const DashboardToast = ({ message, type, onClose }) => {
   useEffect(() => {
@@ -379,11 +663,13 @@ const RatingModal = ({ tour, user, onClose, onSubmit }) => {
   const [hoverRating, setHoverRating] = useState(0);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [userRating, setUserRating] = useState(null);
+  const [canRate, setCanRate] = useState(true);
 
   useEffect(() => {
     const checkExistingRating = async () => {
       if (user && tour) {
-        const existingRating = await checkUserRating(user._id, tour._id);
+        const { rating: existingRating, canRate: eligible } = await checkUserRating(tour._id);
+        setCanRate(eligible);
         if (existingRating) {
           setRating(existingRating.rating);
           setReview(existingRating.review || '');
@@ -405,7 +691,7 @@ const RatingModal = ({ tour, user, onClose, onSubmit }) => {
     setIsSubmitting(true);
     
     try {
-      const response = await submitTourRating(user._id, tour._id, rating, review);
+      const response = await submitTourRating(tour._id, rating, review);
       
       if (response.success) {
         setIsSubmitting(false);
@@ -417,7 +703,7 @@ const RatingModal = ({ tour, user, onClose, onSubmit }) => {
       setIsSubmitting(false);
       alert(error.code === 'ECONNABORTED' 
         ? 'Request timeout. Please try again.' 
-        : 'Error submitting rating. Please try again.'
+        : error.response?.data?.message || 'Error submitting rating. Please try again.'
       );
     }
   };
@@ -434,6 +720,34 @@ const RatingModal = ({ tour, user, onClose, onSubmit }) => {
     setHoverRating(0);
   };
 
+  // Reviews are limited to verified travelers
+  if (!canRate) {
+    return (
+      <div className="booking-modal-overlay" onClick={onClose}>
+        <div className="booking-modal" style={{ maxWidth: '500px' }} onClick={e => e.stopPropagation()}>
+          <div className="modal-header">
+            <h3>Rate {tour.title}</h3>
+            <button className="modal-close" onClick={onClose}>×</button>
+          </div>
+          
+          <div className="modal-content" style={{ textAlign: 'center' }}>
+            <div style={{ fontSize: '3rem', marginBottom: '0.5rem' }}>🧳</div>
+            <h4 style={{ marginBottom: '1rem', color: '#333' }}>Reviews come from verified travelers</h4>
+            <p style={{ color: '#666' }}>
+              You can rate this tour once you have completed a trip on it with us.
+            </p>
+          </div>
+          
+          <div className="modal-buttons">
+            <button type="button" className="btn-cancel" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="booking-modal-overlay" onClick={onClose}>
       <div className="booking-modal" style={{ maxWidth: '500px' }} onClick={e => e.stopPropagation()}>
@@ -649,6 +963,131 @@ const StarRating = ({ rating, size = 'medium', showNumber = true, showCount = fa
 };
 
 // Edit Profile Modal Component
+// Opened from EditProfileModal
+const ChangePasswordModal = ({ user, onBack, onClose }) => {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [passwordData, setPasswordData] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [passwordMessage, setPasswordMessage] = useState(null);
+  // Latest server check of the new password (see PasswordStrength)
+  const [passwordCheck, setPasswordCheck] = useState(null);
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswordData(prev => ({ ...prev, [name]: value }));
+    setPasswordMessage(null);
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!passwordData.currentPassword) {
+      setPasswordMessage({ type: 'error', text: 'Please enter your current password' });
+      return;
+    }
+    if (passwordCheck && !passwordCheck.valid) {
+      setPasswordMessage({ type: 'error', text: passwordCheck.errors[0] });
+      return;
+    }
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      setPasswordMessage({ type: 'error', text: 'Passwords do not match' });
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const message = await changePassword(passwordData.currentPassword, passwordData.newPassword);
+      setPasswordData({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordMessage({ type: 'success', text: `${message}. Your other devices have been signed out.` });
+    } catch (error) {
+      setPasswordMessage({ type: 'error', text: error.message });
+    }
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="edit-profile-modal-overlay" onClick={onClose}>
+      <div className="edit-profile-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Change Password</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-content">
+          <form onSubmit={handlePasswordSubmit} className="edit-profile-form">
+            <div className="profile-form-group">
+              <label>Current Password *</label>
+              <input
+                type="password"
+                name="currentPassword"
+                value={passwordData.currentPassword}
+                onChange={handlePasswordChange}
+                placeholder="Enter your current password"
+                autoComplete="current-password"
+                required
+              />
+            </div>
+
+            <div className="profile-form-group">
+              <label>New Password *</label>
+              <input
+                type="password"
+                name="newPassword"
+                value={passwordData.newPassword}
+                onChange={handlePasswordChange}
+                placeholder="Choose a new password"
+                autoComplete="new-password"
+                required
+              />
+              <PasswordStrength
+                password={passwordData.newPassword}
+                email={user?.email}
+                name={user?.name}
+                onResult={setPasswordCheck}
+              />
+            </div>
+
+            <div className="profile-form-group">
+              <label>Confirm New Password *</label>
+              <input
+                type="password"
+                name="confirmPassword"
+                value={passwordData.confirmPassword}
+                onChange={handlePasswordChange}
+                placeholder="Repeat the new password"
+                autoComplete="new-password"
+                required
+              />
+            </div>
+
+            {passwordMessage && (
+              <p
+                className={passwordMessage.type === 'error' ? 'error-message' : undefined}
+                style={{ display: 'block', color: passwordMessage.type === 'success' ? '#2E8B57' : undefined }}
+              >
+                {passwordMessage.text}
+              </p>
+            )}
+          </form>
+        </div>
+
+        <div className="modal-buttons">
+          <button type="button" className="btn-cancel" onClick={onBack}>
+            ← Back to Profile
+          </button>
+          <button
+            type="submit"
+            className="btn-confirm"
+            onClick={handlePasswordSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Saving...' : 'Change Password'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const EditProfileModal = ({ user, onClose, onUpdate }) => {
   const [formData, setFormData] = useState({
     name: user?.name || '',
@@ -658,6 +1097,7 @@ const EditProfileModal = ({ user, onClose, onUpdate }) => {
   });
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -724,6 +1164,10 @@ const EditProfileModal = ({ user, onClose, onUpdate }) => {
     }
   };
 
+  if (showPasswordForm) {
+    return <ChangePasswordModal user={user} onBack={() => setShowPasswordForm(false)} onClose={onClose} />;
+  }
+
   return (
     <div className="edit-profile-modal-overlay" onClick={onClose}>
       <div className="edit-profile-modal" onClick={e => e.stopPropagation()}>
@@ -781,21 +1225,289 @@ const EditProfileModal = ({ user, onClose, onUpdate }) => {
                 placeholder="Enter your address"
               />
             </div>
+
+            <button
+              type="button"
+              onClick={() => setShowPasswordForm(true)}
+              style={{ background: 'none', border: 'none', padding: 0, color: '#2E8B57', textDecoration: 'underline', cursor: 'pointer' }}
+            >
+              Change password
+            </button>
           </form>
         </div>
-        
+        
+        <div className="modal-buttons">
+          <button type="button" className="btn-cancel" onClick={onClose}>
+            Cancel
+          </button>
+          <button 
+            type="submit" 
+            className="btn-confirm" 
+            onClick={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Updating...' : 'Update Profile'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Cancel Booking Modal Component - shows the refund before the traveler confirms
+const CancelBookingModal = ({ booking, onClose, onCancelled }) => {
+  const [preview, setPreview] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    getCancellationPreview(booking._id)
+      .then(setPreview)
+      .catch(error => setLoadError(error.message));
+  }, [booking._id]);
+
+  const handleConfirm = async () => {
+    setIsSubmitting(true);
+    try {
+      const response = await updateBookingStatus(booking._id, 'cancelled', reason);
+      if (response.success) {
+        onCancelled(booking._id, response.data.refund);
+      }
+    } catch (error) {
+      alert(error.response?.data?.message || error.message || 'Error cancelling booking');
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="booking-modal-overlay" onClick={onClose}>
+      <div className="booking-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Cancel Booking</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-content">
+          <div className="booking-summary">
+            <h4>{booking.tour?.title || booking.tourTitle}</h4>
+            <div className="booking-summary-item">
+              <span>Travel Date:</span>
+              <span>{new Date(booking.travelDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</span>
+            </div>
+            {preview && (
+              <>
+                <div className="booking-summary-item">
+                  <span>Amount Paid:</span>
+                  <span>₹{preview.amountPaid.toLocaleString('en-IN')}</span>
+                </div>
+                <div className="booking-summary-item">
+                  <span>Refund ({preview.refundPercentage}%):</span>
+                  <span style={{ color: preview.refundAmount > 0 ? '#28a745' : '#dc3545', fontWeight: '600' }}>
+                    ₹{preview.refundAmount.toLocaleString('en-IN')}
+                  </span>
+                </div>
+              </>
+            )}
+          </div>
+
+          {!preview && !loadError && (
+            <p style={{ color: '#666' }}>Calculating your refund...</p>
+          )}
+
+          {loadError && (
+            <p className="error-message" style={{ display: 'block' }}>{loadError}</p>
+          )}
+
+          {preview && (
+            <div style={{ margin: '1rem 0', fontSize: '0.9rem', color: '#555' }}>
+              <strong>Cancellation policy</strong>
+              <ul style={{ margin: '0.5rem 0 0', paddingLeft: '1.25rem' }}>
+                {preview.tiers.map(tier => (
+                  <li
+                    key={tier.minDaysBeforeTravel}
+                    style={{ fontWeight: preview.appliedTier?.minDaysBeforeTravel === tier.minDaysBeforeTravel ? '600' : 'normal' }}
+                  >
+                    {tier.label}
+                  </li>
+                ))}
+              </ul>
+              <p style={{ margin: '0.5rem 0 0' }}>
+                You are cancelling {Math.max(preview.daysBeforeTravel, 0)} day(s) before travel.
+              </p>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Reason for cancelling (optional)</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Let us know why you're cancelling"
+              rows="2"
+              maxLength="500"
+            />
+          </div>
+        </div>
+
         <div className="modal-buttons">
           <button type="button" className="btn-cancel" onClick={onClose}>
-            Cancel
+            Keep Booking
           </button>
-          <button 
-            type="submit" 
-            className="btn-confirm" 
-            onClick={handleSubmit}
-            disabled={isSubmitting}
+          <button
+            type="button"
+            className="btn-confirm"
+            onClick={handleConfirm}
+            disabled={isSubmitting || (!preview && !loadError)}
           >
-            {isSubmitting ? 'Updating...' : 'Update Profile'}
+            {isSubmitting ? 'Cancelling...' : 'Cancel Booking'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Payment Modal Component - pays for a pending booking before its hold expires
+const PaymentModal = ({ booking, onClose, onPaid }) => {
+  const [payment, setPayment] = useState(null);
+  const [paymentState, setPaymentState] = useState('starting'); // 'starting', 'ready', 'processing', 'failed'
+  const [message, setMessage] = useState('');
+  const [timeLeft, setTimeLeft] = useState(null);
+
+  const beginCheckout = useCallback(async () => {
+    setPaymentState('starting');
+    setMessage('');
+    try {
+      const newPayment = await startCheckout(booking._id);
+      setPayment(newPayment);
+      setPaymentState('ready');
+    } catch (error) {
+      setPaymentState('failed');
+      setMessage(error.message);
+    }
+  }, [booking._id]);
+
+  useEffect(() => {
+    beginCheckout();
+  }, [beginCheckout]);
+
+  // Countdown until the seats are released
+  useEffect(() => {
+    const expiresAt = payment?.holdExpiresAt || booking.holdExpiresAt;
+    if (!expiresAt) return;
+
+    const tick = () => setTimeLeft(Math.max(0, new Date(expiresAt).getTime() - Date.now()));
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [payment, booking.holdExpiresAt]);
+
+  const handlePay = async (outcome) => {
+    setPaymentState('processing');
+    try {
+      const result = await completeMockPayment(payment._id, outcome);
+      if (result.booking.status === 'confirmed') {
+        onPaid({ ...booking, status: 'confirmed', paymentStatus: 'paid', holdExpiresAt: null, allowedStatuses: ['cancelled'] });
+        return;
+      }
+      setPaymentState('failed');
+      setMessage(result.payment.failureReason || 'Payment failed. Please try again.');
+    } catch (error) {
+      setPaymentState('failed');
+      setMessage(error.message);
+    }
+  };
+
+  const holdExpired = timeLeft === 0;
+  const minutes = Math.floor((timeLeft || 0) / 60000);
+  const seconds = Math.floor(((timeLeft || 0) % 60000) / 1000).toString().padStart(2, '0');
+  const amount = booking.totalPrice || booking.totalAmount || 0;
+
+  return (
+    <div className="booking-modal-overlay" onClick={onClose}>
+      <div className="booking-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Complete Payment</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-content">
+          <div className="booking-summary">
+            <h4>{booking.tour?.title || booking.tourTitle}</h4>
+            <div className="booking-summary-item">
+              <span>Booking ID:</span>
+              <span>TV{booking._id.toString().slice(-8)}</span>
+            </div>
+            <div className="booking-summary-item">
+              <span>Amount Due:</span>
+              <span>₹{amount.toLocaleString('en-IN')}</span>
+            </div>
+            {timeLeft !== null && (
+              <div className="booking-summary-item">
+                <span>Seats held for:</span>
+                <span style={{ color: holdExpired || minutes < 2 ? '#dc3545' : '#333' }}>
+                  {holdExpired ? 'Expired' : `${minutes}:${seconds}`}
+                </span>
+              </div>
+            )}
+          </div>
+
+          {paymentState === 'starting' && (
+            <p style={{ color: '#666' }}>Starting secure payment...</p>
+          )}
+
+          {message && (
+            <p className="error-message" style={{ display: 'block', marginTop: '1rem' }}>{message}</p>
+          )}
+
+          {holdExpired && (
+            <p style={{ color: '#dc3545', marginTop: '1rem' }}>
+              Your seats have been released. Please book again.
+            </p>
+          )}
+
+          {payment?.provider === 'mock' && !holdExpired && (
+            <p style={{ fontSize: '0.85rem', color: '#666', marginTop: '1rem' }}>
+              Test mode: no real money is charged.
+            </p>
+          )}
+        </div>
+
+        <div className="modal-buttons">
+          <button type="button" className="btn-cancel" onClick={onClose}>
+            Pay Later
           </button>
+          {paymentState === 'failed' && !holdExpired ? (
+            <button type="button" className="btn-confirm" onClick={beginCheckout}>
+              Try Again
+            </button>
+          ) : payment?.checkoutUrl ? (
+            <a className="btn-confirm" href={payment.checkoutUrl}>
+              Continue to Payment
+            </a>
+          ) : (
+            <>
+              {payment?.provider === 'mock' && (
+                <button
+                  type="button"
+                  className="btn-cancel"
+                  onClick={() => handlePay('fail')}
+                  disabled={paymentState !== 'ready' || holdExpired}
+                >
+                  Simulate Failure
+                </button>
+              )}
+              <button
+                type="button"
+                className="btn-confirm"
+                onClick={() => handlePay('success')}
+                disabled={paymentState !== 'ready' || holdExpired}
+              >
+                {paymentState === 'processing' ? 'Processing...' : `Pay ₹${amount.toLocaleString('en-IN')}`}
+              </button>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -814,10 +1526,73 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [touched, setTouched] = useState({});
+  const [availability, setAvailability] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [pendingBooking, setPendingBooking] = useState(null);
+
+  // Load seat availability so sold-out dates can't be picked
+  useEffect(() => {
+    const loadAvailability = async () => {
+      const data = await getTourAvailability(tour._id);
+      setAvailability(data);
+    };
+    loadAvailability();
+  }, [tour._id]);
+
+  const findDeparture = (date) => availability?.departures.find(departure => departure.date === date);
+
+  // Seats left on a date - null when unknown (availability not loaded or date not offered)
+  const getSeatsLeft = (date) => {
+    const departure = findDeparture(date);
+    if (departure) return departure.seatsLeft;
+    if (availability && !availability.fixedSchedule) return availability.defaultCapacity;
+    return null;
+  };
+
+  const maxTravelers = Math.min(10, getSeatsLeft(bookingData.travelDate) ?? 10);
+
+  // Re-price whenever the travelers or date change - discounts depend on both
+  useEffect(() => {
+    if (!bookingData.travelDate) {
+      setQuote(null);
+      return;
+    }
+
+    let isCurrent = true;
+    const loadQuote = async () => {
+      const data = await getBookingQuote(tour._id, bookingData.travelers, bookingData.travelDate, couponCode);
+      if (isCurrent) setQuote(data);
+    };
+    loadQuote();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [tour._id, bookingData.travelers, bookingData.travelDate, couponCode]);
+
+  const handleApplyCoupon = () => {
+    setCouponCode(couponInput.trim().toUpperCase());
+  };
+
+  const handleRemoveCoupon = () => {
+    setCouponInput('');
+    setCouponCode('');
+  };
+
+  const selectDeparture = (date) => {
+    setBookingData(prev => ({
+      ...prev,
+      travelDate: date
+    }));
+    setTouched(prev => ({ ...prev, travelDate: true }));
+    setErrors(prev => ({ ...prev, travelDate: '' }));
+  };
 
   // Mobile-friendly increment/decrement functions
   const increaseTravelers = () => {
-    if (bookingData.travelers < 10) {
+    if (bookingData.travelers < maxTravelers) {
       setBookingData(prev => ({
         ...prev,
         travelers: prev.travelers + 1
@@ -840,6 +1615,7 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
       case 'travelers':
         if (value < 1) return 'Number of travelers must be at least 1';
         if (value > 10) return 'Maximum 10 travelers allowed';
+        if (value > maxTravelers) return `Only ${maxTravelers} seat${maxTravelers === 1 ? '' : 's'} left on this date`;
         return '';
       
       case 'travelDate':
@@ -848,6 +1624,8 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
         const today = new Date();
         today.setHours(0, 0, 0, 0);
         if (selectedDate < today) return 'Travel date cannot be in the past';
+        if (availability?.fixedSchedule && !findDeparture(value)) return 'This tour does not depart on the selected date';
+        if (getSeatsLeft(value) === 0) return 'The selected date is sold out';
         return '';
       
       case 'contactNumber':
@@ -876,12 +1654,12 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
     return newErrors;
   };
 
-  // Calculate total price
+  // Calculate total price - the server quote includes discounts, fall back to the list price
   const calculatePrice = (price, travelers) => {
     return price * travelers;
   };
 
-  const totalPrice = calculatePrice(tour.price, bookingData.travelers);
+  const totalPrice = quote ? quote.total : calculatePrice(tour.price, bookingData.travelers);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -903,13 +1681,14 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
     
     try {
       const booking = {
-        user: user._id,
         tour: tour._id,
         participants: bookingData.travelers,
         travelDate: bookingData.travelDate,
         specialRequirements: bookingData.specialRequests,
         contactNumber: bookingData.contactNumber,
-        email: bookingData.email || user.email
+        email: bookingData.email || user.email,
+        // Only send a coupon the latest quote accepted
+        couponCode: quote?.coupon?.applied ? quote.coupon.code : undefined
       };
       
       console.log('📝 Submitting booking:', booking);
@@ -938,7 +1717,10 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
           bookingDate: response.data.bookingDate,
           totalPrice: response.data.totalPrice,
           totalAmount: response.data.totalPrice,
-          status: 'confirmed',
+          pricing: response.data.pricing,
+          status: response.data.status,
+          paymentStatus: response.data.paymentStatus,
+          holdExpiresAt: response.data.holdExpiresAt,
           specialRequirements: response.data.specialRequirements,
           contactNumber: response.data.contactNumber,
           createdAt: response.data.createdAt
@@ -946,6 +1728,13 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
         
         console.log('✅ Booking created:', bookingWithDetails);
         setIsSubmitting(false);
+        
+        // Seats are held - collect payment before confirming
+        if (bookingWithDetails.status === 'pending') {
+          setPendingBooking(bookingWithDetails);
+          return;
+        }
+        
         onConfirm(bookingWithDetails);
         onClose();
       }
@@ -965,10 +1754,10 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
       processedValue = value.replace(/\D/g, '').slice(0, 10);
     }
     
-    // Travelers validation - ensure it's a number between 1-10
+    // Travelers validation - ensure it's a number between 1 and the seats left (max 10)
     if (name === 'travelers') {
       const numValue = parseInt(value) || 1;
-      processedValue = Math.min(10, Math.max(1, numValue));
+      processedValue = Math.min(maxTravelers, Math.max(1, numValue));
     }
     
     setBookingData(prev => ({
@@ -1004,6 +1793,16 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
     return Object.keys(validateForm()).length === 0;
   };
 
+  if (pendingBooking) {
+    return (
+      <PaymentModal
+        booking={pendingBooking}
+        onClose={() => onConfirm(pendingBooking)}
+        onPaid={(paidBooking) => onConfirm(paidBooking)}
+      />
+    );
+  }
+
   return (
     <div className="booking-modal-overlay" onClick={onClose}>
       <div className="booking-modal" onClick={e => e.stopPropagation()}>
@@ -1022,7 +1821,7 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
                     type="number"
                     name="travelers"
                     min="1"
-                    max="10"
+                    max={maxTravelers}
                     value={bookingData.travelers}
                     onChange={handleInputChange}
                     onBlur={() => handleBlur('travelers')}
@@ -1050,25 +1849,75 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
                 {touched.travelers && errors.travelers && (
                   <span className="error-message">{errors.travelers}</span>
                 )}
-                <span className="validation-hint">Min: 1, Max: 10</span>
+                <span className="validation-hint">Min: 1, Max: {maxTravelers}</span>
               </div>
               
               <div className={`booking-form-group ${touched.travelDate && errors.travelDate ? 'error' : ''}`}>
                 <label>Travel Date *</label>
-                <input
-                  type="date"
-                  name="travelDate"
-                  value={bookingData.travelDate}
-                  onChange={handleInputChange}
-                  onBlur={() => handleBlur('travelDate')}
-                  min={new Date().toISOString().split('T')[0]}
-                  required
-                />
+                {availability?.fixedSchedule ? (
+                  <span className="validation-hint">Pick one of the departures below</span>
+                ) : (
+                  <input
+                    type="date"
+                    name="travelDate"
+                    value={bookingData.travelDate}
+                    onChange={handleInputChange}
+                    onBlur={() => handleBlur('travelDate')}
+                    min={new Date().toISOString().split('T')[0]}
+                    required
+                  />
+                )}
                 {touched.travelDate && errors.travelDate && (
                   <span className="error-message">{errors.travelDate}</span>
                 )}
+                {bookingData.travelDate && getSeatsLeft(bookingData.travelDate) > 0 && (
+                  <span className="validation-hint">
+                    {getSeatsLeft(bookingData.travelDate)} seats left on this date
+                  </span>
+                )}
               </div>
             </div>
+
+            {/* Departures - sold-out dates are greyed out and can't be selected */}
+            {availability && (availability.fixedSchedule || availability.departures.some(departure => departure.soldOut)) && (
+              <div className="booking-form-group">
+                <label>{availability.fixedSchedule ? 'Available Departures' : 'Sold Out Dates'}</label>
+                {availability.departures.length === 0 ? (
+                  <span className="validation-hint">No upcoming departures are scheduled for this tour</span>
+                ) : (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                    {availability.departures
+                      .filter(departure => availability.fixedSchedule || departure.soldOut)
+                      .map(departure => {
+                        const isSelected = bookingData.travelDate === departure.date;
+                        return (
+                          <button
+                            key={departure.date}
+                            type="button"
+                            onClick={() => selectDeparture(departure.date)}
+                            disabled={departure.soldOut || !availability.fixedSchedule}
+                            style={{
+                              padding: '0.5rem 0.75rem',
+                              borderRadius: '8px',
+                              border: isSelected ? '2px solid #667eea' : '1px solid #ddd',
+                              background: departure.soldOut ? '#f1f1f1' : (isSelected ? '#eef0ff' : 'white'),
+                              color: departure.soldOut ? '#aaa' : '#333',
+                              textDecoration: departure.soldOut ? 'line-through' : 'none',
+                              cursor: departure.soldOut || !availability.fixedSchedule ? 'not-allowed' : 'pointer',
+                              fontSize: '0.85rem'
+                            }}
+                          >
+                            {new Date(`${departure.date}T00:00:00`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}
+                            <span style={{ display: 'block', fontSize: '0.75rem' }}>
+                              {departure.soldOut ? 'Sold out' : `${departure.seatsLeft} seats left`}
+                            </span>
+                          </button>
+                        );
+                      })}
+                  </div>
+                )}
+              </div>
+            )}
             
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
               <div className={`booking-form-group ${touched.contactNumber && errors.contactNumber ? 'error' : ''}`}>
@@ -1117,6 +1966,47 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
               />
             </div>
             
+            <div className="booking-form-group">
+              <label>Coupon Code (Optional)</label>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                  type="text"
+                  value={couponInput}
+                  onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                  placeholder="Enter promo code"
+                  disabled={!!couponCode}
+                  style={{ flex: 1 }}
+                />
+                {couponCode ? (
+                  <button type="button" className="btn-cancel" onClick={handleRemoveCoupon}>
+                    Remove
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    className="btn-confirm"
+                    onClick={handleApplyCoupon}
+                    disabled={!couponInput.trim()}
+                  >
+                    Apply
+                  </button>
+                )}
+              </div>
+              {couponCode && !bookingData.travelDate && (
+                <span className="validation-hint">Select a travel date to apply the coupon</span>
+              )}
+              {quote?.coupon && (
+                <span
+                  className={quote.coupon.applied ? 'validation-hint' : 'error-message'}
+                  style={quote.coupon.applied ? { color: '#2E8B57' } : undefined}
+                >
+                  {quote.coupon.applied
+                    ? `Coupon ${quote.coupon.code} applied - you save ₹${quote.coupon.amount.toLocaleString('en-IN')}`
+                    : quote.coupon.message}
+                </span>
+              )}
+            </div>
+            
             <div className="booking-summary">
               <h4>Booking Summary</h4>
               <div className="booking-summary-item">
@@ -1131,6 +2021,25 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
                 <span>Number of travelers:</span>
                 <span>{bookingData.travelers}</span>
               </div>
+              {quote && quote.lineItems.map(item => (
+                <div
+                  key={item.code}
+                  className="booking-summary-item"
+                  style={item.type !== 'base' ? { color: '#2E8B57' } : undefined}
+                >
+                  <span>{item.label}</span>
+                  <span>
+                    {item.amount < 0 ? '−' : ''}₹{Math.abs(item.amount).toLocaleString('en-IN')}
+                  </span>
+                </div>
+              ))}
+              {!quote && (
+                <div className="booking-summary-item">
+                  <span style={{ fontSize: '0.85rem', color: '#666' }}>
+                    Select a travel date to see applicable discounts
+                  </span>
+                </div>
+              )}
               <div className="booking-summary-item">
                 <span>Total Amount:</span>
                 <span>₹{totalPrice.toLocaleString('en-IN')}</span>
@@ -1158,6 +2067,235 @@ const BookingModal = ({ tour, user, onClose, onConfirm }) => {
 };
 
 // Tour Card Component - UPDATED with Heart Icon (No Background) and Fixed Rate Button
+// Search snippet from the server with the matched words marked
+const HighlightedText = ({ text, matches = [] }) => {
+  const parts = [];
+  let last = 0;
+
+  matches.forEach(([start, end], index) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(
+      <mark key={index} style={{ background: '#FFE5CC', color: 'inherit', padding: 0 }}>
+        {text.slice(start, end)}
+      </mark>
+    );
+    last = end;
+  });
+  parts.push(text.slice(last));
+
+  return <>{parts}</>;
+};
+
+// Search box with autocomplete: suggestions while typing, recent searches when empty.
+// Arrow keys move through the list, Enter picks, Escape closes.
+const TourSearchBox = ({ value, onChange, onSelectSuggestion, placeholder, style }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const listId = useId();
+
+  const query = value.trim();
+  const showRecent = query.length < MIN_SUGGEST_LENGTH;
+
+  useEffect(() => {
+    if (query.length < MIN_SUGGEST_LENGTH) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const results = await getTourSuggestions(query);
+      if (cancelled) return;
+      setSuggestions(results);
+      setActiveIndex(-1);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const items = showRecent
+    ? recentSearches.map(search => ({ type: 'recent', typeLabel: 'Recent', label: search.query, value: search.query }))
+    : suggestions;
+
+  const remember = async (text) => {
+    if (!text.trim()) return;
+    const updated = await addRecentSearch(text.trim());
+    if (updated) setRecentSearches(updated);
+  };
+
+  const handleFocus = async () => {
+    setIsOpen(true);
+    setRecentSearches(await getRecentSearches());
+  };
+
+  const selectItem = (item) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+
+    if (item.type === 'recent') {
+      onChange(item.value);
+      remember(item.value);
+      return;
+    }
+
+    // Regions and categories become filters, not search text
+    if (item.type === 'tour' || item.type === 'destination') {
+      remember(item.label);
+    }
+    onSelectSuggestion(item);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setActiveIndex(index => (items.length > 0 ? (index + 1) % items.length : -1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (items.length > 0 ? (index <= 0 ? items.length - 1 : index - 1) : -1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (isOpen && items[activeIndex]) {
+        selectItem(items[activeIndex]);
+      } else {
+        setIsOpen(false);
+        remember(value);
+      }
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const handleClearRecent = async () => {
+    if (await clearRecentSearches()) setRecentSearches([]);
+  };
+
+  const showList = isOpen && items.length > 0;
+
+  return (
+    <div style={{ position: 'relative', ...style }}>
+      <input
+        type="text"
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={showList && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={handleFocus}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        style={{
+          width: '100%',
+          padding: '1rem',
+          border: '1px solid #FFE5CC',
+          borderRadius: '10px',
+          fontSize: '1rem',
+          background: 'white'
+        }}
+      />
+      
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            right: 0,
+            zIndex: 20,
+            margin: '0.25rem 0 0',
+            padding: '0.5rem 0',
+            listStyle: 'none',
+            background: 'white',
+            border: '1px solid #FFE5CC',
+            borderRadius: '10px',
+            boxShadow: '0 8px 24px rgba(0, 0, 0, 0.08)',
+            textAlign: 'left'
+          }}
+        >
+          {showRecent && (
+            <li style={{ display: 'flex', justifyContent: 'space-between', padding: '0.25rem 1rem', color: '#999', fontSize: '0.8rem' }}>
+              <span>Recent searches</span>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={handleClearRecent}
+                style={{ background: 'none', border: 'none', color: '#2E8B57', cursor: 'pointer', fontSize: '0.8rem', padding: 0 }}
+              >
+                Clear
+              </button>
+            </li>
+          )}
+          {items.map((item, index) => (
+            <li
+              key={`${item.type}-${item.tourId || item.value}`}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so the click lands before the list closes
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectItem(item)}
+              onMouseEnter={() => setActiveIndex(index)}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '1rem',
+                padding: '0.6rem 1rem',
+                cursor: 'pointer',
+                background: index === activeIndex ? '#FFFAF5' : 'white'
+              }}
+            >
+              <span style={{ color: '#333' }}>
+                {item.type === 'recent' ? '🕘 ' : ''}{item.label}
+                {item.count > 1 && <span style={{ color: '#999' }}> ({item.count})</span>}
+              </span>
+              <span style={{
+                fontSize: '0.75rem',
+                color: '#2E8B57',
+                background: '#E8F5E9',
+                padding: '0.15rem 0.5rem',
+                borderRadius: '10px',
+                whiteSpace: 'nowrap'
+              }}>
+                {item.typeLabel}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Offer the corrected spelling the server found for a search
+const DidYouMean = ({ suggestion, onSelect }) => (
+  <p style={{ marginTop: '1rem', color: '#666' }}>
+    Did you mean{' '}
+    <button
+      onClick={() => onSelect(suggestion)}
+      style={{ background: 'none', border: 'none', padding: 0, color: '#2E8B57', fontWeight: '600', cursor: 'pointer', fontSize: 'inherit' }}
+    >
+      {suggestion}
+    </button>
+    ?
+  </p>
+);
+
 const TourCard = ({ tour, onBook, isSaved, onSave, onRate, onViewDetails }) => {
   const [isHovered, setIsHovered] = useState(false);
   const [isHeartHovered, setIsHeartHovered] = useState(false);
@@ -1197,11 +2335,16 @@ const TourCard = ({ tour, onBook, isSaved, onSave, onRate, onViewDetails }) => {
   // Get admin-added details
   const highlights = tour.overview?.highlights || [];
   const firstHighlight = highlights.length > 0 ? highlights[0] : null;
+
+  // Present when the card comes from a search
+  const titleHighlight = tour.search?.highlights?.find(h => h.field === 'title');
+  const searchSnippet = tour.search?.highlights?.find(h => h.field !== 'title');
   const groupSize = tour.overview?.groupSize || 'Not specified';
   const difficulty = tour.overview?.difficulty || 'easy';
   const bestSeason = tour.overview?.bestSeason || 'Not specified';
   const includedCount = tour.included?.length || 0;
   const itineraryDays = tour.itinerary?.length || 0;
+  const cardImage = tour.images && tour.images.length > 0 ? tour.images[0] : tour.image;
 
   return (
     <div 
@@ -1219,9 +2362,13 @@ const TourCard = ({ tour, onBook, isSaved, onSave, onRate, onViewDetails }) => {
     >
       <div className="tour-image">
         <img 
-          src={tour.images && tour.images.length > 0 ? tour.images[0] : tour.image} 
+          src={getImageVariant(cardImage, 'card')} 
+          srcSet={getImageSrcSet(cardImage)}
+          sizes={TOUR_CARD_IMAGE_SIZES}
+          loading="lazy"
           alt={tour.title}
           onError={(e) => {
+            e.target.removeAttribute('srcset');
             e.target.src = 'https://via.placeholder.com/300x200?text=Tour+Image';
           }}
         />
@@ -1282,7 +2429,9 @@ const TourCard = ({ tour, onBook, isSaved, onSave, onRate, onViewDetails }) => {
         </div>
       </div>
       <div className="tour-content">
-        <h3 style={{ marginBottom: '0.5rem' }}>{tour.title}</h3>
+        <h3 style={{ marginBottom: '0.5rem' }}>
+          {titleHighlight ? <HighlightedText text={titleHighlight.text} matches={titleHighlight.matches} /> : tour.title}
+        </h3>
         
         <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.75rem' }}>
           <StarRating 
@@ -1300,8 +2449,14 @@ const TourCard = ({ tour, onBook, isSaved, onSave, onRate, onViewDetails }) => {
           fontSize: '0.9rem',
           lineHeight: 1.5 
         }}>
-          {tour.description?.substring(0, 120)}
-          {tour.description?.length > 120 ? '...' : ''}
+          {searchSnippet ? (
+            <HighlightedText text={searchSnippet.text} matches={searchSnippet.matches} />
+          ) : (
+            <>
+              {tour.description?.substring(0, 120)}
+              {tour.description?.length > 120 ? '...' : ''}
+            </>
+          )}
         </p>
         
         {/* Tour highlights if available */}
@@ -1366,16 +2521,56 @@ const TourCard = ({ tour, onBook, isSaved, onSave, onRate, onViewDetails }) => {
 
 // Dashboard Home Component
 const DashboardHome = ({ user, tours, savedTours, userBookings, onBookTour, onSaveTour, onRateTour, onViewTourDetails }) => {
+  const navigate = useNavigate();
   const [searchQuery, setSearchQuery] = useState('');
+  const [featuredTours, setFeaturedTours] = useState([]);
+  const [featuredPagination, setFeaturedPagination] = useState(null);
+  const [catalogueTotal, setCatalogueTotal] = useState(null);
+  const [loadingFeatured, setLoadingFeatured] = useState(true);
+  const [didYouMean, setDidYouMean] = useState(null);
 
-  const filteredTours = tours.filter(tour => {
-    const matchesSearch = tour.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         tour.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         (tour.overview?.highlights?.some(highlight => 
-                           highlight.toLowerCase().includes(searchQuery.toLowerCase())
-                         ));
-    return matchesSearch;
-  });
+  // Most booked tours first, best matches first when searching; searching waits until typing pauses
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoadingFeatured(true);
+      const result = await getTourPage({
+        limit: FEATURED_TOURS_LIMIT,
+        sort: searchQuery.trim() ? 'relevance' : 'popularity',
+        q: searchQuery
+      });
+      if (cancelled) return;
+      setFeaturedTours(result.tours);
+      setFeaturedPagination(result.pagination);
+      setDidYouMean(result.didYouMean);
+      if (result.pagination && !searchQuery.trim()) {
+        setCatalogueTotal(result.pagination.total);
+      }
+      setLoadingFeatured(false);
+    }, searchQuery ? SEARCH_DEBOUNCE_MS : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery]);
+
+  // Regions and categories open Browse Tours with that filter applied
+  const handleSelectSuggestion = (suggestion) => {
+    if (suggestion.type === 'tour') {
+      onViewTourDetails(suggestion.tourId);
+    } else if (suggestion.type === 'destination') {
+      setSearchQuery(suggestion.value);
+    } else {
+      navigate(`/dashboard/tours?${suggestion.type}=${encodeURIComponent(suggestion.value)}`);
+    }
+  };
+
+  // Fall back to the cached tours if the listing request failed
+  const filteredTours = featuredPagination
+    ? featuredTours
+    : filterToursLocally(tours, { q: searchQuery }).slice(0, FEATURED_TOURS_LIMIT);
+  const matchingTotal = featuredPagination ? featuredPagination.total : filteredTours.length;
 
   // Calculate confirmed bookings count
   const confirmedBookingsCount = userBookings.filter(booking => booking.status === 'confirmed').length;
@@ -1390,7 +2585,7 @@ const DashboardHome = ({ user, tours, savedTours, userBookings, onBookTour, onSa
           
           <div className="hero-stats">
             <div className="hero-stat">
-              <span className="number">{tours.length}+</span>
+              <span className="number">{catalogueTotal ?? tours.length}+</span>
               <span className="label">Tour Packages</span>
             </div>
             <div className="hero-stat">
@@ -1451,21 +2646,17 @@ const DashboardHome = ({ user, tours, savedTours, userBookings, onBookTour, onSa
           <p>Handpicked tours for an authentic Indian experience</p>
           
           <div style={{ marginTop: '2rem', maxWidth: '500px', margin: '2rem auto 0' }}>
-            <input
-              type="text"
+            <TourSearchBox
               placeholder="🔍 Search tours by name, description, or highlights..."
               value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              style={{
-                width: '100%',
-                padding: '1rem',
-                border: '1px solid #FFE5CC',
-                borderRadius: '10px',
-                fontSize: '1rem',
-                background: 'white'
-              }}
+              onChange={setSearchQuery}
+              onSelectSuggestion={handleSelectSuggestion}
             />
           </div>
+          
+          {didYouMean && (
+            <DidYouMean suggestion={didYouMean} onSelect={setSearchQuery} />
+          )}
         </div>
         
         <div className="tours-grid">
@@ -1482,7 +2673,15 @@ const DashboardHome = ({ user, tours, savedTours, userBookings, onBookTour, onSa
           ))}
         </div>
         
-        {filteredTours.length === 0 && (
+        {matchingTotal > filteredTours.length && (
+          <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+            <Link to="/dashboard/tours" className="btn-explore">
+              View all {matchingTotal} tours
+            </Link>
+          </div>
+        )}
+        
+        {filteredTours.length === 0 && !loadingFeatured && (
           <div className="no-tours-found">
             <div style={{ textAlign: 'center', padding: '3rem' }}>
               <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>🔍</div>
@@ -1533,8 +2732,10 @@ const DashboardHome = ({ user, tours, savedTours, userBookings, onBookTour, onSa
 };
 
 // My Bookings Page Component
-const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
-  const [activeFilter, setActiveFilter] = useState('all'); // 'all', 'confirmed', 'cancelled'
+const BookingsPage = ({ user, userBookings, onCancelBooking, onBookingPaid }) => {
+  const [activeFilter, setActiveFilter] = useState('all'); // 'all', 'pending', 'confirmed', 'cancelled'
+  const [payingBooking, setPayingBooking] = useState(null);
+  const [cancellingBooking, setCancellingBooking] = useState(null);
   
   const formatDate = (dateStr) => {
     if (!dateStr) return 'N/A';
@@ -1553,17 +2754,9 @@ const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
     return `₹${amount.toLocaleString('en-IN')}`;
   };
 
-  const handleCancelBooking = async (bookingId) => {
-    if (window.confirm('Are you sure you want to cancel this booking?')) {
-      try {
-        const response = await updateBookingStatus(bookingId, 'cancelled');
-        if (response.success) {
-          onCancelBooking(bookingId);
-        }
-      } catch (error) {
-        alert(error.message || 'Error cancelling booking');
-      }
-    }
+  const handleBookingCancelled = (bookingId, refund) => {
+    setCancellingBooking(null);
+    onCancelBooking(bookingId, refund);
   };
 
   // Filter bookings based on active filter
@@ -1574,6 +2767,7 @@ const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
 
   // Calculate counts for each filter
   const allCount = userBookings.length;
+  const pendingCount = userBookings.filter(booking => booking.status === 'pending').length;
   const confirmedCount = userBookings.filter(booking => booking.status === 'confirmed').length;
   const cancelledCount = userBookings.filter(booking => booking.status === 'cancelled').length;
 
@@ -1605,6 +2799,12 @@ const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
         >
           All <span className="tab-count">{allCount}</span>
         </button>
+        <button 
+          className={`status-tab ${activeFilter === 'pending' ? 'active' : ''}`}
+          onClick={() => setActiveFilter('pending')}
+        >
+          Awaiting Payment <span className="tab-count">{pendingCount}</span>
+        </button>
         <button 
           className={`status-tab ${activeFilter === 'confirmed' ? 'active' : ''}`}
           onClick={() => setActiveFilter('confirmed')}
@@ -1657,7 +2857,9 @@ const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
             <p style={{ color: '#666', marginBottom: '1.5rem' }}>
               {activeFilter === 'confirmed' 
                 ? 'You have no confirmed bookings. Book a tour to get started!'
-                : 'You have no cancelled bookings.'}
+                : activeFilter === 'pending'
+                  ? 'You have no bookings awaiting payment.'
+                  : 'You have no cancelled bookings.'}
             </p>
             {activeFilter === 'confirmed' && (
               <Link to="/dashboard/tours" className="btn-details">Browse Tours</Link>
@@ -1696,6 +2898,22 @@ const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
                     {formatCurrency(booking.totalPrice || booking.totalAmount)}
                   </span>
                 </div>
+                {booking.pricing?.discountTotal > 0 && (
+                  <div className="booking-detail">
+                    <strong>You Saved:</strong>
+                    <span style={{ color: '#2E8B57' }}>
+                      {formatCurrency(booking.pricing.discountTotal)}
+                    </span>
+                  </div>
+                )}
+                {booking.status === 'cancelled' && booking.refund?.amount > 0 && (
+                  <div className="booking-detail">
+                    <strong>Refund:</strong>
+                    <span style={{ color: '#2E8B57' }}>
+                      {formatCurrency(booking.refund.amount)} ({booking.refund.status === 'processed' ? 'refunded' : 'processing'})
+                    </span>
+                  </div>
+                )}
                 {booking.contactNumber && (
                   <div className="booking-detail">
                     <strong>Contact:</strong>
@@ -1706,20 +2924,54 @@ const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
               
               <div className="booking-actions">
                 <Link to={`/dashboard/tour/${booking.tour?._id || booking.tourId}`} className="btn-view-details">View Tour</Link>
-                {booking.status === 'confirmed' && (
+                {booking.status === 'pending' && (
+                  <button 
+                    className="btn-view-details"
+                    onClick={() => setPayingBooking(booking)}
+                  >
+                    Complete Payment
+                  </button>
+                )}
+                {(booking.allowedStatuses
+                  ? booking.allowedStatuses.includes('cancelled')
+                  : ['confirmed', 'pending'].includes(booking.status)) && (
                   <button 
                     className="btn-cancel-booking"
-                    onClick={() => handleCancelBooking(booking._id)}
+                    onClick={() => setCancellingBooking(booking)}
                   >
                     Cancel
                   </button>
                 )}
               </div>
+              {booking.status === 'pending' && booking.holdExpiresAt && (
+                <p style={{ margin: '0.75rem 0 0', fontSize: '0.85rem', color: '#b36b00' }}>
+                  Seats held until {new Date(booking.holdExpiresAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })} - pay before then to confirm.
+                </p>
+              )}
             </div>
           ))
         )}
       </div>
       
+      {cancellingBooking && (
+        <CancelBookingModal
+          booking={cancellingBooking}
+          onClose={() => setCancellingBooking(null)}
+          onCancelled={handleBookingCancelled}
+        />
+      )}
+      
+      {payingBooking && (
+        <PaymentModal
+          booking={payingBooking}
+          onClose={() => setPayingBooking(null)}
+          onPaid={(paidBooking) => {
+            setPayingBooking(null);
+            onBookingPaid(paidBooking);
+          }}
+        />
+      )}
+      
       <Link to="/dashboard" className="btn-back" style={{ marginTop: '2rem' }}>← Back to Dashboard</Link>
     </div>
   );
@@ -1727,21 +2979,156 @@ const BookingsPage = ({ user, userBookings, onCancelBooking }) => {
 
 // Tours Page Component
 const ToursPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour, onViewTourDetails }) => {
-  const [searchQuery, setSearchQuery] = useState('');
-  const [selectedType, setSelectedType] = useState('all');
+  const location = useLocation();
+  // Links from dashboard suggestions can preselect ?q=, ?category= or ?region=
+  const [initialParams] = useState(() => new URLSearchParams(location.search));
+  const [searchQuery, setSearchQuery] = useState(initialParams.get('q') || '');
+  const [selectedType, setSelectedType] = useState(initialParams.get('category') || 'all');
   const [priceRange, setPriceRange] = useState([0, 50000]);
+  const [sortBy, setSortBy] = useState('relevance');
+  const [facetFilters, setFacetFilters] = useState({ ...EMPTY_FACET_FILTERS, region: initialParams.get('region') || '' });
+  const [facets, setFacets] = useState(null);
+  const [results, setResults] = useState([]);
+  const [didYouMean, setDidYouMean] = useState(null);
+  const [pagination, setPagination] = useState(null);
+  const [loadingTours, setLoadingTours] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const fetchPage = useCallback((page) => {
+    const [sort, order] = sortBy.split(':');
+    return getTourPage({
+      page,
+      limit: TOURS_PAGE_SIZE,
+      sort,
+      order,
+      q: searchQuery,
+      category: selectedType,
+      maxPrice: priceRange[1],
+      filters: facetFilters,
+      // Counts only change with the filters, so the first page is enough
+      facets: page === 1
+    });
+  }, [sortBy, searchQuery, selectedType, priceRange, facetFilters]);
 
-  const filteredTours = tours.filter(tour => {
-    const price = tour.price || 0;
-    const matchesSearch = tour.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         tour.description.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         (tour.overview?.highlights?.some(highlight => 
-                           highlight.toLowerCase().includes(searchQuery.toLowerCase())
-                         ));
-    const matchesPrice = price >= priceRange[0] && price <= priceRange[1];
-    const matchesType = selectedType === 'all' || tour.category === selectedType || tour.type === selectedType;
-    return matchesSearch && matchesPrice && matchesType;
-  });
+  // Start again from the first page whenever a filter or the sort changes
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoadingTours(true);
+      const result = await fetchPage(1);
+      if (cancelled) return;
+      setResults(result.tours);
+      setPagination(result.pagination);
+      setDidYouMean(result.didYouMean);
+      setFacets(result.facets);
+      setLoadingTours(false);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fetchPage]);
+
+  const handleLoadMore = async () => {
+    if (!pagination?.hasMore || loadingMore) return;
+
+    setLoadingMore(true);
+    const result = await fetchPage(pagination.page + 1);
+    if (result.pagination) {
+      // Skip tours already shown in case the catalogue changed between pages
+      setResults(prev => [...prev, ...result.tours.filter(tour => !prev.some(t => t._id === tour._id))]);
+      setPagination(result.pagination);
+    }
+    setLoadingMore(false);
+  };
+
+  // Fall back to the cached tours if the listing request failed
+  const filteredTours = pagination
+    ? results
+    : filterToursLocally(tours, { q: searchQuery, category: selectedType, maxPrice: priceRange[1] });
+  const totalTours = pagination ? pagination.total : filteredTours.length;
+
+  const handleFacetChange = (key, value) => {
+    setFacetFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSelectSuggestion = (suggestion) => {
+    if (suggestion.type === 'tour') {
+      onViewTourDetails(suggestion.tourId);
+    } else if (suggestion.type === 'destination') {
+      setSearchQuery(suggestion.value);
+    } else if (suggestion.type === 'category') {
+      setSearchQuery('');
+      setSelectedType(suggestion.value);
+    } else if (suggestion.type === 'region') {
+      setSearchQuery('');
+      handleFacetChange('region', suggestion.value);
+    }
+  };
+
+  // "Beach (12)" - counts come with the first page of results
+  const withCount = (label, facet, value) => {
+    if (!facets || !facets[facet]) return label;
+    const entry = facets[facet].find(item => String(item.value) === String(value));
+    return `${label} (${entry ? entry.count : 0})`;
+  };
+
+  const formatMonth = (month) => new Date(`${month}-01T00:00:00Z`)
+    .toLocaleDateString('en-IN', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+  const categoryTotal = facets?.category?.reduce((sum, item) => sum + item.count, 0);
+
+  const facetSelects = [
+    {
+      key: 'region',
+      label: 'Region',
+      options: ['north', 'south', 'west', 'east', 'central'].map(region => ({ value: region, label: withCount(capitalize(region), 'region', region) }))
+    },
+    {
+      key: 'duration',
+      label: 'Duration',
+      options: (facets?.duration || [
+        { value: 'short', label: '1-3 days' },
+        { value: 'week', label: '4-7 days' },
+        { value: 'long', label: '8-14 days' },
+        { value: 'extended', label: '15+ days' }
+      ]).map(bucket => ({ value: bucket.value, label: withCount(bucket.label, 'duration', bucket.value) }))
+    },
+    {
+      key: 'difficulty',
+      label: 'Difficulty',
+      options: ['easy', 'moderate', 'difficult'].map(level => ({ value: level, label: withCount(capitalize(level), 'difficulty', level) }))
+    },
+    {
+      key: 'minRating',
+      label: 'Rating',
+      options: [4.5, 4, 3].map(rating => ({ value: String(rating), label: withCount(`${rating}+ stars`, 'rating', rating) }))
+    },
+    {
+      key: 'language',
+      label: 'Language',
+      options: (facets?.language || []).map(item => ({ value: item.value, label: `${item.value} (${item.count})` }))
+    },
+    {
+      key: 'month',
+      label: 'Travel Month',
+      options: (facets?.month || []).map(item => ({ value: item.value, label: `${formatMonth(item.value)} (${item.count})` }))
+    }
+  ];
+
+  // Best match falls back to newest first when there is nothing to match
+  const sortOptions = [
+    { id: 'relevance', label: 'Best match' },
+    { id: 'newest', label: 'Newest first' },
+    { id: 'popularity', label: 'Most popular' },
+    { id: 'rating', label: 'Highest rated' },
+    { id: 'price:asc', label: 'Price: low to high' },
+    { id: 'price:desc', label: 'Price: high to low' },
+    { id: 'duration', label: 'Duration: shortest first' }
+  ];
 
   const tourTypes = [
     { id: 'all', label: 'All Tours' },
@@ -1776,11 +3163,43 @@ const ToursPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour, onVi
                 transition: 'all 0.3s ease'
               }}
             >
-              {type.label}
+              {type.id === 'all'
+                ? (categoryTotal !== undefined ? `${type.label} (${categoryTotal})` : type.label)
+                : withCount(type.label, 'category', type.id)}
             </button>
           ))}
         </div>
         
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+          {facetSelects.map(facet => (
+            <label key={facet.key} style={{ display: 'block', color: '#333', fontWeight: '500' }}>
+              {facet.label}
+              <select
+                value={facetFilters[facet.key]}
+                onChange={(e) => handleFacetChange(facet.key, e.target.value)}
+                style={{
+                  display: 'block',
+                  width: '100%',
+                  marginTop: '0.5rem',
+                  padding: '0.75rem',
+                  border: '1px solid #FFE5CC',
+                  borderRadius: '8px',
+                  background: 'white'
+                }}
+              >
+                <option value="">Any</option>
+                {/* Keep a selected value listed even when it has no matches left */}
+                {facetFilters[facet.key] && !facet.options.some(option => option.value === facetFilters[facet.key]) && (
+                  <option value={facetFilters[facet.key]}>{facetFilters[facet.key]}</option>
+                )}
+                {facet.options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+        
         <div style={{ marginBottom: '1.5rem' }}>
           <label style={{ display: 'block', marginBottom: '0.5rem', color: '#333', fontWeight: '500' }}>
             Price Range: ₹{priceRange[0].toLocaleString('en-IN')} - ₹{priceRange[1].toLocaleString('en-IN')}
@@ -1796,22 +3215,42 @@ const ToursPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour, onVi
           />
         </div>
         
-        <input
-          type="text"
-          placeholder="🔍 Search tours by name, description, or highlights..."
-          value={searchQuery}
-          onChange={(e) => setSearchQuery(e.target.value)}
-          style={{
-            width: '100%',
-            padding: '1rem',
-            border: '1px solid #FFE5CC',
-            borderRadius: '10px',
-            fontSize: '1rem',
-            background: 'white'
-          }}
-        />
+        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+          <TourSearchBox
+            placeholder="🔍 Search tours by name, description, or highlights..."
+            value={searchQuery}
+            onChange={setSearchQuery}
+            onSelectSuggestion={handleSelectSuggestion}
+            style={{ flex: '1 1 280px' }}
+          />
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            style={{
+              padding: '1rem',
+              border: '1px solid #FFE5CC',
+              borderRadius: '10px',
+              fontSize: '1rem',
+              background: 'white'
+            }}
+          >
+            {sortOptions.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
       
+      {didYouMean && (
+        <DidYouMean suggestion={didYouMean} onSelect={setSearchQuery} />
+      )}
+      
+      {!loadingTours && totalTours > 0 && (
+        <p style={{ marginTop: '1.5rem', color: '#666' }}>
+          Showing {filteredTours.length} of {totalTours} tours
+        </p>
+      )}
+      
       {/* Tours Grid */}
       <div className="tours-grid" style={{ marginTop: '2rem' }}>
         {filteredTours.map(tour => (
@@ -1827,7 +3266,19 @@ const ToursPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour, onVi
         ))}
       </div>
       
-      {filteredTours.length === 0 && (
+      {pagination?.hasMore && (
+        <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+          <button onClick={handleLoadMore} className="btn-details" disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : 'Load More Tours'}
+          </button>
+        </div>
+      )}
+      
+      {loadingTours && filteredTours.length === 0 && (
+        <p style={{ marginTop: '2rem', textAlign: 'center', color: '#666' }}>Loading tours...</p>
+      )}
+      
+      {filteredTours.length === 0 && !loadingTours && (
         <div className="saved-tours-empty">
           <div className="saved-tours-empty-icon">🔍</div>
           <h3 style={{ color: '#333', marginBottom: '1rem' }}>No tours found</h3>
@@ -1837,6 +3288,8 @@ const ToursPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour, onVi
               setSearchQuery('');
               setSelectedType('all');
               setPriceRange([0, 50000]);
+              setFacetFilters(EMPTY_FACET_FILTERS);
+              setSortBy('relevance');
             }}
             className="btn-details"
           >
@@ -1851,8 +3304,247 @@ const ToursPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour, onVi
 };
 
 // Profile Page Component
+// Confirms account deletion with the user's password
+const DeleteAccountModal = ({ onClose, onScheduled }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleConfirm = async () => {
+    if (!password) {
+      setError('Please enter your password');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+    try {
+      onScheduled(await requestAccountDeletion(password));
+    } catch (deleteError) {
+      setError(deleteError.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="edit-profile-modal-overlay" onClick={onClose}>
+      <div className="edit-profile-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Delete Account</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-content">
+          <p>Your account will be deleted after a grace period - until then you can sign in and keep it.</p>
+          <ul style={{ margin: '0.75rem 0', paddingLeft: '1.25rem', color: '#555', fontSize: '0.9rem' }}>
+            <li>Your name, email, phone, address and saved tours are removed.</li>
+            <li>Past bookings are kept for our records without your contact details.</li>
+            <li>Your star ratings stay on tours; the text of your reviews is removed.</li>
+            <li>All your other devices are signed out now.</li>
+          </ul>
+
+          <div className="profile-form-group">
+            <label>Password *</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => {
+                setPassword(e.target.value);
+                setError('');
+              }}
+              placeholder="Enter your password to confirm"
+              autoComplete="current-password"
+            />
+          </div>
+
+          {error && <p className="error-message" style={{ display: 'block' }}>{error}</p>}
+        </div>
+
+        <div className="modal-buttons">
+          <button type="button" className="btn-cancel" onClick={onClose}>
+            Keep My Account
+          </button>
+          <button
+            type="button"
+            className="btn-confirm"
+            style={{ background: '#dc3545' }}
+            onClick={handleConfirm}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Deleting...' : 'Delete Account'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Signed-in devices on the profile page, each of which can be signed out
+const SessionsSection = () => {
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState(null);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSessions()
+      .then(data => {
+        if (!cancelled) setSessions(data);
+      })
+      .catch(loadError => {
+        if (!cancelled) setError(loadError.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const endThisDevice = () => {
+    clearSession();
+    navigate('/login');
+  };
+
+  const handleRevoke = async (session) => {
+    setBusyId(session.id);
+    setError('');
+    try {
+      await revokeSession(session.id);
+      if (session.current) {
+        endThisDevice();
+        return;
+      }
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (revokeError) {
+      setError(revokeError.message);
+    }
+    setBusyId(null);
+  };
+
+  const handleRevokeAll = async (keepCurrent) => {
+    const question = keepCurrent
+      ? 'Sign out of all your other devices?'
+      : 'Sign out everywhere, including this device?';
+    if (!window.confirm(question)) return;
+
+    setBusyId(keepCurrent ? 'others' : 'all');
+    setError('');
+    try {
+      await revokeAllSessions(keepCurrent);
+      if (!keepCurrent) {
+        endThisDevice();
+        return;
+      }
+      setSessions(prev => prev.filter(item => item.current));
+    } catch (revokeError) {
+      setError(revokeError.message);
+    }
+    setBusyId(null);
+  };
+
+  const hasOtherDevices = sessions && sessions.some(session => !session.current);
+
+  return (
+    <div style={{ marginTop: '2rem' }}>
+      <h3>Signed-in Devices</h3>
+
+      {!sessions && !error && <p style={{ color: '#666' }}>Loading your devices...</p>}
+
+      {error && <p className="error-message" style={{ display: 'block' }}>{error}</p>}
+
+      {sessions && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', marginTop: '1rem' }}>
+          {sessions.map(session => (
+            <div
+              key={session.id}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '1rem',
+                padding: '0.75rem 1rem',
+                border: '1px solid #e0e0e0',
+                borderRadius: '8px'
+              }}
+            >
+              <div>
+                <strong>{session.device}</strong>
+                {session.current && (
+                  <span style={{ marginLeft: '0.5rem', color: '#2E8B57', fontSize: '0.85rem' }}>This device</span>
+                )}
+                <div style={{ color: '#666', fontSize: '0.85rem' }}>
+                  {session.ip ? `${session.ip} · ` : ''}Last active {new Date(session.lastSeenAt).toLocaleString('en-IN', {
+                    day: 'numeric',
+                    month: 'short',
+                    year: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit'
+                  })}
+                </div>
+              </div>
+              <button
+                className="btn-details"
+                style={{ background: 'white', borderColor: '#dc3545', color: '#dc3545' }}
+                disabled={busyId !== null}
+                onClick={() => handleRevoke(session)}
+              >
+                {busyId === session.id ? 'Signing out...' : 'Sign Out'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {sessions && (
+        <div style={{ marginTop: '1rem', display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+          {hasOtherDevices && (
+            <button className="btn-details" disabled={busyId !== null} onClick={() => handleRevokeAll(true)}>
+              {busyId === 'others' ? 'Signing out...' : 'Sign Out Other Devices'}
+            </button>
+          )}
+          <button
+            className="btn-details"
+            style={{ background: 'white', borderColor: '#dc3545', color: '#dc3545' }}
+            disabled={busyId !== null}
+            onClick={() => handleRevokeAll(false)}
+          >
+            {busyId === 'all' ? 'Signing out...' : 'Sign Out Everywhere'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const ProfilePage = ({ user, userBookings, savedTours, onEditProfile }) => {
   const [showEditModal, setShowEditModal] = useState(false);
+  const [verificationNotice, setVerificationNotice] = useState(null);
+  const [sendingVerification, setSendingVerification] = useState(false);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  // Set once the user schedules or cancels deletion here; until then it comes from the profile
+  const [deletionOverride, setDeletionOverride] = useState(undefined);
+  const [deletionError, setDeletionError] = useState('');
+  const deletionScheduledFor = deletionOverride !== undefined ? deletionOverride : user?.deletionScheduledFor;
+
+  const handleCancelDeletion = async () => {
+    setDeletionError('');
+    try {
+      await cancelAccountDeletion();
+      setDeletionOverride(null);
+    } catch (error) {
+      setDeletionError(error.message);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    setSendingVerification(true);
+    try {
+      setVerificationNotice({ type: 'success', text: await resendVerificationEmail() });
+    } catch (error) {
+      setVerificationNotice({ type: 'error', text: error.message });
+    }
+    setSendingVerification(false);
+  };
 
   // Calculate stats
   const confirmedBookingsCount = userBookings.filter(booking => booking.status === 'confirmed').length;
@@ -1868,7 +3560,29 @@ const ProfilePage = ({ user, userBookings, savedTours, onEditProfile }) => {
         <>
           <div className="profile-info">
             <p><strong>Name:</strong> {user.name}</p>
-            <p><strong>Email:</strong> {user.email}</p>
+            <p>
+              <strong>Email:</strong> {user.email}{' '}
+              {user.emailVerified ? (
+                <span style={{ color: '#2E8B57', fontSize: '0.85rem' }}>✓ Confirmed</span>
+              ) : (
+                <>
+                  <span style={{ color: '#dc3545', fontSize: '0.85rem' }}>Not confirmed</span>{' '}
+                  <button
+                    type="button"
+                    onClick={handleResendVerification}
+                    disabled={sendingVerification}
+                    style={{ background: 'none', border: 'none', padding: 0, color: '#2E8B57', textDecoration: 'underline', cursor: 'pointer', fontSize: '0.85rem' }}
+                  >
+                    {sendingVerification ? 'Sending...' : 'Send confirmation email'}
+                  </button>
+                </>
+              )}
+            </p>
+            {verificationNotice && (
+              <p style={{ color: verificationNotice.type === 'success' ? '#2E8B57' : '#dc3545', fontSize: '0.85rem' }}>
+                {verificationNotice.text}
+              </p>
+            )}
             <p><strong>Phone:</strong> {user.phone || 'Not provided'}</p>
             <p><strong>Address:</strong> {user.address || 'Not provided'}</p>
             <p><strong>Member Since:</strong> {new Date(user.createdAt).toLocaleDateString('en-US', { 
@@ -1876,7 +3590,11 @@ const ProfilePage = ({ user, userBookings, savedTours, onEditProfile }) => {
               month: 'long', 
               day: 'numeric' 
             })}</p>
-            <p><strong>Account Status:</strong> <span style={{ color: '#2E8B57' }}>Active</span></p>
+            <p><strong>Account Status:</strong> {deletionScheduledFor ? (
+              <span style={{ color: '#dc3545' }}>Scheduled for deletion</span>
+            ) : (
+              <span style={{ color: '#2E8B57' }}>Active</span>
+            )}</p>
             <p><strong>Total Bookings:</strong> {userBookings.length}</p>
             <p><strong>Confirmed Bookings:</strong> {confirmedBookingsCount}</p>
             <p><strong>Cancelled Bookings:</strong> {cancelledBookingsCount}</p>
@@ -1890,11 +3608,47 @@ const ProfilePage = ({ user, userBookings, savedTours, onEditProfile }) => {
             <Link to="/dashboard/bookings" className="btn-details">View Bookings</Link>
             <Link to="/dashboard/saved" className="btn-details">View Saved Tours</Link>
           </div>
+
+          <SessionsSection />
+
+          <div style={{ marginTop: '2rem' }}>
+            <h3>Delete Account</h3>
+            {deletionScheduledFor ? (
+              <>
+                <p style={{ color: '#dc3545' }}>
+                  Your account will be deleted on {new Date(deletionScheduledFor).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}.
+                </p>
+                <button className="btn-details" onClick={handleCancelDeletion}>Keep My Account</button>
+              </>
+            ) : (
+              <>
+                <p style={{ color: '#666' }}>Close your account and remove your personal details.</p>
+                <button
+                  className="btn-details"
+                  style={{ background: 'white', borderColor: '#dc3545', color: '#dc3545' }}
+                  onClick={() => setShowDeleteModal(true)}
+                >
+                  Delete Account
+                </button>
+              </>
+            )}
+            {deletionError && <p className="error-message" style={{ display: 'block' }}>{deletionError}</p>}
+          </div>
         </>
       )}
       
       <Link to="/dashboard" className="btn-back" style={{ marginTop: '2rem' }}>← Back to Dashboard</Link>
 
+      {showDeleteModal && (
+        <DeleteAccountModal
+          onClose={() => setShowDeleteModal(false)}
+          onScheduled={(date) => {
+            setDeletionOverride(date);
+            setShowDeleteModal(false);
+          }}
+        />
+      )}
+
       {showEditModal && user && (
         <EditProfileModal
           user={user}
@@ -1913,10 +3667,15 @@ const ProfilePage = ({ user, userBookings, savedTours, onEditProfile }) => {
 const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour }) => {
   const location = useLocation();
   const tourId = location.pathname.split('/').pop();
+  // ?preview=1 comes from the admin panel - loads drafts and archived tours through the admin API
+  const isPreview = new URLSearchParams(location.search).get('preview') === '1';
   const tour = tours.find(t => t._id === tourId);
   const isSaved = savedTours.some(t => t._id === tourId);
   const [ratings, setRatings] = useState([]);
-  const [showAllRatings, setShowAllRatings] = useState(false);
+  const [ratingsPagination, setRatingsPagination] = useState(null);
+  const [ratingSort, setRatingSort] = useState('newest');
+  const [ratingsWithText, setRatingsWithText] = useState(false);
+  const [loadingRatings, setLoadingRatings] = useState(false);
   const [loading, setLoading] = useState(false);
   const [tourDetails, setTourDetails] = useState(null);
   const [error, setError] = useState(null);
@@ -1930,7 +3689,7 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
         setError(null);
         try {
           console.log('🔄 Fetching tour details for:', tourId);
-          const response = await fetchWithRetry(`${API_URL}/tours/${tourId}`);
+          const response = await fetchWithRetry(`${API_URL}/${isPreview ? 'admin/tours' : 'tours'}/${tourId}`);
           
           if (response.data.success) {
             const tourData = response.data.data;
@@ -1999,15 +3758,6 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
             });
             
             setTourDetails(formattedTour);
-            
-            // Fetch ratings
-            try {
-              const ratingsResponse = await getTourRatings(tourId);
-              setRatings(ratingsResponse || []);
-            } catch (ratingError) {
-              console.error('Error fetching ratings:', ratingError);
-              setRatings([]);
-            }
           } else {
             setError('Failed to load tour details');
           }
@@ -2038,7 +3788,42 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
     };
     
     fetchTourDetails();
-  }, [tourId, tours]);
+  }, [tourId, tours, isPreview]);
+
+  // Reviews load a page at a time - start over when the sort or filter changes
+  useEffect(() => {
+    if (!tourId) return;
+    
+    let cancelled = false;
+    setLoadingRatings(true);
+    getTourRatings(tourId, { sort: ratingSort, withText: ratingsWithText })
+      .then(({ ratings: firstPage, pagination }) => {
+        if (cancelled) return;
+        setRatings(firstPage);
+        setRatingsPagination(pagination);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingRatings(false);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [tourId, ratingSort, ratingsWithText]);
+
+  const loadMoreRatings = async () => {
+    if (!ratingsPagination?.hasMore || loadingRatings) return;
+    
+    setLoadingRatings(true);
+    const { ratings: nextPage, pagination } = await getTourRatings(tourId, {
+      page: ratingsPagination.page + 1,
+      sort: ratingSort,
+      withText: ratingsWithText
+    });
+    setRatings(prev => [...prev, ...nextPage]);
+    setRatingsPagination(pagination);
+    setLoadingRatings(false);
+  };
 
   const handleSaveClick = (e) => {
     e.preventDefault();
@@ -2082,6 +3867,8 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
     );
   }
 
+  const heroImage = tourDetails.images && tourDetails.images.length > 0 ? tourDetails.images[0] : tourDetails.image;
+
   // Function to render itinerary - CRITICAL for displaying day-wise details from admin
   const renderItinerary = () => {
     if (!tourDetails.itinerary || tourDetails.itinerary.length === 0) {
@@ -2155,7 +3942,7 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
 
   // Function to render ratings section
   const renderRatingsSection = () => {
-    const visibleRatings = showAllRatings ? ratings : ratings.slice(0, 3);
+    const remainingRatings = ratingsPagination ? ratingsPagination.total - ratings.length : 0;
     
     return (
       <div className="tour-detail-section">
@@ -2212,6 +3999,28 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
           </button>
         </div>
         
+        {(ratings.length > 0 || ratingsWithText) && (
+          <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1rem' }}>
+            <select
+              value={ratingSort}
+              onChange={(e) => setRatingSort(e.target.value)}
+              style={{ padding: '0.5rem', borderRadius: '6px', border: '1px solid #FFE5CC' }}
+            >
+              <option value="newest">Newest first</option>
+              <option value="highest">Highest rated</option>
+              <option value="lowest">Lowest rated</option>
+            </select>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', color: '#666', cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={ratingsWithText}
+                onChange={(e) => setRatingsWithText(e.target.checked)}
+              />
+              With written reviews only
+            </label>
+          </div>
+        )}
+        
         {ratings.length === 0 ? (
           <div style={{ 
             textAlign: 'center', 
@@ -2221,13 +4030,19 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
             color: '#666'
           }}>
             <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>⭐</div>
-            <p>No reviews yet. Be the first to share your experience!</p>
+            <p>
+              {loadingRatings
+                ? 'Loading reviews...'
+                : ratingsWithText
+                  ? 'No written reviews yet.'
+                  : 'No reviews yet. Be the first to share your experience!'}
+            </p>
           </div>
         ) : (
           <>
             <div style={{ display: 'flex', flexDirection: 'column', gap: '1.5rem' }}>
-              {visibleRatings.map((rating, index) => (
-                <div key={index} style={{ 
+              {ratings.map((rating, index) => (
+                <div key={rating._id || index} style={{ 
                   background: '#FFFAF5', 
                   padding: '1.5rem', 
                   borderRadius: '10px',
@@ -2238,6 +4053,19 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
                       <strong style={{ color: '#333' }}>
                         {rating.userId?.name || 'Anonymous User'}
                       </strong>
+                      {rating.verified && (
+                        <span style={{ 
+                          marginLeft: '0.5rem',
+                          background: '#E8F5E9',
+                          color: '#2E7D32',
+                          padding: '0.15rem 0.5rem',
+                          borderRadius: '4px',
+                          fontSize: '0.75rem',
+                          fontWeight: '600'
+                        }}>
+                          ✓ Verified traveler
+                        </span>
+                      )}
                       <div style={{ marginTop: '0.25rem' }}>
                         <StarRating 
                           rating={rating.rating} 
@@ -2266,10 +4094,11 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
               ))}
             </div>
             
-            {ratings.length > 3 && (
+            {ratingsPagination?.hasMore && (
               <div style={{ textAlign: 'center', marginTop: '1.5rem' }}>
                 <button 
-                  onClick={() => setShowAllRatings(!showAllRatings)}
+                  onClick={loadMoreRatings}
+                  disabled={loadingRatings}
                   style={{
                     padding: '0.75rem 1.5rem',
                     background: '#FFFAF5',
@@ -2281,7 +4110,7 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
                     fontSize: '0.9rem'
                   }}
                 >
-                  {showAllRatings ? 'Show Less' : `Show All ${ratings.length} Reviews`}
+                  {loadingRatings ? 'Loading...' : `Show More Reviews (${remainingRatings} more)`}
                 </button>
               </div>
             )}
@@ -2434,13 +4263,30 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
 
   return (
     <div className="page-content tour-detail-page">
+      {isPreview && (
+        <div style={{
+          background: '#FFF8E1',
+          border: '1px solid #FFC107',
+          borderRadius: '8px',
+          padding: '0.75rem 1rem',
+          marginBottom: '1rem',
+          color: '#7a5b00'
+        }}>
+          <strong>Preview</strong> - this tour is {TOUR_PREVIEW_STATES[tourDetails.visibility] || 'live'}.
+          {tourDetails.visibility && tourDetails.visibility !== 'live' && ' Travellers can\'t see it.'} Booking is turned off here.
+        </div>
+      )}
+      
       <div className="tour-detail-header">
         <div className="tour-detail-hero">
           <img 
-            src={tourDetails.images && tourDetails.images.length > 0 ? tourDetails.images[0] : tourDetails.image} 
+            src={heroImage} 
+            srcSet={getImageSrcSet(heroImage)}
+            sizes={TOUR_HERO_IMAGE_SIZES}
             alt={tourDetails.title}
             className="tour-detail-image"
             onError={(e) => {
+              e.target.removeAttribute('srcset');
               e.target.src = 'https://via.placeholder.com/800x400?text=Tour+Image';
             }}
           />
@@ -2729,32 +4575,67 @@ const TourDetailPage = ({ tours, savedTours, onBookTour, onSaveTour, onRateTour
               </div>
             </div>
           )}
+
+          {/* Structured cancellation tiers if the tour has them */}
+          {tourDetails.pricing?.cancellationTiers && tourDetails.pricing.cancellationTiers.length > 0 && (
+            <div className="tour-detail-section">
+              <h3 className="section-title">
+                <span style={{ marginRight: '0.5rem' }}>↩️</span>
+                Cancellation & Refunds
+              </h3>
+              <div style={{ 
+                background: '#F8F9FA', 
+                padding: '1.5rem', 
+                borderRadius: '10px',
+                border: '1px solid #E9ECEF'
+              }}>
+                {[...tourDetails.pricing.cancellationTiers]
+                  .sort((a, b) => b.minDaysBeforeTravel - a.minDaysBeforeTravel)
+                  .map((tier, index, tiers) => (
+                    <div key={tier.minDaysBeforeTravel} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                      <span style={{ color: '#333' }}>
+                        {tier.minDaysBeforeTravel === 0 && index > 0
+                          ? `Less than ${tiers[index - 1].minDaysBeforeTravel} days before travel`
+                          : `${tier.minDaysBeforeTravel}+ days before travel`}
+                      </span>
+                      <strong style={{ color: tier.refundPercentage > 0 ? '#28a745' : '#dc3545' }}>
+                        {tier.refundPercentage}% refund
+                      </strong>
+                    </div>
+                  ))}
+              </div>
+            </div>
+          )}
         </div>
       </div>
 
       {/* Action Buttons - Keep the 💾 Save for Later button as is */}
       <div className="tour-detail-actions">
-        <button 
-          className="btn-book-tour"
-          onClick={() => onBookTour(tourDetails)}
-        >
-          <span style={{ marginRight: '0.5rem' }}>✈️</span> Book This Tour
-        </button>
-        
-        <button 
-          className={`btn-save-tour ${isSaved ? 'saved' : ''}`}
-          onClick={() => onSaveTour(tourDetails._id)}
-        >
-          {isSaved ? '✓ Saved to List' : '💾 Save for Later'}
-        </button>
-        
-        <button 
-          className="btn-save-tour"
-          onClick={() => onRateTour(tourDetails)}
-          style={{ background: '#FFFAF5', color: '#FF9966', borderColor: '#FF9966' }}
-        >
-          ⭐ Rate This Tour
-        </button>
+        {!isPreview && (
+          <>
+            <button 
+              className="btn-book-tour"
+              onClick={() => onBookTour(tourDetails)}
+            >
+              <span style={{ marginRight: '0.5rem' }}>✈️</span> Book This Tour
+            </button>
+            
+            <button 
+              className={`btn-save-tour ${isSaved ? 'saved' : ''}`}
+              onClick={() => onSaveTour(tourDetails._id)}
+            >
+              {isSaved ? '✓ Saved to List' : '💾 Save for Later'}
+            </button>
+            
+            <button 
+              className="btn-save-tour"
+              onClick={() => onRateTour(tourDetails)}
+              style={{ background: '#FFFAF5', color: '#FF9966', borderColor: '#FF9966' }}
+            >
+              ⭐ Rate This Tour
+            </button>
+          </>
+        )}
         
         <Link to="/dashboard/tours" className="btn-back-to-tours">
           ← Back to Tours
@@ -2988,7 +4869,7 @@ const Dashboard = () => {
           
           // Fetch user bookings
           try {
-            const bookingsResponse = await fetchWithRetry(`${API_URL}/bookings/user/${userData._id}`);
+            const bookingsResponse = await fetchWithRetry(`${API_URL}/bookings/me`);
             if (bookingsResponse.data.success) {
               setUserBookings(bookingsResponse.data.data || []);
             }
@@ -3002,7 +4883,7 @@ const Dashboard = () => {
           
           // Load saved tours from MongoDB database
           try {
-            const savedToursFromDB = await getSavedToursFromDB(userData._id);
+            const savedToursFromDB = await getSavedToursFromDB();
             setSavedTours(savedToursFromDB);
           } catch (savedToursError) {
             console.error('Error loading saved tours from DB:', savedToursError);
@@ -3046,11 +4927,11 @@ const Dashboard = () => {
         try {
           await loadToursWithDetails();
           
-          const bookings = await getUserBookings(user._id);
+          const bookings = await getUserBookings();
           setUserBookings(bookings);
           
           // Load saved tours from MongoDB database
-          const savedToursFromDB = await getSavedToursFromDB(user._id);
+          const savedToursFromDB = await getSavedToursFromDB();
           setSavedTours(savedToursFromDB);
         } catch (error) {
           console.error('Error fetching data:', error);
@@ -3087,9 +4968,20 @@ const Dashboard = () => {
     
     setShowBookingModal(false);
     setSelectedTour(null);
+    if (booking.status === 'pending') {
+      addDashboardToast(`Booking reserved for ${booking.tourTitle}. Complete payment from My Bookings to confirm it.`, 'success');
+      return;
+    }
     addDashboardToast(`Booking confirmed for ${booking.tourTitle}! Total: ₹${(booking.totalPrice || booking.totalAmount).toLocaleString('en-IN')}`, 'success');
   };
 
+  const handleBookingPaid = (paidBooking) => {
+    setUserBookings(prev => prev.map(booking =>
+      booking._id === paidBooking._id ? { ...booking, ...paidBooking } : booking
+    ));
+    addDashboardToast(`Payment received - booking confirmed for ${paidBooking.tour?.title || paidBooking.tourTitle}!`, 'success');
+  };
+
   const handleSubmitRating = (ratingData) => {
     // Update tour rating in local state
     setTours(prev => prev.map(tour => {
@@ -3108,15 +5000,19 @@ const Dashboard = () => {
     addDashboardToast('Thank you for your rating!', 'success');
   };
 
-  const handleCancelBooking = (bookingId) => {
+  const handleCancelBooking = (bookingId, refund) => {
     setUserBookings(prev => 
       prev.map(booking => 
         booking._id === bookingId 
-          ? { ...booking, status: 'cancelled' }
+          ? { ...booking, status: 'cancelled', refund, allowedStatuses: [] }
           : booking
       )
     );
     
+    if (refund?.amount > 0) {
+      addDashboardToast(`Booking cancelled. A refund of ₹${refund.amount.toLocaleString('en-IN')} is on its way.`, 'success');
+      return;
+    }
     addDashboardToast('Booking cancelled successfully!', 'success');
   };
 
@@ -3131,14 +5027,14 @@ const Dashboard = () => {
     try {
       if (isCurrentlySaved) {
         // Remove from saved in database
-        await removeSavedTourFromDB(user._id, tourId);
+        await removeSavedTourFromDB(tourId);
         
         // Update local state
         setSavedTours(prev => prev.filter(tour => tour._id !== tourId));
         addDashboardToast('Tour removed from saved list!', 'success');
       } else {
         // Add to saved in database
-        await saveTourToDB(user._id, tourId);
+        await saveTourToDB(tourId);
         
         // Update local state - find the tour and add it
         const tourToSave = tours.find(t => t._id === tourId);
@@ -3159,8 +5055,7 @@ const Dashboard = () => {
   };
 
   const handleLogout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    logout();
     setSavedTours([]); // Clear saved tours from state
     setShowMobileMenu(false);
     navigate('/');
@@ -3498,6 +5393,7 @@ const Dashboard = () => {
                 user={user}
                 userBookings={userBookings} 
                 onCancelBooking={handleCancelBooking} 
+                onBookingPaid={handleBookingPaid}
               /> 
             } 
           />
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import './auth.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState('');
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.post(`${API_URL}/auth/forgot-password`, { email: email.trim() }, { timeout: 15000 });
+      setSent(true);
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError(err.response?.data?.message || 'Could not send the email. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-card-wrapper">
+          <div className="split-card">
+            <div className="form-section">
+              <div className="auth-form">
+                <h2>Forgot Password</h2>
+                <p className="auth-subtitle">We'll email you a link to choose a new one</p>
+
+                {sent ? (
+                  <div className="alert alert-success">
+                    If an account exists for {email.trim()}, a reset link is on its way. It is valid for 1 hour -
+                    check your spam folder if it doesn't arrive.
+                  </div>
+                ) : (
+                  <form onSubmit={onSubmit}>
+                    {error && <div className="alert alert-danger">{error}</div>}
+
+                    <div className="form-group">
+                      <label>Email Address</label>
+                      <input
+                        type="email"
+                        name="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        required
+                        placeholder="Enter your email"
+                        disabled={loading}
+                        inputMode="email"
+                        autoCapitalize="none"
+                      />
+                    </div>
+
+                    <button type="submit" className="btn-primary" disabled={loading}>
+                      {loading ? (
+                        <>
+                          <span className="spinner"></span> Sending...
+                        </>
+                      ) : (
+                        'Send Reset Link'
+                      )}
+                    </button>
+                  </form>
+                )}
+
+                <div className="auth-link">
+                  <p>Remembered it? <Link to="/login">Back to Login</Link></p>
+                </div>
+
+                <div className="auth-footer">
+                  <Link to="/" className="back-home">
+                    ← Back to Home
+                  </Link>
+                </div>
+              </div>
+            </div>
+
+            <div className="illustration-section">
+              <div className="logo">
+                <h1>TourVista India</h1>
+              </div>
+
+              <div className="illustration-content">
+                <h2>Locked Out?</h2>
+                <p>It happens. Enter the email you signed up with and we'll help you back into your account.</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import axios from 'axios';
 import './auth.css';
+import { saveSession } from '../utils/session';
 
 // Toast component
 const Toast = ({ message, type, onClose }) => {
@@ -35,6 +36,7 @@ const Login = () => {
   const [toasts, setToasts] = useState([]);
   const [isMobile, setIsMobile] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
 
   const { email, password } = formData;
 
@@ -61,15 +63,7 @@ const Login = () => {
 
   const onChange = (e) => {
     const { name, value } = e.target;
-    
-    // Password validation - allow 6 to 10 characters
-    if (name === 'password') {
-      if (value.length <= 10) {
-        setFormData({ ...formData, [name]: value });
-      }
-    } else {
-      setFormData({ ...formData, [name]: value });
-    }
+    setFormData({ ...formData, [name]: value });
   };
 
   // Email validation
@@ -98,8 +92,6 @@ const Login = () => {
     if (!email.trim()) errors.push('Email is required');
     if (!validateEmail(email)) errors.push('Please enter a valid email address');
     if (!password) errors.push('Password is required');
-    if (password.length < 6) errors.push('Password must be at least 6 characters');
-    if (password.length > 10) errors.push('Password cannot exceed 10 characters');
     
     if (errors.length > 0) {
       errors.forEach(error => addToast(error, 'error'));
@@ -107,35 +99,7 @@ const Login = () => {
       return;
     }
 
-    // Default Admin Credentials Check
-    if (email === 'admin@tourvista.com' && password === 'Admin@123') {
-      const adminUser = {
-        id: 'admin-001',
-        name: 'Administrator',
-        email: 'admin@tourvista.com',
-        role: 'admin',
-        createdAt: new Date().toISOString()
-      };
-
-      localStorage.setItem('token', 'admin-token-123456');
-      localStorage.setItem('user', JSON.stringify(adminUser));
-      
-      const allUsers = JSON.parse(localStorage.getItem('allUsers') || '[]');
-      if (!allUsers.find(u => u.email === 'admin@tourvista.com')) {
-        allUsers.push(adminUser);
-        localStorage.setItem('allUsers', JSON.stringify(allUsers));
-      }
-
-      addToast('Welcome Administrator! Redirecting to Admin Panel...', 'success');
-      
-      setTimeout(() => {
-        navigate('/admin');
-      }, 1500);
-      setLoading(false);
-      return;
-    }
-
-    // Regular user login
+    // Admins sign in here too - the server decides the role
     try {
       const API_BASE_URL = getApiBaseUrl();
       
@@ -151,8 +115,7 @@ const Login = () => {
       });
 
       if (res.data.success) {
-        localStorage.setItem('token', res.data.token);
-        localStorage.setItem('user', JSON.stringify(res.data.user));
+        saveSession(res.data);
         
         const allUsers = JSON.parse(localStorage.getItem('allUsers') || '[]');
         if (!allUsers.find(u => u.id === res.data.user.id)) {
@@ -160,11 +123,7 @@ const Login = () => {
           localStorage.setItem('allUsers', JSON.stringify(allUsers));
         }
         
-        addToast('Login successful! Redirecting to Dashboard...', 'success');
-        
-        setTimeout(() => {
-          navigate('/dashboard');
-        }, 1500);
+        completeLogin(res.data.user);
       } else {
         addToast(res.data.message || 'Login failed', 'error');
       }
@@ -190,12 +149,8 @@ const Login = () => {
             );
             
             if (fallbackRes.data.success) {
-              localStorage.setItem('token', fallbackRes.data.token);
-              localStorage.setItem('user', JSON.stringify(fallbackRes.data.user));
-              addToast('Login successful! Redirecting to Dashboard...', 'success');
-              setTimeout(() => {
-                navigate('/dashboard');
-              }, 1500);
+              saveSession(fallbackRes.data);
+              completeLogin(fallbackRes.data.user);
             }
           } catch (fallbackErr) {
             handleFallbackError(fallbackErr);
@@ -212,6 +167,24 @@ const Login = () => {
     }
   };
 
+  // Back to the page that sent the user here (admin pages only for admins), else their home page
+  const completeLogin = (user) => {
+    const isAdmin = user.role === 'admin';
+    const from = location.state?.from;
+    const destination = from && (isAdmin || !from.startsWith('/admin'))
+      ? from
+      : isAdmin ? '/admin' : '/dashboard';
+
+    addToast(
+      isAdmin ? 'Welcome Administrator! Redirecting to Admin Panel...' : 'Login successful! Redirecting to Dashboard...',
+      'success'
+    );
+
+    setTimeout(() => {
+      navigate(destination, { replace: true });
+    }, 1500);
+  };
+
   const handleFallbackError = (err) => {
     if (err.response?.status === 401) {
       addToast('Invalid email or password', 'error');
@@ -271,12 +244,11 @@ const Login = () => {
                       required
                       placeholder="Enter your password"
                       disabled={loading}
-                      maxLength="10"
                       autoComplete="current-password"
                     />
-                    <small className="form-hint">
-                      Password must be 6-10 characters
-                    </small>
+                    <div className="forgot-password">
+                      <Link to="/forgot-password">Forgot password?</Link>
+                    </div>
                   </div>
                   
                   <button type="submit" className="btn-primary" disabled={loading}>
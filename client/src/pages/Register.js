@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import './auth.css';
+import PasswordStrength from '../components/PasswordStrength';
 
 // Toast component
 const Toast = ({ message, type, onClose }) => {
@@ -37,7 +38,8 @@ const Register = () => {
 
     const [loading, setLoading] = useState(false);
     const [toasts, setToasts] = useState([]);
-    const [passwordStrength, setPasswordStrength] = useState('');
+    // Latest server check of the password (see PasswordStrength)
+    const [passwordCheck, setPasswordCheck] = useState(null);
     const [isMobile, setIsMobile] = useState(false);
     const navigate = useNavigate();
 
@@ -64,36 +66,7 @@ const Register = () => {
 
     const onChange = (e) => {
         const { name, value } = e.target;
-        
-        // Password validation - allow 6 to 10 characters
-        if (name === 'password') {
-            if (value.length <= 10) {
-                const newData = { ...formData, [name]: value };
-                setFormData(newData);
-                checkPasswordStrength(value);
-            }
-        } else {
-            setFormData({ ...formData, [name]: value });
-        }
-    };
-
-    const checkPasswordStrength = (password) => {
-        let strength = 0;
-        
-        if (password.length >= 6) strength++;
-        if (/[a-z]/.test(password) && /[A-Z]/.test(password)) strength++;
-        if (/\d/.test(password)) strength++;
-        if (/[^a-zA-Z\d]/.test(password)) strength++;
-        
-        if (password.length === 0) {
-            setPasswordStrength('');
-        } else if (strength < 2) {
-            setPasswordStrength('weak');
-        } else if (strength < 4) {
-            setPasswordStrength('medium');
-        } else {
-            setPasswordStrength('strong');
-        }
+        setFormData({ ...formData, [name]: value });
     };
 
     const validateEmail = (email) => {
@@ -129,8 +102,7 @@ const Register = () => {
         const cleanPhone = formData.phone.replace(/\D/g, '');
         if (!validatePhone(cleanPhone)) errors.push('Please enter a valid 10-digit phone number');
         if (!formData.password) errors.push('Password is required');
-        if (formData.password.length < 6) errors.push('Password must be at least 6 characters');
-        if (formData.password.length > 10) errors.push('Password cannot exceed 10 characters');
+        if (passwordCheck && !passwordCheck.valid) errors.push(...passwordCheck.errors);
         if (formData.password !== formData.confirmPassword) errors.push('Passwords do not match');
         
         if (errors.length > 0) {
@@ -150,7 +122,7 @@ const Register = () => {
             });
 
             if (res.data.success) {
-                addToast('Registration successful! Redirecting to login...', 'success');
+                addToast('Registration successful! Check your inbox to confirm your email.', 'success');
                 setTimeout(() => {
                     navigate('/login');
                 }, 2000);
@@ -261,12 +233,14 @@ const Register = () => {
                                             required
                                             placeholder="Create password"
                                             disabled={loading}
-                                            maxLength="10"
                                             autoComplete="new-password"
                                         />
-                                        <small className="form-hint">
-                                            Password must be 6-10 characters (letters, numbers, or special characters)
-                                        </small>
+                                        <PasswordStrength
+                                            password={formData.password}
+                                            email={formData.email}
+                                            name={formData.name}
+                                            onResult={setPasswordCheck}
+                                        />
                                     </div>
                                     
                                     <div className="form-group">
@@ -279,7 +253,6 @@ const Register = () => {
                                             required
                                             placeholder="Confirm your password"
                                             disabled={loading}
-                                            maxLength="10"
                                             autoComplete="new-password"
                                         />
                                         {formData.confirmPassword && formData.password !== formData.confirmPassword && (
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import './auth.css';
+import { clearSession } from '../utils/session';
+import PasswordStrength from '../components/PasswordStrength';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
+
+// Opened from the link in the password reset email (?token=...)
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState(token ? '' : 'This link is missing its token. Please use the link from the email.');
+
+  // Latest server check of the new password (see PasswordStrength)
+  const [passwordCheck, setPasswordCheck] = useState(null);
+
+  const onChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+  };
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+
+    if (passwordCheck && !passwordCheck.valid) {
+      setError(passwordCheck.errors[0]);
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      await axios.post(`${API_URL}/auth/reset-password`, {
+        token,
+        password: formData.password
+      }, { timeout: 15000 });
+
+      // Every device was signed out, this one included
+      clearSession();
+      setDone(true);
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err.response?.data?.message || 'Could not reset your password. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-card-wrapper">
+          <div className="split-card">
+            <div className="form-section">
+              <div className="auth-form">
+                <h2>Choose a New Password</h2>
+                <p className="auth-subtitle">You'll be signed out on all your devices</p>
+
+                {done ? (
+                  <>
+                    <div className="alert alert-success">
+                      Your password has been reset. Please sign in with the new one.
+                    </div>
+                    <button className="btn-primary" onClick={() => navigate('/login')}>
+                      Go to Login
+                    </button>
+                  </>
+                ) : (
+                  <form onSubmit={onSubmit}>
+                    {error && <div className="alert alert-danger">{error}</div>}
+
+                    <div className="form-group">
+                      <label>New Password</label>
+                      <input
+                        type="password"
+                        name="password"
+                        value={formData.password}
+                        onChange={onChange}
+                        required
+                        placeholder="Create password"
+                        disabled={loading || !token}
+                        autoComplete="new-password"
+                      />
+                      <PasswordStrength password={formData.password} onResult={setPasswordCheck} />
+                    </div>
+
+                    <div className="form-group">
+                      <label>Confirm Password</label>
+                      <input
+                        type="password"
+                        name="confirmPassword"
+                        value={formData.confirmPassword}
+                        onChange={onChange}
+                        required
+                        placeholder="Confirm your password"
+                        disabled={loading || !token}
+                        autoComplete="new-password"
+                      />
+                    </div>
+
+                    <button type="submit" className="btn-primary" disabled={loading || !token}>
+                      {loading ? (
+                        <>
+                          <span className="spinner"></span> Saving...
+                        </>
+                      ) : (
+                        'Reset Password'
+                      )}
+                    </button>
+                  </form>
+                )}
+
+                <div className="auth-link">
+                  <p>Link expired? <Link to="/forgot-password">Request a new one</Link></p>
+                </div>
+
+                <div className="auth-footer">
+                  <Link to="/" className="back-home">
+                    ← Back to Home
+                  </Link>
+                </div>
+              </div>
+            </div>
+
+            <div className="illustration-section">
+              <div className="logo">
+                <h1>TourVista India</h1>
+              </div>
+
+              <div className="illustration-content">
+                <h2>Almost There</h2>
+                <p>Pick a password you don't use anywhere else, then sign in and pick up where you left off.</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import './auth.css';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
+
+// Opened from the link in the verification email (?token=...) - confirms the address straight away
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [status, setStatus] = useState(token ? 'verifying' : 'failed');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its token. Please use the link from the email.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    let cancelled = false;
+
+    axios.post(`${API_URL}/auth/verify-email`, { token }, { timeout: 15000 })
+      .then(response => {
+        if (cancelled) return;
+
+        // Keep the signed-in copy of the user up to date
+        const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+        if (storedUser && storedUser.email === response.data.data?.email) {
+          localStorage.setItem('user', JSON.stringify({ ...storedUser, emailVerified: true }));
+        }
+
+        setStatus('verified');
+        setMessage(response.data.message);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Verify email error:', error);
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Could not confirm your email. Please try again.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-card-wrapper">
+          <div className="split-card">
+            <div className="form-section">
+              <div className="auth-form">
+                <h2>Confirm Your Email</h2>
+
+                {status === 'verifying' && (
+                  <p className="auth-subtitle">
+                    <span className="spinner"></span> Confirming your email address...
+                  </p>
+                )}
+
+                {status === 'verified' && (
+                  <div className="alert alert-success">{message}</div>
+                )}
+
+                {status === 'failed' && (
+                  <>
+                    <div className="alert alert-danger">{message}</div>
+                    <p className="form-hint">You can send a new link from your profile after signing in.</p>
+                  </>
+                )}
+
+                <div className="auth-link">
+                  <p><Link to="/dashboard">Go to Dashboard</Link> or <Link to="/login">Login</Link></p>
+                </div>
+
+                <div className="auth-footer">
+                  <Link to="/" className="back-home">
+                    ← Back to Home
+                  </Link>
+                </div>
+              </div>
+            </div>
+
+            <div className="illustration-section">
+              <div className="logo">
+                <h1>TourVista India</h1>
+              </div>
+
+              <div className="illustration-content">
+                <h2>Welcome Aboard</h2>
+                <p>A confirmed email means booking confirmations and password resets always reach you.</p>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,28 @@
+// Images uploaded to the media library are stored as <id>-<variant>.webp in three widths
+// (server/utils/mediaLibrary) - keep the names and widths in step with the server
+const IMAGE_VARIANT_WIDTHS = {
+  thumbnail: 320,
+  card: 640,
+  hero: 1600
+};
+
+const VARIANT_PATTERN = /-(thumbnail|card|hero)\.webp$/;
+
+// Rendered widths of the tour grid (dashboard.css breakpoints) and the detail hero
+export const TOUR_CARD_IMAGE_SIZES = '(max-width: 768px) 100vw, (max-width: 1024px) 50vw, 33vw';
+export const TOUR_HERO_IMAGE_SIZES = '100vw';
+
+export const isLibraryImage = (url) => VARIANT_PATTERN.test(url || '');
+
+// The same image at another size - external URLs are returned unchanged
+export const getImageVariant = (url, variant) => (
+  isLibraryImage(url) ? url.replace(VARIANT_PATTERN, `-${variant}.webp`) : url
+);
+
+// srcset for library images; undefined for external URLs, so the browser just uses src
+export const getImageSrcSet = (url) => {
+  if (!isLibraryImage(url)) return undefined;
+  return Object.entries(IMAGE_VARIANT_WIDTHS)
+    .map(([variant, width]) => `${getImageVariant(url, variant)} ${width}w`)
+    .join(', ');
+};
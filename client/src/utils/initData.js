@@ -1,22 +1,5 @@
 // Initialize default data on app startup
 export const initializeDefaultData = () => {
-  // Initialize default admin user if not exists
-  const allUsers = JSON.parse(localStorage.getItem('allUsers') || '[]');
-  
-  const adminUser = {
-    id: 'admin-001',
-    name: 'Administrator',
-    email: 'admin@tourvista.com',
-    phone: '+91 9876543210',
-    role: 'admin',
-    createdAt: new Date().toISOString()
-  };
-
-  if (!allUsers.find(u => u.email === 'admin@tourvista.com')) {
-    allUsers.push(adminUser);
-    localStorage.setItem('allUsers', JSON.stringify(allUsers));
-  }
-
   // Initialize default tours if not exists
   const defaultTours = [
     {
@@ -0,0 +1,31 @@
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
+
+let policyRequest = null;
+
+// The server's password rules ({ minLength, maxLength, requirements }), fetched once.
+// Resolves null when the server can't be reached - it checks passwords on submit anyway.
+export const getPasswordPolicy = () => {
+  if (!policyRequest) {
+    policyRequest = axios.get(`${API_URL}/auth/password-policy`, { timeout: 15000 })
+      .then(response => response.data.data)
+      .catch(error => {
+        console.error('Error loading password policy:', error);
+        policyRequest = null;
+        return null;
+      });
+  }
+  return policyRequest;
+};
+
+// Check a password with the server - { valid, errors, score (0-4), label }.
+// email and name rule out passwords built from them.
+export const checkPassword = async (password, { email, name } = {}) => {
+  const response = await axios.post(
+    `${API_URL}/auth/password-policy/check`,
+    { password, email, name },
+    { timeout: 15000 }
+  );
+  return response.data.data;
+};
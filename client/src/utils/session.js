@@ -0,0 +1,90 @@
+import axios from 'axios';
+
+const API_URL = process.env.REACT_APP_API_URL || 'https://toursvista.onrender.com/api';
+
+// The access token ('token') expires after a few minutes; the refresh token swaps it for
+// a new one, and is itself replaced each time it is used.
+export const saveSession = ({ token, refreshToken, user }) => {
+  if (token) localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  if (user) localStorage.setItem('user', JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+let pendingRefresh = null;
+
+// Get a new access token. Requests that fail together share one refresh. Resolves with
+// the token, or null when the session is over; rejects when the server can't be reached.
+export const refreshAccessToken = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return null;
+
+      try {
+        const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken }, { timeout: 15000 });
+        saveSession(response.data);
+        return response.data.token;
+      } catch (error) {
+        if (error.response?.status === 400 || error.response?.status === 401) {
+          clearSession();
+          return null;
+        }
+        throw error;
+      }
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+
+  return pendingRefresh;
+};
+
+// Retry a request that failed with an expired access token once, after a silent refresh.
+// onSessionEnded runs when the user has to sign in again.
+export const attachTokenRefresh = (client, { onSessionEnded } = {}) => {
+  client.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const config = error.config;
+      if (error.response?.status !== 401 || !config || config.retriedAfterRefresh) {
+        return Promise.reject(error);
+      }
+
+      let token;
+      try {
+        token = await refreshAccessToken();
+      } catch (refreshError) {
+        return Promise.reject(error);
+      }
+
+      if (!token) {
+        if (onSessionEnded) onSessionEnded();
+        return Promise.reject(error);
+      }
+
+      config.retriedAfterRefresh = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return client(config);
+    }
+  );
+};
+
+// Sign out this device on the server as well - the refresh token stops working
+export const logout = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  clearSession();
+
+  if (refreshToken) {
+    try {
+      await axios.post(`${API_URL}/auth/logout`, { refreshToken }, { timeout: 10000 });
+    } catch (error) {
+      console.error('Error signing out on the server:', error);
+    }
+  }
+};
@@ -1,12 +1,20 @@
 const User = require('../models/User');
 const Tour = require('../models/Tour');
 const Booking = require('../models/Booking');
+const Coupon = require('../models/Coupon');
+const Review = require('../models/Review');
+const Payment = require('../models/Payment');
+const { releaseBookingSeats, resetAllSeats } = require('../utils/seatInventory');
+const { releaseBookingCoupon, resetAllCouponUses } = require('../utils/coupons');
+const { getAllowedStatuses, changeBookingStatus } = require('../utils/bookingLifecycle');
+const { removeUserReviews } = require('../utils/ratings');
+const { invalidateSearchIndex } = require('../utils/tourSearch');
 
 // Get admin dashboard statistics
 exports.getDashboardStats = async (req, res) => {
   try {
     const totalUsers = await User.countDocuments({ role: 'user' });
-    const totalTours = await Tour.countDocuments({ isActive: true });
+    const totalTours = await Tour.countDocuments(Tour.publicFilter());
     const totalBookings = await Booking.countDocuments();
     
     // Calculate total revenue - FIXED: Include confirmed bookings only
@@ -94,9 +102,17 @@ exports.deleteUser = async (req, res) => {
       });
     }
     
-    // Delete user's bookings
+    // Delete user's bookings and free up their seats and coupon uses
+    const userBookings = await Booking.find({ user: userId });
+    for (const booking of userBookings) {
+      await releaseBookingSeats(booking);
+      await releaseBookingCoupon(booking);
+    }
     await Booking.deleteMany({ user: userId });
     
+    // Delete user's reviews and recount the tours they rated
+    await removeUserReviews(userId);
+    
     // Delete user
     await User.findByIdAndDelete(userId);
     
@@ -113,33 +129,41 @@ exports.deleteUser = async (req, res) => {
   }
 };
 
-// Get all tours for admin
+// Get all tours for admin - every state (?status=draft|published|archived narrows it),
+// with booking counts and where each tour stands in its publish schedule
 exports.getAllToursForAdmin = async (req, res) => {
   try {
-    const tours = await Tour.find();
-    
-    const toursWithBookings = await Promise.all(tours.map(async (tour) => {
-      const confirmedBookingsCount = await Booking.countDocuments({ 
-        tour: tour._id, 
-        status: 'confirmed' 
-      });
-      const totalBookingsCount = await Booking.countDocuments({ tour: tour._id });
-      
+    const filter = {};
+    if (['draft', 'published', 'archived'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const [tours, bookingCounts] = await Promise.all([
+      Tour.find(filter).sort({ updatedAt: -1 }),
+      Booking.aggregate([
+        {
+          $group: {
+            _id: '$tour',
+            total: { $sum: 1 },
+            confirmed: { $sum: { $cond: [{ $eq: ['$status', 'confirmed'] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const countsByTour = new Map(bookingCounts.map(count => [String(count._id), count]));
+    const now = new Date();
+
+    const toursWithBookings = tours.map(tour => {
+      const counts = countsByTour.get(tour._id.toString()) || { total: 0, confirmed: 0 };
       return {
-        _id: tour._id,
-        title: tour.title,
-        description: tour.description,
-        price: tour.price,
-        duration: tour.duration,
-        image: tour.images && tour.images.length > 0 ? tour.images[0] : 'https://via.placeholder.com/300x200?text=No+Image',
-        region: tour.region || 'north',
+        ...tour.toObject(),
         type: tour.category || 'heritage',
-        confirmedBookingsCount, // FIXED: Add confirmed bookings count
-        totalBookingsCount,
-        isActive: tour.isActive,
-        createdAt: tour.createdAt
+        visibility: tour.getVisibility(now),
+        confirmedBookingsCount: counts.confirmed,
+        totalBookingsCount: counts.total
       };
-    }));
+    });
     
     res.json({
       success: true,
@@ -155,6 +179,41 @@ exports.getAllToursForAdmin = async (req, res) => {
   }
 };
 
+// Get one tour in any state - used to preview drafts before publishing
+exports.getTourForAdmin = async (req, res) => {
+  try {
+    const tour = await Tour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...tour.toObject(),
+        visibility: tour.getVisibility()
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tour ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // Get all bookings for admin - UPDATED with better status handling
 exports.getAllBookingsForAdmin = async (req, res) => {
   try {
@@ -175,7 +234,14 @@ exports.getAllBookingsForAdmin = async (req, res) => {
       travelDate: booking.travelDate,
       bookingDate: booking.bookingDate,
       totalAmount: booking.totalPrice,
+      pricing: booking.pricing || null,
       status: booking.status,
+      paymentStatus: booking.paymentStatus || 'unpaid',
+      holdExpiresAt: booking.holdExpiresAt || null,
+      cancellation: booking.cancellation?.cancelledAt ? booking.cancellation : null,
+      refund: booking.refund?.status ? booking.refund : null,
+      statusHistory: booking.statusHistory || [],
+      allowedStatuses: getAllowedStatuses(booking, 'admin'),
       specialRequests: booking.specialRequirements,
       contactNumber: booking.contactNumber || booking.user.phone || 'N/A',
       createdAt: booking.createdAt
@@ -202,7 +268,7 @@ exports.getAllBookingsForAdmin = async (req, res) => {
 exports.updateBookingStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     const booking = await Booking.findById(id);
     
@@ -213,16 +279,20 @@ exports.updateBookingStatus = async (req, res) => {
       });
     }
 
-    // Validate status
-    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    // Only moves allowed by the booking lifecycle are accepted
+    const change = await changeBookingStatus(booking, status, {
+      actor: 'admin',
+      userId: req.user._id,
+      reason
+    });
+
+    if (!change.success) {
+      return res.status(change.statusCode).json({
         success: false,
-        message: 'Invalid status. Must be: pending, confirmed, cancelled, or completed'
+        message: change.message
       });
     }
 
-    booking.status = status;
     await booking.save();
 
     // Get updated booking with populated data
@@ -236,6 +306,9 @@ exports.updateBookingStatus = async (req, res) => {
       data: {
         _id: updatedBooking._id,
         status: updatedBooking.status,
+        refund: updatedBooking.refund?.status ? updatedBooking.refund : null,
+        statusHistory: updatedBooking.statusHistory,
+        allowedStatuses: getAllowedStatuses(updatedBooking, 'admin'),
         tourTitle: updatedBooking.tour.title,
         userName: updatedBooking.user.name
       }
@@ -249,6 +322,46 @@ exports.updateBookingStatus = async (req, res) => {
   }
 };
 
+// Mark a cancelled booking's refund as paid out
+exports.processRefund = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status !== 'cancelled' || !booking.refund || booking.refund.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has no pending refund'
+      });
+    }
+
+    booking.refund.status = 'processed';
+    booking.refund.processedAt = new Date();
+    await booking.save();
+
+    res.json({
+      success: true,
+      message: 'Refund marked as processed',
+      data: {
+        _id: booking._id,
+        refund: booking.refund
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // Reset all data (dangerous - admin only)
 exports.resetAllData = async (req, res) => {
   try {
@@ -270,11 +383,14 @@ exports.resetAllData = async (req, res) => {
     // Delete all non-admin users
     await User.deleteMany({ email: { $ne: 'admin@tourvista.com' } });
     
-    // Delete all bookings
+    // Delete all bookings, with their payments and coupon uses
     await Booking.deleteMany({});
+    await Payment.deleteMany({});
+    await resetAllCouponUses();
     
-    // Delete all tours
+    // Delete all tours and their reviews
     await Tour.deleteMany({});
+    await Review.deleteMany({});
     
     // Create some sample tours
     const sampleTours = [
@@ -286,7 +402,7 @@ exports.resetAllData = async (req, res) => {
         images: ['https://images.unsplash.com/photo-1524307875964-4c93f6cd2f14'],
         category: 'heritage',
         region: 'north',
-        isActive: true
+        status: 'published'
       },
       {
         title: 'Kerala Backwaters',
@@ -296,11 +412,13 @@ exports.resetAllData = async (req, res) => {
         images: ['https://images.unsplash.com/photo-1593693399748-2c36d5ea7d89'],
         category: 'wellness',
         region: 'south',
-        isActive: true
+        status: 'published'
       }
     ];
     
     await Tour.insertMany(sampleTours);
+    await Tour.backfillSlugs();
+    invalidateSearchIndex();
     
     res.json({
       success: true,
@@ -319,6 +437,8 @@ exports.resetAllData = async (req, res) => {
 exports.deleteAllBookings = async (req, res) => {
   try {
     await Booking.deleteMany({});
+    await resetAllSeats();
+    await resetAllCouponUses();
     
     res.json({
       success: true,
@@ -331,4 +451,129 @@ exports.deleteAllBookings = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// Fields an admin may set on a coupon (usedCount is managed by redemptions)
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minOrderAmount',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit',
+  'applicableTours', 'applicableCategories', 'isActive'
+];
+
+const pickCouponFields = (body) => COUPON_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    // Empty date inputs clear the date
+    fields[key] = (key === 'validFrom' || key === 'validUntil') && body[key] === '' ? null : body[key];
+  }
+  return fields;
+}, {});
+
+const handleCouponError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: messages
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A coupon with this code already exists'
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid coupon ID format'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
+// Get all coupons (admin only)
+exports.getAllCoupons = async (req, res) => {
+  try {
+    const coupons = await Coupon.find()
+      .populate('applicableTours', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    handleCouponError(res, error);
+  }
+};
+
+// Create coupon (admin only)
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = new Coupon(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    handleCouponError(res, error);
+  }
+};
+
+// Update coupon (admin only)
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    handleCouponError(res, error);
+  }
+};
+
+// Delete coupon (admin only) - bookings keep the code they were priced with
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    handleCouponError(res, error);
+  }
+};
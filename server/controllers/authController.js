@@ -1,26 +1,37 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-// Helper function to generate JWT token
-const generateToken = (user) => {
-  // Check if JWT_SECRET is set
-  const jwtSecret = process.env.JWT_SECRET;
-  
-  if (!jwtSecret) {
-    console.error('❌ JWT_SECRET is not set in environment variables!');
-    throw new Error('Server configuration error: JWT_SECRET is missing');
+const { startSession, rotateSession, endSession } = require('../utils/sessions');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/accountEmails');
+const { readToken, matchesPassword } = require('../utils/accountTokens');
+const { GRACE_DAYS, getDeletionDate, hasUpcomingBookings } = require('../utils/accountDeletion');
+const { checkPassword, describePolicy } = require('../utils/passwordPolicy');
+
+const MAX_RECENT_SEARCHES = 10;
+const EMAIL_RESEND_INTERVAL_MS = 60 * 1000; // Per user, for reset and verification emails
+
+// Claim the right to send one of the account emails. Returns the user (with its password
+// hash) or null when the last one went out less than a minute ago.
+const claimEmailSlot = (userFilter, field) => User.findOneAndUpdate(
+  {
+    ...userFilter,
+    $or: [
+      { [field]: null },
+      { [field]: { $lt: new Date(Date.now() - EMAIL_RESEND_INTERVAL_MS) } }
+    ]
+  },
+  { [field]: new Date() },
+  { new: true }
+).select('+password');
+
+// Sign-up and email changes shouldn't fail because the mail server is down - the user can resend
+const sendVerificationInBackground = async (userId) => {
+  try {
+    const user = await claimEmailSlot({ _id: userId, emailVerified: false }, 'verificationSentAt');
+    if (user) await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error.message);
   }
-  
-  return jwt.sign(
-    {
-      userId: user._id,
-      email: user.email,
-      role: user.role
-    },
-    jwtSecret,
-    { expiresIn: '7d' }
-  );
 };
 
 // Register user
@@ -38,6 +49,15 @@ exports.register = async (req, res) => {
       });
     }
 
+    const passwordCheck = checkPassword(password, { email, name });
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors[0],
+        errors: passwordCheck.errors
+      });
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
     if (existingUser) {
@@ -58,8 +78,10 @@ exports.register = async (req, res) => {
     // Save user to database
     await newUser.save();
 
-    // Generate token
-    const token = generateToken(newUser);
+    // Signed in on this device straight away
+    const { token, refreshToken } = await startSession(newUser, req);
+
+    sendVerificationInBackground(newUser._id);
 
     // Prepare response without password
     const userResponse = {
@@ -68,6 +90,7 @@ exports.register = async (req, res) => {
       email: newUser.email,
       role: newUser.role,
       phone: newUser.phone,
+      emailVerified: newUser.emailVerified,
       createdAt: newUser.createdAt
     };
 
@@ -77,7 +100,8 @@ exports.register = async (req, res) => {
       success: true,
       message: 'Registration successful',
       user: userResponse,
-      token
+      token,
+      refreshToken
     });
 
   } catch (error) {
@@ -156,9 +180,9 @@ exports.login = async (req, res) => {
 
     console.log('✅ Password verified');
 
-    // Generate JWT token
-    const token = generateToken(user);
-    console.log('✅ JWT token generated');
+    // Short-lived access token plus a refresh token for this device
+    const { token, refreshToken } = await startSession(user, req);
+    console.log('✅ Session started');
 
     // Prepare user response
     const userResponse = {
@@ -167,6 +191,7 @@ exports.login = async (req, res) => {
       email: user.email,
       role: user.role,
       phone: user.phone,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
     };
 
@@ -176,7 +201,8 @@ exports.login = async (req, res) => {
       success: true,
       message: 'Login successful',
       user: userResponse,
-      token
+      token,
+      refreshToken
     });
 
   } catch (error) {
@@ -213,68 +239,368 @@ exports.login = async (req, res) => {
   }
 };
 
-exports.getProfile = async (req, res) => {
+// Swap a refresh token for a new access token (and a new refresh token - the old one stops working)
+exports.refreshToken = async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const result = await rotateSession(req.body.refreshToken, req);
+
+    if (result.error) {
+      return res.status(result.status).json({
         success: false,
-        message: 'No token provided'
+        message: result.error
       });
     }
 
-    const token = authHeader.split(' ')[1];
-    
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Find user
-      const user = await User.findById(decoded.userId);
-      
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-      
-      res.status(200).json({
-        success: true,
-        user: {
-          id: user._id,
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          address: user.address,
-          createdAt: user.createdAt
-        }
-      });
-    } catch (jwtError) {
-      console.error('JWT Error:', jwtError.message);
-      
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token expired'
-        });
-      }
-      
-      if (jwtError.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid token'
-        });
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh Token Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Sign out this device - works with an expired access token, as only the refresh token is needed
+exports.logout = async (req, res) => {
+  try {
+    await endSession(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// The password rules, for the hints next to password fields
+exports.getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: describePolicy()
+  });
+};
+
+// Check a password as the user types it - the strength meter uses the same rules as
+// registration. email and name are optional and rule out passwords built from them.
+exports.checkPasswordStrength = (req, res) => {
+  const { password, email, name } = req.body;
+
+  res.status(200).json({
+    success: true,
+    data: checkPassword(password, { email, name })
+  });
+};
+
+// Email a password reset link. The answer is the same whether or not the account exists,
+// so the form can't be used to find out who has one.
+exports.forgotPassword = async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your email address'
+      });
+    }
+
+    // A failed send gets the same answer too - an error here would reveal the account.
+    // Logged by user id: mail errors can quote the recipient, so the address is cut out.
+    const user = await claimEmailSlot({ email }, 'passwordResetSentAt');
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (error) {
+        console.error(
+          `Error sending password reset email for user ${user._id}:`,
+          String(error.message).split(user.email).join('<recipient>')
+        );
       }
-      
-      return res.status(401).json({
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a link to reset the password is on its way'
+    });
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Set a new password from a reset link. Every device is signed out afterwards.
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const { payload, error: tokenError } = readToken(token, 'password-reset');
+    if (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: tokenError
+      });
+    }
+
+    const user = await User.findById(payload.sub).select('+password');
+    if (!user || !matchesPassword(payload, user)) {
+      return res.status(400).json({
         success: false,
-        message: 'Authentication failed'
+        message: 'This link has already been used, please request a new one'
       });
     }
+
+    const passwordCheck = checkPassword(password, user);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors[0],
+        errors: passwordCheck.errors
+      });
+    }
+
+    user.password = password; // Hashed by the pre-save middleware
+    user.passwordResetSentAt = null;
+    // The link arrived by email, which proves the address too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.deleteMany({ user: user._id });
+    console.log('✅ Password reset for:', user.email);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your password has been reset, please sign in with the new one'
+    });
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Confirm an email address from a verification link
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { payload, error: tokenError } = readToken(req.body.token, 'verify-email');
+    if (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: tokenError
+      });
+    }
+
+    const user = await User.findById(payload.sub);
+    // The address changed after the link was sent
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your email address is confirmed',
+      data: { email: user.email }
+    });
+  } catch (error) {
+    console.error('Verify Email Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Send the logged in user a new verification link
+exports.resendVerification = async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already confirmed'
+      });
+    }
+
+    const user = await claimEmailSlot({ _id: req.user._id }, 'verificationSentAt');
+    if (!user) {
+      return res.status(429).json({
+        success: false,
+        message: 'A verification email was sent a moment ago, please check your inbox'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Devices the user is signed in on, most recently used first
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, expiresAt: { $gt: new Date() } })
+      .sort({ lastSeenAt: -1 })
+      .select('device ip lastSeenAt createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Sign out one of the user's devices
+exports.revokeSession = async (req, res) => {
+  try {
+    const result = await Session.deleteOne({ _id: req.params.sessionId, user: req.user._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+
+    console.error('Revoke Session Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Sign out everywhere - or, with ?keepCurrent=true, everywhere but this device
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.keepCurrent === 'true') {
+      filter._id = { $ne: req.sessionId };
+    }
+
+    const result = await Session.deleteMany(filter);
+
+    res.status(200).json({
+      success: true,
+      message: `Signed out of ${result.deletedCount} device(s)`
+    });
+  } catch (error) {
+    console.error('Revoke All Sessions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Who the token belongs to, as stored on the server - the client checks the role here
+// before showing admin pages instead of trusting the user saved in the browser
+exports.getCurrentUser = async (req, res) => {
+  const user = req.user;
+
+  res.status(200).json({
+    success: true,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      phone: user.phone,
+      emailVerified: user.emailVerified,
+      deletionScheduledFor: user.deletionScheduledFor,
+      createdAt: user.createdAt
+    }
+  });
+};
+
+exports.getProfile = async (req, res) => {
+  try {
+    // req.user is set by the protect middleware
+    const user = req.user;
+
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        address: user.address,
+        emailVerified: user.emailVerified,
+        deletionScheduledFor: user.deletionScheduledFor,
+        createdAt: user.createdAt
+      }
+    });
   } catch (error) {
     console.error('Get Profile Error:', error);
     res.status(500).json({
@@ -288,78 +614,287 @@ exports.getProfile = async (req, res) => {
 // Update user profile
 exports.updateProfile = async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
+    const { name, email, phone, address } = req.body;
+    const updates = {};
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    if (name) updates.name = name;
+    if (phone) updates.phone = phone;
+    if (address) updates.address = address;
+    
+    // Handle email change with uniqueness check
+    if (email && email.toLowerCase().trim() !== req.user.email) {
+      const existingUser = await User.findOne({ 
+        email: email.toLowerCase().trim(),
+        _id: { $ne: req.user._id }
+      });
+      
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already in use'
+        });
+      }
+      updates.email = email.toLowerCase().trim();
+      // The new address has to be confirmed again
+      updates.emailVerified = false;
+      updates.emailVerifiedAt = null;
+      updates.verificationSentAt = null;
+    }
+    
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updates,
+      { new: true, runValidators: true }
+    );
+    
+    if (!user) {
+      return res.status(404).json({
         success: false,
-        message: 'No token provided'
+        message: 'User not found'
       });
     }
 
-    const token = authHeader.split(' ')[1];
+    if (updates.email) {
+      sendVerificationInBackground(user._id);
+    }
     
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      const { name, email, phone, address } = req.body;
-      const updates = {};
-      
-      if (name) updates.name = name;
-      if (phone) updates.phone = phone;
-      if (address) updates.address = address;
-      
-      // Handle email change with uniqueness check
-      if (email && email !== decoded.email) {
-        const existingUser = await User.findOne({ 
-          email: email.toLowerCase().trim(),
-          _id: { $ne: decoded.userId }
-        });
-        
-        if (existingUser) {
-          return res.status(400).json({
-            success: false,
-            message: 'Email already in use'
-          });
-        }
-        updates.email = email.toLowerCase().trim();
-      }
-      
-      const user = await User.findByIdAndUpdate(
-        decoded.userId,
-        updates,
-        { new: true, runValidators: true }
-      );
-      
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
+    res.status(200).json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phone: user.phone,
+        address: user.address,
+        emailVerified: user.emailVerified
       }
-      
-      res.status(200).json({
-        success: true,
-        message: 'Profile updated successfully',
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phone: user.phone,
-          address: user.address
-        }
+    });
+  } catch (error) {
+    console.error('Update Profile Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Change the password of the logged in user. Other devices are signed out, this one stays signed in.
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
       });
-      
-    } catch (jwtError) {
+    }
+
+    const passwordCheck = checkPassword(newPassword, req.user);
+    if (!passwordCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors[0],
+        errors: passwordCheck.errors
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.comparePassword(currentPassword))) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token'
+        message: 'Current password is incorrect'
       });
     }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    user.password = newPassword; // Hashed by the pre-save middleware
+    await user.save();
+
+    await Session.deleteMany({ user: user._id, _id: { $ne: req.sessionId } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully'
+    });
   } catch (error) {
-    console.error('Update Profile Error:', error);
+    console.error('Change Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Close the logged in user's account. It is anonymized after a grace period
+// (see utils/accountDeletion) and can be kept until then with cancelAccountDeletion.
+exports.requestAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin accounts cannot be deleted'
+      });
+    }
+
+    if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (await hasUpcomingBookings(user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please cancel your upcoming bookings before deleting your account'
+      });
+    }
+
+    if (!user.deletionScheduledFor) {
+      const now = new Date();
+      user.deletionRequestedAt = now;
+      user.deletionScheduledFor = getDeletionDate(now);
+      await user.save();
+    }
+
+    // Only this device stays signed in, so the request can still be cancelled from here
+    await Session.deleteMany({ user: user._id, _id: { $ne: req.sessionId } });
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted in ${GRACE_DAYS} days. Sign in and cancel before then to keep it.`,
+      data: { deletionScheduledFor: user.deletionScheduledFor }
+    });
+  } catch (error) {
+    console.error('Request Account Deletion Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Keep the account after all
+exports.cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, deletedAt: null },
+      { deletionRequestedAt: null, deletionScheduledFor: null },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account will not be deleted'
+    });
+  } catch (error) {
+    console.error('Cancel Account Deletion Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the logged in user's recent tour searches
+exports.getRecentSearches = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+recentSearches');
+
+    res.status(200).json({
+      success: true,
+      data: (user && user.recentSearches) || []
+    });
+  } catch (error) {
+    console.error('Get Recent Searches Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remember a search - moves a repeated search back to the top instead of listing it twice
+exports.addRecentSearch = async (req, res) => {
+  try {
+    const query = typeof req.body.query === 'string'
+      ? req.body.query.trim().replace(/\s+/g, ' ').slice(0, 100)
+      : '';
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+recentSearches');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const recentSearches = [
+      { query, searchedAt: new Date() },
+      ...(user.recentSearches || [])
+        .filter(search => search.query.toLowerCase() !== query.toLowerCase())
+        .map(search => ({ query: search.query, searchedAt: search.searchedAt }))
+    ].slice(0, MAX_RECENT_SEARCHES);
+
+    await User.updateOne({ _id: user._id }, { recentSearches });
+
+    res.status(200).json({
+      success: true,
+      data: recentSearches
+    });
+  } catch (error) {
+    console.error('Add Recent Search Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Forget the logged in user's recent searches
+exports.clearRecentSearches = async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { recentSearches: [] });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recent searches cleared',
+      data: []
+    });
+  } catch (error) {
+    console.error('Clear Recent Searches Error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -371,7 +906,7 @@ exports.updateProfile = async (req, res) => {
 // Get all users (admin only)
 exports.getAllUsers = async (req, res) => {
   try {
-    const users = await User.find().select('-password').sort({ createdAt: -1 });
+    const users = await User.find({ deletedAt: null }).select('-password').sort({ createdAt: -1 });
     
     res.status(200).json({
       success: true,
@@ -1,6 +1,14 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Tour = require('../models/Tour');
 const User = require('../models/User');
+const { resolveActingUserId } = require('../middleware/authMiddleware');
+const { getDepartureCapacity, reserveSeats, releaseSeats, releaseBookingSeats } = require('../utils/seatInventory');
+const { buildQuote, toBookingPricing } = require('../utils/pricingEngine');
+const { findApplicableCoupon, redeemCoupon, releaseCoupon, releaseBookingCoupon } = require('../utils/coupons');
+const { getHoldExpiry } = require('../utils/holdExpiry');
+const { calculateRefund } = require('../utils/cancellationPolicy');
+const { getActor, checkTransition, getAllowedStatuses, buildHistoryEntry, changeBookingStatus } = require('../utils/bookingLifecycle');
 
 // Helper function to validate email
 const isValidEmail = (email) => {
@@ -19,17 +27,19 @@ exports.createBooking = async (req, res) => {
   try {
     console.log('📝 Creating booking request:', req.body);
 
-    const { user, tour, participants, travelers, travelDate, specialRequirements, specialRequests, contactNumber, email, status = 'confirmed' } = req.body;
+    const { tour, participants, travelers, travelDate, specialRequirements, specialRequests, contactNumber, email, couponCode } = req.body;
 
-    // Use participants if provided, otherwise use travelers
-    const actualParticipants = participants || travelers || 1;
+    // Book for the logged in user - only admins may book on behalf of someone else
+    const user = resolveActingUserId(req, req.body.user);
+
+    // Use participants if provided, otherwise use travelers - JSON may send either as a string
+    const actualParticipants = parseInt(participants || travelers, 10) || 1;
 
     // Validation
     const errors = [];
     
-    if (!user) errors.push('User ID is required');
     if (!tour) errors.push('Tour ID is required');
-    if (!actualParticipants || actualParticipants < 1) errors.push('At least 1 traveler is required');
+    if (actualParticipants < 1) errors.push('At least 1 traveler is required');
     if (actualParticipants > 10) errors.push('Maximum 10 travelers allowed');
     if (!travelDate) errors.push('Travel date is required');
     
@@ -57,8 +67,8 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    // Get tour details
-    const tourDetails = await Tour.findById(tour);
+    // Get tour details - only published tours can be booked
+    const tourDetails = await Tour.findOne({ _id: tour, ...Tour.publicFilter() });
     
     if (!tourDetails) {
       return res.status(404).json({
@@ -67,6 +77,14 @@ exports.createBooking = async (req, res) => {
       });
     }
 
+    const maxTravelers = getDepartureCapacity(tourDetails, travelDate);
+    if (actualParticipants > maxTravelers) {
+      return res.status(400).json({
+        success: false,
+        message: `The selected date takes at most ${maxTravelers} travelers per booking`
+      });
+    }
+
     // Get user details
     const userDetails = await User.findById(user);
     
@@ -77,8 +95,40 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    // Calculate total price
-    const totalPrice = tourDetails.price * actualParticipants;
+    // Check the coupon before anything is reserved
+    let coupon = null;
+    if (couponCode) {
+      const couponCheck = await findApplicableCoupon(couponCode, tourDetails, userDetails._id);
+      if (!couponCheck.success) {
+        return res.status(couponCheck.statusCode).json({
+          success: false,
+          message: couponCheck.message
+        });
+      }
+      coupon = couponCheck.coupon;
+    }
+
+    // Price the booking with any eligible discounts and the coupon
+    const quote = buildQuote(tourDetails, actualParticipants, travelDate, { coupon });
+    const totalPrice = quote.total;
+
+    if (quote.coupon && !quote.coupon.applied) {
+      return res.status(400).json({
+        success: false,
+        message: quote.coupon.message
+      });
+    }
+
+    // Bookings wait for payment - admins may record an offline booking with an explicit status
+    const status = (req.user.role === 'admin' && req.body.status)
+      || (totalPrice > 0 ? 'pending' : 'confirmed');
+
+    if (!['pending', 'confirmed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New bookings must be pending or confirmed'
+      });
+    }
 
     // Use provided contact number or user's phone
     const finalContactNumber = contactNumber || userDetails.phone || '';
@@ -86,21 +136,65 @@ exports.createBooking = async (req, res) => {
     // Use provided email or user's email
     const finalEmail = email || userDetails.email;
 
+    // Hold the seats before the booking exists so two requests can't oversell a departure
+    const reservation = await reserveSeats(tourDetails._id, travelDate, actualParticipants);
+
+    if (!reservation.success) {
+      return res.status(reservation.statusCode).json({
+        success: false,
+        message: reservation.message
+      });
+    }
+
+    // The id is known up front so the coupon redemption can point at the booking
+    const bookingId = new mongoose.Types.ObjectId();
+
+    if (coupon) {
+      const redemption = await redeemCoupon(coupon, userDetails._id, bookingId);
+      if (!redemption.success) {
+        await releaseSeats(tourDetails._id, travelDate, actualParticipants);
+        return res.status(redemption.statusCode).json({
+          success: false,
+          message: redemption.message
+        });
+      }
+    }
+
     // Create booking
     const newBooking = new Booking({
+      _id: bookingId,
       user,
       tour,
       participants: actualParticipants,
       travelDate: new Date(travelDate),
       bookingDate: new Date(),
       totalPrice,
+      pricing: toBookingPricing(quote),
+      coupon: coupon
+        ? { couponId: coupon._id, code: coupon.code, discount: quote.coupon.amount }
+        : undefined,
       specialRequirements: specialRequirements || specialRequests || '',
       contactNumber: finalContactNumber,
       email: finalEmail,
-      status: status
+      status: status,
+      statusHistory: [buildHistoryEntry(null, status, {
+        actor: getActor(req.user),
+        userId: req.user._id,
+        reason: status === 'pending' ? 'Awaiting payment' : ''
+      })],
+      paymentStatus: totalPrice > 0 ? 'unpaid' : 'paid',
+      holdExpiresAt: status === 'pending' ? getHoldExpiry() : undefined,
+      seatsReserved: true
     });
 
-    const savedBooking = await newBooking.save();
+    let savedBooking;
+    try {
+      savedBooking = await newBooking.save();
+    } catch (saveError) {
+      await releaseSeats(tourDetails._id, travelDate, actualParticipants);
+      if (coupon) await releaseCoupon(coupon._id, bookingId);
+      throw saveError;
+    }
 
     // Populate user and tour details
     const populatedBooking = await Booking.findById(savedBooking._id)
@@ -131,7 +225,10 @@ exports.createBooking = async (req, res) => {
         bookingDate: populatedBooking.bookingDate,
         totalPrice: populatedBooking.totalPrice,
         totalAmount: populatedBooking.totalPrice,
+        pricing: populatedBooking.pricing,
         status: populatedBooking.status,
+        paymentStatus: populatedBooking.paymentStatus,
+        holdExpiresAt: populatedBooking.holdExpiresAt,
         specialRequirements: populatedBooking.specialRequirements,
         contactNumber: populatedBooking.contactNumber,
         createdAt: populatedBooking.createdAt
@@ -170,6 +267,81 @@ exports.createBooking = async (req, res) => {
   }
 };
 
+// Get a price quote for a booking without creating it
+exports.getQuote = async (req, res) => {
+  try {
+    const { tour, participants, travelers, travelDate, couponCode } = req.body;
+    const actualParticipants = parseInt(participants || travelers, 10) || 1;
+
+    const errors = [];
+
+    if (!tour) errors.push('Tour ID is required');
+    if (actualParticipants < 1) errors.push('At least 1 traveler is required');
+    if (actualParticipants > 10) errors.push('Maximum 10 travelers allowed');
+    if (!travelDate || isNaN(new Date(travelDate).getTime())) errors.push('Valid travel date is required');
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const tourDetails = await Tour.findOne({ _id: tour, ...Tour.publicFilter() });
+
+    if (!tourDetails) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
+
+    const maxTravelers = getDepartureCapacity(tourDetails, travelDate);
+    if (actualParticipants > maxTravelers) {
+      return res.status(400).json({
+        success: false,
+        message: `The selected date takes at most ${maxTravelers} travelers per booking`
+      });
+    }
+
+    // An unusable coupon doesn't fail the quote - it is reported alongside the price
+    let coupon = null;
+    let couponError = null;
+    if (couponCode) {
+      const couponCheck = await findApplicableCoupon(couponCode, tourDetails, req.user._id);
+      if (couponCheck.success) {
+        coupon = couponCheck.coupon;
+      } else {
+        couponError = { code: String(couponCode).trim().toUpperCase(), applied: false, message: couponCheck.message };
+      }
+    }
+
+    const quote = buildQuote(tourDetails, actualParticipants, travelDate, { coupon });
+    if (couponError) quote.coupon = couponError;
+
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('🔥 Error building quote:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tour ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error building quote',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Get all bookings (admin) - FIXED with better error handling
 exports.getAllBookings = async (req, res) => {
   try {
@@ -193,8 +365,15 @@ exports.getAllBookings = async (req, res) => {
       travelDate: booking.travelDate,
       bookingDate: booking.bookingDate,
       totalAmount: booking.totalPrice,
+      pricing: booking.pricing || null,
       totalPrice: booking.totalPrice,
       status: booking.status,
+      paymentStatus: booking.paymentStatus || 'unpaid',
+      holdExpiresAt: booking.holdExpiresAt || null,
+      cancellation: booking.cancellation?.cancelledAt ? booking.cancellation : null,
+      refund: booking.refund?.status ? booking.refund : null,
+      statusHistory: booking.statusHistory || [],
+      allowedStatuses: getAllowedStatuses(booking, getActor(req.user)),
       specialRequests: booking.specialRequirements,
       contactNumber: booking.contactNumber || booking.user?.phone || 'N/A',
       email: booking.email || booking.user?.email || 'N/A',
@@ -221,14 +400,8 @@ exports.getAllBookings = async (req, res) => {
 // Get user bookings - FIXED with better error handling
 exports.getUserBookings = async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'User ID is required'
-      });
-    }
+    // /bookings/me has no userId param - fall back to the logged in user
+    const userId = req.params.userId || req.user._id.toString();
 
     const bookings = await Booking.find({ user: userId })
       .populate('tour', 'title price description images duration category region')
@@ -257,7 +430,14 @@ exports.getUserBookings = async (req, res) => {
       bookingDate: booking.bookingDate,
       totalPrice: booking.totalPrice,
       totalAmount: booking.totalPrice,
+      pricing: booking.pricing || null,
       status: booking.status,
+      paymentStatus: booking.paymentStatus || 'unpaid',
+      holdExpiresAt: booking.holdExpiresAt || null,
+      cancellation: booking.cancellation?.cancelledAt ? booking.cancellation : null,
+      refund: booking.refund?.status ? booking.refund : null,
+      statusHistory: booking.statusHistory || [],
+      allowedStatuses: getAllowedStatuses(booking, getActor(req.user)),
       specialRequirements: booking.specialRequirements,
       contactNumber: booking.contactNumber || 'N/A',
       email: booking.email || 'N/A',
@@ -299,16 +479,7 @@ exports.getUserBookings = async (req, res) => {
 exports.updateBookingStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
-
-    // Validate status
-    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be: pending, confirmed, cancelled, or completed'
-      });
-    }
+    const { status, reason } = req.body;
 
     const booking = await Booking.findById(id);
     
@@ -319,7 +490,28 @@ exports.updateBookingStatus = async (req, res) => {
       });
     }
 
-    booking.status = status;
+    // Users can only update their own bookings
+    if (req.user.role !== 'admin' && booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this booking'
+      });
+    }
+
+    // Travelers may only cancel - confirmations come from payments or an admin
+    const change = await changeBookingStatus(booking, status, {
+      actor: getActor(req.user),
+      userId: req.user._id,
+      reason
+    });
+
+    if (!change.success) {
+      return res.status(change.statusCode).json({
+        success: false,
+        message: change.message
+      });
+    }
+
     booking.updatedAt = new Date();
     await booking.save();
 
@@ -329,6 +521,9 @@ exports.updateBookingStatus = async (req, res) => {
       data: {
         _id: booking._id,
         status: booking.status,
+        cancellation: booking.cancellation?.cancelledAt ? booking.cancellation : null,
+        refund: booking.refund?.status ? booking.refund : null,
+        statusHistory: booking.statusHistory,
         updatedAt: booking.updatedAt
       }
     });
@@ -351,6 +546,60 @@ exports.updateBookingStatus = async (req, res) => {
   }
 };
 
+// Preview the refund a cancellation would give right now
+exports.getCancellationPreview = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('tour');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && booking.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this booking'
+      });
+    }
+
+    const check = checkTransition(booking, 'cancelled', getActor(req.user));
+    if (!check.success) {
+      return res.status(check.statusCode).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    const preview = calculateRefund(booking, booking.tour);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        ...preview
+      }
+    });
+  } catch (error) {
+    console.error('🔥 Error previewing cancellation:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error previewing cancellation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Delete booking
 exports.deleteBooking = async (req, res) => {
   try {
@@ -365,6 +614,8 @@ exports.deleteBooking = async (req, res) => {
       });
     }
 
+    await releaseBookingSeats(booking);
+    await releaseBookingCoupon(booking);
     await Booking.findByIdAndDelete(id);
 
     res.status(200).json({
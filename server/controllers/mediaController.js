@@ -0,0 +1,191 @@
+const Media = require('../models/Media');
+const { storeImage, getMediaUrl, findMediaUsage, removeMedia } = require('../utils/mediaLibrary');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Library entry as the admin panel uses it - the URL to put on a tour and where it is in use
+const toMediaResponse = (media, usedBy = []) => ({
+  ...media.toObject(),
+  url: getMediaUrl(media),
+  usedBy
+});
+
+// Upload an image (admin only) - the file arrives through middleware/uploadMiddleware
+exports.uploadMedia = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose an image to upload'
+      });
+    }
+
+    const media = await storeImage({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      alt: req.body.alt,
+      uploadedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      data: toMediaResponse(media)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Upload media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Media library, newest first (admin only) - ?q= matches the file name or alt text
+exports.getAllMedia = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const filter = {};
+    const q = (req.query.q || '').toString().trim();
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [{ originalName: pattern }, { alt: pattern }];
+    }
+
+    const [media, total] = await Promise.all([
+      Media.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Media.countDocuments(filter)
+    ]);
+
+    const usage = await findMediaUsage(media);
+    const pages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      count: media.length,
+      total,
+      data: media.map(item => toMediaResponse(item, usage.get(item._id.toString()))),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages,
+        hasMore: page < pages
+      }
+    });
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Update an image's alt text (admin only)
+exports.updateMedia = async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    if (req.body.alt !== undefined) media.alt = req.body.alt;
+    await media.save();
+
+    const usage = await findMediaUsage([media]);
+
+    res.json({
+      success: true,
+      message: 'Image updated successfully',
+      data: toMediaResponse(media, usage.get(media._id.toString()))
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid image ID format'
+      });
+    }
+
+    console.error('Update media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Delete an image and its files (admin only) - refused while a tour still shows it
+exports.deleteMedia = async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const usedBy = (await findMediaUsage([media])).get(media._id.toString());
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `This image is used by ${usedBy.length} tour(s): ${usedBy.map(tour => tour.title).join(', ')}`,
+        usedBy
+      });
+    }
+
+    await removeMedia(media);
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid image ID format'
+      });
+    }
+
+    console.error('Delete media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,335 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const { getGateway, getActiveGateway } = require('../utils/payments');
+const { buildHistoryEntry } = require('../utils/bookingLifecycle');
+
+const formatPayment = (payment) => ({
+  _id: payment._id,
+  booking: payment.booking,
+  amount: payment.amount,
+  currency: payment.currency,
+  provider: payment.provider,
+  providerPaymentId: payment.providerPaymentId,
+  status: payment.status,
+  checkoutUrl: payment.checkoutUrl,
+  failureReason: payment.failureReason,
+  needsRefund: payment.needsRefund,
+  paidAt: payment.paidAt,
+  createdAt: payment.createdAt
+});
+
+const canAccessBooking = (req, booking) => req.user.role === 'admin'
+  || booking.user.toString() === req.user._id.toString();
+
+// Apply a verified gateway event to its payment and booking - safe to call more than once
+const applyPaymentEvent = async (event, provider) => {
+  const payment = await Payment.findOne({ provider, providerPaymentId: event.providerPaymentId });
+
+  if (!payment) {
+    return { success: false, statusCode: 404, message: 'Payment not found' };
+  }
+
+  if (payment.processedEvents.includes(event.id) || payment.status === 'succeeded') {
+    return { success: true, payment, duplicate: true };
+  }
+
+  payment.processedEvents.push(event.id);
+
+  if (event.type === 'payment.succeeded') {
+    payment.status = 'succeeded';
+    payment.paidAt = new Date();
+    payment.failureReason = '';
+
+    // Only a booking still holding its seats can be confirmed
+    const booking = await Booking.findOneAndUpdate(
+      { _id: payment.booking, status: 'pending' },
+      {
+        status: 'confirmed',
+        paymentStatus: 'paid',
+        $unset: { holdExpiresAt: 1 },
+        $push: { statusHistory: buildHistoryEntry('pending', 'confirmed', { actor: 'system', reason: 'Payment received' }) }
+      },
+      { new: true }
+    );
+
+    if (!booking) {
+      payment.needsRefund = true;
+      payment.failureReason = 'Booking expired or was cancelled before payment completed - refund required';
+      console.warn('⚠️ Payment received for a booking that is no longer pending:', payment._id);
+    }
+  } else if (event.type === 'payment.failed') {
+    payment.status = 'failed';
+    payment.failureReason = event.failureReason || 'Payment failed';
+
+    // The booking keeps its hold so the traveler can retry until it expires
+    await Booking.updateOne(
+      { _id: payment.booking, status: 'pending' },
+      { paymentStatus: 'failed' }
+    );
+  }
+
+  await payment.save();
+
+  return { success: true, payment };
+};
+
+// Start a payment for a pending booking
+exports.createCheckout = async (req, res) => {
+  try {
+    const { bookingId } = req.body;
+
+    if (!bookingId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking ID is required'
+      });
+    }
+
+    const booking = await Booking.findById(bookingId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!canAccessBooking(req, booking)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this booking'
+      });
+    }
+
+    if (booking.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Booking is ${booking.status} and cannot be paid`
+      });
+    }
+
+    if (booking.holdExpiresAt && booking.holdExpiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'Your booking hold has expired. Please book again.'
+      });
+    }
+
+    const gateway = getActiveGateway();
+
+    if (!gateway) {
+      return res.status(503).json({
+        success: false,
+        message: 'Online payments are unavailable right now. Please try again later.'
+      });
+    }
+
+    const session = await gateway.createPayment({
+      amount: booking.totalPrice,
+      currency: 'INR',
+      reference: booking._id.toString()
+    });
+
+    const payment = await Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      amount: booking.totalPrice,
+      currency: 'INR',
+      provider: gateway.name,
+      providerPaymentId: session.providerPaymentId,
+      checkoutUrl: session.checkoutUrl || ''
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started',
+      data: {
+        ...formatPayment(payment),
+        holdExpiresAt: booking.holdExpiresAt,
+        clientData: session.clientData || {}
+      }
+    });
+  } catch (error) {
+    console.error('🔥 Error creating checkout:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error starting payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Signed webhook from a payment gateway
+exports.handleWebhook = async (req, res) => {
+  try {
+    const gateway = getGateway(req.params.provider);
+
+    if (!gateway) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment provider'
+      });
+    }
+
+    let event;
+    try {
+      event = gateway.parseWebhook(req.rawBody || '', req.headers);
+    } catch (signatureError) {
+      if (signatureError.code === 'INVALID_SIGNATURE') {
+        return res.status(401).json({
+          success: false,
+          message: signatureError.message
+        });
+      }
+      throw signatureError;
+    }
+
+    const result = await applyPaymentEvent(event, gateway.name);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.duplicate ? 'Event already processed' : 'Event processed'
+    });
+  } catch (error) {
+    console.error('🔥 Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Finish a mock checkout - the mock gateway sends its signed webhook through the normal path
+exports.completeMockPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { outcome = 'success' } = req.body;
+
+    const gateway = getActiveGateway();
+
+    if (!gateway || gateway.name !== 'mock') {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock payments are not enabled'
+      });
+    }
+
+    const payment = await Payment.findById(paymentId).populate('booking');
+
+    if (!payment || payment.provider !== 'mock' || !payment.booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (!canAccessBooking(req, payment.booking)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to complete this payment'
+      });
+    }
+
+    const webhook = gateway.buildWebhook(payment.providerPaymentId, outcome);
+    const event = gateway.parseWebhook(webhook.rawBody, webhook.headers);
+    const result = await applyPaymentEvent(event, gateway.name);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const booking = await Booking.findById(payment.booking._id);
+
+    res.status(200).json({
+      success: true,
+      message: result.payment.status === 'succeeded' ? 'Payment successful' : 'Payment failed',
+      data: {
+        payment: formatPayment(result.payment),
+        booking: {
+          _id: booking._id,
+          status: booking.status,
+          paymentStatus: booking.paymentStatus,
+          holdExpiresAt: booking.holdExpiresAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('🔥 Error completing mock payment:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error completing payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Payments made for a booking
+exports.getBookingPayments = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!canAccessBooking(req, booking)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view these payments'
+      });
+    }
+
+    const payments = await Payment.find({ booking: booking._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      data: payments.map(formatPayment)
+    });
+  } catch (error) {
+    console.error('🔥 Error fetching payments:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching payments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,15 +1,22 @@
 const SavedTour = require('../models/SavedTour');
 const Tour = require('../models/Tour');
+const { resolveActingUserId } = require('../middleware/authMiddleware');
 
 // Get saved tours for a user
 exports.getSavedTours = async (req, res) => {
   try {
-    const { userId } = req.params;
+    // /saved/me has no userId param - fall back to the logged in user
+    const userId = req.params.userId || req.user._id.toString();
     
+    // Tours that were unpublished since are left out until they come back
     const savedTours = await SavedTour.find({ user: userId })
-      .populate('tour', 'title description price duration images category region');
+      .populate({
+        path: 'tour',
+        select: 'title description price duration images category region',
+        match: Tour.publicFilter()
+      });
     
-    const savedTourData = savedTours.map(item => ({
+    const savedTourData = savedTours.filter(item => item.tour).map(item => ({
       _id: item.tour._id,
       title: item.tour.title,
       description: item.tour.description,
@@ -39,7 +46,17 @@ exports.getSavedTours = async (req, res) => {
 // Save a tour for a user
 exports.saveTour = async (req, res) => {
   try {
-    const { userId, tourId } = req.body;
+    const { tourId } = req.body;
+    const userId = resolveActingUserId(req, req.body.userId);
+    
+    // Only tours travellers can see can be saved
+    const tour = await Tour.findOne({ _id: tourId, ...Tour.publicFilter() });
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
     
     // Check if already saved
     const existing = await SavedTour.findOne({ user: userId, tour: tourId });
@@ -58,9 +75,6 @@ exports.saveTour = async (req, res) => {
     
     await savedTour.save();
     
-    // Get tour details
-    const tour = await Tour.findById(tourId);
-    
     res.status(201).json({
       success: true,
       message: 'Tour saved successfully',
@@ -90,7 +104,8 @@ exports.saveTour = async (req, res) => {
 // Remove saved tour
 exports.removeSavedTour = async (req, res) => {
   try {
-    const { userId, tourId } = req.params;
+    const { tourId } = req.params;
+    const userId = req.params.userId || req.user._id.toString();
     
     const result = await SavedTour.findOneAndDelete({ 
       user: userId, 
@@ -1,17 +1,133 @@
 const Tour = require('../models/Tour');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const { resolveActingUserId } = require('../middleware/authMiddleware');
+const {
+  formatDeparture,
+  hasFixedSchedule,
+  mergeDepartures,
+  applyDepartureChanges,
+  toDepartureDay
+} = require('../utils/seatInventory');
+const { validateTiers } = require('../utils/cancellationPolicy');
+const { saveReview, formatReview } = require('../utils/ratings');
+const { rankTours, suggestTours, invalidateSearchIndex } = require('../utils/tourSearch');
+const { buildTourFilter, countTourFacets } = require('../utils/tourFacets');
+const { resolveDuration } = require('../utils/tourDuration');
+const { takeSnapshot, recordRevision } = require('../utils/tourRevisions');
 
-// Get all tours - ENHANCED to return complete data structure
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Version history is best effort - if writing it fails the tour change still stands
+const saveRevision = (tour, options) => recordRevision(tour, options)
+  .catch(error => console.error('Error recording tour revision:', error.message));
+
+// Most recent completed trip a user took on a tour - only these travelers may rate it
+const findCompletedBooking = (userId, tourId) => Booking.findOne({
+  user: userId,
+  tour: tourId,
+  status: 'completed'
+}).sort({ travelDate: -1 });
+
+const TOUR_SORTS = {
+  newest: { createdAt: -1 },
+  price: { price: 1 },
+  rating: { averageRating: -1, totalRatings: -1 },
+  popularity: { currentParticipants: -1, totalRatings: -1 },
+  duration: { durationDays: 1 }
+};
+
+// Just what a tour card needs - itinerary and included are only used for their length
+const TOUR_SUMMARY_FIELDS = [
+  'title', 'description', 'price', 'duration', 'durationDays', 'durationNights', 'image', 'images', 'region', 'category',
+  'destination', 'averageRating', 'totalRatings', 'maxParticipants', 'currentParticipants',
+  'overview.highlights', 'overview.difficulty', 'overview.groupSize', 'overview.bestSeason',
+  'included', 'itinerary.day', 'pricing.discounts', 'createdAt'
+].join(' ');
+
+// Sort spec for ?sort=&order=asc|desc, with _id last so pages never overlap
+const buildTourSort = (sort, order) => {
+  const spec = { ...TOUR_SORTS[sort] };
+  if (order === 'asc' || order === 'desc') {
+    const direction = order === 'asc' ? 1 : -1;
+    Object.keys(spec).forEach(key => { spec[key] = direction; });
+  }
+  spec._id = spec[Object.keys(spec)[0]];
+  return spec;
+};
+
+// Tours in search ranking order - Mongo applies the other filters, utils/tourSearch the order
+const findToursByRelevance = async (filter, rankedIds, { page, limit, paginate, select }) => {
+  const matching = await Tour.find({ ...filter, _id: { $in: rankedIds } }).select('_id').lean();
+  const matchingIds = new Set(matching.map(tour => tour._id.toString()));
+  const orderedIds = rankedIds.filter(id => matchingIds.has(id));
+  const pageIds = paginate ? orderedIds.slice((page - 1) * limit, page * limit) : orderedIds;
+
+  let query = Tour.find({ _id: { $in: pageIds } });
+  if (select) query = query.select(select);
+  const tours = await query;
+
+  const position = new Map(pageIds.map((id, i) => [id, i]));
+  tours.sort((a, b) => position.get(a._id.toString()) - position.get(b._id.toString()));
+
+  return { tours, total: orderedIds.length };
+};
+
+// Get all tours - ?page=&limit= paginates, ?sort=newest|price|rating|popularity|duration,
+// ?fields=summary returns card data only. Without page/limit every tour is returned.
+// ?q= searches (see utils/tourSearch) and sorts by relevance unless another sort is given.
+// Facet filters and ?facets=true counts are described in utils/tourFacets.
 exports.getAllTours = async (req, res) => {
   try {
-    console.log('🔄 Fetching all tours with complete data...');
+    const paginate = req.query.page !== undefined || req.query.limit !== undefined;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const summary = req.query.fields === 'summary';
+    const includeFacets = req.query.facets === 'true';
+    const { filter, base, clauses } = buildTourFilter(req.query);
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const search = q ? await rankTours(q) : null;
+
+    let sort = TOUR_SORTS[req.query.sort] ? req.query.sort : 'newest';
+    if (search && (!req.query.sort || req.query.sort === 'relevance')) sort = 'relevance';
+
+    console.log('🔄 Fetching tours...', { page: paginate ? page : 'all', limit: paginate ? limit : 'all', sort, summary, q });
     
-    const tours = await Tour.find({ isActive: true })
-      .sort({ createdAt: -1 });
+    let tours;
+    let total;
+
+    if (sort === 'relevance') {
+      ({ tours, total } = await findToursByRelevance(filter, search.ids, {
+        page,
+        limit,
+        paginate,
+        select: summary ? TOUR_SUMMARY_FIELDS : null
+      }));
+    } else {
+      if (search) filter._id = { $in: search.ids };
+
+      let query = Tour.find(filter).sort(buildTourSort(sort, req.query.order));
+      if (summary) query = query.select(TOUR_SUMMARY_FIELDS);
+      if (paginate) query = query.skip((page - 1) * limit).limit(limit);
+
+      [tours, total] = await Promise.all([
+        query,
+        paginate ? Tour.countDocuments(filter) : null
+      ]);
+    }
+
+    const facets = includeFacets
+      ? await countTourFacets({ base, clauses, tourIds: search ? search.ids : null })
+      : undefined;
     
     console.log(`✅ Found ${tours.length} active tours`);
     
     // Ensure all tours have complete data structure
-    const enhancedTours = tours.map(tour => {
+    const enhancedTours = summary ? tours.map(tour => tour.toObject()) : tours.map(tour => {
       const tourObj = tour.toObject();
       
       return {
@@ -59,10 +175,26 @@ exports.getAllTours = async (req, res) => {
       };
     });
     
+    const count = enhancedTours.length;
+    
     res.json({
       success: true,
-      count: enhancedTours.length,
-      data: enhancedTours
+      count,
+      total: paginate ? total : count,
+      // Search results carry their relevance score and highlighted matches
+      data: search
+        ? enhancedTours.map(tour => ({ ...tour, search: search.hits.get(tour._id.toString()) }))
+        : enhancedTours,
+      pagination: {
+        page: paginate ? page : 1,
+        limit: paginate ? limit : count,
+        total: paginate ? total : count,
+        pages: paginate ? Math.ceil(total / limit) : 1,
+        hasMore: paginate ? page * limit < total : false
+      },
+      sort,
+      didYouMean: search ? search.didYouMean : null,
+      facets
     });
   } catch (error) {
     console.error('❌ Error fetching tours:', error);
@@ -79,7 +211,8 @@ exports.getTourById = async (req, res) => {
   try {
     console.log('🔄 Fetching tour details for:', req.params.id);
     
-    const tour = await Tour.findById(req.params.id);
+    // Drafts and archived tours are only visible to admins (GET /api/admin/tours/:id)
+    const tour = await Tour.findOne({ _id: req.params.id, ...Tour.publicFilter() });
     
     if (!tour) {
       return res.status(404).json({
@@ -162,6 +295,8 @@ exports.createTour = async (req, res) => {
       detailedDescription,
       price,
       duration,
+      durationDays,
+      durationNights,
       image,
       images,
       region,
@@ -185,24 +320,65 @@ exports.createTour = async (req, res) => {
       pricing,
       
       // Important Info
-      importantInfo
+      importantInfo,
+
+      // Capacity and departures
+      maxParticipants,
+      availableDates,
+
+      // Publishing
+      status,
+      publishAt,
+      unpublishAt
     } = req.body;
 
     // Validation - Check required fields
-    if (!title || !description || !price || !duration) {
+    if (!title || !description || !price || (!duration && !durationDays)) {
       return res.status(400).json({
         success: false,
         message: 'Please provide title, description, price, and duration'
       });
     }
 
+    const length = resolveDuration({ duration, durationDays, durationNights });
+    if (length.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: length.errors
+      });
+    }
+
+    const schedule = mergeDepartures([], availableDates || []);
+    if (schedule.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: schedule.errors
+      });
+    }
+
+    if (pricing && pricing.cancellationTiers !== undefined) {
+      const tierCheck = validateTiers(pricing.cancellationTiers);
+      if (tierCheck.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: tierCheck.errors
+        });
+      }
+      pricing.cancellationTiers = tierCheck.tiers;
+    }
+
     // Prepare tour data
     const tourData = {
       title,
       description,
       detailedDescription: detailedDescription || description,
       price: parseInt(price) || 0,
-      duration,
+      duration: length.text,
+      durationDays: length.days,
+      durationNights: length.nights,
       image: image || 'https://via.placeholder.com/600x400?text=Tour+Image',
       images: images && images.length > 0 ? images : [image || 'https://via.placeholder.com/600x400?text=Tour+Image'],
       region: region || 'north',
@@ -236,7 +412,7 @@ exports.createTour = async (req, res) => {
         'Visa fees'
       ],
       
-      // Itinerary with defaults
+      // Itinerary with defaults (the sample days are cut to fit short tours)
       itinerary: itinerary && itinerary.length > 0 ? itinerary.map(item => ({
         day: item.day || 1,
         title: item.title || `Day ${item.day}`,
@@ -261,7 +437,7 @@ exports.createTour = async (req, res) => {
           meals: 'Breakfast, Lunch, Dinner',
           accommodation: 'Standard hotel'
         }
-      ],
+      ].filter(item => item.day <= length.days),
       
       // Requirements with defaults
       requirements: requirements || {
@@ -278,12 +454,16 @@ exports.createTour = async (req, res) => {
           {
             name: 'Early Bird',
             percentage: 10,
-            description: 'Book 60 days in advance'
+            description: 'Book 60 days in advance',
+            type: 'early_bird',
+            minDaysInAdvance: 60
           },
           {
             name: 'Group',
             percentage: 15,
-            description: '4+ people traveling together'
+            description: '4+ people traveling together',
+            type: 'group',
+            minParticipants: 4
           }
         ],
         paymentPolicy: '50% advance payment required at booking, balance 30 days before travel',
@@ -299,22 +479,26 @@ exports.createTour = async (req, res) => {
       },
       
       // Ratings
-      ratings: [],
       averageRating: 0,
       totalRatings: 0,
       
       // Participants
-      maxParticipants: 20,
+      maxParticipants: parseInt(maxParticipants) || 20,
       currentParticipants: 0,
+      availableDates: schedule.departures,
       
-      // Status
-      isActive: true
+      // Publishing - new tours stay drafts until an admin publishes them
+      status: status || 'draft',
+      publishAt: publishAt || null,
+      unpublishAt: unpublishAt || null
     };
 
     console.log('📦 Prepared tour data for save:', JSON.stringify(tourData, null, 2));
 
     const newTour = new Tour(tourData);
     const savedTour = await newTour.save();
+    invalidateSearchIndex();
+    await saveRevision(savedTour, { action: 'create', user: req.user });
 
     console.log('✅ Tour created successfully:', savedTour._id);
 
@@ -325,6 +509,15 @@ exports.createTour = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error creating tour:', error.message, error.stack);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error creating tour',
@@ -333,6 +526,62 @@ exports.createTour = async (req, res) => {
   }
 };
 
+// Duplicate tour (admin only) - a draft copy of the content to edit into a variant.
+// Departures, bookings and ratings belong to the original and are not copied.
+exports.duplicateTour = async (req, res) => {
+  try {
+    const original = await Tour.findById(req.params.id);
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
+
+    const title = (req.body && req.body.title) || `${original.title} (copy)`.slice(0, 200);
+    const copy = new Tour({
+      ...takeSnapshot(original),
+      title,
+      status: 'draft',
+      publishAt: null,
+      unpublishAt: null
+    });
+
+    const savedTour = await copy.save();
+    await saveRevision(savedTour, { action: 'create', user: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tour duplicated as a draft',
+      data: savedTour
+    });
+  } catch (error) {
+    console.error('Error duplicating tour:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tour ID format'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error duplicating tour',
+      error: error.message
+    });
+  }
+};
+
 // Update tour - COMPLETELY UPDATED
 exports.updateTour = async (req, res) => {
   try {
@@ -352,12 +601,35 @@ exports.updateTour = async (req, res) => {
       });
     }
 
+    // Content before this edit - becomes the first version of tours edited before history was kept
+    const previousSnapshot = takeSnapshot(tour);
+
     // Update basic fields
     if (updateData.title !== undefined) tour.title = updateData.title;
     if (updateData.description !== undefined) tour.description = updateData.description;
     if (updateData.detailedDescription !== undefined) tour.detailedDescription = updateData.detailedDescription;
     if (updateData.price !== undefined) tour.price = parseInt(updateData.price) || 0;
-    if (updateData.duration !== undefined) tour.duration = updateData.duration;
+
+    // Duration - numbers win over text; changing only the nights keeps the current days
+    if (updateData.duration !== undefined || updateData.durationDays !== undefined || updateData.durationNights !== undefined) {
+      const length = resolveDuration({
+        duration: updateData.duration !== undefined ? updateData.duration : tour.duration,
+        durationDays: updateData.durationDays !== undefined
+          ? updateData.durationDays
+          : (updateData.duration === undefined ? tour.durationDays : undefined),
+        durationNights: updateData.durationNights
+      });
+      if (length.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: length.errors
+        });
+      }
+      tour.duration = length.text;
+      tour.durationDays = length.days;
+      tour.durationNights = length.nights;
+    }
     if (updateData.image !== undefined) {
       tour.image = updateData.image;
       if (!tour.images || tour.images.length === 0) {
@@ -405,6 +677,18 @@ exports.updateTour = async (req, res) => {
 
     // Update pricing if provided
     if (updateData.pricing) {
+      if (updateData.pricing.cancellationTiers !== undefined) {
+        const tierCheck = validateTiers(updateData.pricing.cancellationTiers);
+        if (tierCheck.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: tierCheck.errors
+          });
+        }
+        updateData.pricing.cancellationTiers = tierCheck.tiers;
+      }
+
       tour.pricing = {
         ...tour.pricing,
         ...updateData.pricing,
@@ -420,10 +704,51 @@ exports.updateTour = async (req, res) => {
       };
     }
 
+    // Update capacity and departures - seats already booked are preserved
+    if (updateData.maxParticipants !== undefined) {
+      tour.maxParticipants = parseInt(updateData.maxParticipants) || tour.maxParticipants;
+    }
+
+    // Checked against the copy read above, but written after the save with targeted
+    // updates - bookings may change seat counts while the admin is editing
+    let departureChanges = null;
+    if (updateData.availableDates !== undefined) {
+      const schedule = mergeDepartures(tour.availableDates, updateData.availableDates || []);
+      if (schedule.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: schedule.errors
+        });
+      }
+      departureChanges = schedule.changes;
+    }
+
+    // Update publishing state - empty dates clear the schedule
+    if (updateData.status !== undefined) tour.status = updateData.status;
+    if (updateData.publishAt !== undefined) tour.publishAt = updateData.publishAt || null;
+    if (updateData.unpublishAt !== undefined) tour.unpublishAt = updateData.unpublishAt || null;
+
     // Update timestamps
     tour.updatedAt = Date.now();
 
-    const updatedTour = await tour.save();
+    let updatedTour = await tour.save();
+    let departureConflicts = [];
+    if (departureChanges) {
+      departureConflicts = await applyDepartureChanges(tour._id, departureChanges);
+      updatedTour = await Tour.findById(tour._id);
+    }
+    invalidateSearchIndex();
+    await saveRevision(updatedTour, { action: 'update', user: req.user, previousSnapshot });
+
+    if (departureConflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tour saved, but some departures were booked while you were editing',
+        errors: departureConflicts,
+        data: updatedTour
+      });
+    }
 
     console.log('✅ Tour updated successfully:', updatedTour._id);
 
@@ -434,6 +759,15 @@ exports.updateTour = async (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error updating tour:', error.message, error.stack);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating tour',
@@ -456,13 +790,17 @@ exports.deleteTour = async (req, res) => {
       });
     }
 
-    // Soft delete by setting isActive to false
-    tour.isActive = false;
-    await tour.save();
+    // Soft delete by archiving - skip validation so tours saved under older rules
+    // (e.g. an itinerary longer than the duration) can still be removed
+    const previousSnapshot = takeSnapshot(tour);
+    tour.status = 'archived';
+    await tour.save({ validateBeforeSave: false });
+    invalidateSearchIndex();
+    await saveRevision(tour, { action: 'archive', user: req.user, previousSnapshot });
 
     res.json({
       success: true,
-      message: 'Tour deactivated successfully'
+      message: 'Tour archived successfully'
     });
   } catch (error) {
     console.error('Error deleting tour:', error);
@@ -474,6 +812,52 @@ exports.deleteTour = async (req, res) => {
   }
 };
 
+// Get seat availability per departure date
+exports.getTourAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const tour = await Tour.findOne({ _id: id, ...Tour.publicFilter() });
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
+
+    const today = toDepartureDay(new Date());
+    const departures = (tour.availableDates || [])
+      .filter(departure => departure.date >= today)
+      .sort((a, b) => a.date - b.date)
+      .map(formatDeparture);
+
+    res.json({
+      success: true,
+      data: {
+        tourId: tour._id,
+        // Without a fixed schedule any future date can be booked up to defaultCapacity
+        fixedSchedule: hasFixedSchedule(tour),
+        defaultCapacity: tour.maxParticipants || 20,
+        departures
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tour availability:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tour ID format'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tour availability',
+      error: error.message
+    });
+  }
+};
+
 // Get tours by category
 exports.getToursByCategory = async (req, res) => {
   try {
@@ -483,7 +867,7 @@ exports.getToursByCategory = async (req, res) => {
     
     const tours = await Tour.find({ 
       category: category,
-      isActive: true 
+      ...Tour.publicFilter()
     }).sort({ createdAt: -1 });
     
     // Ensure complete data structure
@@ -523,14 +907,15 @@ exports.getToursByCategory = async (req, res) => {
 exports.rateTour = async (req, res) => {
   try {
     const { tourId } = req.params;
-    const { userId, rating, review } = req.body;
+    const { rating, review } = req.body;
+    const userId = resolveActingUserId(req, req.body.userId);
 
     console.log('⭐ Rating tour:', { tourId, userId, rating, review });
 
-    if (!userId || !rating) {
+    if (!rating) {
       return res.status(400).json({
         success: false,
-        message: 'User ID and rating are required'
+        message: 'Rating is required'
       });
     }
 
@@ -541,7 +926,7 @@ exports.rateTour = async (req, res) => {
       });
     }
 
-    const tour = await Tour.findById(tourId);
+    const tour = await Tour.findOne({ _id: tourId, ...Tour.publicFilter() });
     if (!tour) {
       return res.status(404).json({
         success: false,
@@ -549,48 +934,44 @@ exports.rateTour = async (req, res) => {
       });
     }
 
-    // Check if user already rated
-    const existingRatingIndex = tour.ratings.findIndex(r => r.userId.toString() === userId.toString());
-    
-    if (existingRatingIndex !== -1) {
-      // Update existing rating
-      tour.ratings[existingRatingIndex].rating = rating;
-      tour.ratings[existingRatingIndex].review = review || '';
-      tour.ratings[existingRatingIndex].date = Date.now();
-    } else {
-      // Add new rating
-      tour.ratings.push({
-        userId,
-        rating,
-        review: review || '',
-        date: Date.now()
+    const completedBooking = await findCompletedBooking(userId, tour._id);
+    if (!completedBooking) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only travelers who have completed this tour can rate it'
       });
     }
 
-    // Calculate new average rating
-    const totalRatings = tour.ratings.length;
-    const sumRatings = tour.ratings.reduce((sum, r) => sum + r.rating, 0);
-    tour.averageRating = totalRatings > 0 ? sumRatings / totalRatings : 0;
-    tour.totalRatings = totalRatings;
-
-    await tour.save();
+    // One review per user - a second rating replaces the first
+    const reviewText = (review || '').toString().trim();
+    const saved = await saveReview(tour._id, userId, {
+      rating,
+      review: reviewText,
+      hasText: reviewText.length > 0,
+      verified: true,
+      booking: completedBooking._id
+    });
 
     res.status(200).json({
       success: true,
-      message: existingRatingIndex !== -1 ? 'Rating updated successfully' : 'Rating added successfully',
+      message: saved.created ? 'Rating added successfully' : 'Rating updated successfully',
       data: {
-        averageRating: tour.averageRating,
-        totalRatings: tour.totalRatings,
-        rating: {
-          userId,
-          rating,
-          review,
-          date: new Date()
-        }
+        averageRating: saved.averageRating,
+        totalRatings: saved.totalRatings,
+        rating: formatReview(saved.review)
       }
     });
   } catch (error) {
     console.error('Error rating tour:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error rating tour',
@@ -599,16 +980,18 @@ exports.rateTour = async (req, res) => {
   }
 };
 
-// Get all ratings for a tour - ENHANCED
+// Get ratings for a tour - paginated, ?sort=newest|highest|lowest&withText=true
 exports.getTourRatings = async (req, res) => {
   try {
     const { tourId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
+    const withText = req.query.withText === 'true';
 
-    console.log(`🔄 Fetching ratings for tour: ${tourId}`);
+    console.log(`🔄 Fetching ratings for tour: ${tourId}`, { page, limit, sort, withText });
 
-    const tour = await Tour.findById(tourId)
-      .populate('ratings.userId', 'name email')
-      .select('ratings averageRating totalRatings');
+    const tour = await Tour.findOne({ _id: tourId, ...Tour.publicFilter() }).select('averageRating totalRatings');
 
     if (!tour) {
       return res.status(404).json({
@@ -617,14 +1000,35 @@ exports.getTourRatings = async (req, res) => {
       });
     }
 
-    console.log(`✅ Found ${tour.ratings.length} ratings for tour ${tourId}`);
+    const filter = { tour: tour._id };
+    if (withText) filter.hasText = true;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort(REVIEW_SORTS[sort])
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name'),
+      Review.countDocuments(filter)
+    ]);
+
+    console.log(`✅ Found ${reviews.length} of ${total} ratings for tour ${tourId}`);
 
     res.status(200).json({
       success: true,
       data: {
-        ratings: tour.ratings,
+        ratings: reviews.map(formatReview),
         averageRating: tour.averageRating,
-        totalRatings: tour.totalRatings
+        totalRatings: tour.totalRatings,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasMore: page * limit < total
+        },
+        sort,
+        withText
       }
     });
   } catch (error) {
@@ -640,11 +1044,13 @@ exports.getTourRatings = async (req, res) => {
 // Get user's rating for a tour
 exports.getUserRating = async (req, res) => {
   try {
-    const { tourId, userId } = req.params;
+    const { tourId } = req.params;
+    // /rating/me has no userId param - fall back to the logged in user
+    const userId = req.params.userId || req.user._id.toString();
 
     console.log(`🔄 Fetching user rating: tour=${tourId}, user=${userId}`);
 
-    const tour = await Tour.findById(tourId);
+    const tour = await Tour.findOne({ _id: tourId, ...Tour.publicFilter() }).select('_id');
     if (!tour) {
       return res.status(404).json({
         success: false,
@@ -652,13 +1058,17 @@ exports.getUserRating = async (req, res) => {
       });
     }
 
-    const userRating = tour.ratings.find(r => r.userId.toString() === userId);
+    const [userRating, completedBooking] = await Promise.all([
+      Review.findOne({ tour: tour._id, user: userId }),
+      findCompletedBooking(userId, tour._id)
+    ]);
 
     console.log(`✅ User rating found: ${userRating ? 'Yes' : 'No'}`);
 
     res.status(200).json({
       success: true,
-      data: userRating || null
+      data: userRating ? formatReview(userRating) : null,
+      canRate: !!completedBooking
     });
   } catch (error) {
     console.error('Error getting user rating:', error);
@@ -670,66 +1080,36 @@ exports.getUserRating = async (req, res) => {
   }
 };
 
-// Search tours - ENHANCED to search in all admin-added fields
-exports.searchTours = async (req, res) => {
+// Search tours - the listing with ?q=, ranked by relevance and with facet counts
+// (?facets=false skips them). ?query= is still accepted for older clients.
+exports.searchTours = (req, res) => {
+  if (!req.query.q && req.query.query) {
+    req.query.q = req.query.query;
+  }
+  if (req.query.facets === undefined) {
+    req.query.facets = 'true';
+  }
+  return exports.getAllTours(req, res);
+};
+
+// Autocomplete for the search boxes - ?q= is what has been typed so far, ?limit= up to 15
+exports.suggestTours = async (req, res) => {
   try {
-    const { query, region, category, minPrice, maxPrice } = req.query;
-    
-    console.log('🔍 Searching tours with params:', { query, region, category, minPrice, maxPrice });
-    
-    let searchCriteria = { isActive: true };
-    
-    if (query) {
-      searchCriteria.$or = [
-        { title: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } },
-        { detailedDescription: { $regex: query, $options: 'i' } },
-        { 'overview.highlights': { $regex: query, $options: 'i' } },
-        { 'itinerary.title': { $regex: query, $options: 'i' } },
-        { 'itinerary.description': { $regex: query, $options: 'i' } },
-        { 'itinerary.activities': { $regex: query, $options: 'i' } }
-      ];
-    }
-    
-    if (region) searchCriteria.region = region;
-    if (category) searchCriteria.category = category;
-    if (minPrice || maxPrice) {
-      searchCriteria.price = {};
-      if (minPrice) searchCriteria.price.$gte = parseInt(minPrice);
-      if (maxPrice) searchCriteria.price.$lte = parseInt(maxPrice);
-    }
-    
-    const tours = await Tour.find(searchCriteria)
-      .sort({ createdAt: -1 });
-    
-    // Ensure complete data structure
-    const enhancedTours = tours.map(tour => {
-      const tourObj = tour.toObject();
-      return {
-        ...tourObj,
-        overview: tourObj.overview || {},
-        requirements: tourObj.requirements || {},
-        pricing: tourObj.pricing || {},
-        importantInfo: tourObj.importantInfo || {},
-        itinerary: tourObj.itinerary || [],
-        included: tourObj.included || [],
-        excluded: tourObj.excluded || [],
-        images: tourObj.images || [tourObj.image]
-      };
-    });
-    
-    console.log(`✅ Found ${enhancedTours.length} tours matching search criteria`);
-    
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 15);
+
+    const suggestions = q ? await suggestTours(q, limit) : [];
+
     res.json({
       success: true,
-      count: enhancedTours.length,
-      data: enhancedTours
+      count: suggestions.length,
+      data: suggestions
     });
   } catch (error) {
-    console.error('Error searching tours:', error);
+    console.error('Error getting tour suggestions:', error);
     res.status(500).json({
       success: false,
-      message: 'Error searching tours',
+      message: 'Error getting suggestions',
       error: error.message
     });
   }
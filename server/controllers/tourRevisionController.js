@@ -0,0 +1,175 @@
+const Tour = require('../models/Tour');
+const TourRevision = require('../models/TourRevision');
+const { takeSnapshot, diffSnapshots, recordRevision, applyRevision } = require('../utils/tourRevisions');
+const { invalidateSearchIndex } = require('../utils/tourSearch');
+
+const handleRevisionError = (res, error, fallback) => {
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid tour ID format'
+    });
+  }
+
+  console.error(`${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallback,
+    error: error.message
+  });
+};
+
+const findRevision = (tourId, version) => TourRevision.findOne({ tour: tourId, version: parseInt(version) || 0 });
+
+// Version history of a tour (admin only), newest first - without the snapshots
+exports.getTourRevisions = async (req, res) => {
+  try {
+    const tour = await Tour.findById(req.params.id).select('title');
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
+
+    const revisions = await TourRevision.find({ tour: tour._id })
+      .sort({ version: -1 })
+      .select('-snapshot');
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    handleRevisionError(res, error, 'Error fetching tour history');
+  }
+};
+
+// One version with its full snapshot (admin only)
+exports.getTourRevision = async (req, res) => {
+  try {
+    const revision = await findRevision(req.params.id, req.params.version);
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    handleRevisionError(res, error, 'Error fetching tour version');
+  }
+};
+
+// Changes between two versions (admin only) - ?from=3&to=5, where `to` defaults to
+// the tour as it is now. Without `from` the version before `to` is used.
+exports.compareTourRevisions = async (req, res) => {
+  try {
+    const tour = await Tour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
+
+    const toVersion = req.query.to && req.query.to !== 'current' ? parseInt(req.query.to) : null;
+    const to = toVersion ? await findRevision(tour._id, toVersion) : null;
+    if (toVersion && !to) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${req.query.to} not found`
+      });
+    }
+
+    let from;
+    if (req.query.from) {
+      from = await findRevision(tour._id, req.query.from);
+    } else {
+      from = await TourRevision.findOne({ tour: tour._id, ...(toVersion ? { version: { $lt: toVersion } } : {}) })
+        .sort({ version: -1 });
+    }
+    if (req.query.from && !from) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${req.query.from} not found`
+      });
+    }
+
+    const changes = diffSnapshots(from ? from.snapshot : {}, to ? to.snapshot : takeSnapshot(tour));
+
+    res.json({
+      success: true,
+      data: {
+        from: from ? from.version : null,
+        to: to ? to.version : 'current',
+        changes
+      }
+    });
+  } catch (error) {
+    handleRevisionError(res, error, 'Error comparing tour versions');
+  }
+};
+
+// Put an earlier version's content back (admin only). The publishing state stays as it
+// is, and the restore is itself recorded as a new version so it can be undone.
+exports.restoreTourRevision = async (req, res) => {
+  try {
+    const tour = await Tour.findById(req.params.id);
+
+    if (!tour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tour not found'
+      });
+    }
+
+    const revision = await findRevision(tour._id, req.params.version);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    const previousSnapshot = takeSnapshot(tour);
+    applyRevision(tour, revision);
+    tour.updatedAt = Date.now();
+    await tour.save();
+    invalidateSearchIndex();
+
+    const restored = await recordRevision(tour, {
+      action: 'restore',
+      user: req.user,
+      previousSnapshot,
+      restoredFrom: revision.version
+    });
+
+    res.json({
+      success: true,
+      message: restored
+        ? `Restored version ${revision.version} as version ${restored.version}`
+        : `The tour already matches version ${revision.version}`,
+      data: tour
+    });
+  } catch (error) {
+    // Content saved under older rules may not pass today's validation
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'This version can no longer be restored as it is',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    handleRevisionError(res, error, 'Error restoring tour version');
+  }
+};
@@ -0,0 +1,153 @@
+const Tour = require('../models/Tour');
+const TourTemplate = require('../models/TourTemplate');
+const { buildTemplateContent, getTourTemplateContent } = require('../utils/tourTemplates');
+
+const handleTemplateError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A template with this name already exists'
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid template ID format'
+    });
+  }
+
+  console.error('Error handling tour template:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
+// Template content from the request - either `content` or a tour to copy it from (`fromTour`)
+const resolveTemplateContent = async (body) => {
+  if (body.fromTour) {
+    const tour = await Tour.findById(body.fromTour);
+    if (!tour) return { errors: ['Tour to copy the template from was not found'] };
+    return { errors: [], content: getTourTemplateContent(tour) };
+  }
+
+  return buildTemplateContent(body.content);
+};
+
+// Get all templates (admin only), by name
+exports.getTourTemplates = async (req, res) => {
+  try {
+    const templates = await TourTemplate.find()
+      .collation({ locale: 'en' })
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    handleTemplateError(res, error);
+  }
+};
+
+// Create template (admin only)
+exports.createTourTemplate = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const resolved = await resolveTemplateContent(req.body);
+    if (resolved.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: resolved.errors
+      });
+    }
+
+    const template = new TourTemplate({
+      name,
+      description,
+      content: resolved.content,
+      createdBy: req.user._id
+    });
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Template saved successfully',
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error);
+  }
+};
+
+// Update template (admin only) - name, description and/or content
+exports.updateTourTemplate = async (req, res) => {
+  try {
+    const template = await TourTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (req.body.content !== undefined || req.body.fromTour) {
+      const resolved = await resolveTemplateContent(req.body);
+      if (resolved.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: resolved.errors
+        });
+      }
+      template.content = resolved.content;
+    }
+
+    if (req.body.name !== undefined) template.name = req.body.name;
+    if (req.body.description !== undefined) template.description = req.body.description;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    handleTemplateError(res, error);
+  }
+};
+
+// Delete template (admin only) - tours created from it are not affected
+exports.deleteTourTemplate = async (req, res) => {
+  try {
+    const template = await TourTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    handleTemplateError(res, error);
+  }
+};
@@ -0,0 +1,93 @@
+const Tour = require('../models/Tour');
+const { toExportRecord, toursToCsv, readImportFile, importTours } = require('../utils/tourTransfer');
+
+// Export tours (admin only) as JSON or CSV - ?format=csv, optionally ?status=published
+exports.exportTours = async (req, res) => {
+  try {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    const filter = {};
+    if (['draft', 'published', 'archived'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const tours = await Tour.find(filter).sort({ createdAt: 1 });
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Disposition', `attachment; filename="tours-${date}.${format}"`);
+
+    if (format === 'csv') {
+      return res.type('text/csv; charset=utf-8').send(toursToCsv(tours));
+    }
+
+    res.json({
+      exportedAt: new Date().toISOString(),
+      count: tours.length,
+      tours: tours.map(toExportRecord)
+    });
+  } catch (error) {
+    console.error('Error exporting tours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// Import tours (admin only) from an uploaded JSON or CSV file, creating or updating
+// by slug. ?dryRun=true checks every row and reports what would happen without saving.
+exports.importTours = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a JSON or CSV file to import'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const format = /\.csv$/i.test(req.file.originalname) ? 'csv' : 'json';
+
+    const file = readImportFile(format, req.file.buffer.toString('utf8'));
+    if (file.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file could not be read',
+        errors: file.errors
+      });
+    }
+
+    const result = await importTours(file.rows, { dryRun, user: req.user });
+    if (result.errors.length > 0) {
+      return res.status(result.unavailable ? 503 : 400).json({
+        success: false,
+        message: 'The file could not be imported',
+        errors: result.errors
+      });
+    }
+
+    const { summary, rows } = result;
+
+    if (!dryRun && !result.imported) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing was imported - ${summary.invalid} row(s) have errors`,
+        data: { dryRun, summary, rows }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Checked ${summary.total} tour(s) - nothing was saved`
+        : `Imported ${summary.create} new and ${summary.update} updated tour(s)`,
+      data: { dryRun, summary, rows }
+    });
+  } catch (error) {
+    console.error('Error importing tours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
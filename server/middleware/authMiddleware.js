@@ -0,0 +1,112 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { findActiveSession } = require('../utils/sessions');
+
+// Verify the Bearer access token issued by utils/sessions and attach the user and session
+exports.protect = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, no token provided'
+      });
+    }
+
+    const jwtSecret = process.env.JWT_SECRET;
+
+    if (!jwtSecret) {
+      console.error('❌ JWT_SECRET is not set in environment variables!');
+      return res.status(500).json({
+        success: false,
+        message: 'Server configuration error: JWT secret not configured'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, jwtSecret);
+    } catch (jwtError) {
+      return res.status(401).json({
+        success: false,
+        message: jwtError.name === 'TokenExpiredError'
+          ? 'Token expired'
+          : 'Not authorized, invalid token'
+      });
+    }
+
+    // Signed-out devices lose access at once, not when their token runs out.
+    // Tokens from before sessions existed have no sessionId and must sign in again.
+    const session = await findActiveSession(decoded.sessionId, decoded.userId);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired, please sign in again'
+      });
+    }
+
+    // Load the user so role changes and deletions take effect immediately
+    const user = await User.findById(decoded.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, user no longer exists'
+      });
+    }
+
+    req.user = user;
+    req.sessionId = session._id;
+    next();
+  } catch (error) {
+    console.error('🔥 Auth Middleware Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Restrict a route to the given roles - must run after protect
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Forbidden: insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+// Only allow the user named in a URL param (or an admin) - must run after protect
+exports.requireSelfOrAdmin = (paramName = 'userId') => (req, res, next) => {
+  if (req.user.role === 'admin' || req.params[paramName] === req.user._id.toString()) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Forbidden: you can only access your own data'
+  });
+};
+
+// Resolve which user a request acts for - admins may name another user explicitly
+exports.resolveActingUserId = (req, requestedUserId) => {
+  if (requestedUserId && req.user.role === 'admin') {
+    return requestedUserId.toString();
+  }
+  return req.user._id.toString();
+};
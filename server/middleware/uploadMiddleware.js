@@ -0,0 +1,66 @@
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../utils/mediaLibrary');
+
+const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Kept in memory - utils/mediaLibrary checks the actual file contents and resizes it
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG and WebP images can be uploaded');
+      error.code = 'INVALID_IMAGE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single image in the given form field, answering upload problems with a 400
+exports.uploadImage = (fieldName) => (req, res, next) => {
+  imageUpload.single(fieldName)(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Images must be ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB or smaller`
+      : error.message;
+
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
+
+const MAX_DATA_FILE_BYTES = 5 * 1024 * 1024;
+
+// Tour imports - checked by extension, as browsers report CSV under several mime types
+const dataFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DATA_FILE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(json|csv)$/i.test(file.originalname)) {
+      const error = new Error('Only .json and .csv files can be imported');
+      error.code = 'INVALID_DATA_FILE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Accept a single JSON or CSV file in the given form field, answering upload problems with a 400
+exports.uploadDataFile = (fieldName) => (req, res, next) => {
+  dataFileUpload.single(fieldName)(req, res, (error) => {
+    if (!error) return next();
+
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Import files must be ${MAX_DATA_FILE_BYTES / (1024 * 1024)} MB or smaller`
+      : error.message;
+
+    res.status(400).json({
+      success: false,
+      message
+    });
+  });
+};
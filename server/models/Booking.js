@@ -30,10 +30,67 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Price breakdown from utils/pricingEngine at the time of booking
+  pricing: {
+    unitPrice: Number,
+    subtotal: Number,
+    discountTotal: {
+      type: Number,
+      default: 0
+    },
+    total: Number,
+    lineItems: [{
+      _id: false,
+      code: String,
+      type: {
+        type: String,
+        enum: ['base', 'discount', 'coupon']
+      },
+      label: String,
+      amount: Number
+    }]
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'cancelled', 'completed'],
-    default: 'confirmed'
+    default: 'pending'
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'paid', 'failed'],
+    default: 'unpaid'
+  },
+  // Every status change, oldest first (see utils/bookingLifecycle)
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: String,
+      enum: ['user', 'admin', 'system']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Unpaid pending bookings release their seats after this time (see utils/holdExpiry)
+  holdExpiresAt: {
+    type: Date
   },
   specialRequirements: {
     type: String,
@@ -46,6 +103,40 @@ const bookingSchema = new mongoose.Schema({
   email: {
     type: String,
     default: ''
+  },
+  // Coupon redeemed for this booking
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: Number
+  },
+  // Set when the booking is cancelled (see utils/cancellationPolicy)
+  cancellation: {
+    cancelledAt: Date,
+    cancelledBy: {
+      type: String,
+      enum: ['user', 'admin', 'system']
+    },
+    reason: String,
+    daysBeforeTravel: Number
+  },
+  // Refund owed under the tour's cancellation tiers
+  refund: {
+    amount: Number,
+    percentage: Number,
+    status: {
+      type: String,
+      enum: ['none', 'pending', 'processed']
+    },
+    processedAt: Date
+  },
+  // Whether this booking currently holds seats on its tour departure
+  seatsReserved: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
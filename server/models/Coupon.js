@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true,
+    default: 'percent'
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Upper bound for percent coupons (0 = no cap)
+  maxDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date
+  },
+  // Total redemptions allowed across all users (0 = unlimited)
+  usageLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Empty restrictions mean the coupon works on every tour
+  applicableTours: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tour'
+  }],
+  applicableCategories: [{
+    type: String,
+    enum: ['heritage', 'adventure', 'beach', 'wellness', 'cultural', 'spiritual']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.value > 100) {
+    this.invalidate('value', 'Percent discount cannot exceed 100');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'Valid until must be after valid from');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
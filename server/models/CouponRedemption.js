@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon by one booking (see utils/coupons). Deleted again when the booking
+// is cancelled or its hold expires, so the use is given back exactly once.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  // Which of the user's perUserLimit uses this is (0, 1, ...) - unset when there is no per-user limit.
+  // The unique index below is what stops two bookings at once from both getting the last use.
+  slot: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+couponRedemptionSchema.index({ booking: 1 }, { unique: true });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
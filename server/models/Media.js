@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// An uploaded image and the resized copies made from it (see utils/mediaLibrary).
+// Tours reference images by URL, so the same image can be used on several tours.
+const mediaSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Format of the uploaded file - the variants are all WebP
+  format: {
+    type: String,
+    enum: ['jpeg', 'png', 'webp'],
+    required: true
+  },
+  size: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  width: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  height: {
+    type: Number,
+    min: 1,
+    required: true
+  },
+  alt: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [300, 'Alt text cannot exceed 300 characters']
+  },
+  // Storage adapter the files were saved with (utils/storage)
+  storage: {
+    type: String,
+    required: true
+  },
+  variants: [{
+    _id: false,
+    name: {
+      type: String,
+      enum: ['thumbnail', 'card', 'hero'],
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    width: Number,
+    height: Number,
+    size: Number
+  }],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+mediaSchema.index({ createdAt: -1 });
+mediaSchema.index({ 'variants.url': 1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
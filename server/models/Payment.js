@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Gateway adapter that handled the payment (see utils/payments)
+  provider: {
+    type: String,
+    required: true
+  },
+  providerPaymentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['created', 'succeeded', 'failed', 'expired'],
+    default: 'created'
+  },
+  checkoutUrl: {
+    type: String,
+    default: ''
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  paidAt: {
+    type: Date
+  },
+  // Money was taken for a booking that had already expired or been cancelled
+  needsRefund: {
+    type: Boolean,
+    default: false
+  },
+  // Webhook event ids already applied, so gateway retries are harmless
+  processedEvents: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ booking: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  tour: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tour',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  review: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: 2000
+  },
+  // Written by someone with a completed booking for this tour
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  // Review text is optional - kept so "with text only" can use an index
+  hasText: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.pre('save', function(next) {
+  this.hasText = !!(this.review && this.review.trim());
+  next();
+});
+
+// One review per user per tour, plus the listing sorts
+reviewSchema.index({ tour: 1, user: 1 }, { unique: true });
+reviewSchema.index({ tour: 1, createdAt: -1 });
+reviewSchema.index({ tour: 1, rating: -1, createdAt: -1 });
+reviewSchema.index({ tour: 1, hasText: 1, createdAt: -1 });
+reviewSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
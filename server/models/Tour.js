@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { parseDuration, formatDuration, checkDuration, checkItinerary } = require('../utils/tourDuration');
+const { slugify, isValidSlug, numberSlug } = require('../utils/tourSlugs');
 
 const tourSchema = new mongoose.Schema({
   title: {
@@ -7,6 +9,16 @@ const tourSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Tour title cannot exceed 200 characters']
   },
+  // Stable key for imports and exports - set from the title on first save and kept when it changes
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: (value) => !value || isValidSlug(value),
+      message: 'Slug may only contain lowercase letters, numbers and dashes (up to 80 characters)'
+    }
+  },
   description: {
     type: String,
     required: [true, 'Tour description is required'],
@@ -23,12 +35,22 @@ const tourSchema = new mongoose.Schema({
     min: [0, 'Price cannot be negative'],
     default: 0
   },
+  // Display text - kept in step with durationDays/durationNights (see the pre-validate hook)
   duration: {
     type: String,
     required: [true, 'Tour duration is required'],
     trim: true,
     default: 'Not specified'
   },
+  durationDays: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 day'],
+    max: [365, 'Duration cannot exceed 365 days']
+  },
+  durationNights: {
+    type: Number,
+    min: [0, 'Nights cannot be negative']
+  },
   image: {
     type: String,
     required: [true, 'Main image is required'],
@@ -132,28 +154,7 @@ const tourSchema = new mongoose.Schema({
     }
   }],
   
-  // Ratings & Reviews
-  ratings: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5,
-      required: true
-    },
-    review: {
-      type: String,
-      default: '',
-      trim: true
-    },
-    date: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Rating summary - the reviews themselves live in the Review collection (see utils/ratings)
   averageRating: {
     type: Number,
     default: 0,
@@ -165,6 +166,12 @@ const tourSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Sum of all ratings - kept so averageRating can be updated without a recount
+  ratingSum: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   // Tour Requirements
   requirements: {
@@ -210,6 +217,19 @@ const tourSchema = new mongoose.Schema({
         type: String,
         default: '',
         trim: true
+      },
+      // Eligibility rule used by utils/pricingEngine (inferred from the name when missing)
+      type: {
+        type: String,
+        enum: ['general', 'early_bird', 'group']
+      },
+      minDaysInAdvance: {
+        type: Number,
+        min: 0
+      },
+      minParticipants: {
+        type: Number,
+        min: 1
       }
     }],
     paymentPolicy: {
@@ -221,7 +241,22 @@ const tourSchema = new mongoose.Schema({
       type: String,
       default: 'Not specified',
       trim: true
-    }
+    },
+    // Refund tiers used when a booking is cancelled (utils/cancellationPolicy has the default)
+    cancellationTiers: [{
+      _id: false,
+      minDaysBeforeTravel: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      refundPercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      }
+    }]
   },
   
   // Important Information
@@ -258,12 +293,46 @@ const tourSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Departures with their own seat inventory - bookedSeats is only changed via utils/seatInventory
   availableDates: [{
-    type: Date
+    date: {
+      type: Date,
+      required: true
+    },
+    capacity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    bookedSeats: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Created automatically by the first booking on a tour without a fixed schedule
+    onDemand: {
+      type: Boolean,
+      default: false
+    }
   }],
-  isActive: {
-    type: Boolean,
-    default: true
+  // Only published tours are shown to travellers, and only inside their publish window.
+  // Deleting a tour archives it - bookings and reviews keep pointing at it.
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'published', 'archived'],
+      message: 'Status must be draft, published or archived'
+    },
+    default: 'draft'
+  },
+  // Optional schedule for a published tour - live from publishAt, hidden again from unpublishAt
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
   },
   createdAt: {
     type: Date,
@@ -275,23 +344,63 @@ const tourSchema = new mongoose.Schema({
   }
 });
 
+// Fill in the numeric duration from the text for tours that only have text, write the
+// text from the numbers otherwise, and check the itinerary fits in the tour's days
+tourSchema.pre('validate', function(next) {
+  const numbersChanged = this.isModified('durationDays') || this.isModified('durationNights');
+
+  if (!numbersChanged && (this.isModified('duration') || !this.durationDays)) {
+    const parsed = parseDuration(this.duration);
+    if (parsed) {
+      this.durationDays = parsed.days;
+      this.durationNights = parsed.nights;
+    }
+  }
+
+  if (this.durationDays) {
+    if (this.durationNights === undefined || this.durationNights === null) {
+      this.durationNights = Math.max(this.durationDays - 1, 0);
+    }
+    this.duration = formatDuration(this.durationDays, this.durationNights);
+
+    checkDuration(this.durationDays, this.durationNights)
+      .forEach(message => this.invalidate('durationNights', message));
+
+    const itineraryErrors = checkItinerary(this.itinerary, this.durationDays);
+    if (itineraryErrors.length > 0) {
+      this.invalidate('itinerary', itineraryErrors.join('; '));
+    }
+  }
+
+  // Publishing a tour again drops an unpublish date that has passed - otherwise the
+  // publishing job would archive it straight back
+  if (this.isModified('status') && this.status === 'published'
+    && this.unpublishAt && this.unpublishAt <= new Date()) {
+    this.unpublishAt = null;
+  }
+
+  if (this.publishAt && this.unpublishAt && this.unpublishAt <= this.publishAt) {
+    this.invalidate('unpublishAt', 'Unpublish date must be after the publish date');
+  }
+
+  next();
+});
+
 // Update the updatedAt field before saving
 tourSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-// Calculate average rating before saving
-tourSchema.pre('save', function(next) {
-  if (this.ratings && this.ratings.length > 0) {
-    const total = this.ratings.reduce((sum, rating) => sum + rating.rating, 0);
-    this.averageRating = total / this.ratings.length;
-    this.totalRatings = this.ratings.length;
-  } else {
-    this.averageRating = 0;
-    this.totalRatings = 0;
+// New tours get a slug from their title (insertMany skips this - see backfillSlugs)
+tourSchema.pre('save', async function() {
+  if (!this.slug) {
+    this.slug = await this.constructor.findFreeSlug(slugify(this.title), this._id);
   }
-  
+});
+
+// Fill in missing nested data before saving
+tourSchema.pre('save', function(next) {
   // Ensure all nested objects exist
   if (!this.overview) this.overview = {};
   if (!this.requirements) this.requirements = {};
@@ -303,18 +412,66 @@ tourSchema.pre('save', function(next) {
   if (!this.itinerary) this.itinerary = [];
   if (!this.included) this.included = [];
   if (!this.excluded) this.excluded = [];
-  if (!this.ratings) this.ratings = [];
   
   next();
 });
 
-// Middleware to ensure data consistency
-tourSchema.pre('find', function() {
-  this.where({ isActive: true });
-});
+// Listing sorts (see tourController.getAllTours)
+tourSchema.index({ status: 1, createdAt: -1 });
+tourSchema.index({ status: 1, price: 1 });
+tourSchema.index({ status: 1, averageRating: -1, totalRatings: -1 });
+tourSchema.index({ status: 1, currentParticipants: -1, totalRatings: -1 });
+tourSchema.index({ status: 1, durationDays: 1 });
+tourSchema.index({ slug: 1 }, { unique: true, sparse: true });
+// Scheduled changes (see utils/tourPublishing)
+tourSchema.index({ status: 1, publishAt: 1 });
+tourSchema.index({ status: 1, unpublishAt: 1 });
 
-tourSchema.pre('findOne', function() {
-  this.where({ isActive: true });
-});
+// Tours travellers can see at `now`. Public queries add this themselves - admin queries
+// leave it out so drafts and archived tours can be listed, previewed and edited.
+tourSchema.statics.publicFilter = function(now = new Date()) {
+  return {
+    status: 'published',
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// `base`, or `base-2`, `base-3`... whichever no other tour has
+tourSchema.statics.findFreeSlug = async function(base, excludeId) {
+  for (let n = 1; ; n++) {
+    const candidate = numberSlug(base, n);
+    const taken = await this.exists({ slug: candidate, _id: { $ne: excludeId } });
+    if (!taken) return candidate;
+  }
+};
+
+// Give a slug to tours saved before slugs existed or inserted in bulk. Raw updates -
+// older tours may not pass today's validation.
+tourSchema.statics.backfillSlugs = async function() {
+  const tours = await this.collection
+    .find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] })
+    .project({ title: 1 })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  for (const tour of tours) {
+    const slug = await this.findFreeSlug(slugify(tour.title), tour._id);
+    await this.collection.updateOne({ _id: tour._id }, { $set: { slug } });
+  }
+
+  return tours.length;
+};
+
+// State as the admin panel shows it - a published tour outside its window is
+// 'scheduled' (not live yet) or 'ended' (past its unpublish date)
+tourSchema.methods.getVisibility = function(now = new Date()) {
+  if (this.status !== 'published') return this.status;
+  if (this.publishAt && this.publishAt > now) return 'scheduled';
+  if (this.unpublishAt && this.unpublishAt <= now) return 'ended';
+  return 'live';
+};
 
 module.exports = mongoose.model('Tour', tourSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A numbered copy of a tour's editable content, taken after each change (see utils/tourRevisions)
+const tourRevisionSchema = new mongoose.Schema({
+  tour: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tour',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // baseline: the tour as it was before history was kept (no author)
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore', 'archive'],
+    required: true
+  },
+  // Version that was restored, for 'restore' revisions
+  restoredFrom: {
+    type: Number
+  },
+  // Top-level fields that differ from the previous version
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Kept so the history still reads correctly after the account is deleted
+  authorName: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+tourRevisionSchema.index({ tour: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('TourRevision', tourRevisionSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A reusable tour skeleton (duration, itinerary, inclusions, policies...) an admin can
+// start a new tour from. `content` holds tour fields - see utils/tourTemplates.
+const tourTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [500, 'Template description cannot exceed 500 characters']
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+tourTemplateSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('TourTemplate', tourTemplateSchema);
@@ -32,6 +32,56 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  // Set once the user opens the link from the verification email (see utils/accountEmails)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // When the last reset / verification email went out - limits how often they can be requested
+  passwordResetSentAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  verificationSentAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // Latest tour searches, newest first (see authController.addRecentSearch)
+  recentSearches: {
+    type: [{
+      _id: false,
+      query: {
+        type: String,
+        trim: true,
+        maxlength: 100
+      },
+      searchedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false // Private to the user - not part of profiles or admin user lists
+  },
+  // Self-service deletion: the account stays usable until deletionScheduledFor, when it
+  // is anonymized and deletedAt is set (see utils/accountDeletion)
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -40,6 +90,8 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index({ deletionScheduledFor: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -1,17 +1,48 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const tourRevisionController = require('../controllers/tourRevisionController');
+const tourTemplateController = require('../controllers/tourTemplateController');
+const tourTransferController = require('../controllers/tourTransferController');
+const { protect, requireRole } = require('../middleware/authMiddleware');
+const { uploadDataFile } = require('../middleware/uploadMiddleware');
+
+// Every admin route requires an authenticated admin
+router.use(protect, requireRole('admin'));
 
 // Admin dashboard routes
 router.get('/stats', adminController.getDashboardStats);
 router.get('/users', adminController.getAllUsersForAdmin);
 router.delete('/users/:userId', adminController.deleteUser);
 router.get('/tours', adminController.getAllToursForAdmin);
+router.get('/tours/export', tourTransferController.exportTours);
+router.post('/tours/import', uploadDataFile('file'), tourTransferController.importTours);
+router.get('/tours/:id', adminController.getTourForAdmin);
+
+// Tour version history
+router.get('/tours/:id/revisions', tourRevisionController.getTourRevisions);
+router.get('/tours/:id/revisions/compare', tourRevisionController.compareTourRevisions);
+router.get('/tours/:id/revisions/:version', tourRevisionController.getTourRevision);
+router.post('/tours/:id/revisions/:version/restore', tourRevisionController.restoreTourRevision);
+
+// Tour templates
+router.get('/tour-templates', tourTemplateController.getTourTemplates);
+router.post('/tour-templates', tourTemplateController.createTourTemplate);
+router.put('/tour-templates/:id', tourTemplateController.updateTourTemplate);
+router.delete('/tour-templates/:id', tourTemplateController.deleteTourTemplate);
+
 router.get('/bookings', adminController.getAllBookingsForAdmin);
 router.put('/bookings/:id/status', adminController.updateBookingStatus); // ADDED: Admin can update booking status
+router.put('/bookings/:id/refund', adminController.processRefund);
+
+// Coupon management
+router.get('/coupons', adminController.getAllCoupons);
+router.post('/coupons', adminController.createCoupon);
+router.put('/coupons/:id', adminController.updateCoupon);
+router.delete('/coupons/:id', adminController.deleteCoupon);
 
 // Admin actions
 router.post('/reset-data', adminController.resetAllData);
 router.delete('/bookings/all', adminController.deleteAllBookings);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const { protect, requireRole } = require('../middleware/authMiddleware');
 
 // Request logging for auth routes
 router.use((req, res, next) => {
@@ -11,14 +12,32 @@ router.use((req, res, next) => {
 // Public routes
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refreshToken);
+router.post('/logout', authController.logout);
+router.post('/forgot-password', authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+router.post('/verify-email', authController.verifyEmail);
+router.get('/password-policy', authController.getPasswordPolicy);
+router.post('/password-policy/check', authController.checkPasswordStrength);
 
-// Protected routes (will add middleware later)
-router.get('/profile', authController.getProfile);
-router.put('/profile', authController.updateProfile);
+// Protected routes
+router.get('/me', protect, authController.getCurrentUser);
+router.post('/resend-verification', protect, authController.resendVerification);
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions', protect, authController.revokeAllSessions);
+router.delete('/sessions/:sessionId', protect, authController.revokeSession);
+router.get('/profile', protect, authController.getProfile);
+router.put('/profile', protect, authController.updateProfile);
+router.put('/password', protect, authController.changePassword);
+router.post('/account/deletion', protect, authController.requestAccountDeletion);
+router.delete('/account/deletion', protect, authController.cancelAccountDeletion);
+router.get('/recent-searches', protect, authController.getRecentSearches);
+router.post('/recent-searches', protect, authController.addRecentSearch);
+router.delete('/recent-searches', protect, authController.clearRecentSearches);
 
 // Admin routes
-router.get('/users', authController.getAllUsers);
-router.delete('/users/:userId', authController.deleteUser);
+router.get('/users', protect, requireRole('admin'), authController.getAllUsers);
+router.delete('/users/:userId', protect, requireRole('admin'), authController.deleteUser);
 
 // Test route for debugging
 router.get('/test', (req, res) => {
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const bookingController = require('../controllers/bookingController');
+const { protect, requireRole, requireSelfOrAdmin } = require('../middleware/authMiddleware');
 
 // Request logging middleware
 router.use((req, res, next) => {
@@ -8,16 +9,17 @@ router.use((req, res, next) => {
   next();
 });
 
-// Public routes
-router.post('/', bookingController.createBooking);
-
 // Protected routes
-router.get('/user/:userId', bookingController.getUserBookings);
-router.put('/:id', bookingController.updateBookingStatus);
-router.delete('/:id', bookingController.deleteBooking);
+router.post('/quote', protect, bookingController.getQuote);
+router.post('/', protect, bookingController.createBooking);
+router.get('/me', protect, bookingController.getUserBookings);
+router.get('/user/:userId', protect, requireSelfOrAdmin(), bookingController.getUserBookings);
+router.get('/:id/cancellation-preview', protect, bookingController.getCancellationPreview);
+router.put('/:id', protect, bookingController.updateBookingStatus);
 
 // Admin routes
-router.get('/', bookingController.getAllBookings);
+router.get('/', protect, requireRole('admin'), bookingController.getAllBookings);
+router.delete('/:id', protect, requireRole('admin'), bookingController.deleteBooking);
 
 // Test route
 router.get('/test', (req, res) => {
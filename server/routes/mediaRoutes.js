@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+const { protect, requireRole } = require('../middleware/authMiddleware');
+const { uploadImage } = require('../middleware/uploadMiddleware');
+
+// The media library is managed by admins - the image files themselves are public
+router.use(protect, requireRole('admin'));
+
+router.get('/', mediaController.getAllMedia);
+router.post('/', uploadImage('image'), mediaController.uploadMedia);
+router.put('/:id', mediaController.updateMedia);
+router.delete('/:id', mediaController.deleteMedia);
+
+module.exports = router;
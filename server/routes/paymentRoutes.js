@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Gateway webhooks - authenticated by their signature, not a user token
+router.post('/webhook/:provider', paymentController.handleWebhook);
+
+// Protected routes
+router.post('/checkout', protect, paymentController.createCheckout);
+router.post('/mock/:paymentId/complete', protect, paymentController.completeMockPayment);
+router.get('/booking/:bookingId', protect, paymentController.getBookingPayments);
+
+module.exports = router;
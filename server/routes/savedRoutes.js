@@ -1,14 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const savedController = require('../controllers/savedController');
+const { protect, requireSelfOrAdmin } = require('../middleware/authMiddleware');
 
-// Get saved tours for a user
-router.get('/:userId', savedController.getSavedTours);
+// All saved tour routes require a logged in user
+router.use(protect);
+
+// Get saved tours for the logged in user (or a given user for admins)
+router.get('/me', savedController.getSavedTours);
+router.get('/:userId', requireSelfOrAdmin(), savedController.getSavedTours);
 
 // Save a tour
 router.post('/', savedController.saveTour);
 
 // Remove saved tour
-router.delete('/:userId/:tourId', savedController.removeSavedTour);
+router.delete('/me/:tourId', savedController.removeSavedTour);
+router.delete('/:userId/:tourId', requireSelfOrAdmin(), savedController.removeSavedTour);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,19 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const tourController = require('../controllers/tourController');
+const { protect, requireRole } = require('../middleware/authMiddleware');
 
 // Public routes
 router.get('/', tourController.getAllTours);
 router.get('/search', tourController.searchTours);
+router.get('/suggest', tourController.suggestTours);
 router.get('/:id', tourController.getTourById);
+router.get('/:id/availability', tourController.getTourAvailability);
 router.get('/category/:category', tourController.getToursByCategory);
-router.post('/:tourId/rate', tourController.rateTour);
 router.get('/:tourId/ratings', tourController.getTourRatings);
+
+// Protected routes
+router.post('/:tourId/rate', protect, tourController.rateTour);
+router.get('/:tourId/rating/me', protect, tourController.getUserRating);
+
+// Public lookup of a specific user's rating
 router.get('/:tourId/rating/:userId', tourController.getUserRating);
 
-// Protected routes (admin only in production)
-router.post('/', tourController.createTour);
-router.put('/:id', tourController.updateTour);
-router.delete('/:id', tourController.deleteTour);
+// Admin routes
+router.post('/', protect, requireRole('admin'), tourController.createTour);
+router.post('/:id/duplicate', protect, requireRole('admin'), tourController.duplicateTour);
+router.put('/:id', protect, requireRole('admin'), tourController.updateTour);
+router.delete('/:id', protect, requireRole('admin'), tourController.deleteTour);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,5 +1,4 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 require('dotenv').config();
 
@@ -11,14 +10,11 @@ const createAdmin = async () => {
         const adminExists = await User.findOne({ email: 'admin@tours.com' });
         
         if (!adminExists) {
-            // Create admin user
-            const salt = await bcrypt.genSalt(10);
-            const hashedPassword = await bcrypt.hash('admin123', salt);
-            
+            // Create admin user - the User pre-save hook hashes the password
             const admin = new User({
                 name: 'Admin User',
                 email: 'admin@tours.com',
-                password: hashedPassword,
+                password: 'admin123',
                 role: 'admin',
                 phone: '1234567890',
                 address: 'Admin Address'
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Tour = require('../models/Tour');
+const Review = require('../models/Review');
+const { refreshTourRating } = require('../utils/ratings');
+require('dotenv').config();
+
+// Moves ratings embedded in Tour.ratings into the Review collection, recounts
+// each tour's rating summary, then drops the old array. Safe to run again.
+const migrateReviews = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        // Raw collection - ratings is no longer part of the Tour schema
+        const tours = await Tour.collection.find({ 'ratings.0': { $exists: true } }).toArray();
+        let migratedReviews = 0;
+
+        for (const tour of tours) {
+            for (const rating of tour.ratings) {
+                if (!rating.userId || !rating.rating) continue;
+
+                const review = (rating.review || '').trim();
+                const result = await Review.updateOne(
+                    { tour: tour._id, user: rating.userId },
+                    {
+                        $setOnInsert: {
+                            rating: rating.rating,
+                            review,
+                            hasText: review.length > 0,
+                            verified: !!rating.verified,
+                            booking: rating.booking,
+                            createdAt: rating.date || new Date(),
+                            updatedAt: rating.date || new Date()
+                        }
+                    },
+                    { upsert: true, timestamps: false }
+                );
+                migratedReviews += result.upsertedCount;
+            }
+
+            await refreshTourRating(tour._id);
+            await Tour.collection.updateOne({ _id: tour._id }, { $unset: { ratings: '' } });
+        }
+
+        console.log(`Moved ${migratedReviews} rating(s) from ${tours.length} tour(s) into reviews`);
+
+        mongoose.disconnect();
+    } catch (error) {
+        console.error('Error migrating reviews:', error);
+        mongoose.disconnect();
+    }
+};
+
+migrateReviews();
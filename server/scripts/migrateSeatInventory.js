@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Tour = require('../models/Tour');
+const Booking = require('../models/Booking');
+const { toDepartureDay } = require('../utils/seatInventory');
+require('dotenv').config();
+
+// Converts the old availableDates [Date] into departures with capacity,
+// then counts seats for upcoming bookings made before inventory existed.
+const migrateSeatInventory = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        // Raw collection so old plain dates aren't cast through the new schema
+        const tours = await Tour.collection.find({}).toArray();
+        let convertedTours = 0;
+
+        for (const tour of tours) {
+            const dates = tour.availableDates || [];
+            if (!dates.some(entry => entry instanceof Date)) continue;
+
+            const departures = dates.map(entry => (entry instanceof Date
+                ? {
+                    _id: new mongoose.Types.ObjectId(),
+                    date: toDepartureDay(entry),
+                    capacity: tour.maxParticipants || 20,
+                    bookedSeats: 0,
+                    onDemand: false
+                }
+                : entry));
+
+            await Tour.collection.updateOne(
+                { _id: tour._id },
+                { $set: { availableDates: departures } }
+            );
+            convertedTours++;
+        }
+
+        console.log(`Converted departures on ${convertedTours} tour(s)`);
+
+        const bookings = await Booking.find({
+            status: { $in: ['pending', 'confirmed'] },
+            travelDate: { $gte: toDepartureDay(new Date()) },
+            seatsReserved: { $ne: true }
+        });
+
+        for (const booking of bookings) {
+            const day = toDepartureDay(booking.travelDate);
+            const tour = await Tour.collection.findOne({ _id: booking.tour });
+            if (!tour) continue;
+
+            const hasDeparture = (tour.availableDates || []).some(
+                departure => departure.date && departure.date.getTime() === day.getTime()
+            );
+
+            if (!hasDeparture) {
+                await Tour.collection.updateOne(
+                    { _id: tour._id },
+                    { $push: { availableDates: {
+                        _id: new mongoose.Types.ObjectId(),
+                        date: day,
+                        capacity: tour.maxParticipants || 20,
+                        bookedSeats: 0,
+                        onDemand: true
+                    } } }
+                );
+            }
+
+            // Existing bookings are honoured even if they already exceed capacity
+            await Tour.collection.updateOne(
+                { _id: tour._id, 'availableDates.date': day },
+                { $inc: { 'availableDates.$.bookedSeats': booking.participants, currentParticipants: booking.participants } }
+            );
+
+            booking.seatsReserved = true;
+            await booking.save();
+        }
+
+        console.log(`Reserved seats for ${bookings.length} existing booking(s)`);
+
+        mongoose.disconnect();
+    } catch (error) {
+        console.error('Error migrating seat inventory:', error);
+        mongoose.disconnect();
+    }
+};
+
+migrateSeatInventory();
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const Tour = require('../models/Tour');
+const { parseDuration, formatDuration } = require('../utils/tourDuration');
+require('dotenv').config();
+
+// Fills in durationDays/durationNights from each tour's free-text duration. A tour
+// whose itinerary runs past the parsed length is stretched to fit it. Tours with
+// nothing to parse are listed so the duration can be set from the admin panel.
+// Safe to run again - tours that already have durationDays are skipped.
+const migrateTourDurations = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        // Raw collection - includes inactive tours, and skips validation of the old data
+        const tours = await Tour.collection.find({ durationDays: { $exists: false } }).toArray();
+        let migrated = 0;
+        const unparsed = [];
+
+        for (const tour of tours) {
+            const parsed = parseDuration(tour.duration);
+            if (!parsed) {
+                unparsed.push(`${tour._id} "${tour.title}" (duration: "${tour.duration}")`);
+                continue;
+            }
+
+            const lastItineraryDay = Math.max(0, ...(tour.itinerary || []).map(item => item.day || 0));
+            let { days, nights } = parsed;
+
+            if (lastItineraryDay > days) {
+                console.warn(`"${tour.title}": itinerary has ${lastItineraryDay} days but duration says "${tour.duration}" - using ${lastItineraryDay} days`);
+                days = lastItineraryDay;
+                nights = days - 1;
+            }
+
+            await Tour.collection.updateOne(
+                { _id: tour._id },
+                { $set: { durationDays: days, durationNights: nights, duration: formatDuration(days, nights) } }
+            );
+            migrated++;
+        }
+
+        console.log(`Set a numeric duration on ${migrated} of ${tours.length} tour(s)`);
+        if (unparsed.length > 0) {
+            console.log('Could not read a duration for these tours - set it from the admin panel:');
+            unparsed.forEach(line => console.log(`  ${line}`));
+        }
+
+        mongoose.disconnect();
+    } catch (error) {
+        console.error('Error migrating tour durations:', error);
+        mongoose.disconnect();
+    }
+};
+
+migrateTourDurations();
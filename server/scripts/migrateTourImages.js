@@ -0,0 +1,91 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Tour = require('../models/Tour');
+const Media = require('../models/Media');
+const { MAX_UPLOAD_BYTES, storeImage, getMediaUrl } = require('../utils/mediaLibrary');
+require('dotenv').config();
+
+const DOWNLOAD_TIMEOUT_MS = 30 * 1000;
+
+// Copies every externally hosted tour image (Unsplash/Bing hotlinks, placeholders) into the
+// media library and points the tour at the stored copy. The same URL on several tours is
+// downloaded once. Images that can't be fetched or don't pass the upload checks are listed
+// and left as they are. Safe to run again - images already in the library are skipped.
+const downloadImage = async (url) => {
+    // Anything but a 2xx rejects with "Request failed with status code ..."
+    const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: DOWNLOAD_TIMEOUT_MS,
+        maxContentLength: MAX_UPLOAD_BYTES + 1
+    });
+
+    const buffer = Buffer.from(response.data);
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        throw new Error(`larger than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`);
+    }
+    return buffer;
+};
+
+const migrateTourImages = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        // Raw collection - includes inactive tours, and leaves everything but the image fields alone
+        const tours = await Tour.collection.find({}).project({ title: 1, image: 1, images: 1 }).toArray();
+        const copies = new Map();
+        const failed = [];
+        let updatedTours = 0;
+
+        const toLibraryUrl = async (url, tour) => {
+            if (!url || !/^https?:\/\//i.test(url)) return url;
+            if (copies.has(url)) return copies.get(url);
+
+            let libraryUrl = url;
+            const existing = await Media.findOne({ 'variants.url': url });
+
+            if (!existing) {
+                try {
+                    const media = await storeImage({
+                        buffer: await downloadImage(url),
+                        originalName: url.split('?')[0].split('/').pop(),
+                        alt: tour.title
+                    });
+                    libraryUrl = getMediaUrl(media);
+                    console.log(`Copied ${url}`);
+                } catch (error) {
+                    failed.push(`"${tour.title}": ${url} (${error.message})`);
+                }
+            }
+
+            copies.set(url, libraryUrl);
+            return libraryUrl;
+        };
+
+        for (const tour of tours) {
+            const image = await toLibraryUrl(tour.image, tour);
+            const images = [];
+            for (const url of tour.images || []) {
+                images.push(await toLibraryUrl(url, tour));
+            }
+
+            const changed = image !== tour.image || images.some((url, index) => url !== tour.images[index]);
+            if (changed) {
+                await Tour.collection.updateOne({ _id: tour._id }, { $set: { image, images } });
+                updatedTours++;
+            }
+        }
+
+        console.log(`Moved images into the media library for ${updatedTours} of ${tours.length} tour(s)`);
+        if (failed.length > 0) {
+            console.log('Could not copy these images - upload a replacement from the admin panel:');
+            failed.forEach(line => console.log(`  ${line}`));
+        }
+
+        mongoose.disconnect();
+    } catch (error) {
+        console.error('Error migrating tour images:', error);
+        mongoose.disconnect();
+    }
+};
+
+migrateTourImages();
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { checkPassword } = require('../utils/passwordPolicy');
+require('dotenv').config();
+
+// Sets a new password for an admin account and signs it out everywhere:
+//   node scripts/resetAdminPassword.js <email> <new password>
+// Admins seeded before the seed stopped hashing the password itself were stored with a
+// hash of a hash - no password matches it, so this is the way back in.
+const resetAdminPassword = async () => {
+    const [email, password] = process.argv.slice(2);
+
+    if (!email || !password) {
+        console.error('Usage: node scripts/resetAdminPassword.js <email> <new password>');
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const admin = await User.findOne({ email: email.toLowerCase(), role: 'admin' });
+
+        if (!admin) {
+            console.error(`No admin account found for ${email}`);
+            process.exitCode = 1;
+        } else {
+            const policy = checkPassword(password, admin);
+
+            if (!policy.valid) {
+                console.error(`Password rejected: ${policy.errors.join('; ')}`);
+                process.exitCode = 1;
+            } else {
+                // Plain text - the User pre-save hook hashes it
+                admin.password = password;
+                await admin.save();
+                const { deletedCount } = await Session.deleteMany({ user: admin._id });
+
+                console.log(`Password reset for ${admin.email}`);
+                console.log(`Signed out ${deletedCount} session(s)`);
+            }
+        }
+
+        mongoose.disconnect();
+    } catch (error) {
+        console.error('Error resetting admin password:', error);
+        process.exitCode = 1;
+        mongoose.disconnect();
+    }
+};
+
+resetAdminPassword();
@@ -6,8 +6,21 @@ const dotenv = require('dotenv');
 // Load environment variables FIRST
 dotenv.config();
 
+const { startHoldExpiryJob } = require('./utils/holdExpiry');
+const { startTripCompletionJob } = require('./utils/tripCompletion');
+const { startAccountDeletionJob } = require('./utils/accountDeletion');
+const { backfillTourStatus, startTourPublishingJob } = require('./utils/tourPublishing');
+const { getActiveStorage } = require('./utils/storage');
+const { getPaymentConfigError } = require('./utils/payments');
+const { getMailConfigError } = require('./utils/mailer');
+const { seedDefaultTemplates } = require('./utils/tourTemplates');
+const { backfillRatingSums } = require('./utils/ratings');
+
 const app = express();
 
+// Behind Render's proxy - req.ip is the client's address (shown in the session list)
+app.set('trust proxy', 1);
+
 // Debug logging
 console.log('🔧 Environment Check:', {
   NODE_ENV: process.env.NODE_ENV,
@@ -23,7 +36,12 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(express.json());
+// Keep the raw body around - payment webhooks are signed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -32,6 +50,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Uploaded images kept on local disk - file names are unique per upload, so they can be cached for good
+const mediaStorage = getActiveStorage();
+if (mediaStorage && mediaStorage.getDirectory) {
+  app.use(mediaStorage.publicPath, express.static(mediaStorage.getDirectory(), {
+    maxAge: '365d',
+    immutable: true
+  }));
+}
+
 // Database Connection with better error handling
 const connectDB = async () => {
   try {
@@ -78,15 +105,13 @@ const initializeDefaultData = async () => {
     const adminExists = await User.findOne({ email: 'admin@tourvista.com' });
     if (!adminExists) {
       console.log('👤 Creating admin user...');
-      const bcrypt = require('bcryptjs');
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash('Admin@123', salt);
       
+      // Plain text - the User pre-save hook hashes it
       const adminUser = new User({
         name: 'Administrator',
         email: 'admin@tourvista.com',
         phone: '+91 9876543210',
-        password: hashedPassword,
+        password: 'Admin@123',
         role: 'admin'
       });
       
@@ -96,6 +121,12 @@ const initializeDefaultData = async () => {
       console.log('✅ Admin user already exists');
     }
     
+    // Give tours from before the draft/publish workflow a status
+    const backfilled = await backfillTourStatus();
+    if (backfilled > 0) {
+      console.log(`✅ Set a publishing status on ${backfilled} existing tour(s)`);
+    }
+    
     // Check if default tours exist
     const tourCount = await Tour.countDocuments();
     if (tourCount === 0) {
@@ -110,7 +141,7 @@ const initializeDefaultData = async () => {
           region: 'north',
           category: 'heritage',
           destination: 'North India',
-          isActive: true
+          status: 'published'
         },
         {
           title: 'Kerala Backwaters & Beaches',
@@ -121,7 +152,7 @@ const initializeDefaultData = async () => {
           region: 'south',
           category: 'beach',
           destination: 'South India',
-          isActive: true
+          status: 'published'
         }
       ];
       
@@ -130,6 +161,24 @@ const initializeDefaultData = async () => {
     } else {
       console.log(`✅ ${tourCount} tours already exist`);
     }
+    
+    // Slugs for tours from before imports/exports, and for the default tours above
+    const slugged = await Tour.backfillSlugs();
+    if (slugged > 0) {
+      console.log(`✅ Set a slug on ${slugged} tour(s)`);
+    }
+    
+    // Running rating totals for tours rated before they were kept
+    const recounted = await backfillRatingSums();
+    if (recounted > 0) {
+      console.log(`✅ Recounted the ratings of ${recounted} tour(s)`);
+    }
+    
+    // Starter templates for the admin tour form
+    const seededTemplates = await seedDefaultTemplates();
+    if (seededTemplates > 0) {
+      console.log(`✅ Created ${seededTemplates} default tour template(s)`);
+    }
   } catch (error) {
     console.error('⚠️ Error initializing default data:', error.message);
   }
@@ -229,6 +278,8 @@ app.get('/', (req, res) => {
       tours: '/api/tours',
       bookings: '/api/bookings',
       admin: '/api/admin',
+      payments: '/api/payments',
+      media: '/api/media',
       health: '/api/health',
       debug: '/api/debug',
       testLogin: '/api/test-login'
@@ -243,6 +294,8 @@ const tourRoutes = require('./routes/tourRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const savedRoutes = require('./routes/savedRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 // Use routes
 app.use('/api/auth', authRoutes);
@@ -250,6 +303,8 @@ app.use('/api/tours', tourRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/saved', savedRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/media', mediaRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -282,6 +337,20 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   console.log('🚀 Starting TourVista server...');
+
+  // No silent fallback to the mock gateway - it lets users mark bookings paid. Without a
+  // provider the rest of the site works and checkout answers that payments are unavailable.
+  const paymentConfigError = getPaymentConfigError();
+  if (paymentConfigError) {
+    console.warn(`⚠️  Payments are not configured - ${paymentConfigError}. Checkout is disabled.`);
+  }
+
+  // Same for mail - the local outbox would keep password reset links on the server
+  const mailConfigError = getMailConfigError();
+  if (mailConfigError) {
+    console.error(`❌ Fatal: Mail is not configured - ${mailConfigError}`);
+    process.exit(1);
+  }
   
   // Connect to database
   const dbConnected = await connectDB();
@@ -291,6 +360,15 @@ const startServer = async () => {
     process.exit(1);
   }
   
+  // Release seats held by bookings that were never paid, close out finished trips and
+  // apply scheduled tour unpublishing
+  if (dbConnected) {
+    startHoldExpiryJob();
+    startTripCompletionJob();
+    startTourPublishingJob();
+    startAccountDeletionJob();
+  }
+  
   app.listen(PORT, () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`🌐 Health Check: ${process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`}/api/health`);
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const SavedTour = require('../models/SavedTour');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+const DELETED_NAME = 'Deleted user';
+
+// When an account whose deletion is requested now is actually removed
+const getDeletionDate = (from = new Date()) => new Date(from.getTime() + GRACE_DAYS * DAY_MS);
+
+// Trips that haven't happened yet keep the account open - they are cancelled first
+const hasUpcomingBookings = async (userId, now = new Date()) => {
+  const count = await Booking.countDocuments({
+    user: userId,
+    status: { $in: ['pending', 'confirmed'] },
+    travelDate: { $gte: now }
+  });
+  return count > 0;
+};
+
+// Remove everything that identifies the user. The user document itself stays, emptied,
+// so bookings, payments and ratings still add up in the admin reports.
+const anonymizeUser = async (userId, now = new Date()) => {
+  // Random and never shown to anyone - nobody can sign in as this user again.
+  // Hashed here because updates skip the pre-save hook.
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletedAt: null },
+    {
+      name: DELETED_NAME,
+      email: `deleted-${userId}@deleted.invalid`,
+      phone: '',
+      address: '',
+      password,
+      recentSearches: [],
+      emailVerified: false,
+      emailVerifiedAt: null,
+      deletionRequestedAt: null,
+      deletionScheduledFor: null,
+      deletedAt: now
+    }
+  );
+
+  if (!user) return false;
+
+  await Booking.updateMany(
+    { user: userId },
+    { contactNumber: '', email: '', specialRequirements: '' }
+  );
+  // Star ratings still count towards the tour's average, the written part goes
+  await Review.updateMany({ user: userId }, { review: '', hasText: false });
+  await SavedTour.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+
+  return true;
+};
+
+// Anonymize accounts whose grace period is over
+const purgeDeletedAccounts = async (now = new Date()) => {
+  const due = await User.find({
+    deletedAt: null,
+    deletionScheduledFor: { $lte: now }
+  }).select('_id');
+
+  let purgedCount = 0;
+
+  for (const { _id } of due) {
+    if (await anonymizeUser(_id, now)) purgedCount++;
+  }
+
+  return purgedCount;
+};
+
+// Run purgeDeletedAccounts every hour for the lifetime of the server
+const startAccountDeletionJob = () => {
+  const run = async () => {
+    try {
+      const count = await purgeDeletedAccounts();
+      if (count > 0) {
+        console.log(`🗑️ Deleted ${count} account(s) at the end of their grace period`);
+      }
+    } catch (error) {
+      console.error('🔥 Account deletion job error:', error.message);
+    }
+  };
+
+  // Catch up on accounts that came due while the server was down
+  run();
+  return setInterval(run, JOB_INTERVAL_MS);
+};
+
+module.exports = {
+  GRACE_DAYS,
+  DELETED_NAME,
+  getDeletionDate,
+  hasUpcomingBookings,
+  anonymizeUser,
+  purgeDeletedAccounts,
+  startAccountDeletionJob
+};
@@ -0,0 +1,59 @@
+const { sendMail } = require('./mailer');
+const { createPasswordResetToken, createEmailVerificationToken } = require('./accountTokens');
+
+// Links in the emails open the React app, which calls the API with the token
+const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const buildMessage = ({ name, intro, link, action, outro }) => ({
+  text: `Hi ${name},\n\n${intro}\n\n${link}\n\n${outro}\n\n- ToursVista`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 20px;background:#2E8B57;color:#fff;text-decoration:none;border-radius:6px">${escapeHtml(action)}</a></p>
+<p style="color:#666;font-size:13px">Or open this link: ${escapeHtml(link)}</p>
+<p>${escapeHtml(outro)}</p>
+<p>- ToursVista</p>`
+});
+
+// user needs its password hash loaded - the token is tied to it
+const sendPasswordResetEmail = (user) => {
+  const link = `${getClientUrl()}/reset-password?token=${encodeURIComponent(createPasswordResetToken(user))}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your ToursVista password',
+    ...buildMessage({
+      name: user.name,
+      intro: 'We received a request to reset your password. The link below is valid for 1 hour and can be used once.',
+      link,
+      action: 'Reset Password',
+      outro: 'If you did not ask for this, you can ignore this email - your password stays the same.'
+    })
+  });
+};
+
+const sendVerificationEmail = (user) => {
+  const link = `${getClientUrl()}/verify-email?token=${encodeURIComponent(createEmailVerificationToken(user))}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your ToursVista email address',
+    ...buildMessage({
+      name: user.name,
+      intro: 'Please confirm this is your email address. The link below is valid for 24 hours.',
+      link,
+      action: 'Confirm Email',
+      outro: 'If you did not create a ToursVista account, you can ignore this email.'
+    })
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Signed, expiring tokens for the links in account emails. Each purpose signs with its
+// own key derived from JWT_SECRET, so one kind of token can't stand in for another or
+// for an access token.
+const PURPOSES = {
+  'password-reset': { expiresIn: '1h' },
+  'verify-email': { expiresIn: '24h' }
+};
+
+const getSigningKey = (purpose) => {
+  const jwtSecret = process.env.JWT_SECRET;
+
+  if (!jwtSecret) {
+    console.error('❌ JWT_SECRET is not set in environment variables!');
+    throw new Error('Server configuration error: JWT_SECRET is missing');
+  }
+
+  return crypto.createHmac('sha256', jwtSecret).update(`account:${purpose}`).digest();
+};
+
+// Changes whenever the password does - a reset link stops working once it has been used
+const passwordFingerprint = (passwordHash) => (
+  crypto.createHash('sha256').update(String(passwordHash)).digest('hex').slice(0, 16)
+);
+
+// user needs its password hash loaded (select('+password'))
+const createPasswordResetToken = (user) => jwt.sign(
+  { sub: String(user._id), pwd: passwordFingerprint(user.password) },
+  getSigningKey('password-reset'),
+  { expiresIn: PURPOSES['password-reset'].expiresIn }
+);
+
+// Tied to the address it was sent to - changing the email makes older links invalid
+const createEmailVerificationToken = (user) => jwt.sign(
+  { sub: String(user._id), email: user.email },
+  getSigningKey('verify-email'),
+  { expiresIn: PURPOSES['verify-email'].expiresIn }
+);
+
+// Returns { payload } or { error } with a message for the user
+const readToken = (token, purpose) => {
+  if (!token || typeof token !== 'string') {
+    return { error: 'Token is required' };
+  }
+
+  try {
+    return { payload: jwt.verify(token, getSigningKey(purpose)) };
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'This link has expired, please request a new one' };
+    }
+    if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+      return { error: 'This link is invalid' };
+    }
+    throw error;
+  }
+};
+
+// Whether a reset token still matches the user's current password
+const matchesPassword = (payload, user) => payload.pwd === passwordFingerprint(user.password);
+
+module.exports = {
+  createPasswordResetToken,
+  createEmailVerificationToken,
+  readToken,
+  matchesPassword
+};
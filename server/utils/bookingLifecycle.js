@@ -0,0 +1,137 @@
+const { toDepartureDay, syncSeatsForStatus } = require('./seatInventory');
+const { applyCancellation } = require('./cancellationPolicy');
+const { releaseBookingCoupon } = require('./coupons');
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+// Allowed status changes and who may make them. 'system' covers payments and
+// scheduled jobs. Cancelled and completed bookings are final.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'system'],
+    cancelled: ['user', 'admin', 'system']
+  },
+  confirmed: {
+    completed: ['admin', 'system'],
+    cancelled: ['user', 'admin']
+  },
+  cancelled: {},
+  completed: {}
+};
+
+// Who is acting, from the request's authenticated user
+const getActor = (user) => (user && user.role === 'admin' ? 'admin' : 'user');
+
+const hasTravelDatePassed = (booking, now) => toDepartureDay(booking.travelDate) < toDepartureDay(now);
+const hasTravelDateArrived = (booking, now) => toDepartureDay(booking.travelDate) <= toDepartureDay(now);
+
+// Check whether `actor` may move the booking to `to` right now
+const checkTransition = (booking, to, actor, now = new Date()) => {
+  const from = booking.status;
+
+  if (!BOOKING_STATUSES.includes(to)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Invalid status. Must be: ${BOOKING_STATUSES.join(', ')}`
+    };
+  }
+
+  if (from === to) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `Booking is already ${from}`
+    };
+  }
+
+  const allowedActors = (TRANSITIONS[from] || {})[to];
+
+  if (!allowedActors) {
+    const next = Object.keys(TRANSITIONS[from] || {});
+    return {
+      success: false,
+      statusCode: 409,
+      message: next.length > 0
+        ? `A ${from} booking cannot be changed to ${to} (allowed: ${next.join(', ')})`
+        : `A ${from} booking cannot be changed`
+    };
+  }
+
+  if (!allowedActors.includes(actor)) {
+    return {
+      success: false,
+      statusCode: 403,
+      message: actor === 'user'
+        ? `Only an admin can mark a booking as ${to}`
+        : `Bookings can only be ${to} automatically`
+    };
+  }
+
+  if (to === 'completed' && !hasTravelDateArrived(booking, now)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: 'A booking cannot be completed before its travel date'
+    };
+  }
+
+  if (to === 'cancelled' && actor === 'user' && hasTravelDatePassed(booking, now)) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: 'This trip has already taken place and can no longer be cancelled'
+    };
+  }
+
+  return { success: true };
+};
+
+// Statuses `actor` could move the booking to right now
+const getAllowedStatuses = (booking, actor, now = new Date()) => Object.keys(TRANSITIONS[booking.status] || {})
+  .filter(to => checkTransition(booking, to, actor, now).success);
+
+// History entry for Booking.statusHistory
+const buildHistoryEntry = (from, to, { actor, userId, reason = '', now = new Date() }) => ({
+  from: from || null,
+  to,
+  actor,
+  changedBy: userId || undefined,
+  reason: (reason || '').toString().trim().slice(0, 500),
+  changedAt: now
+});
+
+// Move a booking to a new status: checks the transition, records the refund on
+// cancellation, releases seats and the coupon use and appends to statusHistory. Does not save.
+const changeBookingStatus = async (booking, to, { actor, userId, reason, now = new Date() }) => {
+  const check = checkTransition(booking, to, actor, now);
+  if (!check.success) return check;
+
+  const from = booking.status;
+
+  if (to === 'cancelled') {
+    await applyCancellation(booking, { cancelledBy: actor, reason, now });
+    await releaseBookingCoupon(booking);
+  }
+
+  const seatSync = await syncSeatsForStatus(booking, to);
+  if (!seatSync.success) return seatSync;
+
+  if (from === 'pending') {
+    booking.holdExpiresAt = undefined;
+  }
+
+  booking.status = to;
+  booking.statusHistory.push(buildHistoryEntry(from, to, { actor, userId, reason, now }));
+
+  return { success: true, from, to };
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  getActor,
+  checkTransition,
+  getAllowedStatuses,
+  buildHistoryEntry,
+  changeBookingStatus
+};
@@ -0,0 +1,132 @@
+const Tour = require('../models/Tour');
+const { toDepartureDay } = require('./seatInventory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used for tours without their own tiers - matches the policy text on the sample tours
+const DEFAULT_CANCELLATION_TIERS = [
+  { minDaysBeforeTravel: 60, refundPercentage: 100 },
+  { minDaysBeforeTravel: 30, refundPercentage: 50 },
+  { minDaysBeforeTravel: 0, refundPercentage: 0 }
+];
+
+const getDaysBeforeTravel = (travelDate, now = new Date()) => Math.round(
+  (toDepartureDay(travelDate) - toDepartureDay(now)) / DAY_MS
+);
+
+const describeTier = (tier) => `${tier.minDaysBeforeTravel}+ days before travel: ${tier.refundPercentage}% refund`;
+
+// Tiers for a tour, most generous (furthest from travel) first
+const getCancellationTiers = (tour) => {
+  const tiers = (tour && tour.pricing && tour.pricing.cancellationTiers) || [];
+  const source = tiers.length > 0 ? tiers : DEFAULT_CANCELLATION_TIERS;
+
+  return source
+    .map(tier => ({
+      minDaysBeforeTravel: tier.minDaysBeforeTravel,
+      refundPercentage: tier.refundPercentage
+    }))
+    .sort((a, b) => b.minDaysBeforeTravel - a.minDaysBeforeTravel);
+};
+
+// Check tiers submitted from the admin tour form
+const validateTiers = (submitted) => {
+  const errors = [];
+  const tiers = [];
+  const seenDays = new Set();
+
+  if (!Array.isArray(submitted)) {
+    return { errors: ['Cancellation tiers must be a list'], tiers };
+  }
+
+  submitted.forEach((tier, index) => {
+    const minDaysBeforeTravel = parseInt(tier.minDaysBeforeTravel);
+    const refundPercentage = Number(tier.refundPercentage);
+
+    if (isNaN(minDaysBeforeTravel) || minDaysBeforeTravel < 0) {
+      errors.push(`Tier ${index + 1}: days before travel must be 0 or more`);
+      return;
+    }
+
+    if (isNaN(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+      errors.push(`Tier ${index + 1}: refund must be between 0 and 100%`);
+      return;
+    }
+
+    if (seenDays.has(minDaysBeforeTravel)) {
+      errors.push(`Tier ${index + 1}: more than one tier starts at ${minDaysBeforeTravel} days`);
+      return;
+    }
+
+    seenDays.add(minDaysBeforeTravel);
+    tiers.push({ minDaysBeforeTravel, refundPercentage });
+  });
+
+  tiers.sort((a, b) => b.minDaysBeforeTravel - a.minDaysBeforeTravel);
+
+  // Cancelling later should never refund more than cancelling earlier
+  for (let i = 1; i < tiers.length; i++) {
+    if (tiers[i].refundPercentage > tiers[i - 1].refundPercentage) {
+      errors.push(`Refund at ${tiers[i].minDaysBeforeTravel}+ days can't be higher than at ${tiers[i - 1].minDaysBeforeTravel}+ days`);
+    }
+  }
+
+  return { errors, tiers };
+};
+
+// Amount the traveler actually paid. Confirmed bookings made before online
+// payments existed were settled offline, so they count as paid too.
+const getAmountPaid = (booking) => {
+  if (booking.paymentStatus === 'paid' || booking.status === 'confirmed') {
+    return booking.totalPrice || 0;
+  }
+  return 0;
+};
+
+// Work out what cancelling this booking now would refund
+const calculateRefund = (booking, tour, now = new Date()) => {
+  const tiers = getCancellationTiers(tour);
+  const daysBeforeTravel = getDaysBeforeTravel(booking.travelDate, now);
+  const tier = tiers.find(t => daysBeforeTravel >= t.minDaysBeforeTravel) || null;
+  const refundPercentage = tier ? tier.refundPercentage : 0;
+  const amountPaid = getAmountPaid(booking);
+
+  return {
+    daysBeforeTravel,
+    amountPaid,
+    refundPercentage,
+    refundAmount: Math.round(amountPaid * refundPercentage / 100),
+    appliedTier: tier ? { ...tier, label: describeTier(tier) } : null,
+    tiers: tiers.map(t => ({ ...t, label: describeTier(t) })),
+    usingDefaultPolicy: !(tour && tour.pricing && tour.pricing.cancellationTiers && tour.pricing.cancellationTiers.length)
+  };
+};
+
+// Record the cancellation and refund owed on a booking. Does not save.
+const applyCancellation = async (booking, { cancelledBy, reason = '', now = new Date() }) => {
+  const tour = await Tour.findById(booking.tour);
+  const refund = calculateRefund(booking, tour, now);
+
+  booking.cancellation = {
+    cancelledAt: now,
+    cancelledBy,
+    reason: (reason || '').toString().trim().slice(0, 500),
+    daysBeforeTravel: refund.daysBeforeTravel
+  };
+
+  booking.refund = {
+    amount: refund.refundAmount,
+    percentage: refund.refundPercentage,
+    status: refund.refundAmount > 0 ? 'pending' : 'none'
+  };
+
+  return refund;
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_TIERS,
+  getCancellationTiers,
+  validateTiers,
+  calculateRefund,
+  applyCancellation
+};
@@ -0,0 +1,131 @@
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// Look up a coupon and check everything that doesn't depend on the order amount.
+// Returns { success, coupon } or { success: false, statusCode, message }.
+const findApplicableCoupon = async (code, tour, userId, now = new Date()) => {
+  const invalid = (message, statusCode = 400) => ({ success: false, statusCode, message });
+
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    return invalid('Invalid coupon code');
+  }
+
+  if (coupon.validFrom && now < coupon.validFrom) {
+    return invalid('This coupon is not active yet');
+  }
+
+  if (coupon.validUntil && now > coupon.validUntil) {
+    return invalid('This coupon has expired');
+  }
+
+  if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
+    return invalid('This coupon has reached its usage limit');
+  }
+
+  const tourRestricted = coupon.applicableTours.length > 0;
+  const categoryRestricted = coupon.applicableCategories.length > 0;
+  const matchesTour = coupon.applicableTours.some(id => id.toString() === tour._id.toString());
+  const matchesCategory = coupon.applicableCategories.includes(tour.category);
+
+  if ((tourRestricted || categoryRestricted) && !matchesTour && !matchesCategory) {
+    return invalid('This coupon is not valid for this tour');
+  }
+
+  // Early answer for the coupon form - redeemCoupon enforces the limit atomically
+  if (coupon.perUserLimit > 0 && userId) {
+    const userRedemptions = await Booking.countDocuments({
+      user: userId,
+      'coupon.couponId': coupon._id,
+      status: { $ne: 'cancelled' }
+    });
+    if (userRedemptions >= coupon.perUserLimit) {
+      return invalid('You have already used this coupon');
+    }
+  }
+
+  return { success: true, coupon };
+};
+
+// Claim one of the user's perUserLimit uses by inserting the lowest free slot. The unique
+// index on (coupon, user, slot) makes two bookings at once take different slots - or fail.
+const claimRedemption = async (coupon, userId, bookingId) => {
+  if (!(coupon.perUserLimit > 0)) {
+    return CouponRedemption.create({ coupon: coupon._id, user: userId, booking: bookingId });
+  }
+
+  for (let slot = 0; slot < coupon.perUserLimit; slot++) {
+    try {
+      return await CouponRedemption.create({ coupon: coupon._id, user: userId, booking: bookingId, slot });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return null;
+};
+
+// Atomically count a redemption for a booking that is about to be created, respecting
+// the per-user and global usage limits
+const redeemCoupon = async (coupon, userId, bookingId) => {
+  const redemption = await claimRedemption(coupon, userId, bookingId);
+
+  if (!redemption) {
+    return { success: false, statusCode: 409, message: 'You have already used this coupon' };
+  }
+
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: 0 },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!redeemed) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    return { success: false, statusCode: 409, message: 'This coupon has reached its usage limit' };
+  }
+
+  return { success: true };
+};
+
+// Give back the use a booking took. Safe to call more than once - only the call that
+// removes the redemption record lowers usedCount.
+const releaseCoupon = async (couponId, bookingId) => {
+  const { deletedCount } = await CouponRedemption.deleteOne({ coupon: couponId, booking: bookingId });
+  if (deletedCount === 0) return false;
+
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  return true;
+};
+
+// Give back the coupon use of a booking that won't go ahead - cancelled, expired or
+// deleted before the trip. Trips that took place keep theirs.
+const releaseBookingCoupon = async (booking) => {
+  if (!booking.coupon || !booking.coupon.couponId || booking.status === 'completed') return false;
+  return releaseCoupon(booking.coupon.couponId, booking._id);
+};
+
+// Forget every coupon use (used when every booking is removed)
+const resetAllCouponUses = async () => {
+  await CouponRedemption.deleteMany({});
+  await Coupon.updateMany({}, { usedCount: 0 });
+};
+
+module.exports = {
+  findApplicableCoupon,
+  redeemCoupon,
+  releaseCoupon,
+  releaseBookingCoupon,
+  resetAllCouponUses
+};
@@ -0,0 +1,63 @@
+// Minimal RFC 4180 CSV - quoted fields may hold commas, quotes ("") and line breaks
+
+const toCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of values -> CSV text (CRLF line endings, as spreadsheets expect)
+const toCsv = (rows) => rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+
+// CSV text -> rows of strings. Blank lines are dropped; a leading byte order mark
+// (added by Excel) is ignored. Throws on an unterminated quoted field.
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has a quoted field that is never closed');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,74 @@
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const { releaseBookingSeats } = require('./seatInventory');
+const { buildHistoryEntry } = require('./bookingLifecycle');
+const { releaseBookingCoupon } = require('./coupons');
+
+const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 15;
+const JOB_INTERVAL_MS = 60 * 1000;
+
+// When an unpaid booking created now stops holding its seats
+const getHoldExpiry = (from = new Date()) => new Date(from.getTime() + HOLD_MINUTES * 60 * 1000);
+
+// Cancel pending bookings whose payment window has passed and give their seats and coupon uses back
+const expireUnpaidHolds = async (now = new Date()) => {
+  const expired = await Booking.find({
+    status: 'pending',
+    paymentStatus: { $ne: 'paid' },
+    holdExpiresAt: { $lte: now }
+  }).select('_id');
+
+  let expiredCount = 0;
+
+  for (const { _id } of expired) {
+    // Conditional update so a payment confirmed at the same moment wins
+    const booking = await Booking.findOneAndUpdate(
+      { _id, status: 'pending', paymentStatus: { $ne: 'paid' }, holdExpiresAt: { $lte: now } },
+      {
+        status: 'cancelled',
+        seatsReserved: false,
+        cancellation: { cancelledAt: now, cancelledBy: 'system', reason: 'Payment not completed in time' },
+        refund: { amount: 0, percentage: 0, status: 'none' },
+        $unset: { holdExpiresAt: 1 },
+        $push: {
+          statusHistory: buildHistoryEntry('pending', 'cancelled', { actor: 'system', reason: 'Payment not completed in time', now })
+        }
+      }
+    );
+
+    if (!booking) continue;
+
+    await releaseBookingSeats(booking);
+    await releaseBookingCoupon(booking);
+    await Payment.updateMany(
+      { booking: booking._id, status: 'created' },
+      { status: 'expired', failureReason: 'Booking hold expired before payment' }
+    );
+    expiredCount++;
+  }
+
+  return expiredCount;
+};
+
+// Run expireUnpaidHolds every minute for the lifetime of the server
+const startHoldExpiryJob = () => {
+  const timer = setInterval(async () => {
+    try {
+      const count = await expireUnpaidHolds();
+      if (count > 0) {
+        console.log(`⏰ Expired ${count} unpaid booking hold(s)`);
+      }
+    } catch (error) {
+      console.error('🔥 Hold expiry job error:', error.message);
+    }
+  }, JOB_INTERVAL_MS);
+
+  return timer;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  getHoldExpiry,
+  expireUnpaidHolds,
+  startHoldExpiryJob
+};
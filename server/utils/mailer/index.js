@@ -0,0 +1,54 @@
+const localOutbox = require('./localOutbox');
+const smtp = require('./smtp');
+
+// Mail transport adapters. Each one implements:
+//   name                                  - matched against MAIL_PROVIDER
+//   getConfigError()                      - what is missing for the transport to work, or null
+//   send({ from, to, subject, text, html }) - delivers the message and returns { messageId }
+const adapters = {
+  [localOutbox.name]: localOutbox,
+  [smtp.name]: smtp
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// The local outbox keeps reset and verification links on the server's disk - never in production
+const isEnabled = (name) => name !== localOutbox.name || !isProduction();
+
+const getMailer = (name) => (adapters[name] && isEnabled(name) ? adapters[name] : null);
+
+// MAIL_PROVIDER picks the transport. Outside production it defaults to the local outbox,
+// so nothing is sent by accident; in production it has to be set.
+const getProviderName = () => process.env.MAIL_PROVIDER || (isProduction() ? null : localOutbox.name);
+
+const getActiveMailer = () => getMailer(getProviderName());
+
+// Why mail can't be sent with the current settings, or null. Checked at startup like the
+// payment settings, so a production server never falls back to the local outbox.
+const getMailConfigError = () => {
+  const name = getProviderName();
+
+  if (!name) return 'MAIL_PROVIDER is not set';
+  if (!adapters[name]) return `Unknown MAIL_PROVIDER: ${name}`;
+  if (!isEnabled(name)) return `The ${name} mail provider cannot be used in production`;
+  return adapters[name].getConfigError();
+};
+
+const getSender = () => process.env.MAIL_FROM || 'ToursVista <no-reply@toursvista.com>';
+
+// Send a message through the active transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const mailer = getActiveMailer();
+  if (!mailer) {
+    throw new Error(`Mail configuration error: ${getMailConfigError()}`);
+  }
+
+  return mailer.send({ from: getSender(), to, subject, text, html });
+};
+
+module.exports = {
+  getMailer,
+  getActiveMailer,
+  getMailConfigError,
+  sendMail
+};
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development transport: nothing leaves the machine. Each message is written to the
+// outbox directory as JSON, so reset and verification flows can be followed without an
+// SMTP server. The console only says where - message bodies carry sign-in links.
+
+const getDirectory = () => process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'mail-outbox');
+
+const send = async (message) => {
+  const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const directory = getDirectory();
+
+  const file = path.join(directory, `${messageId}.json`);
+
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(
+    file,
+    JSON.stringify({ messageId, ...message, sentAt: new Date().toISOString() }, null, 2)
+  );
+
+  console.log(`📧 Mail to ${message.to}: ${message.subject} (saved to ${file})`);
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'local',
+  getConfigError: () => null,
+  getDirectory,
+  send
+};
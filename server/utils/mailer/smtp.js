@@ -0,0 +1,40 @@
+const nodemailer = require('nodemailer');
+
+// Sends through any SMTP server: SMTP_HOST, SMTP_PORT (587 by default, 465 means TLS
+// from the start unless SMTP_SECURE says otherwise), SMTP_USER and SMTP_PASS.
+
+let transporter = null;
+
+const getConfigError = () => (process.env.SMTP_HOST ? null : 'SMTP_HOST is not set');
+
+const getTransporter = () => {
+  if (!transporter) {
+    const configError = getConfigError();
+    if (configError) {
+      throw new Error(`Mail configuration error: ${configError}`);
+    }
+
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return transporter;
+};
+
+const send = async (message) => {
+  const info = await getTransporter().sendMail(message);
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  getConfigError,
+  send
+};
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const Tour = require('../models/Tour');
+const { getStorage, getActiveStorage } = require('./storage');
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const MIN_IMAGE_WIDTH = 640;
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const WEBP_QUALITY = 80;
+
+// Resized copies made from every upload. Tours store the hero URL; the client builds a
+// srcset from the naming convention (<id>-<variant>.webp), so keep names and widths in
+// step with client/src/utils/images.js.
+const IMAGE_VARIANTS = [
+  { name: 'thumbnail', width: 320 },
+  { name: 'card', width: 640 },
+  { name: 'hero', width: 1600 }
+];
+
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+};
+
+// Check the file really is an image we accept (the upload's mime type is only a claim)
+// and produce the WebP variants. Smaller images are never enlarged.
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw invalidImage('File is not a readable image');
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw invalidImage('Only JPEG, PNG and WebP images can be uploaded');
+  }
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (width < MIN_IMAGE_WIDTH) {
+    throw invalidImage(`Images must be at least ${MIN_IMAGE_WIDTH}px wide (this one is ${width}px)`);
+  }
+
+  const variants = await Promise.all(IMAGE_VARIANTS.map(async (variant) => {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: variant.width, withoutEnlargement: true })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    return { name: variant.name, buffer: data, width: info.width, height: info.height, size: info.size };
+  }));
+
+  return { format: metadata.format, width, height, variants };
+};
+
+// Process an image, save its variants with the active storage adapter and record it in
+// the library. Files already saved are removed again if a later step fails.
+const storeImage = async ({ buffer, originalName, alt, uploadedBy }) => {
+  const processed = await processImage(buffer);
+  const storage = getActiveStorage();
+  const mediaId = new mongoose.Types.ObjectId();
+  const saved = [];
+
+  try {
+    for (const variant of processed.variants) {
+      const { key, url } = await storage.save(`media/${mediaId}-${variant.name}.webp`, variant.buffer, 'image/webp');
+      saved.push({ name: variant.name, key, url, width: variant.width, height: variant.height, size: variant.size });
+    }
+
+    return await Media.create({
+      _id: mediaId,
+      originalName,
+      format: processed.format,
+      size: buffer.length,
+      width: processed.width,
+      height: processed.height,
+      alt,
+      storage: storage.name,
+      variants: saved,
+      uploadedBy
+    });
+  } catch (error) {
+    await Promise.all(saved.map(variant => storage.remove(variant.key).catch(() => {})));
+    throw error;
+  }
+};
+
+// The URL tours store for an image - the largest variant
+const getMediaUrl = (media) => {
+  const hero = media.variants.find(variant => variant.name === 'hero');
+  return hero ? hero.url : '';
+};
+
+// Tours in any state (drafts and archived ones too) showing any variant of each image, by media id
+const findMediaUsage = async (mediaList) => {
+  const usage = new Map(mediaList.map(media => [media._id.toString(), []]));
+  const mediaByUrl = new Map();
+  mediaList.forEach(media => media.variants.forEach(variant => mediaByUrl.set(variant.url, media._id.toString())));
+
+  const urls = [...mediaByUrl.keys()];
+  if (urls.length === 0) return usage;
+
+  const tours = await Tour.find({ $or: [{ image: { $in: urls } }, { images: { $in: urls } }] })
+    .select('title image images status')
+    .lean();
+
+  tours.forEach(tour => {
+    const mediaIds = new Set([tour.image, ...(tour.images || [])]
+      .map(url => mediaByUrl.get(url))
+      .filter(Boolean));
+
+    mediaIds.forEach(mediaId => usage.get(mediaId).push({
+      _id: tour._id,
+      title: tour.title,
+      status: tour.status
+    }));
+  });
+
+  return usage;
+};
+
+// Delete the files, then the library entry
+const removeMedia = async (media) => {
+  const storage = getStorage(media.storage);
+  if (!storage) {
+    throw new Error(`Storage adapter "${media.storage}" is not configured`);
+  }
+
+  await Promise.all(media.variants.map(variant => storage.remove(variant.key)));
+  await media.deleteOne();
+};
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  processImage,
+  storeImage,
+  getMediaUrl,
+  findMediaUsage,
+  removeMedia
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+// The one password policy - registration, reset and change all check passwords here,
+// and the client reads it through /auth/password-policy instead of keeping its own rules.
+// No composition rules (must contain a digit, ...): length and avoiding well-known
+// passwords matter more.
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+// Only bounds the request and hashing cost - long passphrases are welcome
+const MAX_LENGTH = 128;
+
+const STRENGTH_LABELS = ['Too weak', 'Weak', 'Fair', 'Good', 'Strong'];
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+let commonPasswords = null;
+
+// Loaded on first use. Lines starting with # are comments.
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+// "aaaaaaaa", "12345678", "abcdefgh", "87654321"
+const isRepetitiveOrSequential = (password) => {
+  if (/^(.)\1+$/.test(password)) return true;
+
+  const codes = [...password.toLowerCase()].map(char => char.charCodeAt(0));
+  const step = codes[1] - codes[0];
+  return Math.abs(step) === 1 && codes.every((code, i) => i === 0 || code - codes[i - 1] === step);
+};
+
+// Words from the user's own name and email address that shouldn't make up the password
+const getPersonalWords = ({ email, name } = {}) => {
+  const words = [];
+  if (typeof email === 'string' && email.includes('@')) {
+    words.push(email.split('@')[0]);
+  }
+  if (typeof name === 'string') {
+    words.push(...name.split(/\s+/));
+  }
+  return words
+    .map(word => word.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .filter(word => word.length >= 4);
+};
+
+// 0-4 for the strength meter; 0 whenever the password breaks a rule
+const scorePassword = (password) => {
+  const characterSets = [/[a-z]/, /[A-Z]/, /\d/, /[^a-zA-Z\d]/]
+    .filter(pattern => pattern.test(password)).length;
+
+  let score = 1;
+  if (password.length >= 12) score++;
+  if (password.length >= 16) score++;
+  if (characterSets >= 3) score++;
+  return Math.min(score, 4);
+};
+
+// Check a password against the policy. The user's email and name, when known, rule out
+// passwords built from them. Returns { valid, errors, score, label }.
+const checkPassword = (password, user = {}) => {
+  if (typeof password !== 'string' || !password) {
+    return { valid: false, errors: ['Password is required'], score: 0, label: STRENGTH_LABELS[0] };
+  }
+
+  const errors = [];
+  const lowered = password.toLowerCase();
+
+  if (password.length < MIN_LENGTH) {
+    errors.push(`Password must be at least ${MIN_LENGTH} characters`);
+  }
+  if (password.length > MAX_LENGTH) {
+    errors.push(`Password cannot exceed ${MAX_LENGTH} characters`);
+  }
+  if (getCommonPasswords().has(lowered) || isRepetitiveOrSequential(password)) {
+    errors.push('This password is too common - please choose another');
+  } else if (getPersonalWords(user).some(word => lowered.includes(word))) {
+    errors.push('Password should not contain your name or email address');
+  }
+
+  const score = errors.length > 0 ? 0 : scorePassword(password);
+  return { valid: errors.length === 0, errors, score, label: STRENGTH_LABELS[score] };
+};
+
+// What the client shows next to password fields
+const describePolicy = () => ({
+  minLength: MIN_LENGTH,
+  maxLength: MAX_LENGTH,
+  requirements: [
+    `At least ${MIN_LENGTH} characters`,
+    'Not a common or previously breached password',
+    'Does not contain your name or email address'
+  ]
+});
+
+module.exports = {
+  MIN_LENGTH,
+  MAX_LENGTH,
+  checkPassword,
+  describePolicy
+};
@@ -0,0 +1,41 @@
+const mockGateway = require('./mockGateway');
+
+// Payment gateway adapters. Each one implements:
+//   name                                               - stored on Payment.provider
+//   getConfigError()                                   - what is missing for the gateway to work, or null
+//   createPayment({ amount, currency, reference })     - returns { providerPaymentId, checkoutUrl, clientData }
+//   parseWebhook(rawBody, headers)                     - verifies the signature (throws with code
+//                                                        'INVALID_SIGNATURE') and returns
+//                                                        { id, type, providerPaymentId, failureReason }
+// Webhook event types are 'payment.succeeded' and 'payment.failed'.
+const gateways = {
+  [mockGateway.name]: mockGateway
+};
+
+// The mock gateway only ever runs when asked for by name, and never in production
+const isEnabled = (name) => name !== mockGateway.name || (
+  process.env.PAYMENT_PROVIDER === mockGateway.name && process.env.NODE_ENV !== 'production'
+);
+
+const getGateway = (name) => (gateways[name] && isEnabled(name) ? gateways[name] : null);
+
+// The gateway new payments go through - PAYMENT_PROVIDER picks it, there is no default.
+// null (checkout unavailable) until it is fully configured.
+const getActiveGateway = () => (getPaymentConfigError() ? null : getGateway(process.env.PAYMENT_PROVIDER));
+
+// Why payments can't be taken with the current settings, or null. Reported at startup -
+// a missing provider disables checkout instead of falling back to the mock.
+const getPaymentConfigError = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+
+  if (!name) return 'PAYMENT_PROVIDER is not set';
+  if (!gateways[name]) return `Unknown PAYMENT_PROVIDER: ${name}`;
+  if (!isEnabled(name)) return `The ${name} payment provider cannot be used in production`;
+  return gateways[name].getConfigError();
+};
+
+module.exports = {
+  getGateway,
+  getActiveGateway,
+  getPaymentConfigError
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// Local stand-in for a hosted payment gateway. It issues payment ids, and
+// "completing" a checkout produces the same signed webhook a real gateway would send.
+// Development only: it has to be chosen with PAYMENT_PROVIDER=mock and is refused in
+// production (see ./index), as it lets users mark their own bookings paid.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// No default - a known secret would let anyone sign webhooks
+const getSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET || '';
+
+const getConfigError = () => (
+  getSecret() ? null : 'MOCK_PAYMENT_WEBHOOK_SECRET is not set'
+);
+
+const sign = (timestamp, rawBody) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+const createPayment = async ({ amount, currency, reference }) => {
+  const providerPaymentId = `mock_pay_${crypto.randomBytes(12).toString('hex')}`;
+
+  return {
+    providerPaymentId,
+    // No hosted page - the client completes mock checkouts through /api/payments/mock
+    checkoutUrl: '',
+    clientData: { amount, currency, reference }
+  };
+};
+
+// Verify the signature header and turn the body into a gateway-neutral event
+const parseWebhook = (rawBody, headers) => {
+  if (!getSecret()) {
+    const error = new Error('Webhook secret not configured');
+    error.code = 'INVALID_SIGNATURE';
+    throw error;
+  }
+
+  const header = headers[SIGNATURE_HEADER] || '';
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    const error = new Error('Missing webhook signature');
+    error.code = 'INVALID_SIGNATURE';
+    throw error;
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    const error = new Error('Webhook signature has expired');
+    error.code = 'INVALID_SIGNATURE';
+    throw error;
+  }
+
+  const expected = Buffer.from(sign(timestamp, rawBody), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    const error = new Error('Invalid webhook signature');
+    error.code = 'INVALID_SIGNATURE';
+    throw error;
+  }
+
+  const payload = JSON.parse(rawBody);
+
+  return {
+    id: payload.id,
+    type: payload.type,
+    providerPaymentId: payload.data.paymentId,
+    failureReason: payload.data.failureReason || ''
+  };
+};
+
+// Build the signed webhook request the mock gateway would send for a checkout outcome
+const buildWebhook = (providerPaymentId, outcome) => {
+  const succeeded = outcome === 'success';
+  const rawBody = JSON.stringify({
+    id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+    type: succeeded ? 'payment.succeeded' : 'payment.failed',
+    data: {
+      paymentId: providerPaymentId,
+      failureReason: succeeded ? '' : 'Payment declined by mock gateway'
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    rawBody,
+    headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, rawBody)}` }
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  getConfigError,
+  createPayment,
+  parseWebhook,
+  buildWebhook
+};
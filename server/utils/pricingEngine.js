@@ -0,0 +1,175 @@
+const { toDepartureDay } = require('./seatInventory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Site-wide offers advertised on the Dashboard Offers page
+const SITE_OFFERS = [
+  {
+    code: 'SITE_EARLY_BIRD',
+    name: 'Early Bird Discount',
+    type: 'early_bird',
+    percentage: 15,
+    minDaysInAdvance: 60,
+    description: 'Book 60 days in advance'
+  },
+  {
+    code: 'SITE_GROUP',
+    name: 'Group Discount',
+    type: 'group',
+    percentage: 20,
+    minParticipants: 4,
+    description: '4+ people traveling together'
+  }
+];
+
+// Tour discounts saved before rules existed only have a name - infer the rule from it
+const resolveDiscountRule = (discount) => {
+  if (discount.type) {
+    return {
+      type: discount.type,
+      minDaysInAdvance: discount.minDaysInAdvance || 0,
+      minParticipants: discount.minParticipants || 1
+    };
+  }
+
+  if (/early/i.test(discount.name || '')) {
+    return { type: 'early_bird', minDaysInAdvance: 60, minParticipants: 1 };
+  }
+
+  if (/group/i.test(discount.name || '')) {
+    return { type: 'group', minDaysInAdvance: 0, minParticipants: 4 };
+  }
+
+  return { type: 'general', minDaysInAdvance: 0, minParticipants: 1 };
+};
+
+const getDaysInAdvance = (travelDate, now = new Date()) => Math.round(
+  (toDepartureDay(travelDate) - toDepartureDay(now)) / DAY_MS
+);
+
+const isEligible = (rule, participants, daysInAdvance) => {
+  if (rule.type === 'early_bird') return daysInAdvance >= (rule.minDaysInAdvance || 0);
+  if (rule.type === 'group') return participants >= (rule.minParticipants || 1);
+  return true;
+};
+
+// Coupon amount on the already-discounted price
+const getCouponDiscount = (coupon, amount) => {
+  if (coupon.discountType === 'flat') {
+    return Math.min(coupon.value, amount);
+  }
+
+  const discount = Math.round(amount * coupon.value / 100);
+  return coupon.maxDiscount > 0 ? Math.min(discount, coupon.maxDiscount) : discount;
+};
+
+// Build a line-item quote for a tour. Discounts don't stack - the single best
+// eligible offer (tour-specific or site-wide) is applied, then an optional coupon.
+const buildQuote = (tour, participants, travelDate, { coupon = null, now = new Date() } = {}) => {
+  const unitPrice = tour.price || 0;
+  const subtotal = unitPrice * participants;
+  const daysInAdvance = getDaysInAdvance(travelDate, now);
+
+  const tourDiscounts = ((tour.pricing && tour.pricing.discounts) || [])
+    .filter(discount => discount.name && discount.percentage > 0)
+    .map((discount, index) => ({
+      code: `TOUR_${index + 1}`,
+      name: discount.name,
+      source: 'tour',
+      description: discount.description || '',
+      percentage: discount.percentage,
+      ...resolveDiscountRule(discount)
+    }));
+
+  const siteOffers = SITE_OFFERS.map(offer => ({
+    source: 'site',
+    minDaysInAdvance: 0,
+    minParticipants: 1,
+    ...offer
+  }));
+
+  const eligibleDiscounts = [...tourDiscounts, ...siteOffers]
+    .filter(discount => isEligible(discount, participants, daysInAdvance))
+    .map(discount => ({
+      code: discount.code,
+      name: discount.name,
+      source: discount.source,
+      type: discount.type,
+      percentage: discount.percentage,
+      description: discount.description,
+      amount: Math.round(subtotal * discount.percentage / 100)
+    }))
+    .sort((a, b) => b.amount - a.amount);
+
+  const appliedDiscount = eligibleDiscounts[0] || null;
+
+  const lineItems = [{
+    code: 'BASE',
+    type: 'base',
+    label: `${participants} traveler${participants === 1 ? '' : 's'} x ₹${unitPrice.toLocaleString('en-IN')}`,
+    amount: subtotal
+  }];
+
+  if (appliedDiscount) {
+    lineItems.push({
+      code: appliedDiscount.code,
+      type: 'discount',
+      label: `${appliedDiscount.name} (${appliedDiscount.percentage}% off)`,
+      amount: -appliedDiscount.amount
+    });
+  }
+
+  let discountTotal = appliedDiscount ? appliedDiscount.amount : 0;
+  let couponResult = null;
+
+  if (coupon) {
+    const afterDiscounts = Math.max(subtotal - discountTotal, 0);
+
+    if (afterDiscounts < (coupon.minOrderAmount || 0)) {
+      couponResult = {
+        code: coupon.code,
+        applied: false,
+        message: `This coupon needs a minimum order of ₹${coupon.minOrderAmount.toLocaleString('en-IN')}`
+      };
+    } else {
+      const couponDiscount = getCouponDiscount(coupon, afterDiscounts);
+      couponResult = { code: coupon.code, applied: true, amount: couponDiscount };
+      discountTotal += couponDiscount;
+      lineItems.push({
+        code: coupon.code,
+        type: 'coupon',
+        label: `Coupon ${coupon.code}${coupon.discountType === 'percent' ? ` (${coupon.value}% off)` : ''}`,
+        amount: -couponDiscount
+      });
+    }
+  }
+
+  return {
+    currency: 'INR',
+    unitPrice,
+    participants,
+    daysInAdvance,
+    subtotal,
+    lineItems,
+    eligibleDiscounts,
+    appliedDiscount,
+    coupon: couponResult,
+    discountTotal,
+    total: Math.max(subtotal - discountTotal, 0)
+  };
+};
+
+// The part of a quote stored on a Booking
+const toBookingPricing = (quote) => ({
+  unitPrice: quote.unitPrice,
+  subtotal: quote.subtotal,
+  discountTotal: quote.discountTotal,
+  total: quote.total,
+  lineItems: quote.lineItems
+});
+
+module.exports = {
+  SITE_OFFERS,
+  buildQuote,
+  toBookingPricing
+};
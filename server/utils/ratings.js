@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Tour = require('../models/Tour');
+const Review = require('../models/Review');
+
+// Add a change to a tour's running rating totals and derive the average from them, all in
+// one update of the tour document - concurrent reviews each add their own change, so none is lost.
+const applyRatingChange = async (tourId, { sumDelta, countDelta }) => {
+  const tour = await Tour.findOneAndUpdate(
+    { _id: tourId },
+    [
+      {
+        $set: {
+          ratingSum: { $max: [0, { $add: [{ $ifNull: ['$ratingSum', 0] }, sumDelta] }] },
+          totalRatings: { $max: [0, { $add: [{ $ifNull: ['$totalRatings', 0] }, countDelta] }] }
+        }
+      },
+      {
+        $set: {
+          averageRating: {
+            $cond: [{ $gt: ['$totalRatings', 0] }, { $divide: ['$ratingSum', '$totalRatings'] }, 0]
+          }
+        }
+      }
+    ],
+    { new: true }
+  ).select('averageRating totalRatings');
+
+  return {
+    averageRating: tour ? tour.averageRating : 0,
+    totalRatings: tour ? tour.totalRatings : 0
+  };
+};
+
+// Save a user's rating of a tour (a second rating replaces the first) and update the tour's
+// totals by the difference. Returns { review, created, averageRating, totalRatings }.
+const saveReview = async (tourId, userId, fields) => {
+  // The review as it was before this write - read and replaced in one step
+  const previous = await Review.findOneAndUpdate(
+    { tour: tourId, user: userId },
+    fields,
+    { upsert: true, new: false, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const summary = await applyRatingChange(tourId, {
+    sumDelta: Number(fields.rating) - (previous ? previous.rating : 0),
+    countDelta: previous ? 0 : 1
+  });
+
+  const review = await Review.findOne({ tour: tourId, user: userId });
+
+  return { review, created: !previous, ...summary };
+};
+
+// Recount a tour's totals from all of its reviews. Only for migrations and backfills -
+// live changes go through applyRatingChange.
+const refreshTourRating = async (tourId) => {
+  const [summary] = await Review.aggregate([
+    { $match: { tour: new mongoose.Types.ObjectId(tourId.toString()) } },
+    { $group: { _id: null, sum: { $sum: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const ratingSum = summary ? summary.sum : 0;
+  const totalRatings = summary ? summary.count : 0;
+  const averageRating = totalRatings > 0 ? ratingSum / totalRatings : 0;
+
+  await Tour.updateOne({ _id: tourId }, { ratingSum, totalRatings, averageRating });
+
+  return { averageRating, totalRatings };
+};
+
+// Running totals for tours rated before ratingSum existed
+const backfillRatingSums = async () => {
+  const tours = await Tour.collection
+    .find({ ratingSum: { $exists: false } })
+    .project({ _id: 1 })
+    .toArray();
+
+  for (const tour of tours) {
+    await refreshTourRating(tour._id);
+  }
+
+  return tours.length;
+};
+
+// Remove every review a user wrote and take them out of the tours' totals
+const removeUserReviews = async (userId) => {
+  const reviews = await Review.find({ user: userId }).select('_id tour');
+
+  for (const { _id } of reviews) {
+    // Only the request that actually deletes the review subtracts it
+    const removed = await Review.findOneAndDelete({ _id });
+    if (removed) {
+      await applyRatingChange(removed.tour, { sumDelta: -removed.rating, countDelta: -1 });
+    }
+  }
+};
+
+// Shape a review the way the Dashboard has always received ratings
+const formatReview = (review) => ({
+  _id: review._id,
+  userId: review.user && review.user._id
+    ? { _id: review.user._id, name: review.user.name }
+    : review.user,
+  rating: review.rating,
+  review: review.review,
+  verified: review.verified,
+  date: review.updatedAt || review.createdAt
+});
+
+module.exports = {
+  saveReview,
+  refreshTourRating,
+  backfillRatingSums,
+  removeUserReviews,
+  formatReview
+};
@@ -0,0 +1,274 @@
+const Tour = require('../models/Tour');
+
+const MAX_RESERVE_ATTEMPTS = 3;
+
+// Departures are tracked per calendar day so any time on the same date shares seats
+const toDepartureDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const toDayKey = (date) => toDepartureDay(date).toISOString().split('T')[0];
+
+const findDeparture = (tour, day) => (tour.availableDates || []).find(
+  departure => departure.date && departure.date.getTime() === day.getTime()
+);
+
+// A tour with at least one admin-scheduled departure can only be booked on those dates
+const hasFixedSchedule = (tour) => (tour.availableDates || []).some(departure => !departure.onDemand);
+
+const formatDeparture = (departure) => {
+  const seatsLeft = Math.max(departure.capacity - departure.bookedSeats, 0);
+  return {
+    date: toDayKey(departure.date),
+    capacity: departure.capacity,
+    bookedSeats: departure.bookedSeats,
+    seatsLeft,
+    soldOut: seatsLeft === 0
+  };
+};
+
+// Most travelers one booking can take on a date - the departure's capacity, or the tour's
+// group size for a date that doesn't have a departure yet
+const getDepartureCapacity = (tour, travelDate) => {
+  const departure = findDeparture(tour, toDepartureDay(travelDate));
+  return departure ? departure.capacity : (tour.maxParticipants || 20);
+};
+
+// Atomically reserve seats on a departure - returns { success, statusCode, message }
+const reserveSeats = async (tourId, travelDate, seats) => {
+  const day = toDepartureDay(travelDate);
+
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    const tour = await Tour.findById(tourId);
+
+    if (!tour) {
+      return { success: false, statusCode: 404, message: 'Tour not found' };
+    }
+
+    const departure = findDeparture(tour, day);
+
+    if (!departure) {
+      if (hasFixedSchedule(tour)) {
+        return { success: false, statusCode: 400, message: 'This tour does not depart on the selected date' };
+      }
+
+      // Open-dated tour - create the departure on first booking, sized to the tour capacity
+      await Tour.updateOne(
+        { _id: tour._id, 'availableDates.date': { $ne: day } },
+        { $push: { availableDates: { date: day, capacity: tour.maxParticipants || 20, bookedSeats: 0, onDemand: true } } }
+      );
+      continue;
+    }
+
+    const seatsLeft = departure.capacity - departure.bookedSeats;
+
+    if (seatsLeft < seats) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: seatsLeft > 0
+          ? `Only ${seatsLeft} seat${seatsLeft === 1 ? '' : 's'} left on the selected date`
+          : 'The selected date is sold out'
+      };
+    }
+
+    // Only applies if nobody else has taken the seats since we read the departure
+    const result = await Tour.updateOne(
+      {
+        _id: tour._id,
+        availableDates: {
+          $elemMatch: {
+            _id: departure._id,
+            capacity: departure.capacity,
+            bookedSeats: { $lte: departure.capacity - seats }
+          }
+        }
+      },
+      { $inc: { 'availableDates.$.bookedSeats': seats, currentParticipants: seats } }
+    );
+
+    if (result.modifiedCount === 1) {
+      return { success: true };
+    }
+  }
+
+  return {
+    success: false,
+    statusCode: 409,
+    message: 'Seats on the selected date are being booked right now, please try again'
+  };
+};
+
+// Give seats back to a departure
+const releaseSeats = async (tourId, travelDate, seats) => {
+  const day = toDepartureDay(travelDate);
+
+  await Tour.updateOne(
+    { _id: tourId, availableDates: { $elemMatch: { date: day, bookedSeats: { $gte: seats } } } },
+    { $inc: { 'availableDates.$.bookedSeats': -seats, currentParticipants: -seats } }
+  );
+};
+
+// Give back a booking's seats when it is cancelled (does not save the booking)
+const syncSeatsForStatus = async (booking, newStatus) => {
+  if (newStatus === 'cancelled' && booking.seatsReserved) {
+    await releaseSeats(booking.tour, booking.travelDate, booking.participants);
+    booking.seatsReserved = false;
+  }
+
+  return { success: true };
+};
+
+// Release the seats held by a booking that is about to be deleted
+const releaseBookingSeats = async (booking) => {
+  if (booking.seatsReserved) {
+    await releaseSeats(booking.tour, booking.travelDate, booking.participants);
+  }
+};
+
+// Wipe all seat counts (used when every booking is removed)
+const resetAllSeats = async () => {
+  await Tour.updateMany(
+    {},
+    { $set: { 'availableDates.$[].bookedSeats': 0, currentParticipants: 0 } }
+  );
+};
+
+// Merge an admin-submitted schedule [{ date, capacity }] into a tour's departures.
+// Booked seats are kept, and departures that still have bookings cannot be dropped.
+// `changes` lists what to write with applyDepartureChanges - the merged list itself is
+// only saved whole for a new tour, since its seat counts are already out of date.
+const mergeDepartures = (existingDepartures = [], submittedDepartures = []) => {
+  const errors = [];
+  const merged = [];
+  const changes = { resized: [], added: [], removed: [] };
+  const seenDays = new Set();
+
+  submittedDepartures.forEach((submitted, index) => {
+    if (!submitted || !submitted.date || isNaN(new Date(submitted.date).getTime())) {
+      errors.push(`Departure ${index + 1} has an invalid date`);
+      return;
+    }
+
+    const day = toDepartureDay(submitted.date);
+    const key = day.getTime();
+    if (seenDays.has(key)) {
+      errors.push(`Departure ${toDayKey(day)} is listed more than once`);
+      return;
+    }
+    seenDays.add(key);
+
+    const capacity = parseInt(submitted.capacity);
+    const existing = existingDepartures.find(departure => departure.date.getTime() === key);
+    const bookedSeats = existing ? existing.bookedSeats : 0;
+
+    if (isNaN(capacity) || capacity < 0) {
+      errors.push(`Departure ${toDayKey(day)} needs a capacity of 0 or more`);
+      return;
+    }
+
+    if (capacity < bookedSeats) {
+      errors.push(`Departure ${toDayKey(day)} already has ${bookedSeats} seats booked`);
+      return;
+    }
+
+    if (!existing) {
+      changes.added.push({ date: day, capacity });
+    } else if (existing.capacity !== capacity || existing.onDemand) {
+      changes.resized.push({ _id: existing._id, date: day, capacity });
+    }
+
+    merged.push({
+      ...(existing ? { _id: existing._id } : {}),
+      date: day,
+      capacity,
+      bookedSeats,
+      onDemand: false
+    });
+  });
+
+  existingDepartures.forEach(existing => {
+    if (seenDays.has(existing.date.getTime())) return;
+
+    if (existing.bookedSeats === 0) {
+      changes.removed.push({ _id: existing._id, date: existing.date });
+    } else if (existing.onDemand) {
+      merged.push(existing);
+    } else {
+      errors.push(`Departure ${toDayKey(existing.date)} has bookings and cannot be removed`);
+    }
+  });
+
+  merged.sort((a, b) => a.date - b.date);
+
+  return { errors, departures: merged, changes };
+};
+
+// Write a merged schedule one departure at a time, so seats booked since the tour was
+// read are never overwritten. Returns the departures that bookings got to first.
+const applyDepartureChanges = async (tourId, { resized, added, removed }) => {
+  const conflicts = [];
+
+  const resize = (match, capacity) => Tour.updateOne(
+    { _id: tourId, availableDates: { $elemMatch: { ...match, bookedSeats: { $lte: capacity } } } },
+    { $set: { 'availableDates.$.capacity': capacity, 'availableDates.$.onDemand': false } }
+  );
+
+  for (const departure of resized) {
+    const result = await resize({ _id: departure._id }, departure.capacity);
+    if (result.matchedCount === 0) {
+      conflicts.push(`Departure ${toDayKey(departure.date)} now has more than ${departure.capacity} seats booked`);
+    }
+  }
+
+  for (const departure of added) {
+    const result = await Tour.updateOne(
+      { _id: tourId, 'availableDates.date': { $ne: departure.date } },
+      {
+        $push: {
+          availableDates: {
+            $each: [{ date: departure.date, capacity: departure.capacity, bookedSeats: 0, onDemand: false }],
+            $sort: { date: 1 }
+          }
+        }
+      }
+    );
+
+    // A booking opened this date in the meantime - take it over instead
+    if (result.matchedCount === 0) {
+      const taken = await resize({ date: departure.date }, departure.capacity);
+      if (taken.matchedCount === 0) {
+        conflicts.push(`Departure ${toDayKey(departure.date)} now has more than ${departure.capacity} seats booked`);
+      }
+    }
+  }
+
+  for (const departure of removed) {
+    const result = await Tour.updateOne(
+      { _id: tourId },
+      { $pull: { availableDates: { _id: departure._id, bookedSeats: 0 } } }
+    );
+
+    if (result.modifiedCount === 0 && await Tour.exists({ _id: tourId, 'availableDates._id': departure._id })) {
+      conflicts.push(`Departure ${toDayKey(departure.date)} has been booked and was kept`);
+    }
+  }
+
+  return conflicts;
+};
+
+module.exports = {
+  toDepartureDay,
+  formatDeparture,
+  hasFixedSchedule,
+  getDepartureCapacity,
+  reserveSeats,
+  releaseSeats,
+  syncSeatsForStatus,
+  releaseBookingSeats,
+  resetAllSeats,
+  mergeDepartures,
+  applyDepartureChanges
+};
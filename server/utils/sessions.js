@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Access tokens are short-lived - the refresh token keeps the user signed in
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const SESSION_TTL_DAYS = 30; // Signed out after this long without a refresh
+const REUSE_GRACE_MS = 30 * 1000; // Two tabs refreshing with the same token at once
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000; // How often API calls update lastSeenAt
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//]
+];
+
+// Phones first - their user agents also name the desktop system they're based on
+const SYSTEMS = [
+  ['iPhone', /iPhone/],
+  ['iPad', /iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const getSessionExpiry = (now) => new Date(now.getTime() + SESSION_TTL_DAYS * DAY_MS);
+
+const getJwtSecret = () => {
+  const jwtSecret = process.env.JWT_SECRET;
+
+  if (!jwtSecret) {
+    console.error('❌ JWT_SECRET is not set in environment variables!');
+    throw new Error('Server configuration error: JWT_SECRET is missing');
+  }
+
+  return jwtSecret;
+};
+
+// "Chrome on Windows" from a User-Agent header
+const describeDevice = (userAgent) => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  return `${browser ? browser[0] : 'Browser'} on ${system[0]}`;
+};
+
+const getClientInfo = (req) => {
+  const userAgent = String(req.headers['user-agent'] || '').slice(0, 500);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || ''
+  };
+};
+
+// JWT for API calls. It names its session so signing out ends it straight away (see authMiddleware.protect).
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    sessionId: session._id
+  },
+  getJwtSecret(),
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Sign a user in on this device: a new session and its first pair of tokens
+const startSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    ...getClientInfo(req),
+    lastSeenAt: now,
+    expiresAt: getSessionExpiry(now)
+  });
+
+  return { token: signAccessToken(user, session), refreshToken, session };
+};
+
+// Swap a refresh token for a new access token and refresh token. Returns { status, error }
+// when the session is over. A token that was already swapped means it was copied, and the
+// session is ended - unless it comes within seconds of the swap (another tab refreshing at
+// the same moment). Then only an access token is returned; the tab that won keeps the new refresh token.
+const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { status: 400, error: 'Refresh token is required' };
+  }
+
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const session = await Session.findOne({ tokenHash: hash, expiresAt: { $gt: now } }).populate('user');
+
+  if (!session) {
+    const replaced = await Session.findOne({ previousTokenHash: hash }).populate('user');
+
+    if (replaced && replaced.user && now - replaced.rotatedAt < REUSE_GRACE_MS) {
+      return { token: signAccessToken(replaced.user, replaced), refreshToken: null, user: replaced.user };
+    }
+
+    if (replaced) {
+      console.warn(`⚠️ Refresh token used twice - ending session ${replaced._id}`);
+      await replaced.deleteOne();
+    }
+
+    return { status: 401, error: 'Session expired, please sign in again' };
+  }
+
+  // The account was deleted
+  if (!session.user) {
+    await session.deleteOne();
+    return { status: 401, error: 'Session expired, please sign in again' };
+  }
+
+  const nextToken = newRefreshToken();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: hash },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: getSessionExpiry(now),
+        ...getClientInfo(req)
+      }
+    },
+    { new: true }
+  );
+
+  // Another request rotated it between the lookup and the update
+  if (!rotated) {
+    return { token: signAccessToken(session.user, session), refreshToken: null, user: session.user };
+  }
+
+  return { token: signAccessToken(session.user, rotated), refreshToken: nextToken, user: session.user };
+};
+
+// Sign out the session a refresh token belongs to (also if the token was just replaced)
+const endSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return false;
+
+  const hash = hashToken(refreshToken);
+  const result = await Session.deleteOne({ $or: [{ tokenHash: hash }, { previousTokenHash: hash }] });
+  return result.deletedCount > 0;
+};
+
+// The live session an access token names, or null once it has been signed out.
+// Notes the time now and then so the session list can show when a device was last used.
+const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findById(sessionId).select('user lastSeenAt expiresAt');
+  if (!session || session.user.toString() !== String(userId) || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const now = new Date();
+  if (now - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+    Session.updateOne({ _id: session._id }, { lastSeenAt: now })
+      .catch(error => console.error('Error updating session last seen:', error.message));
+  }
+
+  return session;
+};
+
+module.exports = {
+  startSession,
+  rotateSession,
+  endSession,
+  findActiveSession
+};
@@ -0,0 +1,20 @@
+const localDisk = require('./localDisk');
+
+// Media storage adapters. Each one implements:
+//   name                        - stored on Media.storage, so files are removed from where they were saved
+//   save(key, buffer, mimeType) - stores the file and returns { key, url } with a public URL
+//   remove(key)                 - deletes the file (no error when it is already gone)
+// The local adapter also serves its files itself (publicPath + getDirectory, see server.js).
+const adapters = {
+  [localDisk.name]: localDisk
+};
+
+const getStorage = (name) => adapters[name] || null;
+
+// Where new uploads go - STORAGE_PROVIDER picks it, local disk by default
+const getActiveStorage = () => getStorage(process.env.STORAGE_PROVIDER || localDisk.name);
+
+module.exports = {
+  getStorage,
+  getActiveStorage
+};
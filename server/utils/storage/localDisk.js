@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keeps uploads on the server's own disk and serves them from /uploads (see server.js).
+// Fine for a single instance - on hosts with an ephemeral disk point UPLOAD_DIR at a
+// mounted volume, or add an adapter for an object store.
+
+const PUBLIC_PATH = '/uploads';
+
+const getDirectory = () => process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads');
+
+// Absolute URLs, so the client can use them as-is from another origin
+const getBaseUrl = () => (
+  process.env.UPLOADS_PUBLIC_URL ||
+  `${process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 5000}`}${PUBLIC_PATH}`
+).replace(/\/$/, '');
+
+// Keys come from utils/mediaLibrary - never from the request - but stay inside the directory regardless
+const resolveKey = (key) => {
+  const directory = path.resolve(getDirectory());
+  const filePath = path.resolve(directory, key);
+  if (!filePath.startsWith(directory + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return { key, url: `${getBaseUrl()}/${key}` };
+};
+
+// Missing files are fine - the goal is that the file is gone
+const remove = async (key) => {
+  try {
+    await fs.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = {
+  name: 'local',
+  publicPath: PUBLIC_PATH,
+  getDirectory,
+  save,
+  remove
+};
@@ -0,0 +1,111 @@
+const MAX_DURATION_DAYS = 365;
+
+// Numbers from free-text durations: "5 Days / 4 Nights", "7 days", "3D/2N", "2 weeks".
+// Returns null when the text has no usable number ("Not specified").
+const parseDuration = (text) => {
+  const value = (text || '').toString().toLowerCase();
+  const daysMatch = value.match(/(\d+)\s*(?:days?\b|d\b)/);
+  const nightsMatch = value.match(/(\d+)\s*(?:nights?\b|n\b)/);
+  const weeksMatch = value.match(/(\d+)\s*weeks?\b/);
+  const firstNumber = value.match(/\d+/);
+
+  const nights = nightsMatch ? parseInt(nightsMatch[1]) : null;
+  let days = null;
+
+  if (daysMatch) days = parseInt(daysMatch[1]);
+  else if (weeksMatch) days = parseInt(weeksMatch[1]) * 7;
+  else if (nights !== null) days = nights + 1;
+  else if (firstNumber) days = parseInt(firstNumber[0]);
+
+  if (!days || days < 1) return null;
+
+  return {
+    days,
+    nights: nights !== null ? nights : days - 1
+  };
+};
+
+// Display text shown on cards and bookings, e.g. "5 days / 4 nights"
+const formatDuration = (days, nights) => {
+  const dayText = `${days} ${days === 1 ? 'day' : 'days'}`;
+  if (!nights) return dayText;
+  return `${dayText} / ${nights} ${nights === 1 ? 'night' : 'nights'}`;
+};
+
+const checkDuration = (days, nights) => {
+  const errors = [];
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DURATION_DAYS) {
+    errors.push(`Duration must be between 1 and ${MAX_DURATION_DAYS} days`);
+    return errors;
+  }
+
+  // A 5 day trip has 4 nights, or 5 if it ends with an overnight journey
+  if (!Number.isInteger(nights) || nights < days - 1 || nights > days) {
+    errors.push(`A ${days} day tour must have ${days - 1} or ${days} nights`);
+  }
+
+  return errors;
+};
+
+// Itinerary days must be numbered within the tour's length, once each
+const checkItinerary = (itinerary, days) => {
+  const errors = [];
+  const seen = new Set();
+
+  (itinerary || []).forEach(item => {
+    if (item.day > days) {
+      errors.push(`Itinerary day ${item.day} is beyond the tour's ${days} days`);
+    }
+    if (seen.has(item.day)) {
+      errors.push(`Itinerary has more than one entry for day ${item.day}`);
+    }
+    seen.add(item.day);
+  });
+
+  return errors;
+};
+
+// Work out a tour's length from a request body. Numbers win over text; a request
+// with only text (older admin clients) is parsed.
+const resolveDuration = ({ duration, durationDays, durationNights }) => {
+  let days;
+  let nights;
+
+  if (durationDays !== undefined && durationDays !== null && durationDays !== '') {
+    days = Number(durationDays);
+    nights = durationNights !== undefined && durationNights !== null && durationNights !== ''
+      ? Number(durationNights)
+      : days - 1;
+  } else {
+    const parsed = parseDuration(duration);
+    if (!parsed) {
+      return { errors: ['Duration must include the number of days (e.g. "5 days / 4 nights")'] };
+    }
+    days = parsed.days;
+    nights = durationNights !== undefined && durationNights !== null && durationNights !== ''
+      ? Number(durationNights)
+      : parsed.nights;
+  }
+
+  const errors = checkDuration(days, nights);
+  if (errors.length > 0) return { errors };
+
+  return { errors: [], days, nights, text: formatDuration(days, nights) };
+};
+
+// Length in days for date calculations - tours saved before durationDays existed fall back to their text
+const getTourDays = (tour) => {
+  if (tour && tour.durationDays) return tour.durationDays;
+  const parsed = parseDuration(tour && tour.duration);
+  return parsed ? parsed.days : 1;
+};
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  checkDuration,
+  checkItinerary,
+  resolveDuration,
+  getTourDays
+};
@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Tour = require('../models/Tour');
+const { toDepartureDay } = require('./seatInventory');
+
+const CATEGORIES = ['heritage', 'adventure', 'beach', 'wellness', 'cultural', 'spiritual'];
+const REGIONS = ['north', 'south', 'west', 'east', 'central'];
+const DIFFICULTIES = ['easy', 'moderate', 'difficult'];
+
+const DURATION_BUCKETS = [
+  { value: 'short', label: '1-3 days', min: 1, max: 3 },
+  { value: 'week', label: '4-7 days', min: 4, max: 7 },
+  { value: 'long', label: '8-14 days', min: 8, max: 14 },
+  { value: 'extended', label: '15+ days', min: 15 }
+];
+
+const RATING_THRESHOLDS = [4.5, 4, 3];
+const MONTHS_AHEAD = 12;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Length in days - tours not yet migrated (scripts/migrateTourDurations) fall back to
+// the first number in their duration text, at least 1
+const DURATION_DAYS = {
+  $ifNull: ['$durationDays', {
+    $let: {
+      vars: { found: { $regexFind: { input: { $toString: '$duration' }, regex: '[0-9]+' } } },
+      in: { $max: [1, { $ifNull: [{ $toInt: '$$found.match' }, 1] }] }
+    }
+  }]
+};
+
+const DURATION_BUCKET = {
+  $switch: {
+    branches: DURATION_BUCKETS
+      .filter(bucket => bucket.max)
+      .map(bucket => ({ case: { $lte: [DURATION_DAYS, bucket.max] }, then: bucket.value })),
+    default: DURATION_BUCKETS[DURATION_BUCKETS.length - 1].value
+  }
+};
+
+// Departures from a fixed schedule - open-dated tours only have on-demand ones
+const FIXED_DEPARTURES = {
+  $filter: {
+    input: { $ifNull: ['$availableDates', []] },
+    as: 'departure',
+    cond: { $ne: ['$$departure.onDemand', true] }
+  }
+};
+
+// ?category=beach,heritage and ?category=beach&category=heritage both work
+const parseList = (value, allowed) => [].concat(value || [])
+  .filter(item => typeof item === 'string')
+  .flatMap(item => item.split(','))
+  .map(item => item.trim())
+  .filter(item => item && (!allowed || allowed.includes(item)));
+
+const getMonthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, monthNumber - 1, 1)),
+    end: new Date(Date.UTC(year, monthNumber, 1))
+  };
+};
+
+// Departs in the month (from today on), or has no fixed schedule and can be booked for any date
+const buildMonthClause = (month, now) => {
+  const { start, end } = getMonthRange(month);
+  const today = toDepartureDay(now);
+
+  return {
+    $or: [
+      {
+        availableDates: {
+          $elemMatch: {
+            onDemand: { $ne: true },
+            date: { $gte: start > today ? start : today, $lt: end }
+          }
+        }
+      },
+      { availableDates: { $not: { $elemMatch: { onDemand: { $ne: true } } } } }
+    ]
+  };
+};
+
+// Listing filters from the query string. `base` (published tours, price range) always
+// applies; each facet's clause is kept apart so its counts can ignore its own selection
+// (see countTourFacets).
+const buildTourFilter = (query, now = new Date()) => {
+  const base = Tour.publicFilter(now);
+  const clauses = {};
+
+  const { minPrice, maxPrice } = query;
+  if (minPrice || maxPrice) {
+    base.price = {};
+    if (minPrice) base.price.$gte = parseInt(minPrice);
+    if (maxPrice) base.price.$lte = parseInt(maxPrice);
+  }
+
+  const categories = parseList(query.category, CATEGORIES);
+  if (categories.length > 0) clauses.category = { category: { $in: categories } };
+
+  const regions = parseList(query.region, REGIONS);
+  if (regions.length > 0) clauses.region = { region: { $in: regions } };
+
+  const difficulties = parseList(query.difficulty, DIFFICULTIES);
+  if (difficulties.length > 0) clauses.difficulty = { 'overview.difficulty': { $in: difficulties } };
+
+  const languages = parseList(query.language);
+  if (languages.length > 0) clauses.language = { 'overview.languages': { $in: languages } };
+
+  const durations = DURATION_BUCKETS.filter(bucket => parseList(query.duration).includes(bucket.value));
+  if (durations.length > 0) {
+    clauses.duration = {
+      $expr: {
+        $or: durations.map(bucket => ({
+          $and: [
+            { $gte: [DURATION_DAYS, bucket.min] },
+            ...(bucket.max ? [{ $lte: [DURATION_DAYS, bucket.max] }] : [])
+          ]
+        }))
+      }
+    };
+  }
+
+  const minRating = parseFloat(query.minRating);
+  if (minRating > 0 && minRating <= 5) clauses.rating = { averageRating: { $gte: minRating } };
+
+  const months = parseList(query.month).filter(month => MONTH_PATTERN.test(month));
+  if (months.length > 0) {
+    clauses.month = months.length === 1
+      ? buildMonthClause(months[0], now)
+      : { $or: months.map(month => buildMonthClause(month, now)) };
+  }
+
+  const filter = { ...base };
+  if (Object.keys(clauses).length > 0) filter.$and = [...base.$and, ...Object.values(clauses)];
+
+  return { filter, base, clauses };
+};
+
+// The next MONTHS_AHEAD months as "YYYY-MM", starting with the current one
+const getUpcomingMonths = (now) => Array.from({ length: MONTHS_AHEAD }, (_, i) => {
+  const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + i, 1));
+  return month.toISOString().slice(0, 7);
+});
+
+const toCounts = (groups) => groups
+  .filter(group => group._id !== null && group._id !== '')
+  .map(group => ({ value: group._id, count: group.count }))
+  .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+// How many tours each facet value would give, alongside the other selected filters.
+// A facet ignores its own selection so the sidebar can offer switching or combining values.
+const countTourFacets = async ({ base, clauses, tourIds, now = new Date() }) => {
+  const match = { ...base };
+  if (tourIds) {
+    match._id = { $in: tourIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+
+  const matchOthers = (facet) => {
+    const others = Object.entries(clauses)
+      .filter(([key]) => key !== facet)
+      .map(([, clause]) => clause);
+    return { $match: others.length > 0 ? { $and: others } : {} };
+  };
+
+  const today = toDepartureDay(now);
+  const months = getUpcomingMonths(now);
+  const horizon = getMonthRange(months[months.length - 1]).end;
+
+  const [result] = await Tour.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        category: [matchOthers('category'), { $group: { _id: '$category', count: { $sum: 1 } } }],
+        region: [matchOthers('region'), { $group: { _id: '$region', count: { $sum: 1 } } }],
+        difficulty: [matchOthers('difficulty'), { $group: { _id: '$overview.difficulty', count: { $sum: 1 } } }],
+        language: [
+          matchOthers('language'),
+          { $project: { languages: { $setUnion: [{ $ifNull: ['$overview.languages', []] }, []] } } },
+          { $unwind: '$languages' },
+          { $group: { _id: '$languages', count: { $sum: 1 } } }
+        ],
+        duration: [matchOthers('duration'), { $group: { _id: DURATION_BUCKET, count: { $sum: 1 } } }],
+        rating: [
+          matchOthers('rating'),
+          {
+            $group: RATING_THRESHOLDS.reduce((group, threshold, i) => ({
+              ...group,
+              [`atLeast${i}`]: { $sum: { $cond: [{ $gte: ['$averageRating', threshold] }, 1, 0] } }
+            }), { _id: null })
+          }
+        ],
+        monthFixed: [
+          matchOthers('month'),
+          {
+            $project: {
+              months: {
+                $setUnion: [{
+                  $map: {
+                    input: {
+                      $filter: {
+                        input: FIXED_DEPARTURES,
+                        as: 'departure',
+                        cond: { $and: [{ $gte: ['$$departure.date', today] }, { $lt: ['$$departure.date', horizon] }] }
+                      }
+                    },
+                    as: 'departure',
+                    in: { $dateToString: { format: '%Y-%m', date: '$$departure.date' } }
+                  }
+                }, []]
+              }
+            }
+          },
+          { $unwind: '$months' },
+          { $group: { _id: '$months', count: { $sum: 1 } } }
+        ],
+        monthFlexible: [
+          matchOthers('month'),
+          { $match: { $expr: { $eq: [{ $size: FIXED_DEPARTURES }, 0] } } },
+          { $count: 'count' }
+        ]
+      }
+    }
+  ]);
+
+  const durationCounts = new Map(result.duration.map(group => [group._id, group.count]));
+  const ratingCounts = result.rating[0] || {};
+  const fixedMonthCounts = new Map(result.monthFixed.map(group => [group._id, group.count]));
+  const flexibleCount = result.monthFlexible[0] ? result.monthFlexible[0].count : 0;
+
+  return {
+    category: toCounts(result.category),
+    region: toCounts(result.region),
+    difficulty: toCounts(result.difficulty),
+    language: toCounts(result.language),
+    duration: DURATION_BUCKETS.map(bucket => ({
+      value: bucket.value,
+      label: bucket.label,
+      count: durationCounts.get(bucket.value) || 0
+    })),
+    rating: RATING_THRESHOLDS.map((threshold, i) => ({
+      value: threshold,
+      label: `${threshold}+ stars`,
+      count: ratingCounts[`atLeast${i}`] || 0
+    })),
+    month: months.map(month => ({
+      value: month,
+      count: (fixedMonthCounts.get(month) || 0) + flexibleCount
+    }))
+  };
+};
+
+module.exports = {
+  buildTourFilter,
+  countTourFacets
+};
@@ -0,0 +1,67 @@
+const Tour = require('../models/Tour');
+const { invalidateSearchIndex } = require('./tourSearch');
+
+const JOB_INTERVAL_MS = 60 * 1000;
+
+// Tours saved before draft/published/archived existed only had isActive. Raw collection -
+// runs at startup, and the model no longer knows the old field.
+const backfillTourStatus = async () => {
+  const archived = await Tour.collection.updateMany(
+    { status: { $exists: false }, isActive: false },
+    { $set: { status: 'archived' }, $unset: { isActive: '' } }
+  );
+  const published = await Tour.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'published' }, $unset: { isActive: '' } }
+  );
+
+  return archived.modifiedCount + published.modifiedCount;
+};
+
+// Archive published tours whose unpublish date has passed. Tours whose publish date
+// arrived need no change - Tour.publicFilter already lets them through - but the
+// search index has to be rebuilt for either to show up in (or drop out of) searches.
+const applyTourSchedule = async (since, now = new Date()) => {
+  const ended = await Tour.updateMany(
+    { status: 'published', unpublishAt: { $lte: now } },
+    { status: 'archived', updatedAt: now }
+  );
+  const wentLive = await Tour.countDocuments({
+    status: 'published',
+    publishAt: { $gt: since, $lte: now }
+  });
+
+  if (ended.modifiedCount > 0 || wentLive > 0) {
+    invalidateSearchIndex();
+  }
+
+  return { published: wentLive, archived: ended.modifiedCount };
+};
+
+// Run applyTourSchedule every minute for the lifetime of the server
+const startTourPublishingJob = () => {
+  let lastRun = new Date();
+
+  const run = async () => {
+    const now = new Date();
+    try {
+      const { published, archived } = await applyTourSchedule(lastRun, now);
+      if (published > 0) console.log(`📢 Published ${published} scheduled tour(s)`);
+      if (archived > 0) console.log(`📦 Archived ${archived} tour(s) past their unpublish date`);
+      lastRun = now;
+    } catch (error) {
+      console.error('🔥 Tour publishing job error:', error.message);
+    }
+  };
+
+  // Archive tours that ended while the server was down. The search index lives in memory,
+  // so it is built after startup and already includes tours that went live meanwhile.
+  run();
+  return setInterval(run, JOB_INTERVAL_MS);
+};
+
+module.exports = {
+  backfillTourStatus,
+  applyTourSchedule,
+  startTourPublishingJob
+};
@@ -0,0 +1,123 @@
+const TourRevision = require('../models/TourRevision');
+
+// Fields an admin edits - what a revision records and a restore puts back. Departures are
+// left out: their seat counts move with bookings, so an old copy would undo real sales.
+// Ratings and participant counts are kept up to date elsewhere for the same reason.
+const REVISION_FIELDS = [
+  'title', 'description', 'detailedDescription', 'price',
+  'duration', 'durationDays', 'durationNights',
+  'image', 'images', 'region', 'category', 'destination',
+  'overview', 'included', 'excluded', 'itinerary',
+  'requirements', 'pricing', 'importantInfo', 'maxParticipants',
+  'status', 'publishAt', 'unpublishAt'
+];
+
+// Shown in the history, but a restore leaves them alone - bringing back old content
+// shouldn't also publish or unpublish the tour
+const PUBLISHING_FIELDS = ['status', 'publishAt', 'unpublishAt'];
+
+const MAX_VERSION_RETRIES = 3;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Subdocument ids change whenever the admin form resends a list, so they'd show up as noise in every diff
+const stripIds = (value) => {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => key !== '_id')
+    .map(([key, item]) => [key, stripIds(item)]));
+};
+
+// Plain JSON copy of the tour's editable content
+const takeSnapshot = (tour) => {
+  const source = JSON.parse(JSON.stringify(tour.toObject({ depopulate: true })));
+  return REVISION_FIELDS.reduce((snapshot, field) => {
+    if (source[field] !== undefined) snapshot[field] = stripIds(source[field]);
+    return snapshot;
+  }, {});
+};
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const changedFieldsBetween = (before, after) => REVISION_FIELDS.filter(field => !isSame(before[field], after[field]));
+
+// { 'pricing.discounts[0].percentage': 10, ... } - lists of objects are split per item,
+// lists of plain values (highlights, images) are compared whole
+const flatten = (value, path = '', out = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, item]) => flatten(item, path ? `${path}.${key}` : key, out));
+  } else if (Array.isArray(value) && value.some(isPlainObject)) {
+    value.forEach((item, index) => flatten(item, `${path}[${index}]`, out));
+  } else {
+    out[path] = value;
+  }
+  return out;
+};
+
+// Every changed value between two snapshots, in field order. `before`/`after` is
+// undefined where a value was added or removed.
+const diffSnapshots = (before, after) => {
+  const flatBefore = flatten(before || {});
+  const flatAfter = flatten(after || {});
+  const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])];
+  const fieldOrder = (path) => REVISION_FIELDS.indexOf(path.split(/[.[]/)[0]);
+
+  return paths
+    .filter(path => !isSame(flatBefore[path], flatAfter[path]))
+    .sort((a, b) => fieldOrder(a) - fieldOrder(b))
+    .map(path => ({ path, before: flatBefore[path], after: flatAfter[path] }));
+};
+
+// Store the tour's current content as its next version. Tours edited for the first time
+// since history was kept get their earlier content (previousSnapshot) as version 1.
+// Saving without changes adds nothing and returns null.
+const recordRevision = async (tour, { action, user, previousSnapshot, restoredFrom }) => {
+  const snapshot = takeSnapshot(tour);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await TourRevision.findOne({ tour: tour._id }).sort({ version: -1 }).select('version snapshot');
+    let version = latest ? latest.version : 0;
+    let previous = latest ? latest.snapshot : null;
+
+    try {
+      if (!latest && previousSnapshot) {
+        await TourRevision.create({ tour: tour._id, version: 1, action: 'baseline', snapshot: previousSnapshot });
+        version = 1;
+        previous = previousSnapshot;
+      }
+
+      const changedFields = previous ? changedFieldsBetween(previous, snapshot) : Object.keys(snapshot);
+      if (previous && changedFields.length === 0) return null;
+
+      return await TourRevision.create({
+        tour: tour._id,
+        version: version + 1,
+        action,
+        restoredFrom,
+        changedFields,
+        snapshot,
+        author: user ? user._id : undefined,
+        authorName: user ? user.name : ''
+      });
+    } catch (error) {
+      // Another admin saved the same tour at the same moment - number after theirs
+      if (error.code !== 11000 || attempt >= MAX_VERSION_RETRIES) throw error;
+    }
+  }
+};
+
+// Put a revision's content back on the tour (not saved). Fields the revision
+// doesn't have - added to tours after it was taken - keep their current value.
+const applyRevision = (tour, revision) => {
+  REVISION_FIELDS
+    .filter(field => !PUBLISHING_FIELDS.includes(field) && revision.snapshot[field] !== undefined)
+    .forEach(field => tour.set(field, revision.snapshot[field]));
+};
+
+module.exports = {
+  takeSnapshot,
+  diffSnapshots,
+  recordRevision,
+  applyRevision
+};
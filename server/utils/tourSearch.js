@@ -0,0 +1,424 @@
+const Tour = require('../models/Tour');
+
+const INDEX_TTL_MS = 5 * 60 * 1000;
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+// Searchable fields and how much a word in each counts towards relevance
+const FIELD_WEIGHTS = {
+  title: 10,
+  destination: 8,
+  highlights: 5,
+  description: 3,
+  itinerary: 2,
+  detailedDescription: 1
+};
+
+// Fields a snippet may be cut from, in order of preference (the title is highlighted separately)
+const SNIPPET_FIELDS = ['highlights', 'description', 'destination', 'itinerary', 'detailedDescription'];
+
+// Suggestion kinds - the label is shown next to each suggestion, priority breaks ties
+const SUGGESTION_TYPES = {
+  destination: { label: 'Destination', priority: 0 },
+  tour: { label: 'Tour', priority: 1 },
+  category: { label: 'Category', priority: 2 },
+  region: { label: 'Region', priority: 3 }
+};
+
+const REGION_LABELS = {
+  north: 'North India',
+  south: 'South India',
+  west: 'West India',
+  east: 'East India',
+  central: 'Central India'
+};
+
+// Too common to say anything about a tour - dropped from queries
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from', 'or']);
+
+// Letters (with their combining marks) and digits - everything else separates words,
+// so user input never reaches a regex or a database operator
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+
+// "Kerala", "kerala" and "Kérala" all index as the same word
+const normalizeWord = (word) => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const tokenize = (text) => (String(text || '').match(WORD_PATTERN) || []).map(normalizeWord);
+
+const getSearchableFields = (tour) => ({
+  title: tour.title || '',
+  destination: tour.destination || '',
+  highlights: ((tour.overview && tour.overview.highlights) || []).join(' · '),
+  description: tour.description || '',
+  itinerary: (tour.itinerary || [])
+    .map(day => [day.title, day.description, ...(day.activities || [])].filter(Boolean).join(' · '))
+    .join(' · '),
+  detailedDescription: tour.detailedDescription || ''
+});
+
+// Everything the suggest box can offer: tours, the places in their destinations,
+// and the regions and categories that have tours
+const buildSuggestions = (tours) => {
+  const places = new Map();
+  const groups = new Map();
+
+  const addGroup = (type, value, label) => {
+    const key = `${type}:${value}`;
+    if (!groups.has(key)) groups.set(key, { type, value, label, count: 0 });
+    groups.get(key).count++;
+  };
+
+  const suggestions = tours.map(tour => ({
+    type: 'tour',
+    value: tour.title,
+    label: tour.title,
+    tourId: tour._id.toString()
+  }));
+
+  tours.forEach(tour => {
+    // "Jaipur, Udaipur" is two places
+    (tour.destination || '').split(/[,/|]/).map(place => place.trim()).filter(Boolean).forEach(place => {
+      const key = place.toLowerCase();
+      if (!places.has(key)) places.set(key, { type: 'destination', value: place, label: place, count: 0 });
+      places.get(key).count++;
+    });
+
+    if (tour.region) addGroup('region', tour.region, REGION_LABELS[tour.region] || tour.region);
+    if (tour.category) {
+      addGroup('category', tour.category, tour.category.charAt(0).toUpperCase() + tour.category.slice(1));
+    }
+  });
+
+  return [...suggestions, ...places.values(), ...groups.values()]
+    .map(suggestion => ({ ...suggestion, words: tokenize(suggestion.label) }));
+};
+
+// Inverted index: word -> tour id -> weighted count of the word across the tour's fields
+const buildIndex = (tours) => {
+  const postings = new Map();
+  const documents = new Map();
+
+  tours.forEach(tour => {
+    const id = tour._id.toString();
+    const fields = getSearchableFields(tour);
+    documents.set(id, fields);
+
+    Object.entries(fields).forEach(([field, text]) => {
+      tokenize(text).forEach(word => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const tourWeights = postings.get(word);
+        tourWeights.set(id, (tourWeights.get(id) || 0) + FIELD_WEIGHTS[field]);
+      });
+    });
+  });
+
+  return {
+    postings,
+    documents,
+    vocabulary: [...postings.keys()],
+    suggestions: buildSuggestions(tours),
+    size: tours.length,
+    builtAt: Date.now()
+  };
+};
+
+let cachedIndex = null;
+let pendingBuild = null;
+let generation = 0;
+
+// The index is built from the database on first use and rebuilt after a tour
+// changes (see invalidateSearchIndex) or once it is INDEX_TTL_MS old
+const getIndex = async () => {
+  if (cachedIndex && Date.now() - cachedIndex.builtAt < INDEX_TTL_MS) return cachedIndex;
+  if (pendingBuild) return pendingBuild;
+
+  const buildGeneration = generation;
+  const build = Tour.find(Tour.publicFilter())
+    .select('title destination region category description detailedDescription overview.highlights itinerary')
+    .lean()
+    .then(tours => {
+      const index = buildIndex(tours);
+      // A tour changed while we were reading - use this index once, but don't keep it
+      if (buildGeneration === generation) cachedIndex = index;
+      return index;
+    })
+    .finally(() => {
+      if (pendingBuild === build) pendingBuild = null;
+    });
+
+  pendingBuild = build;
+  return build;
+};
+
+// Call after tours are created, edited or removed so the next search sees the change
+const invalidateSearchIndex = () => {
+  generation++;
+  cachedIndex = null;
+  pendingBuild = null;
+};
+
+// Typos allowed for a word of this length - short words must match exactly
+const getMaxEdits = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+// Edit distance counting a swap of neighbouring letters as one edit ("kerela" / "kerala"),
+// giving up as soon as it is more than `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Index words a query word should match and how closely (1 = exact). Misspellings
+// are only considered when the word itself isn't in the index.
+const expandWord = (index, word) => {
+  const matches = [];
+  const known = index.postings.has(word);
+  const maxEdits = known ? 0 : getMaxEdits(word);
+
+  if (known) matches.push({ word, quality: 1 });
+
+  index.vocabulary.forEach(candidate => {
+    if (candidate === word) return;
+
+    // Partly typed words: "jai" finds "jaipur"
+    if (word.length >= 3 && candidate.startsWith(word)) {
+      matches.push({ word: candidate, quality: 0.8 });
+      return;
+    }
+
+    if (maxEdits === 0) return;
+
+    const distance = editDistance(word, candidate, maxEdits);
+    if (distance <= maxEdits) {
+      matches.push({ word: candidate, quality: distance === 1 ? 0.6 : 0.4, distance, fuzzy: true });
+    }
+  });
+
+  return matches;
+};
+
+// Closest spelling for a word that only matched through typos - fewest edits, then most common
+const pickCorrection = (index, matches) => {
+  if (matches.length === 0 || matches.some(match => !match.fuzzy)) return null;
+
+  return matches
+    .slice()
+    .sort((a, b) => a.distance - b.distance || index.postings.get(b.word).size - index.postings.get(a.word).size)[0].word;
+};
+
+// Cut a snippet around the first match and shift the match offsets to fit it
+const cutSnippet = (text, ranges) => {
+  if (text.length <= SNIPPET_LENGTH) return { text, matches: ranges };
+
+  let start = Math.max(0, ranges[0][0] - SNIPPET_LEAD);
+  if (start > 0) {
+    const space = text.lastIndexOf(' ', start);
+    start = space === -1 ? 0 : space + 1;
+  }
+
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > ranges[0][1]) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    matches: ranges
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+};
+
+// Character ranges in `text` whose words are in `words`
+const findMatches = (text, words) => {
+  const ranges = [];
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (words.has(normalizeWord(match[0]))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+};
+
+// Highlighted title and one snippet from the best other field, as plain text plus
+// [start, end] offsets of the matched words so clients never render raw HTML
+const buildHighlights = (fields, words) => {
+  const highlights = [];
+
+  const titleMatches = findMatches(fields.title, words);
+  if (titleMatches.length > 0) {
+    highlights.push({ field: 'title', text: fields.title, matches: titleMatches });
+  }
+
+  for (const field of SNIPPET_FIELDS) {
+    const ranges = findMatches(fields[field], words);
+    if (ranges.length > 0) {
+      highlights.push({ field, ...cutSnippet(fields[field], ranges) });
+      break;
+    }
+  }
+
+  return highlights;
+};
+
+// Rank active tours against a free-text query. Returns tour ids best match first,
+// each tour's score and highlights, and a corrected query if words were misspelled.
+const rankTours = async (rawQuery) => {
+  const terms = [...new Set(tokenize(String(rawQuery || '').slice(0, MAX_QUERY_LENGTH)))]
+    .filter(term => !STOP_WORDS.has(term))
+    .slice(0, MAX_QUERY_TERMS);
+  const hits = new Map();
+
+  if (terms.length === 0) {
+    return { ids: [], hits, didYouMean: null, terms };
+  }
+
+  const index = await getIndex();
+  const results = new Map();
+  const corrections = {};
+
+  terms.forEach(term => {
+    const matches = expandWord(index, term);
+    const correction = pickCorrection(index, matches);
+    if (correction) corrections[term] = correction;
+
+    // Best way each tour matches this query word
+    const termScores = new Map();
+    matches.forEach(({ word, quality }) => {
+      const tourWeights = index.postings.get(word);
+      const idf = Math.log(1 + index.size / tourWeights.size);
+
+      tourWeights.forEach((weight, id) => {
+        const score = quality * idf * (1 + Math.log(weight));
+        const best = termScores.get(id);
+        if (!best || score > best.score) termScores.set(id, { score, word });
+      });
+    });
+
+    termScores.forEach(({ score, word }, id) => {
+      if (!results.has(id)) results.set(id, { score: 0, matchedTerms: 0, words: new Set() });
+      const result = results.get(id);
+      result.score += score;
+      result.matchedTerms++;
+      result.words.add(word);
+    });
+  });
+
+  // Tours matching every word; if there are none, tours matching any of them
+  let ranked = [...results.entries()];
+  const complete = ranked.filter(([, result]) => result.matchedTerms === terms.length);
+  if (complete.length > 0) ranked = complete;
+
+  ranked.sort(([, a], [, b]) => b.matchedTerms - a.matchedTerms || b.score - a.score);
+
+  ranked.forEach(([id, result]) => {
+    hits.set(id, {
+      score: Math.round(result.score * 100) / 100,
+      highlights: buildHighlights(index.documents.get(id), result.words)
+    });
+  });
+
+  const didYouMean = Object.keys(corrections).length > 0
+    ? terms.map(term => corrections[term] || term).join(' ')
+    : null;
+
+  return { ids: ranked.map(([id]) => id), hits, didYouMean, terms };
+};
+
+// How well typed words match a suggestion (0 = not at all). Every word has to match;
+// the last one may still be half typed.
+const scoreSuggestion = (terms, words) => {
+  let total = 0;
+
+  for (let i = 0; i < terms.length; i++) {
+    const term = terms[i];
+    const isLast = i === terms.length - 1;
+    const maxEdits = getMaxEdits(term);
+    let best = 0;
+
+    words.forEach((word, position) => {
+      let quality = 0;
+
+      if (word === term) {
+        quality = 1;
+      } else if (isLast && word.startsWith(term)) {
+        quality = 0.9;
+      } else if (maxEdits > 0) {
+        // Compare a half typed last word with the same length of the candidate
+        const distance = editDistance(term, isLast ? word.slice(0, term.length) : word, maxEdits);
+        if (distance <= maxEdits) quality = distance === 1 ? 0.6 : 0.4;
+      }
+
+      // Matching the start of the suggestion reads best
+      if (quality > 0 && position === 0) quality += 0.1;
+      best = Math.max(best, quality);
+    });
+
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  return total / terms.length;
+};
+
+// Ranked autocomplete suggestions for what has been typed so far
+const suggestTours = async (rawQuery, limit = 8) => {
+  const terms = tokenize(String(rawQuery || '').slice(0, MAX_QUERY_LENGTH)).slice(0, MAX_QUERY_TERMS);
+  if (terms.length === 0) return [];
+
+  const index = await getIndex();
+
+  return index.suggestions
+    .map(suggestion => ({ suggestion, score: scoreSuggestion(terms, suggestion.words) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score
+      || SUGGESTION_TYPES[a.suggestion.type].priority - SUGGESTION_TYPES[b.suggestion.type].priority
+      || (b.suggestion.count || 0) - (a.suggestion.count || 0)
+      || a.suggestion.label.localeCompare(b.suggestion.label))
+    .slice(0, limit)
+    .map(({ suggestion }) => {
+      const { words, ...rest } = suggestion;
+      return { ...rest, typeLabel: SUGGESTION_TYPES[suggestion.type].label };
+    });
+};
+
+module.exports = {
+  tokenize,
+  rankTours,
+  suggestTours,
+  invalidateSearchIndex
+};
@@ -0,0 +1,22 @@
+const MAX_SLUG_LENGTH = 80;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "Kerala Backwaters & Munnar" -> "kerala-backwaters-munnar"
+const slugify = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/^-+|-+$/g, '') || 'tour';
+
+const isValidSlug = (slug) => typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+
+// The nth candidate for a slug: base, base-2, base-3...
+const numberSlug = (base, n) => (n === 1 ? base : `${base.slice(0, MAX_SLUG_LENGTH - String(n).length - 1).replace(/-+$/, '')}-${n}`);
+
+module.exports = {
+  slugify,
+  isValidSlug,
+  numberSlug
+};
@@ -0,0 +1,161 @@
+const Tour = require('../models/Tour');
+const TourTemplate = require('../models/TourTemplate');
+const { takeSnapshot } = require('./tourRevisions');
+const { validateTiers } = require('./cancellationPolicy');
+
+// What a template carries over to a new tour - everything that isn't specific to one
+// tour (title, description, images, destination) or to its sales (departures, ratings)
+const TEMPLATE_FIELDS = [
+  'price', 'durationDays', 'durationNights', 'region', 'category',
+  'overview', 'included', 'excluded', 'itinerary',
+  'requirements', 'pricing', 'importantInfo', 'maxParticipants'
+];
+
+const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined && source[field] !== null) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Check template content the way a tour would be checked, and return it cleaned up
+// (numbers cast, ids dropped). Only the fields that were sent are kept.
+const buildTemplateContent = async (source) => {
+  const fields = pickFields(source || {}, TEMPLATE_FIELDS);
+
+  if (fields.pricing && fields.pricing.cancellationTiers !== undefined) {
+    const tierCheck = validateTiers(fields.pricing.cancellationTiers);
+    if (tierCheck.errors.length > 0) return { errors: tierCheck.errors };
+    fields.pricing = { ...fields.pricing, cancellationTiers: tierCheck.tiers };
+  }
+
+  // Never saved - title and description are placeholders so the tour rules can run
+  const draft = new Tour({ title: 'Template', description: 'Template', ...fields });
+  try {
+    await draft.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { errors: Object.values(error.errors).map(err => err.message) };
+  }
+
+  // The duration hook fills in nights when only days were sent
+  const kept = Object.keys(fields);
+  if (fields.durationDays !== undefined) kept.push('durationNights');
+
+  return { errors: [], content: pickFields(takeSnapshot(draft), TEMPLATE_FIELDS.filter(field => kept.includes(field))) };
+};
+
+// Template content taken from an existing tour
+const getTourTemplateContent = (tour) => pickFields(takeSnapshot(tour), TEMPLATE_FIELDS);
+
+const DEFAULT_TEMPLATES = [
+  {
+    name: 'Heritage 7-day',
+    description: 'A week of forts, palaces and old cities with a guide throughout',
+    content: {
+      category: 'heritage',
+      durationDays: 7,
+      durationNights: 6,
+      maxParticipants: 16,
+      overview: {
+        highlights: ['Guided walks through UNESCO World Heritage Sites', 'Stays in heritage hotels', 'Evening cultural performance'],
+        groupSize: '2-16 People',
+        difficulty: 'easy',
+        ageRange: '8-75 years',
+        bestSeason: 'October to March',
+        languages: ['English', 'Hindi']
+      },
+      included: [
+        '6 nights in heritage or 4-star hotels',
+        'Daily breakfast and dinner',
+        'Air-conditioned vehicle with driver',
+        'English-speaking guide at every site',
+        'All monument entrance fees'
+      ],
+      excluded: [
+        'Flights to the starting city',
+        'Lunches',
+        'Camera fees at monuments',
+        'Travel insurance',
+        'Tips and personal expenses'
+      ],
+      itinerary: [
+        { day: 1, title: 'Arrival', description: 'Airport pickup, hotel check-in and welcome dinner.', activities: ['Airport pickup', 'Welcome briefing'], meals: 'Dinner', accommodation: 'Heritage hotel' },
+        { day: 2, title: 'Old city walk', description: 'Guided walk through the old quarter and its markets.', activities: ['Guided heritage walk', 'Market visit'], meals: 'Breakfast, Dinner', accommodation: 'Heritage hotel' },
+        { day: 3, title: 'Forts and palaces', description: 'Full day at the main fort and palace complex.', activities: ['Fort tour', 'Palace museum'], meals: 'Breakfast, Dinner', accommodation: 'Heritage hotel' },
+        { day: 4, title: 'Transfer', description: 'Drive to the next city with stops along the way.', activities: ['Scenic drive', 'Village stop'], meals: 'Breakfast, Dinner', accommodation: 'Heritage hotel' },
+        { day: 5, title: 'Monuments', description: 'Sightseeing at the city\'s best-known monuments.', activities: ['Monument tour', 'Craft workshop'], meals: 'Breakfast, Dinner', accommodation: 'Heritage hotel' },
+        { day: 6, title: 'At leisure', description: 'Free morning, cultural performance in the evening.', activities: ['Free time', 'Cultural show'], meals: 'Breakfast, Dinner', accommodation: 'Heritage hotel' },
+        { day: 7, title: 'Departure', description: 'Check-out and transfer to the airport or station.', activities: ['Airport drop'], meals: 'Breakfast', accommodation: '' }
+      ],
+      requirements: {
+        physicalLevel: 'Easy - mostly walking at sites',
+        fitnessLevel: 'Able to walk 2-3 hours a day',
+        documents: ['Government photo ID or passport', 'Visa (foreign nationals)', 'Travel insurance'],
+        packingList: ['Comfortable walking shoes', 'Modest clothing for temples', 'Sun hat and sunscreen', 'Light jacket for evenings', 'Personal medications']
+      },
+      pricing: {
+        paymentPolicy: '25% advance at booking, balance 30 days before travel',
+        cancellationPolicy: 'Full refund 60+ days before travel, 50% refund 30-59 days before travel',
+        cancellationTiers: [
+          { minDaysBeforeTravel: 60, refundPercentage: 100 },
+          { minDaysBeforeTravel: 30, refundPercentage: 50 },
+          { minDaysBeforeTravel: 0, refundPercentage: 0 }
+        ]
+      },
+      importantInfo: {
+        bookingCutoff: '14 days before travel date',
+        refundPolicy: 'As per cancellation policy above',
+        healthAdvisory: 'Carry any regular medication; bottled water is provided on the road',
+        safetyMeasures: 'Licensed guides, registered vehicles, 24/7 support line'
+      }
+    }
+  },
+  {
+    name: 'Weekend getaway 3-day',
+    description: 'A short break - arrival, one full day out and a relaxed departure',
+    content: {
+      durationDays: 3,
+      durationNights: 2,
+      maxParticipants: 12,
+      overview: {
+        highlights: ['Easy short break', 'Hand-picked stay', 'One full day of guided activities'],
+        groupSize: '2-12 People',
+        difficulty: 'easy',
+        ageRange: 'All ages',
+        bestSeason: 'Year-round',
+        languages: ['English', 'Hindi']
+      },
+      included: ['2 nights accommodation', 'Daily breakfast', 'Guided day excursion', 'Local transfers'],
+      excluded: ['Travel to the destination', 'Lunches and dinners', 'Travel insurance', 'Personal expenses'],
+      itinerary: [
+        { day: 1, title: 'Arrival', description: 'Check-in and an evening at leisure.', activities: ['Hotel check-in'], meals: '', accommodation: 'Resort' },
+        { day: 2, title: 'Day out', description: 'Full-day guided excursion.', activities: ['Guided excursion'], meals: 'Breakfast', accommodation: 'Resort' },
+        { day: 3, title: 'Departure', description: 'Free morning and check-out.', activities: ['Check-out'], meals: 'Breakfast', accommodation: '' }
+      ],
+      requirements: {
+        physicalLevel: 'Easy',
+        fitnessLevel: 'No special fitness needed',
+        documents: ['Government photo ID'],
+        packingList: ['Casual clothing', 'Comfortable shoes', 'Sunscreen']
+      },
+      importantInfo: {
+        bookingCutoff: '3 days before travel date',
+        refundPolicy: 'As per cancellation policy above'
+      }
+    }
+  }
+];
+
+// Starter templates for a fresh install - nothing is added once any template exists
+const seedDefaultTemplates = async () => {
+  const count = await TourTemplate.countDocuments();
+  if (count > 0) return 0;
+
+  await TourTemplate.insertMany(DEFAULT_TEMPLATES);
+  return DEFAULT_TEMPLATES.length;
+};
+
+module.exports = {
+  buildTemplateContent,
+  getTourTemplateContent,
+  seedDefaultTemplates
+};
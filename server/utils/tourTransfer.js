@@ -0,0 +1,357 @@
+const Tour = require('../models/Tour');
+const { takeSnapshot, diffSnapshots, recordRevision } = require('./tourRevisions');
+const { validateTiers } = require('./cancellationPolicy');
+const { invalidateSearchIndex } = require('./tourSearch');
+const { slugify, isValidSlug } = require('./tourSlugs');
+const { toCsv, parseCsv } = require('./csv');
+
+const MAX_IMPORT_ROWS = 500;
+const NEW_TOUR_REQUIRED = ['title', 'description', 'price', 'durationDays'];
+// MongoDB's code for "Transaction numbers are only allowed on a replica set member or mongos"
+const ILLEGAL_OPERATION = 20;
+
+const enumOf = (path) => Tour.schema.path(path).enumValues;
+
+// Exported fields, in column order. In CSV a `list` cell has one item per line and a
+// `json` cell holds JSON text (itinerary, discounts, refund tiers). Departures, bookings
+// and ratings are left out - they belong to the live tour, not to its description.
+const TRANSFER_COLUMNS = [
+  { path: 'slug', type: 'text' },
+  { path: 'title', type: 'text' },
+  { path: 'description', type: 'text' },
+  { path: 'detailedDescription', type: 'text' },
+  { path: 'price', type: 'number' },
+  { path: 'durationDays', type: 'number' },
+  { path: 'durationNights', type: 'number' },
+  { path: 'region', type: 'enum', values: enumOf('region') },
+  { path: 'category', type: 'enum', values: enumOf('category') },
+  { path: 'destination', type: 'text' },
+  { path: 'status', type: 'enum', values: enumOf('status') },
+  { path: 'publishAt', type: 'date' },
+  { path: 'unpublishAt', type: 'date' },
+  { path: 'maxParticipants', type: 'number' },
+  { path: 'image', type: 'text' },
+  { path: 'images', type: 'list' },
+  { path: 'overview.highlights', type: 'list' },
+  { path: 'overview.groupSize', type: 'text' },
+  { path: 'overview.difficulty', type: 'enum', values: enumOf('overview.difficulty') },
+  { path: 'overview.ageRange', type: 'text' },
+  { path: 'overview.bestSeason', type: 'text' },
+  { path: 'overview.languages', type: 'list' },
+  { path: 'included', type: 'list' },
+  { path: 'excluded', type: 'list' },
+  { path: 'itinerary', type: 'json' },
+  { path: 'requirements.physicalLevel', type: 'text' },
+  { path: 'requirements.fitnessLevel', type: 'text' },
+  { path: 'requirements.documents', type: 'list' },
+  { path: 'requirements.packingList', type: 'list' },
+  { path: 'pricing.basePrice', type: 'number' },
+  { path: 'pricing.discounts', type: 'json' },
+  { path: 'pricing.paymentPolicy', type: 'text' },
+  { path: 'pricing.cancellationPolicy', type: 'text' },
+  { path: 'pricing.cancellationTiers', type: 'json' },
+  { path: 'importantInfo.bookingCutoff', type: 'text' },
+  { path: 'importantInfo.refundPolicy', type: 'text' },
+  { path: 'importantInfo.healthAdvisory', type: 'text' },
+  { path: 'importantInfo.safetyMeasures', type: 'text' }
+];
+
+const COLUMN_BY_PATH = new Map(TRANSFER_COLUMNS.map(column => [column.path, column]));
+
+const getPath = (source, path) => path.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    object[key] = object[key] || {};
+    return object[key];
+  }, target);
+  parent[last] = value;
+  return target;
+};
+
+// A tour as an export record - the exported fields nested as in the API, without ids
+const toExportRecord = (tour) => {
+  const source = JSON.parse(JSON.stringify(tour.toObject(), (key, value) => (key === '_id' ? undefined : value)));
+  return TRANSFER_COLUMNS.reduce((record, column) => {
+    const value = getPath(source, column.path);
+    if (value !== undefined && value !== null) setPath(record, column.path, value);
+    return record;
+  }, {});
+};
+
+const toCsvCell = (column, value) => {
+  if (value === undefined || value === null) return '';
+  if (column.type === 'list') return value.join('\n');
+  if (column.type === 'json') return value.length > 0 ? JSON.stringify(value) : '';
+  return value;
+};
+
+// The byte order mark makes Excel open the file as UTF-8 (₹, accented names)
+const toursToCsv = (tours) => '\uFEFF' + toCsv([
+  TRANSFER_COLUMNS.map(column => column.path),
+  ...tours.map(tour => {
+    const record = toExportRecord(tour);
+    return TRANSFER_COLUMNS.map(column => toCsvCell(column, getPath(record, column.path)));
+  })
+]);
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Import file -> { errors, rows: [{ row, fromCsv, values: { path: raw value } }] }.
+// Blank cells and missing keys are left out, so an update only changes what the file fills in.
+// CSV rows are numbered as in a spreadsheet (the header is row 1), JSON tours from 1.
+const readImportFile = (format, text) => {
+  if (format === 'csv') {
+    let table;
+    try {
+      table = parseCsv(text);
+    } catch (error) {
+      return { errors: [error.message] };
+    }
+
+    if (table.length < 2) {
+      return { errors: ['The CSV file has no tour rows below its header'] };
+    }
+
+    const header = table[0].map(name => name.trim());
+    const unknown = header.filter(name => name && !COLUMN_BY_PATH.has(name));
+    if (unknown.length > 0) {
+      return { errors: [`Unknown column(s): ${unknown.join(', ')}`] };
+    }
+    if (!header.includes('slug') && !header.includes('title')) {
+      return { errors: ['The CSV file needs a slug or a title column'] };
+    }
+
+    return {
+      errors: [],
+      rows: table.slice(1).map((cells, index) => ({
+        row: index + 2,
+        fromCsv: true,
+        values: header.reduce((values, name, i) => {
+          if (name && !isBlank(cells[i])) values[name] = cells[i];
+          return values;
+        }, {})
+      }))
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return { errors: [`The file is not valid JSON: ${error.message}`] };
+  }
+
+  // A plain list of tours, or a file from the JSON export
+  const tours = Array.isArray(parsed) ? parsed : parsed && parsed.tours;
+  if (!Array.isArray(tours)) {
+    return { errors: ['The JSON file must be a list of tours, or an export with a "tours" list'] };
+  }
+
+  return {
+    errors: [],
+    rows: tours.map((tour, index) => ({
+      row: index + 1,
+      fromCsv: false,
+      values: TRANSFER_COLUMNS.reduce((values, column) => {
+        const value = tour && typeof tour === 'object' ? getPath(tour, column.path) : undefined;
+        if (!isBlank(value)) values[column.path] = value;
+        return values;
+      }, {})
+    }))
+  };
+};
+
+// One imported value -> { value } or { error }
+const castValue = (column, raw, fromCsv) => {
+  const { path } = column;
+
+  switch (column.type) {
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return isNaN(number) ? { error: `${path} "${raw}" must be a number` } : { value: number };
+    }
+    case 'enum': {
+      const value = String(raw).trim().toLowerCase();
+      return column.values.includes(value)
+        ? { value }
+        : { error: `${path} "${raw}" must be one of: ${column.values.join(', ')}` };
+    }
+    case 'date': {
+      const date = new Date(raw);
+      return isNaN(date.getTime()) ? { error: `${path} "${raw}" is not a valid date` } : { value: date };
+    }
+    case 'list': {
+      const list = fromCsv ? String(raw).split(/\r?\n/) : raw;
+      if (!Array.isArray(list)) return { error: `${path} must be a list` };
+      return { value: list.map(item => String(item).trim()).filter(Boolean) };
+    }
+    case 'json': {
+      let value = raw;
+      if (fromCsv) {
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          return { error: `${path} is not valid JSON` };
+        }
+      }
+      return Array.isArray(value) ? { value } : { error: `${path} must be a list` };
+    }
+    default:
+      return typeof raw === 'object' ? { error: `${path} must be text` } : { value: String(raw).trim() };
+  }
+};
+
+// Check one row against the tour rules and work out what importing it would do.
+// Nothing is saved - `tour` is the updated (or new) document, ready to save.
+const planRow = async ({ row, fromCsv, values }, seenSlugs) => {
+  const errors = [];
+  const fields = {};
+
+  Object.entries(values).forEach(([path, raw]) => {
+    const result = castValue(COLUMN_BY_PATH.get(path), raw, fromCsv);
+    if (result.error) errors.push(result.error);
+    else fields[path] = result.value;
+  });
+
+  // Rows are matched to tours by slug - or by the title's slug when the file has none
+  const slug = fields.slug ? fields.slug.toLowerCase() : fields.title && slugify(fields.title);
+  const entry = { row, slug: slug || null, title: fields.title || null, action: null, changedFields: [], errors };
+
+  if (!slug) {
+    errors.push('Each tour needs a slug or a title');
+    return { entry };
+  }
+  if (fields.slug && !isValidSlug(slug)) {
+    errors.push(`slug "${fields.slug}" may only contain lowercase letters, numbers and dashes`);
+  }
+  if (seenSlugs.has(slug)) {
+    errors.push(`slug "${slug}" is also used by row ${seenSlugs.get(slug)}`);
+  } else {
+    seenSlugs.set(slug, row);
+  }
+
+  if (fields['pricing.cancellationTiers'] !== undefined) {
+    const tierCheck = validateTiers(fields['pricing.cancellationTiers']);
+    errors.push(...tierCheck.errors);
+    fields['pricing.cancellationTiers'] = tierCheck.tiers;
+  }
+
+  if (errors.length > 0) return { entry };
+
+  const existing = await Tour.findOne({ slug });
+  const tour = existing || new Tour({ slug });
+  const before = existing ? takeSnapshot(existing) : null;
+  entry.action = existing ? 'update' : 'create';
+  entry.title = fields.title || (existing ? existing.title : null);
+
+  if (!existing) {
+    NEW_TOUR_REQUIRED
+      .filter(path => fields[path] === undefined)
+      .forEach(path => errors.push(`${path} is required for a new tour`));
+    if (errors.length > 0) return { entry };
+  }
+
+  Object.entries(fields)
+    .filter(([path]) => path !== 'slug')
+    .forEach(([path, value]) => tour.set(path, value));
+
+  // Same default as the admin form - a 5 day tour has 4 nights unless the file says otherwise
+  if (fields.durationDays !== undefined && fields.durationNights === undefined) {
+    tour.durationNights = Math.max(fields.durationDays - 1, 0);
+  }
+
+  try {
+    await tour.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    errors.push(...Object.values(error.errors).map(err => err.message));
+    return { entry };
+  }
+
+  if (existing) {
+    const changes = diffSnapshots(before, takeSnapshot(tour));
+    entry.changedFields = [...new Set(changes.map(change => change.path.split(/[.[]/)[0]))];
+    if (changes.length === 0) entry.action = 'unchanged';
+  }
+
+  return { entry, tour, before };
+};
+
+const summarize = (entries) => ({
+  total: entries.length,
+  create: entries.filter(entry => entry.errors.length === 0 && entry.action === 'create').length,
+  update: entries.filter(entry => entry.errors.length === 0 && entry.action === 'update').length,
+  unchanged: entries.filter(entry => entry.errors.length === 0 && entry.action === 'unchanged').length,
+  invalid: entries.filter(entry => entry.errors.length > 0).length
+});
+
+// Create or update (by slug) the tours in an import. All or nothing: if any row has
+// errors nothing is saved, and the rows are written in one transaction so a failure part
+// way through (e.g. a slug taken meanwhile) rolls back the rest. With dryRun the report
+// is returned without saving either way.
+const importTours = async (rows, { dryRun, user }) => {
+  if (rows.length === 0) {
+    return { errors: ['The file has no tours in it'] };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { errors: [`An import can hold up to ${MAX_IMPORT_ROWS} tours - split the file and import each part`] };
+  }
+
+  // One row at a time - each row looks up its tour
+  const seenSlugs = new Map();
+  const plans = [];
+  for (const row of rows) {
+    plans.push(await planRow(row, seenSlugs));
+  }
+
+  const report = plans.map(plan => plan.entry);
+  const summary = summarize(report);
+
+  if (dryRun || summary.invalid > 0) {
+    return { errors: [], imported: false, summary, rows: report };
+  }
+
+  const changed = plans.filter(plan => plan.entry.action !== 'unchanged');
+
+  // Transactions need a replica set or mongos - Atlas always is one, a plain local mongod isn't
+  try {
+    await Tour.db.transaction(async (session) => {
+      for (const plan of changed) {
+        await plan.tour.save({ session });
+      }
+    });
+  } catch (error) {
+    if (error.code === ILLEGAL_OPERATION && /replica set|mongos/i.test(error.message)) {
+      return {
+        errors: ['Imports need MongoDB running as a replica set (e.g. Atlas) - this database does not support transactions, so nothing was imported'],
+        unavailable: true
+      };
+    }
+    if (error.code !== 11000) throw error;
+    return { errors: ['A slug in the file was taken by another tour while importing - nothing was imported, please try again'] };
+  }
+
+  // History is kept once the tours are in - a missing revision doesn't undo the import
+  for (const plan of changed) {
+    await recordRevision(plan.tour, {
+      action: plan.entry.action,
+      user,
+      previousSnapshot: plan.before || undefined
+    }).catch(error => console.error('Error recording tour revision:', error.message));
+  }
+
+  invalidateSearchIndex();
+
+  return { errors: [], imported: true, summary, rows: report };
+};
+
+module.exports = {
+  toExportRecord,
+  toursToCsv,
+  readImportFile,
+  importTours
+};
@@ -0,0 +1,67 @@
+const Booking = require('../models/Booking');
+const { toDepartureDay } = require('./seatInventory');
+const { buildHistoryEntry } = require('./bookingLifecycle');
+const { getTourDays } = require('./tourDuration');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+// The day after the last day of the trip - the booking is finished from then on
+const getTripEndDate = (travelDate, tour) => new Date(
+  toDepartureDay(travelDate).getTime() + getTourDays(tour) * DAY_MS
+);
+
+// Mark confirmed bookings completed once their trip is over
+const completeFinishedTrips = async (now = new Date()) => {
+  const candidates = await Booking.find({
+    status: 'confirmed',
+    travelDate: { $lte: now }
+  })
+    .select('_id travelDate tour')
+    .populate('tour', 'duration durationDays');
+
+  let completedCount = 0;
+
+  for (const booking of candidates) {
+    if (getTripEndDate(booking.travelDate, booking.tour) > now) continue;
+
+    // Conditional update so a cancellation at the same moment wins
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed' },
+      {
+        status: 'completed',
+        $push: {
+          statusHistory: buildHistoryEntry('confirmed', 'completed', { actor: 'system', reason: 'Trip finished', now })
+        }
+      }
+    );
+
+    if (updated) completedCount++;
+  }
+
+  return completedCount;
+};
+
+// Run completeFinishedTrips every hour for the lifetime of the server
+const startTripCompletionJob = () => {
+  const run = async () => {
+    try {
+      const count = await completeFinishedTrips();
+      if (count > 0) {
+        console.log(`🏁 Marked ${count} booking(s) as completed`);
+      }
+    } catch (error) {
+      console.error('🔥 Trip completion job error:', error.message);
+    }
+  };
+
+  // Catch up on trips that finished while the server was down
+  run();
+  return setInterval(run, JOB_INTERVAL_MS);
+};
+
+module.exports = {
+  getTripEndDate,
+  completeFinishedTrips,
+  startTripCompletionJob
+};